@@ -0,0 +1,18 @@
+-- Upgrades a MySQL database created before direct messages were stored as channels.
+-- DM rooms are flagged with channels.is_dm, and their names (DM:<uuid>-<uuid>) need 80 characters wherever a
+-- channel name is stored. Run once, before re-running schema.sql (see the README).
+USE localchat_db;
+
+-- The referencing columns and channels.channel_name are widened together, so the checks are off in between
+SET FOREIGN_KEY_CHECKS = 0;
+
+ALTER TABLE channels
+    MODIFY channel_name VARCHAR(80) NOT NULL,
+    ADD COLUMN is_dm BOOLEAN NOT NULL DEFAULT FALSE AFTER is_private;
+
+ALTER TABLE messages MODIFY channel_name VARCHAR(80) NOT NULL;
+ALTER TABLE channel_members MODIFY channel_name VARCHAR(80) NOT NULL;
+ALTER TABLE channel_permissions MODIFY channel_name VARCHAR(80) NOT NULL;
+ALTER TABLE users MODIFY last_seen_channel VARCHAR(80) NOT NULL DEFAULT '#general';
+
+SET FOREIGN_KEY_CHECKS = 1;
@@ -0,0 +1,8 @@
+-- Upgrades a MySQL database created before timed bans and mutes.
+-- Run once, before re-running schema.sql (see the README); schema.sql then adds the channel_bans table.
+USE localchat_db;
+
+ALTER TABLE users
+    ADD COLUMN ban_expires_at BIGINT NULL AFTER ban_reason, -- NULL = permanent ban
+    ADD COLUMN muted_until BIGINT NULL AFTER ban_expires_at, -- NULL = not muted, 0 = muted until /unmute
+    ADD COLUMN mute_reason VARCHAR(255) NULL AFTER muted_until;
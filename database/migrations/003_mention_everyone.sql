@@ -0,0 +1,9 @@
+-- Upgrades a MySQL database created before @here/@channel mentions.
+-- Run once, before re-running schema.sql (see the README); schema.sql then adds the mentions table.
+USE localchat_db;
+
+ALTER TABLE channel_permissions
+    ADD COLUMN can_mention_everyone BOOLEAN NOT NULL DEFAULT FALSE AFTER can_pin; -- @here / @channel
+
+-- Existing overrides keep the role defaults (see permissions.js): Admins and Moderators may mention everyone
+UPDATE channel_permissions SET can_mention_everyone = TRUE WHERE user_role IN ('Admin', 'Moderator');
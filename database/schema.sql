@@ -11,21 +11,25 @@ CREATE TABLE IF NOT EXISTS users (
     password_hash VARCHAR(255) NOT NULL,
     user_role ENUM('Admin', 'Moderator', 'User') NOT NULL DEFAULT 'User',
     current_status ENUM('online', 'away', 'dnd') NOT NULL DEFAULT 'online',
-    last_seen_channel VARCHAR(50) NOT NULL DEFAULT '#general',
+    last_seen_channel VARCHAR(80) NOT NULL DEFAULT '#general',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     -- MODERATION / SECURITY PREP
     is_banned BOOLEAN DEFAULT FALSE,
     ban_reason VARCHAR(255) NULL,
+    ban_expires_at BIGINT NULL, -- NULL = permanent ban
+    muted_until BIGINT NULL, -- NULL = not muted, 0 = muted until /unmute
+    mute_reason VARCHAR(255) NULL,
     last_login_ip VARCHAR(45) NULL, -- For account protection
     
     UNIQUE KEY idx_username (username)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- 2. Channels Table (No change needed)
+-- 2. Channels Table (DM conversations are stored here too, flagged with is_dm; their participants live in channel_members)
 CREATE TABLE IF NOT EXISTS channels (
-    channel_name VARCHAR(50) PRIMARY KEY,
+    channel_name VARCHAR(80) PRIMARY KEY, -- 80 chars fits DM room names (DM:<uuid>-<uuid>)
     is_private BOOLEAN NOT NULL DEFAULT FALSE,
+    is_dm BOOLEAN NOT NULL DEFAULT FALSE,
     invite_code VARCHAR(8) NULL UNIQUE,
     created_by VARCHAR(36),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -43,7 +47,7 @@ INSERT IGNORE INTO channels (channel_name, is_private) VALUES
 -- 3. Messages Table (Added thread support)
 CREATE TABLE IF NOT EXISTS messages (
     id VARCHAR(36) PRIMARY KEY,
-    channel_name VARCHAR(50) NOT NULL,
+    channel_name VARCHAR(80) NOT NULL,
     author_id VARCHAR(36) NOT NULL,
     author_username VARCHAR(20) NOT NULL,
     content TEXT NOT NULL,
@@ -80,7 +84,7 @@ CREATE TABLE IF NOT EXISTS reactions (
 
 -- 5. Channel Members Table (No change needed)
 CREATE TABLE IF NOT EXISTS channel_members (
-    channel_name VARCHAR(50) NOT NULL,
+    channel_name VARCHAR(80) NOT NULL,
     user_id VARCHAR(36) NOT NULL,
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
@@ -92,7 +96,7 @@ CREATE TABLE IF NOT EXISTS channel_members (
 
 --- NEW TABLES FOR ADVANCED FEATURES ---
 
--- 6. Read Receipts Table (For Durability/Presence)
+-- 6. Read Receipts Table (Messages a user has marked read; their newest receipt in a room is their read position)
 CREATE TABLE IF NOT EXISTS read_receipts (
     message_id VARCHAR(36) NOT NULL,
     user_id VARCHAR(36) NOT NULL,
@@ -120,7 +124,7 @@ CREATE TABLE IF NOT EXISTS audit_logs (
 -- 8. Channel Permissions (For Role-Based Access Control)
 -- This table defines overrides for channels, moving towards granular RBAC.
 CREATE TABLE IF NOT EXISTS channel_permissions (
-    channel_name VARCHAR(50) NOT NULL,
+    channel_name VARCHAR(80) NOT NULL,
     user_role ENUM('Admin', 'Moderator', 'User') NOT NULL,
     
     -- BOOLEAN FLAGS FOR GRANTED PERMISSIONS
@@ -129,7 +133,254 @@ CREATE TABLE IF NOT EXISTS channel_permissions (
     can_manage_messages BOOLEAN NOT NULL DEFAULT FALSE, -- Edit/Delete others'
     can_invite BOOLEAN NOT NULL DEFAULT FALSE,
     can_pin BOOLEAN NOT NULL DEFAULT FALSE,
+    can_mention_everyone BOOLEAN NOT NULL DEFAULT FALSE, -- @here / @channel
     
     PRIMARY KEY (channel_name, user_role),
     FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 9. Sessions (Signed tokens issued by /api/login; checked on every WebSocket handshake)
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    created_at BIGINT NOT NULL,
+    last_seen_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    revoked BOOLEAN NOT NULL DEFAULT FALSE,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_user_sessions (user_id, revoked)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 10. Channel Bans (Per-channel bans; the user keeps server access but cannot see or join the channel)
+CREATE TABLE IF NOT EXISTS channel_bans (
+    channel_name VARCHAR(80) NOT NULL,
+    user_id VARCHAR(36) NOT NULL,
+    banned_by VARCHAR(36) NULL,
+    reason VARCHAR(255) NULL,
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NULL, -- NULL = until lifted with /channelunban
+
+    PRIMARY KEY (channel_name, user_id),
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (banned_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 11. Mentions (Resolved @username/@here/@channel mentions; the per-user mentions inbox)
+CREATE TABLE IF NOT EXISTS mentions (
+    message_id VARCHAR(36) NOT NULL,
+    user_id VARCHAR(36) NOT NULL, -- The mentioned user
+    channel_name VARCHAR(80) NOT NULL,
+    author_id VARCHAR(36) NULL,
+    mention_type ENUM('user', 'here', 'channel') NOT NULL DEFAULT 'user',
+    created_at BIGINT NOT NULL,
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+
+    PRIMARY KEY (message_id, user_id),
+    INDEX idx_user_inbox (user_id, is_read, created_at),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 12. Thread Subscriptions (Who is notified of new replies to a thread root)
+CREATE TABLE IF NOT EXISTS thread_subscriptions (
+    message_id VARCHAR(36) NOT NULL, -- The thread root
+    user_id VARCHAR(36) NOT NULL,
+    subscribed BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE = explicitly unfollowed; auto-subscribe leaves it alone
+    created_at BIGINT NOT NULL,
+
+    PRIMARY KEY (message_id, user_id),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 13. Incoming Webhooks (Integrations post into a channel as a bot user via POST /api/hooks/:token)
+CREATE TABLE IF NOT EXISTS incoming_webhooks (
+    webhook_id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(20) NOT NULL, -- Also the bot user's username
+    channel_name VARCHAR(80) NOT NULL,
+    token_hash CHAR(64) NOT NULL, -- SHA-256 of the token; the token itself is only shown once
+    bot_user_id VARCHAR(36) NOT NULL,
+    created_by VARCHAR(36) NULL,
+    created_at BIGINT NOT NULL,
+
+    UNIQUE KEY idx_token_hash (token_hash),
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE,
+    FOREIGN KEY (bot_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 14. Outgoing Webhooks (Channel events POSTed as signed JSON to an external URL)
+CREATE TABLE IF NOT EXISTS outgoing_webhooks (
+    webhook_id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    channel_name VARCHAR(80) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(64) NOT NULL, -- HMAC-SHA256 key for the X-LocalChat-Signature header
+    events VARCHAR(255) NOT NULL, -- Comma-separated: channel_message,message_edited,message_deleted,message_reacted
+    created_by VARCHAR(36) NULL,
+    created_at BIGINT NOT NULL,
+
+    INDEX idx_hook_channel (channel_name),
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 15. Webhook Deliveries (Delivery log and retry queue for outgoing webhooks)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id VARCHAR(36) PRIMARY KEY,
+    webhook_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(32) NOT NULL,
+    payload MEDIUMTEXT NOT NULL, -- The exact JSON body that is signed and sent
+    status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at BIGINT NULL, -- When a pending delivery is (re)tried
+    last_status_code INT NULL,
+    last_error VARCHAR(255) NULL,
+    created_at BIGINT NOT NULL,
+    completed_at BIGINT NULL,
+
+    INDEX idx_delivery_queue (status, next_attempt_at),
+    INDEX idx_hook_deliveries (webhook_id, created_at),
+    FOREIGN KEY (webhook_id) REFERENCES outgoing_webhooks(webhook_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 16. Login Failures (Failed password attempts per account; enough of them lock the account for a while)
+CREATE TABLE IF NOT EXISTS login_failures (
+    user_id VARCHAR(36) PRIMARY KEY,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    first_failed_at BIGINT NOT NULL, -- Start of the counting window
+    locked_until BIGINT NULL, -- NULL = not locked
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 17. Attachments (One row per upload; files are stored once per content hash and only served to readers of the message's room)
+CREATE TABLE IF NOT EXISTS attachments (
+    attachment_id VARCHAR(36) PRIMARY KEY,
+    uploader_id VARCHAR(36) NOT NULL,
+    message_id VARCHAR(36) NULL, -- NULL until posted, and again once the message is deleted
+    sha256 CHAR(64) NOT NULL, -- Also the file's name under uploads/
+    original_name VARCHAR(255) NOT NULL,
+    mimetype VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    created_at BIGINT NOT NULL,
+
+    INDEX idx_attachment_hash (sha256),
+    INDEX idx_attachment_uploader (uploader_id),
+    INDEX idx_attachment_message (message_id, created_at),
+    FOREIGN KEY (uploader_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+
+-- 18. Upload Sessions (Resumable chunked uploads in progress; the chunks themselves are files under uploads/.chunks/<upload_id>/)
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    upload_id VARCHAR(36) PRIMARY KEY,
+    uploader_id VARCHAR(36) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mimetype VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    chunk_size INT NOT NULL,
+    sha256 CHAR(64) NOT NULL, -- Expected checksum of the assembled file
+    assembling BOOLEAN NOT NULL DEFAULT FALSE, -- Set while /complete runs, so it cannot run twice at once
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+
+    INDEX idx_upload_expiry (expires_at),
+    FOREIGN KEY (uploader_id) REFERENCES users(user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 19. Channel Retention (Per-channel overrides of the server-wide RETENTION_DEFAULT; see src/retention.js)
+CREATE TABLE IF NOT EXISTS channel_retention (
+    channel_name VARCHAR(80) PRIMARY KEY,
+    retention_ms BIGINT NULL, -- NULL = the server default, 0 = keep forever
+    keep_pinned BOOLEAN NULL, -- NULL = the server default (RETENTION_KEEP_PINNED)
+    updated_by VARCHAR(36) NULL,
+    updated_at BIGINT NOT NULL,
+
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 20. Scheduled Messages (/schedule and /remind queue; rows are deleted once delivered, see src/scheduler.js)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    schedule_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    kind ENUM('message', 'reminder') NOT NULL,
+    channel_name VARCHAR(80) NULL, -- NULL = a personal reminder, sent as a DM from the system account
+    content TEXT NOT NULL,
+    deliver_at BIGINT NOT NULL,
+    status ENUM('pending', 'sending', 'failed') NOT NULL DEFAULT 'pending',
+    claimed_until BIGINT NULL, -- Set while a process delivers it; a lapsed claim is picked up again
+    error VARCHAR(255) NULL, -- Why the post was rejected, for failed messages
+    created_at BIGINT NOT NULL,
+
+    INDEX idx_schedule_due (status, deliver_at),
+    INDEX idx_schedule_user (user_id, deliver_at),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (channel_name) REFERENCES channels(channel_name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 21. Message Versions (Every text a message had before an edit; read with fetch_message_history)
+CREATE TABLE IF NOT EXISTS message_versions (
+    version_id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id VARCHAR(36) NOT NULL,
+    content TEXT NOT NULL, -- The text the edit replaced
+    edited_by VARCHAR(36) NULL, -- Who made the edit (the author, or a moderator)
+    edited_by_username VARCHAR(20) NOT NULL, -- Kept if the editor's account is deleted
+    edited_at BIGINT NOT NULL,
+
+    INDEX idx_version_message (message_id, version_id),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (edited_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 22. User Profiles (Display name, avatar, bio and custom status; a user without a row has an empty profile, see src/profiles.js)
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id VARCHAR(36) PRIMARY KEY,
+    display_name VARCHAR(40) NULL,
+    avatar_attachment_id VARCHAR(36) NULL, -- An image upload; kept out of the orphan sweep while it is someone's avatar
+    bio VARCHAR(500) NULL,
+    pronouns VARCHAR(40) NULL,
+    timezone VARCHAR(64) NULL, -- IANA name, e.g. Europe/Berlin
+    status_text VARCHAR(100) NULL,
+    status_emoji VARCHAR(32) NULL,
+    status_expires_at BIGINT NULL, -- NULL = the custom status stays until cleared
+    updated_at BIGINT NOT NULL,
+
+    INDEX idx_profile_status_expiry (status_expires_at),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (avatar_attachment_id) REFERENCES attachments(attachment_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 23. Disabled Accounts (Accounts an admin has switched off; they cannot log in until enabled again, see src/accounts.js)
+CREATE TABLE IF NOT EXISTS disabled_accounts (
+    user_id VARCHAR(36) PRIMARY KEY,
+    reason VARCHAR(255) NULL,
+    disabled_by VARCHAR(36) NULL, -- NULL when disabled from the command line
+    disabled_at BIGINT NOT NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (disabled_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 24. Task Leases (Which process runs a server-wide background task, so cluster workers don't all run it; see src/leases.js)
+CREATE TABLE IF NOT EXISTS task_leases (
+    task_name VARCHAR(50) PRIMARY KEY,
+    holder VARCHAR(64) NULL, -- The process holding the lease
+    leased_until BIGINT NOT NULL DEFAULT 0 -- The lease lapses after this, even if its holder died without releasing it
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,293 @@
+-- SQLite schema for DB_CLIENT=sqlite. Applied automatically on every start, so every statement must be idempotent.
+-- Mirrors schema.sql: keep the two in step. Booleans are INTEGER 0/1, ENUMs are CHECK constraints,
+-- and TIMESTAMP columns hold ISO-8601 UTC text. NOCASE matches MySQL's case-insensitive name comparisons.
+
+-- 1. Users Table
+CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    user_role TEXT NOT NULL DEFAULT 'User' CHECK (user_role IN ('Admin', 'Moderator', 'User')),
+    current_status TEXT NOT NULL DEFAULT 'online' CHECK (current_status IN ('online', 'away', 'dnd')),
+    last_seen_channel TEXT NOT NULL DEFAULT '#general',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    is_banned INTEGER DEFAULT 0,
+    ban_reason TEXT NULL,
+    ban_expires_at INTEGER NULL, -- NULL = permanent ban
+    muted_until INTEGER NULL, -- NULL = not muted, 0 = muted until /unmute
+    mute_reason TEXT NULL,
+    last_login_ip TEXT NULL
+);
+
+-- 2. Channels Table (DM conversations are stored here too, flagged with is_dm)
+CREATE TABLE IF NOT EXISTS channels (
+    channel_name TEXT PRIMARY KEY COLLATE NOCASE,
+    is_private INTEGER NOT NULL DEFAULT 0,
+    is_dm INTEGER NOT NULL DEFAULT 0,
+    invite_code TEXT NULL UNIQUE,
+    created_by TEXT REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    pinned_message_id TEXT NULL
+);
+
+INSERT OR IGNORE INTO channels (channel_name, is_private) VALUES
+    ('#general', 0),
+    ('#dev-talk', 0),
+    ('#random', 0);
+
+-- 3. Messages Table (no FULLTEXT index: search falls back to LIKE matching)
+CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    author_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    author_username TEXT NOT NULL COLLATE NOCASE,
+    content TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    edited INTEGER DEFAULT 0,
+    edited_timestamp INTEGER NULL,
+    attachment_metadata TEXT NULL, -- JSON
+    is_system INTEGER DEFAULT 0,
+    parent_message_id TEXT NULL REFERENCES messages(id) ON DELETE SET NULL,
+    is_thread_root INTEGER DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_channel_time ON messages (channel_name, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_parent_message ON messages (parent_message_id);
+
+-- 4. Reactions Table
+CREATE TABLE IF NOT EXISTS reactions (
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    emoji TEXT NOT NULL,
+    PRIMARY KEY (message_id, user_id, emoji)
+);
+
+-- 5. Channel Members Table
+CREATE TABLE IF NOT EXISTS channel_members (
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    joined_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (channel_name, user_id)
+);
+
+-- 6. Read Receipts Table
+CREATE TABLE IF NOT EXISTS read_receipts (
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    read_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (message_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_user_receipts ON read_receipts (user_id); -- MySQL indexes the user_id foreign key itself
+
+-- 7. Audit Log
+CREATE TABLE IF NOT EXISTS audit_logs (
+    log_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action_type TEXT NOT NULL,
+    actor_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE NO ACTION,
+    target_id TEXT NULL,
+    details TEXT NULL, -- JSON
+    action_time TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- 8. Channel Permissions
+CREATE TABLE IF NOT EXISTS channel_permissions (
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    user_role TEXT NOT NULL CHECK (user_role IN ('Admin', 'Moderator', 'User')),
+    can_send_messages INTEGER NOT NULL DEFAULT 1,
+    can_read_history INTEGER NOT NULL DEFAULT 1,
+    can_manage_messages INTEGER NOT NULL DEFAULT 0,
+    can_invite INTEGER NOT NULL DEFAULT 0,
+    can_pin INTEGER NOT NULL DEFAULT 0,
+    can_mention_everyone INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (channel_name, user_role)
+);
+
+-- 9. Sessions
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked INTEGER NOT NULL DEFAULT 0,
+    ip_address TEXT NULL,
+    user_agent TEXT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_user_sessions ON sessions (user_id, revoked);
+
+-- 10. Channel Bans
+CREATE TABLE IF NOT EXISTS channel_bans (
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    banned_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL,
+    reason TEXT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NULL, -- NULL = until lifted with /channelunban
+    PRIMARY KEY (channel_name, user_id)
+);
+
+-- 11. Mentions
+CREATE TABLE IF NOT EXISTS mentions (
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    author_id TEXT NULL,
+    mention_type TEXT NOT NULL DEFAULT 'user' CHECK (mention_type IN ('user', 'here', 'channel')),
+    created_at INTEGER NOT NULL,
+    is_read INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (message_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_user_inbox ON mentions (user_id, is_read, created_at);
+
+-- 12. Thread Subscriptions
+CREATE TABLE IF NOT EXISTS thread_subscriptions (
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    subscribed INTEGER NOT NULL DEFAULT 1, -- 0 = explicitly unfollowed; auto-subscribe leaves it alone
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- 13. Incoming Webhooks
+CREATE TABLE IF NOT EXISTS incoming_webhooks (
+    webhook_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL COLLATE NOCASE, -- Also the bot user's username
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    bot_user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    created_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at INTEGER NOT NULL
+);
+
+-- 14. Outgoing Webhooks
+CREATE TABLE IF NOT EXISTS outgoing_webhooks (
+    webhook_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    channel_name TEXT NOT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL, -- Comma-separated event types
+    created_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_hook_channel ON outgoing_webhooks (channel_name);
+
+-- 15. Webhook Deliveries
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES outgoing_webhooks(webhook_id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NULL,
+    last_status_code INTEGER NULL,
+    last_error TEXT NULL,
+    created_at INTEGER NOT NULL,
+    completed_at INTEGER NULL
+);
+CREATE INDEX IF NOT EXISTS idx_delivery_queue ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_hook_deliveries ON webhook_deliveries (webhook_id, created_at);
+
+-- 16. Login Failures
+CREATE TABLE IF NOT EXISTS login_failures (
+    user_id TEXT PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    first_failed_at INTEGER NOT NULL,
+    locked_until INTEGER NULL -- NULL = not locked
+);
+
+-- 17. Attachments
+CREATE TABLE IF NOT EXISTS attachments (
+    attachment_id TEXT PRIMARY KEY,
+    uploader_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    message_id TEXT NULL REFERENCES messages(id) ON DELETE SET NULL, -- NULL until posted, and again once the message is deleted
+    sha256 TEXT NOT NULL, -- Also the file's name under uploads/
+    original_name TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_attachment_hash ON attachments (sha256);
+CREATE INDEX IF NOT EXISTS idx_attachment_uploader ON attachments (uploader_id);
+CREATE INDEX IF NOT EXISTS idx_attachment_message ON attachments (message_id, created_at);
+
+-- 18. Upload Sessions
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    upload_id TEXT PRIMARY KEY,
+    uploader_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    original_name TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL, -- Expected checksum of the assembled file
+    assembling INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_upload_expiry ON upload_sessions (expires_at);
+
+-- 19. Channel Retention
+CREATE TABLE IF NOT EXISTS channel_retention (
+    channel_name TEXT PRIMARY KEY COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE,
+    retention_ms INTEGER NULL, -- NULL = the server default, 0 = keep forever
+    keep_pinned INTEGER NULL, -- NULL = the server default
+    updated_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL,
+    updated_at INTEGER NOT NULL
+);
+
+-- 20. Scheduled Messages
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    schedule_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('message', 'reminder')),
+    channel_name TEXT NULL COLLATE NOCASE REFERENCES channels(channel_name) ON DELETE CASCADE, -- NULL = a personal reminder
+    content TEXT NOT NULL,
+    deliver_at INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'failed')),
+    claimed_until INTEGER NULL,
+    error TEXT NULL,
+    created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_schedule_due ON scheduled_messages (status, deliver_at);
+CREATE INDEX IF NOT EXISTS idx_schedule_user ON scheduled_messages (user_id, deliver_at);
+
+-- 21. Message Versions
+CREATE TABLE IF NOT EXISTS message_versions (
+    version_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL, -- The text the edit replaced
+    edited_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL,
+    edited_by_username TEXT NOT NULL,
+    edited_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_version_message ON message_versions (message_id, version_id);
+
+-- 22. User Profiles
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id TEXT PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    display_name TEXT NULL,
+    avatar_attachment_id TEXT NULL REFERENCES attachments(attachment_id) ON DELETE SET NULL,
+    bio TEXT NULL,
+    pronouns TEXT NULL,
+    timezone TEXT NULL,
+    status_text TEXT NULL,
+    status_emoji TEXT NULL,
+    status_expires_at INTEGER NULL, -- NULL = the custom status stays until cleared
+    updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_profile_status_expiry ON user_profiles (status_expires_at);
+
+-- 23. Disabled Accounts
+CREATE TABLE IF NOT EXISTS disabled_accounts (
+    user_id TEXT PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    reason TEXT NULL,
+    disabled_by TEXT NULL REFERENCES users(user_id) ON DELETE SET NULL, -- NULL when disabled from the command line
+    disabled_at INTEGER NOT NULL
+);
+
+-- 24. Task Leases
+CREATE TABLE IF NOT EXISTS task_leases (
+    task_name TEXT PRIMARY KEY,
+    holder TEXT NULL,
+    leased_until INTEGER NOT NULL DEFAULT 0
+);
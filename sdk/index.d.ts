@@ -0,0 +1,324 @@
+// Type declarations for the LocalChat client SDK (localchat-client.js).
+
+export interface Reactions { [emoji: string]: string[] }
+
+export interface ThreadSummary {
+    replyCount: number;
+    lastReplyAt: number | null;
+    participants: { id: string; username: string }[];
+}
+
+export interface Attachment {
+    id: string;
+    /** Only on messages posted before uploads were tracked. */
+    filename?: string;
+    /** Set on imported messages whose file was not bundled with the archive; there is nothing to download. */
+    unavailable?: boolean;
+    originalname: string;
+    mimetype: string;
+    size: number;
+    [key: string]: unknown;
+}
+
+export interface ChatMessage {
+    id: string;
+    author: string;
+    authorId?: string;
+    author_id?: string;
+    content: string;
+    timestamp: number;
+    channel?: string;
+    channel_name?: string;
+    system: boolean | number;
+    edited: boolean | number;
+    editedTimestamp?: number | null;
+    reactions: Reactions;
+    attachment: Attachment | null;
+    parent_message_id: string | null;
+    is_thread_root: boolean | number;
+    thread?: ThreadSummary;
+}
+
+export interface ChannelPermissions {
+    can_send_messages: boolean;
+    can_read_history: boolean;
+    can_manage_messages: boolean;
+    can_invite: boolean;
+    can_pin: boolean;
+    can_mention_everyone: boolean;
+    can_manage_channel: boolean;
+}
+
+export interface ChannelInfo {
+    name: string;
+    is_private: boolean;
+    invite_code: string | null;
+    created_by: string | null;
+    permissions: ChannelPermissions;
+    unread?: number;
+    mentions?: number;
+}
+
+export interface DmConversation {
+    room: string;
+    partnerId: string;
+    partnerUsername: string;
+    lastMessageAt: number | null;
+    unread?: number;
+    mentions?: number;
+}
+
+export interface PinnedMessage { id: string; author: string; content: string }
+export interface ReadPosition { messageId: string; timestamp: number }
+export interface CustomStatus { text: string | null; emoji: string | null; expiresAt: number | null }
+export interface PresenceUser {
+    id: string;
+    username: string;
+    role: string;
+    status: 'online' | 'away' | 'dnd';
+    displayName: string | null;
+    avatar: { id: string; mimetype: string } | null;
+    customStatus: CustomStatus | null;
+}
+
+export interface Profile {
+    userId: string;
+    username: string;
+    role: string;
+    displayName: string | null;
+    avatar: { id: string; mimetype: string } | null;
+    bio: string | null;
+    pronouns: string | null;
+    timezone: string | null;
+    customStatus: CustomStatus | null;
+    joinedAt: string | null;
+    updatedAt: number | null;
+}
+
+/** An account as admins see it. */
+export interface UserAccount {
+    userId: string;
+    username: string;
+    role: 'User' | 'Moderator' | 'Admin';
+    createdAt: string | null;
+    lastLoginIp: string | null;
+    banned: boolean;
+    disabled: { reason: string | null; disabledAt: number } | null;
+    activeSessions: number;
+}
+
+export interface ProfileChanges {
+    displayName?: string | null;
+    avatarId?: string | null;
+    bio?: string | null;
+    pronouns?: string | null;
+    timezone?: string | null;
+    /** `expiresIn` is a duration like '30m' or '4h'; without an expiry the status stays until cleared. */
+    status?: { text?: string; emoji?: string; expiresIn?: string; expiresAt?: number } | null;
+}
+
+export interface Mention {
+    messageId: string;
+    channel: string;
+    type: 'user' | 'here' | 'channel';
+    isRead: boolean;
+    timestamp: number;
+    author: string;
+    content: string;
+    threadRootId: string | null;
+}
+
+export interface MentionInbox { mentions: Mention[]; unreadCount: number }
+
+/** A channel exported by exportChannel(); `files` (base64 by SHA-256) is only present when attachments were bundled. */
+export interface ChannelArchive {
+    format: 'localchat.channel-archive';
+    version: number;
+    exportedAt: number;
+    channel: {
+        name: string;
+        isPrivate: boolean;
+        isDm: boolean;
+        createdBy: string | null;
+        createdAt: string | null;
+        members: string[];
+        permissions: { [role: string]: Partial<ChannelPermissions> };
+        pinnedMessageId: string | null;
+    };
+    messages: {
+        id: string;
+        author: string;
+        content: string;
+        timestamp: number;
+        edited: boolean;
+        editedAt: number | null;
+        system: boolean;
+        parentId: string | null;
+        isThreadRoot: boolean;
+        reactions: Reactions;
+        attachment: { originalname: string; mimetype: string; size: number; sha256: string | null } | null;
+    }[];
+    files?: { [sha256: string]: string };
+}
+
+/** `retentionMs` 0 = kept forever. `overrides` holds the channel's own settings, null where it follows the server default. */
+export interface RetentionPolicy {
+    channel: string;
+    retentionMs: number;
+    keepPinned: boolean;
+    overrides: { retentionMs: number | null; keepPinned: boolean | null };
+}
+
+/** One text a message has had; `author` is whoever wrote this version (the author, or a moderator who edited it). */
+export interface MessageVersion { version: number; content: string; authorId: string | null; author: string | null; timestamp: number }
+
+export interface CommandInfo { name: string; aliases: string[]; usage: string; description: string; role: string }
+
+/** Payload of every event the server sends, keyed by event type. */
+export interface ServerEvents {
+    login_success: { userId: string; username: string; role: string };
+    initial_state: { currentChannel: string; availableChannels: ChannelInfo[]; recentConversations: DmConversation[]; editHistoryForAuthors: boolean };
+    channel_list_update: { availableChannels: ChannelInfo[] };
+    message_history: { channel: string; messages: ChatMessage[]; pinned: PinnedMessage | null; hasMore: boolean; lastRead: ReadPosition | null };
+    channel_change: { newChannel: string; history: ChatMessage[]; hasMore: boolean; pinned: PinnedMessage | null; availableChannels: ChannelInfo[]; lastRead?: ReadPosition | null };
+    history_page: { channel: string; messages: ChatMessage[]; hasMore: boolean; [key: string]: unknown };
+    channel_message: ChatMessage;
+    message_edited: ChatMessage;
+    message_deleted: { id: string; channel: string };
+    message_versions: { id: string; channel: string; authorId: string; author: string; versions: MessageVersion[]; incomplete: boolean };
+    message_reacted: { id: string; reactions: Reactions };
+    update_pinned_message: { message: PinnedMessage | null };
+    typing_status: { channel: string; typingUsers: string[] };
+    user_presence: { channel: string; users: PresenceUser[] };
+    profile_updated: { profile: Profile };
+    role_updated: { role: 'User' | 'Moderator' | 'Admin' };
+    dm_notification: { room: string; authorId: string; author: string; content: string; timestamp: number };
+    unread_increment: { channel: string; messageId: string; mention: boolean };
+    unread_update: { channel: string; lastReadMessageId: string; unread: number; mentions: number };
+    mention_notification: { room: string; messageId: string; author: string; content: string; mentionType: 'user' | 'here' | 'channel'; timestamp: number; threadRootId: string | null };
+    mentions_inbox: MentionInbox;
+    thread: { root: ChatMessage; replies: ChatMessage[]; hasMore: boolean; following: boolean };
+    thread_updated: { rootId: string; channel: string; thread: ThreadSummary | undefined };
+    thread_subscription: { rootId: string; following: boolean };
+    thread_notification: { rootId: string; channel: string; messageId: string; author: string; content: string; timestamp: number };
+    channel_permissions: { channel: string; matrix: { [role: string]: Omit<ChannelPermissions, 'can_manage_channel'> & { overridden: boolean } } };
+    search_results: { results: unknown[]; total: number; page: number; pageSize: number; hasMore: boolean; query: unknown };
+    command_list: { commands: CommandInfo[] };
+    notification: { message: string };
+    error: { message: string; code?: 'RATE_LIMITED' | 'FLOOD_DISCONNECT'; event?: string; retryAfterMs?: number };
+    kicked: { reason: string };
+    banned: { reason: string };
+}
+
+/** Events raised by the client itself. */
+export interface ClientEvents {
+    connected: { userId: string; username: string; role: string };
+    disconnected: { code: number; reason: string; willReconnect: boolean };
+    reconnecting: { attempt: number; delayMs: number };
+    session_refreshed: { expiresAt: number };
+    session_expired: { reason: string };
+    '*': { type: keyof ServerEvents } & Record<string, unknown>;
+}
+
+export type EventMap = { [K in keyof ServerEvents]: ServerEvents[K] & { type: K } } & ClientEvents;
+
+export interface LocalChatClientOptions {
+    baseUrl: string;
+    reconnect?: boolean;
+    reconnectDelayMs?: number;
+    maxReconnectDelayMs?: number;
+    requestTimeoutMs?: number;
+    WebSocket?: unknown;
+    fetch?: typeof fetch;
+}
+
+export declare const SERVER_EVENTS: (keyof ServerEvents)[];
+
+export declare class LocalChatError extends Error {
+    status: number | null;
+    constructor(message: string, status?: number | null);
+}
+
+export declare class LocalChatClient {
+    constructor(options: LocalChatClientOptions);
+
+    readonly baseUrl: string;
+    readonly connected: boolean;
+    readonly currentChannel: string | null;
+    readonly user: { userId: string; username: string; role: string } | null;
+    readonly session: { token: string; expiresAt: number | null } | null;
+
+    on<K extends keyof EventMap>(type: K, handler: (data: EventMap[K]) => void): () => void;
+    off<K extends keyof EventMap>(type: K, handler: (data: EventMap[K]) => void): void;
+    once<K extends keyof EventMap>(type: K, handler: (data: EventMap[K]) => void): () => void;
+    waitFor<K extends keyof EventMap>(type: K, match?: (data: EventMap[K]) => boolean, timeoutMs?: number): Promise<EventMap[K]>;
+
+    api<T = unknown>(method: string, path: string, options?: { body?: unknown; query?: Record<string, unknown> }): Promise<T>;
+    register(username: string, password: string): Promise<{ message: string; userId: string }>;
+    login(username: string, password: string): Promise<{ userId: string; username: string; role: string; token: string; expiresAt: number }>;
+    useToken(token: string, expiresAt?: number | null): void;
+    refreshSession(): Promise<void>;
+    logout(): Promise<void>;
+
+    connect(): Promise<EventMap['login_success']>;
+    disconnect(): void;
+    sendFrame(frame: { type: string; [key: string]: unknown }): void;
+
+    sendMessage(channel: string, content: string, options?: { attachment?: Attachment; parentId?: string }): void;
+    command(text: string): void;
+    listCommands(): Promise<EventMap['command_list']>;
+    editMessage(messageId: string, content: string): void;
+    fetchMessageHistory(messageId: string): Promise<EventMap['message_versions']>;
+    deleteMessage(messageId: string): void;
+    react(messageId: string, emoji: string): void;
+    unreact(messageId: string, emoji: string): void;
+    setTyping(isTyping: boolean): void;
+    markRead(channel: string, messageId: string): void;
+
+    joinChannel(channel: string): Promise<EventMap['channel_change']>;
+    startDm(userId: string): Promise<EventMap['channel_change']>;
+    createChannel(channel: string, options?: { isPrivate?: boolean }): Promise<EventMap['channel_change']>;
+    deleteChannel(channel: string): void;
+    joinByCode(code: string): Promise<EventMap['channel_list_update']>;
+
+    fetchHistory(channel: string, options?: { before?: string; after?: string; limit?: number }): Promise<EventMap['history_page']>;
+    fetchThread(rootId: string): Promise<EventMap['thread']>;
+    followThread(rootId: string, following?: boolean): void;
+    fetchMentions(options?: { unreadOnly?: boolean }): Promise<EventMap['mentions_inbox']>;
+    markMentionsRead(messageIds?: string[]): void;
+
+    getChannelPermissions(channel: string): Promise<EventMap['channel_permissions']>;
+    updateChannelPermissions(channel: string, role: string, permissions: Partial<ChannelPermissions> | null): Promise<EventMap['channel_permissions']>;
+
+    search(options?: { q?: string; channel?: string; author?: string; from?: string; to?: string; has?: 'attachment'; inThread?: boolean; page?: number; pageSize?: number }): Promise<{ results: unknown[]; total: number; page: number; pageSize: number; hasMore: boolean }>;
+    fetchAuditLogs(filters?: { action?: string; actor?: string; target?: string; from?: string; to?: string; page?: number; pageSize?: number }): Promise<{ logs: unknown[]; total: number; page: number; pageSize: number; hasMore: boolean }>;
+    exportChannel(channel: string, options?: { format?: 'json'; attachments?: boolean }): Promise<ChannelArchive>;
+    exportChannel(channel: string, options: { format: 'html'; attachments?: boolean }): Promise<string>;
+    importChannel(archive: ChannelArchive, options?: { name?: string }): Promise<{ channel: string; messages: number; reactions: number; attachments: { stored: number; unavailable: number }; unmatchedUsers: string[] }>;
+    fetchRetentionPolicies(): Promise<{ defaults: { retentionMs: number; keepPinned: boolean }; channels: (RetentionPolicy & { updatedBy: string | null; updatedAt: number | null })[] }>;
+    setChannelRetention(channel: string, settings: { retention?: string; keepPinned?: boolean | 'default' }): Promise<RetentionPolicy>;
+    purgeExpiredMessages(): Promise<{ deletedMessages: number; releasedUploads: number; channels: { [channel: string]: number }; durationMs: number }>;
+    uploadFile(file: Blob | { data: Uint8Array; name: string; type?: string }): Promise<Attachment>;
+    uploadFileResumable(file: Blob | { data: Uint8Array; name: string; type?: string }, options?: {
+        uploadId?: string | null;
+        chunkSize?: number;
+        onStart?: (info: { uploadId: string }) => void;
+        onProgress?: (progress: { phase: 'hashing' | 'uploading'; loaded: number; total: number }) => void;
+    }): Promise<Attachment>;
+    putChunk(uploadId: string, index: number, bytes: Uint8Array): Promise<void>;
+    cancelUpload(uploadId: string): Promise<{ message: string }>;
+    attachmentUrl(attachment: Pick<Attachment, 'id'> | { filename: string }): string;
+    fetchUploadQuota(): Promise<{ used: number; quota: number; maxFileSize: number }>;
+    listUsers(filters?: { search?: string; role?: UserAccount['role']; page?: number; pageSize?: number }): Promise<{ users: UserAccount[]; total: number; page: number; pageSize: number; hasMore: boolean }>;
+    getUser(user: string): Promise<UserAccount>;
+    createUser(fields: { username: string; role?: UserAccount['role']; password?: string }): Promise<UserAccount & { password?: string }>;
+    setUserRole(user: string, role: UserAccount['role']): Promise<UserAccount>;
+    resetUserPassword(user: string, password?: string): Promise<UserAccount & { password?: string; revokedSessions: number }>;
+    disableUser(user: string, reason?: string): Promise<UserAccount & { revokedSessions: number }>;
+    enableUser(user: string): Promise<UserAccount>;
+    logoutUser(user: string): Promise<UserAccount & { revokedSessions: number }>;
+    deleteUser(user: string): Promise<{ message: string }>;
+    fetchProfile(): Promise<Profile>;
+    fetchUserProfile(username: string): Promise<Profile>;
+    updateProfile(changes: ProfileChanges): Promise<Profile>;
+}
@@ -0,0 +1,777 @@
+/**
+ * LocalChat client SDK: REST login/session handling, the WebSocket handshake, automatic reconnect,
+ * typed server events and helpers for every client request.
+ *
+ * Works in Node (`const { LocalChatClient } = require('localchat-client')`, uses the `ws` package when
+ * there is no global WebSocket) and in the browser (`<script src="/sdk/localchat-client.js">` defines
+ * `window.LocalChatClient`). See index.d.ts for the event and frame types.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        const sdk = factory();
+        root.LocalChatClient = sdk.LocalChatClient;
+        root.LocalChatError = sdk.LocalChatError;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+    const DEFAULT_RECONNECT_DELAY_MS = 1000;
+    const DEFAULT_MAX_RECONNECT_DELAY_MS = 30000;
+    const REFRESH_MARGIN_MS = 60000; // Refresh a session this long before it expires
+    const REFRESH_RETRY_MS = 30000;
+    const WS_OPEN = 1;
+    const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024; // Resumable uploads
+    const CHUNK_RETRIES = 5; // Per chunk, on network errors and 5xx replies
+    const CHUNK_RETRY_DELAY_MS = 1000; // Doubles per retry
+
+    // Server events after which reconnecting is pointless: the server has deliberately dropped us.
+    const TERMINAL_EVENTS = ['kicked', 'banned'];
+
+    /** Every event type the server sends, for consumers that want to validate or enumerate them. */
+    const SERVER_EVENTS = [
+        'login_success', 'initial_state', 'channel_list_update', 'message_history', 'channel_change', 'history_page',
+        'channel_message', 'message_edited', 'message_deleted', 'message_versions', 'message_reacted', 'update_pinned_message',
+        'typing_status', 'user_presence', 'profile_updated', 'role_updated', 'dm_notification', 'unread_increment', 'unread_update',
+        'mention_notification', 'mentions_inbox', 'thread', 'thread_updated', 'thread_subscription', 'thread_notification',
+        'channel_permissions', 'search_results', 'command_list', 'notification', 'error', 'kicked', 'banned'
+    ];
+
+    /** An error from the REST API (`status` is the HTTP status) or a timed-out request. */
+    class LocalChatError extends Error {
+        constructor(message, status = null) {
+            super(message);
+            this.name = 'LocalChatError';
+            this.status = status;
+        }
+    }
+
+    function resolveWebSocket(option) {
+        if (option) return option;
+        if (typeof WebSocket !== 'undefined') return WebSocket;
+        if (typeof require === 'function') return require('ws');
+        throw new Error('No WebSocket implementation found. Pass one as the `WebSocket` option.');
+    }
+
+    function isDmRoom(roomName) {
+        return typeof roomName === 'string' && roomName.startsWith('DM:');
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // --- SHA-256 ---
+    // Resumable uploads checksum every chunk and the whole file. WebCrypto has no incremental digest and is
+    // unavailable on plain-http pages (the usual LAN setup), so the SDK carries a small implementation.
+
+    const SHA256_K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    class Sha256 {
+        constructor() {
+            this.state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+            this.block = new Uint8Array(64);
+            this.blockLength = 0;
+            this.totalBytes = 0;
+            this.words = new Uint32Array(64);
+        }
+
+        /** Feeds bytes (a Uint8Array). */
+        update(data) {
+            let offset = 0;
+            this.totalBytes += data.length;
+            if (this.blockLength > 0) {
+                offset = Math.min(64 - this.blockLength, data.length);
+                this.block.set(data.subarray(0, offset), this.blockLength);
+                this.blockLength += offset;
+                if (this.blockLength < 64) return this;
+                this.compress(this.block, 0);
+                this.blockLength = 0;
+            }
+            for (; offset + 64 <= data.length; offset += 64) this.compress(data, offset);
+            if (offset < data.length) {
+                this.block.set(data.subarray(offset), 0);
+                this.blockLength = data.length - offset;
+            }
+            return this;
+        }
+
+        compress(bytes, offset) {
+            const w = this.words;
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const x = w[i - 15];
+                const y = w[i - 2];
+                const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+                const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+            const s = this.state;
+            let a = s[0], b = s[1], c = s[2], d = s[3], e = s[4], f = s[5], g = s[6], h = s[7];
+            for (let i = 0; i < 64; i++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            s[0] += a; s[1] += b; s[2] += c; s[3] += d; s[4] += e; s[5] += f; s[6] += g; s[7] += h;
+        }
+
+        /** Finishes the digest and returns it as lowercase hex. The instance cannot be updated afterwards. */
+        hex() {
+            const bits = this.totalBytes * 8;
+            const padLength = this.blockLength < 56 ? 56 - this.blockLength : 120 - this.blockLength;
+            const padding = new Uint8Array(padLength + 8);
+            padding[0] = 0x80;
+            const view = new DataView(padding.buffer);
+            view.setUint32(padLength, Math.floor(bits / 0x100000000));
+            view.setUint32(padLength + 4, bits >>> 0);
+            this.update(padding);
+            return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+        }
+    }
+
+    /** Wraps a browser File/Blob or `{ data, name, type }` (Node) as `{ name, type, size, read(start, end) }`. */
+    function toUploadSource(file) {
+        if (file && file.data) {
+            const bytes = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+            return { name: file.name, type: file.type || 'application/octet-stream', size: bytes.length, read: async (start, end) => bytes.subarray(start, end) };
+        }
+        return { name: file.name, type: file.type || 'application/octet-stream', size: file.size, read: async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer()) };
+    }
+
+    // --- Client ---
+
+    class LocalChatClient {
+        /**
+         * @param {object} options
+         * @param {string} options.baseUrl Server URL, e.g. `http://192.168.1.50:3000`. The WebSocket URL is derived from it.
+         * @param {boolean} [options.reconnect=true] Reconnect automatically when the connection drops.
+         * @param {number} [options.reconnectDelayMs=1000] First retry delay; doubles per attempt up to maxReconnectDelayMs.
+         * @param {number} [options.maxReconnectDelayMs=30000]
+         * @param {number} [options.requestTimeoutMs=10000] How long request helpers wait for their reply event.
+         * @param {Function} [options.WebSocket] WebSocket implementation (defaults to the global one, then `ws`).
+         * @param {Function} [options.fetch] fetch implementation (defaults to the global one).
+         */
+        constructor(options = {}) {
+            if (!options.baseUrl) throw new Error('LocalChatClient needs a baseUrl, e.g. http://localhost:3000');
+            this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+            this.wsUrl = this.baseUrl.replace(/^http/, 'ws');
+            this.reconnect = options.reconnect !== false;
+            this.reconnectDelayMs = options.reconnectDelayMs || DEFAULT_RECONNECT_DELAY_MS;
+            this.maxReconnectDelayMs = options.maxReconnectDelayMs || DEFAULT_MAX_RECONNECT_DELAY_MS;
+            this.requestTimeoutMs = options.requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+            this.WebSocket = resolveWebSocket(options.WebSocket);
+            this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(typeof self !== 'undefined' ? self : globalThis) : null);
+
+            this.listeners = new Map(); // event type -> Set of handlers
+            this.ws = null;
+            this.session = null; // { token, expiresAt }
+            this.user = null; // { userId, username, role }
+            this.currentChannel = null;
+            this.connected = false;
+            this.shouldReconnect = false;
+            this.reconnectAttempt = 0;
+            this.reconnectTimer = null;
+            this.refreshTimer = null;
+        }
+
+        // --- Events ---
+
+        /**
+         * Subscribes to a server event (e.g. 'channel_message') or a client lifecycle event:
+         * 'connected', 'disconnected', 'reconnecting', 'session_refreshed', 'session_expired', or '*' for every server frame.
+         * @returns {Function} Call it to unsubscribe.
+         */
+        on(type, handler) {
+            if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+            this.listeners.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+
+        off(type, handler) {
+            const handlers = this.listeners.get(type);
+            if (handlers) handlers.delete(handler);
+        }
+
+        once(type, handler) {
+            const unsubscribe = this.on(type, (data) => { unsubscribe(); handler(data); });
+            return unsubscribe;
+        }
+
+        emit(type, data) {
+            const handlers = this.listeners.get(type);
+            if (!handlers) return;
+            Array.from(handlers).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (e) {
+                    console.error(`LocalChat handler for '${type}' threw:`, e);
+                }
+            });
+        }
+
+        /**
+         * Resolves with the next `type` event whose payload passes `match`.
+         * Rejects on timeout, or with the server's message if an 'error' event arrives first
+         * (the protocol has no request IDs, so any error while waiting is taken as the answer).
+         */
+        waitFor(type, match = () => true, timeoutMs = this.requestTimeoutMs) {
+            return new Promise((resolve, reject) => {
+                const cleanup = () => { clearTimeout(timer); offEvent(); offError(); };
+                const timer = setTimeout(() => { cleanup(); reject(new LocalChatError(`Timed out waiting for '${type}'.`)); }, timeoutMs);
+                const offEvent = this.on(type, (data) => {
+                    if (!match(data)) return;
+                    cleanup();
+                    resolve(data);
+                });
+                const offError = this.on('error', (data) => { cleanup(); reject(new LocalChatError(data.message)); });
+            });
+        }
+
+        // --- REST ---
+
+        /** Calls a REST endpoint under /api with the session token. Rejects with LocalChatError on a non-2xx reply. */
+        async api(method, path, { body, query } = {}) {
+            if (!this.fetch) throw new Error('No fetch implementation found. Pass one as the `fetch` option.');
+            const search = query ? `?${new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== ''))}` : '';
+            const headers = {};
+            if (this.session) headers['Authorization'] = `Bearer ${this.session.token}`;
+            if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+            const response = await this.fetch(`${this.baseUrl}/api${path}${search}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            const contentType = response.headers.get('Content-Type') || '';
+            const data = contentType.includes('application/json') ? await response.json() : await response.text();
+            if (!response.ok) throw new LocalChatError((data && data.error) || response.statusText, response.status);
+            return data;
+        }
+
+        register(username, password) {
+            return this.api('POST', '/register', { body: { username, password } });
+        }
+
+        /** Logs in over REST and keeps the session refreshed. Call connect() afterwards to go real-time. */
+        async login(username, password) {
+            const data = await this.api('POST', '/login', { body: { username, password } });
+            this.user = { userId: data.userId, username: data.username, role: data.role };
+            this.setSession(data.token, data.expiresAt);
+            return data;
+        }
+
+        /** Uses an existing session token (e.g. one issued to a bot) instead of logging in. */
+        useToken(token, expiresAt = null) {
+            this.setSession(token, expiresAt);
+        }
+
+        setSession(token, expiresAt) {
+            clearTimeout(this.refreshTimer);
+            this.session = token ? { token, expiresAt } : null;
+            if (!token || !expiresAt) return;
+            // Refresh a minute before expiry (or halfway through very short sessions)
+            const remaining = expiresAt - Date.now();
+            this.refreshTimer = setTimeout(() => this.refreshSession(), Math.max(remaining - REFRESH_MARGIN_MS, remaining / 2));
+        }
+
+        async refreshSession() {
+            try {
+                const data = await this.api('POST', '/refresh');
+                this.setSession(data.token, data.expiresAt);
+                this.emit('session_refreshed', { expiresAt: data.expiresAt });
+            } catch (e) {
+                if (e.status) {
+                    // The server rejected the session: it was revoked or has expired
+                    this.setSession(null, null);
+                    this.stop();
+                    this.emit('session_expired', { reason: e.message || 'Session expired. Please log in again.' });
+                    return;
+                }
+                // Network trouble: the current token is still valid until it expires, so retry shortly
+                this.refreshTimer = setTimeout(() => this.refreshSession(), REFRESH_RETRY_MS);
+            }
+        }
+
+        /** Revokes the session on the server and closes the connection. */
+        async logout() {
+            try {
+                if (this.session) await this.api('POST', '/logout');
+            } finally {
+                this.setSession(null, null);
+                this.stop();
+            }
+        }
+
+        // --- Connection ---
+
+        /**
+         * Opens the WebSocket and authenticates it with the session token.
+         * Resolves with the 'login_success' payload; rejects if the server refuses the session.
+         */
+        connect() {
+            if (!this.session) return Promise.reject(new LocalChatError('Log in (or call useToken) before connecting.'));
+            this.shouldReconnect = this.reconnect;
+            clearTimeout(this.reconnectTimer);
+            const ready = this.waitFor('login_success');
+            this.openSocket();
+            return ready;
+        }
+
+        openSocket() {
+            if (this.ws) {
+                this.ws.onclose = null;
+                this.ws.close();
+            }
+            const ws = new this.WebSocket(this.wsUrl);
+            this.ws = ws;
+
+            ws.onopen = () => this.sendFrame({ type: 'login', token: this.session.token });
+            ws.onmessage = (event) => this.handleFrame(event.data);
+            ws.onerror = () => {}; // A 'close' always follows; reconnecting is handled there
+            ws.onclose = (event) => {
+                if (this.ws !== ws) return;
+                this.ws = null;
+                const wasConnected = this.connected;
+                this.connected = false;
+                const willReconnect = this.shouldReconnect && !!this.session;
+                if (wasConnected || !willReconnect) {
+                    this.emit('disconnected', { code: event.code, reason: event.reason, willReconnect });
+                }
+                if (willReconnect) this.scheduleReconnect();
+            };
+        }
+
+        scheduleReconnect() {
+            const delayMs = Math.min(this.reconnectDelayMs * Math.pow(2, this.reconnectAttempt), this.maxReconnectDelayMs);
+            this.reconnectAttempt++;
+            this.emit('reconnecting', { attempt: this.reconnectAttempt, delayMs });
+            this.reconnectTimer = setTimeout(() => this.openSocket(), delayMs);
+        }
+
+        /** Closes the connection without reconnecting. The session stays valid; connect() again to resume. */
+        disconnect() {
+            this.stop();
+        }
+
+        stop() {
+            this.shouldReconnect = false;
+            clearTimeout(this.reconnectTimer);
+            this.reconnectAttempt = 0;
+            if (this.ws) this.ws.close();
+        }
+
+        handleFrame(raw) {
+            let data;
+            try {
+                data = JSON.parse(typeof raw === 'string' ? raw : raw.toString());
+            } catch (e) {
+                console.error('LocalChat: unparseable frame from server:', raw);
+                return;
+            }
+
+            switch (data.type) {
+                case 'login_success':
+                    this.user = { userId: data.userId, username: data.username, role: data.role };
+                    this.connected = true;
+                    this.reconnectAttempt = 0;
+                    break;
+                case 'initial_state':
+                    this.currentChannel = data.currentChannel;
+                    break;
+                case 'channel_change':
+                    this.currentChannel = data.newChannel;
+                    break;
+                case 'error':
+                    // The server refused the token: reconnecting with it would fail the same way
+                    if (!this.connected && /session/i.test(data.message || '')) this.shouldReconnect = false;
+                    break;
+            }
+            if (TERMINAL_EVENTS.includes(data.type)) this.shouldReconnect = false;
+
+            this.emit('*', data);
+            this.emit(data.type, data);
+            if (data.type === 'login_success') {
+                this.emit('connected', { userId: data.userId, username: data.username, role: data.role });
+            }
+        }
+
+        /** Sends a raw protocol frame. Prefer the helpers below. */
+        sendFrame(frame) {
+            if (!this.ws || this.ws.readyState !== WS_OPEN) throw new LocalChatError('Not connected to server.');
+            this.ws.send(JSON.stringify(frame));
+        }
+
+        // --- Messaging ---
+
+        /**
+         * Posts a message (or a /command) to a channel or DM room.
+         * @param {object} [options] { attachment (from uploadFile), parentId (thread root to reply to) }
+         */
+        sendMessage(channel, content, { attachment, parentId } = {}) {
+            const frame = { type: isDmRoom(channel) ? 'send_dm' : 'send_message', channel, content };
+            if (attachment) frame.attachment = attachment;
+            if (parentId) frame.parent_message_id = parentId;
+            this.sendFrame(frame);
+        }
+
+        /** Runs a slash command such as `/status away` or `/kick bob spamming`. */
+        command(text) {
+            this.sendFrame({ type: 'send_message', channel: this.currentChannel, content: text });
+        }
+
+        /** Resolves with the slash commands this user may run (also pushed once after login as 'command_list'). */
+        listCommands() {
+            const list = this.waitFor('command_list');
+            this.sendFrame({ type: 'list_commands' });
+            return list;
+        }
+
+        /** Edits a message in any room the user can see, not just the current one. */
+        editMessage(messageId, content) {
+            this.sendFrame({ type: 'edit_message', id: messageId, content });
+        }
+
+        /** Resolves with the 'message_versions' payload (every version of a message in the current room). Moderators only, unless the server lets authors see their own. */
+        fetchMessageHistory(messageId) {
+            const versions = this.waitFor('message_versions', data => data.id === messageId);
+            this.sendFrame({ type: 'fetch_message_history', id: messageId });
+            return versions;
+        }
+
+        /** Deletes a message in any room the user can see, not just the current one. */
+        deleteMessage(messageId) {
+            this.sendFrame({ type: 'delete_message', id: messageId });
+        }
+
+        react(messageId, emoji) {
+            this.sendFrame({ type: 'add_reaction', id: messageId, emoji });
+        }
+
+        unreact(messageId, emoji) {
+            this.sendFrame({ type: 'remove_reaction', id: messageId, emoji });
+        }
+
+        setTyping(isTyping) {
+            this.sendFrame({ type: 'typing_update', isTyping: !!isTyping });
+        }
+
+        markRead(channel, messageId) {
+            this.sendFrame({ type: 'mark_read', channel, messageId });
+        }
+
+        // --- Channels & DMs ---
+
+        /** Switches to a channel or DM room. Resolves with the 'channel_change' payload (history included). */
+        joinChannel(channel) {
+            const changed = this.waitFor('channel_change', data => data.newChannel === channel);
+            this.sendFrame({ type: 'join_channel', channel });
+            return changed;
+        }
+
+        /** Opens (creating if needed) the DM with a user. Resolves with the 'channel_change' payload. */
+        startDm(userId) {
+            const changed = this.waitFor('channel_change', data => isDmRoom(data.newChannel) && data.newChannel.includes(userId));
+            this.sendFrame({ type: 'start_dm', targetUserId: userId });
+            return changed;
+        }
+
+        /** Creates a channel (its creator joins it). Resolves with the 'channel_change' payload. */
+        createChannel(channel, { isPrivate = false } = {}) {
+            const changed = this.waitFor('channel_change', data => data.newChannel === channel);
+            this.sendFrame({ type: 'create_channel', channel, isPrivate });
+            return changed;
+        }
+
+        deleteChannel(channel) {
+            this.sendFrame({ type: 'delete_channel', channel });
+        }
+
+        /** Joins a private channel by invite code. Resolves with the refreshed channel list. */
+        joinByCode(code) {
+            const updated = this.waitFor('channel_list_update');
+            this.sendFrame({ type: 'join_channel_by_code', code });
+            return updated;
+        }
+
+        // --- History, Threads & Mentions ---
+
+        /** Loads a page of older (`before`) or newer (`after`) messages. Resolves with the 'history_page' payload. */
+        fetchHistory(channel, { before, after, limit } = {}) {
+            const page = this.waitFor('history_page', data => data.channel === channel);
+            this.sendFrame({ type: 'fetch_history', channel, before, after, limit });
+            return page;
+        }
+
+        /** Resolves with the 'thread' payload: `{ root, replies, hasMore, following }`. */
+        fetchThread(rootId) {
+            const thread = this.waitFor('thread', data => data.root && data.root.id === rootId);
+            this.sendFrame({ type: 'fetch_thread', rootId });
+            return thread;
+        }
+
+        followThread(rootId, following = true) {
+            this.sendFrame({ type: following ? 'follow_thread' : 'unfollow_thread', rootId });
+        }
+
+        /** Resolves with the 'mentions_inbox' payload. */
+        fetchMentions({ unreadOnly = false } = {}) {
+            const inbox = this.waitFor('mentions_inbox');
+            this.sendFrame({ type: 'fetch_mentions', unreadOnly });
+            return inbox;
+        }
+
+        /** Marks the given mentions (or all of them) as read. */
+        markMentionsRead(messageIds) {
+            this.sendFrame({ type: 'mark_mentions_read', messageIds });
+        }
+
+        // --- Channel Permissions ---
+
+        /** Resolves with the 'channel_permissions' payload (the role matrix). */
+        getChannelPermissions(channel) {
+            const matrix = this.waitFor('channel_permissions', data => data.channel === channel);
+            this.sendFrame({ type: 'get_channel_permissions', channel });
+            return matrix;
+        }
+
+        /** Overrides a role's flags in a channel; `null` restores the defaults. Resolves with the updated matrix. */
+        updateChannelPermissions(channel, role, permissions) {
+            const matrix = this.waitFor('channel_permissions', data => data.channel === channel);
+            this.sendFrame({ type: 'update_channel_permissions', channel, role, permissions });
+            return matrix;
+        }
+
+        // --- REST Helpers ---
+
+        /** Full-text search: `{ q, channel, author, from, to, has: 'attachment', inThread, page, pageSize }`. */
+        search(options = {}) {
+            return this.api('GET', '/search', { query: options });
+        }
+
+        /** Admin only: `{ action, actor, target, from, to, page, pageSize }`. */
+        fetchAuditLogs(filters = {}) {
+            return this.api('GET', '/logs', { query: filters });
+        }
+
+        /**
+         * Admin only: a channel or DM as a JSON archive (`format: 'json'`, resolves with the object) or a read-only
+         * HTML transcript (`format: 'html'`, resolves with the page). `attachments: true` bundles the files.
+         */
+        exportChannel(channel, { format = 'json', attachments = false } = {}) {
+            return this.api('GET', `/channels/${encodeURIComponent(channel)}/export`, { query: { format, attachments: attachments ? 1 : undefined } });
+        }
+
+        /** Admin only: recreates a channel from an exportChannel() archive, optionally under another `name`. Resolves with an import summary. */
+        importChannel(archive, { name } = {}) {
+            return this.api('POST', '/channels/import', { body: archive, query: { name } });
+        }
+
+        /** Admin only: the server-wide retention defaults and every channel's policy. */
+        fetchRetentionPolicies() {
+            return this.api('GET', '/retention');
+        }
+
+        /** Admin only: `retention` is a duration like '30d', 'off' or 'default'; `keepPinned`: true, false or 'default'. */
+        setChannelRetention(channel, { retention, keepPinned } = {}) {
+            return this.api('PUT', `/channels/${encodeURIComponent(channel)}/retention`, { body: { retention, keepPinned } });
+        }
+
+        /** Admin only: runs the retention purge now. */
+        purgeExpiredMessages() {
+            return this.api('POST', '/retention/purge');
+        }
+
+        /**
+         * Uploads a file (a browser File/Blob, or `{ data: Buffer, name }` in Node).
+         * Resolves with the attachment metadata to pass to sendMessage().
+         */
+        async uploadFile(file) {
+            const form = new FormData();
+            if (file && file.data) form.append('chatFile', new Blob([file.data], { type: file.type || 'application/octet-stream' }), file.name);
+            else form.append('chatFile', file);
+
+            const headers = this.session ? { 'Authorization': `Bearer ${this.session.token}` } : {};
+            const response = await this.fetch(`${this.baseUrl}/api/upload`, { method: 'POST', headers, body: form });
+            const data = await response.json();
+            if (!response.ok || !data.fileData) throw new LocalChatError(data.error || 'Server rejected the file.', response.status);
+            return data.fileData;
+        }
+
+        /**
+         * Uploads a file in checksummed chunks, so a dropped connection only costs the chunk in flight
+         * (each chunk is retried a few times before giving up). To resume after a reload or a failure,
+         * pass the same file with the `uploadId` reported to onStart. Resolves with the same attachment
+         * metadata as uploadFile().
+         * @param {object} [options] { uploadId, chunkSize, onStart({ uploadId }), onProgress({ phase: 'hashing'|'uploading', loaded, total }) }
+         */
+        async uploadFileResumable(file, { uploadId = null, chunkSize = DEFAULT_CHUNK_SIZE, onStart, onProgress } = {}) {
+            const source = toUploadSource(file);
+            const report = (phase, loaded) => { if (onProgress) onProgress({ phase, loaded, total: source.size }); };
+
+            let status = null;
+            if (uploadId) {
+                status = await this.api('GET', `/uploads/${encodeURIComponent(uploadId)}`).catch(e => {
+                    if (e.status === 404) return null; // Expired or already completed: start over
+                    throw e;
+                });
+                if (status && status.size !== source.size) status = null; // Not the same file
+            }
+            if (!status) {
+                // The server verifies the assembled file against this checksum
+                const fileHash = new Sha256();
+                for (let start = 0; start < source.size; start += chunkSize) {
+                    fileHash.update(await source.read(start, Math.min(start + chunkSize, source.size)));
+                    report('hashing', Math.min(start + chunkSize, source.size));
+                }
+                status = await this.api('POST', '/uploads', { body: { filename: source.name, mimetype: source.type, size: source.size, sha256: fileHash.hex(), chunkSize } });
+            }
+            if (onStart) onStart({ uploadId: status.uploadId });
+
+            const received = new Set();
+            status.received.forEach(([first, last]) => { for (let index = first; index <= last; index++) received.add(index); });
+            let loaded = status.receivedBytes;
+            report('uploading', loaded);
+            for (let index = 0; index < status.totalChunks; index++) {
+                if (received.has(index)) continue;
+                const start = index * status.chunkSize;
+                const bytes = await source.read(start, Math.min(start + status.chunkSize, source.size));
+                await this.putChunk(status.uploadId, index, bytes);
+                loaded += bytes.length;
+                report('uploading', loaded);
+            }
+            const data = await this.api('POST', `/uploads/${encodeURIComponent(status.uploadId)}/complete`);
+            return data.fileData;
+        }
+
+        /** Sends one chunk with its checksum, retrying network errors and 5xx replies and waiting out 429s. */
+        async putChunk(uploadId, index, bytes) {
+            const checksum = new Sha256().update(bytes).hex();
+            for (let attempt = 0; ; attempt++) {
+                let response = null;
+                let failure = null;
+                try {
+                    response = await this.fetch(`${this.baseUrl}/api/uploads/${encodeURIComponent(uploadId)}/chunks/${index}`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum, ...(this.session ? { 'Authorization': `Bearer ${this.session.token}` } : {}) },
+                        body: bytes
+                    });
+                } catch (e) {
+                    failure = new LocalChatError(`Upload interrupted: ${e.message}`);
+                }
+                if (response && response.ok) return;
+                if (response && response.status === 429) {
+                    await sleep((parseInt(response.headers.get('Retry-After'), 10) || 1) * 1000);
+                    attempt--; // Throttling is not a failure
+                    continue;
+                }
+                if (response) {
+                    const data = await response.json().catch(() => ({}));
+                    failure = new LocalChatError(data.error || response.statusText, response.status);
+                    if (response.status < 500) throw failure;
+                }
+                if (attempt >= CHUNK_RETRIES) throw failure;
+                await sleep(CHUNK_RETRY_DELAY_MS * Math.pow(2, attempt));
+            }
+        }
+
+        /** Cancels a resumable upload and discards the chunks sent so far. */
+        cancelUpload(uploadId) {
+            return this.api('DELETE', `/uploads/${encodeURIComponent(uploadId)}`);
+        }
+
+        /**
+         * Download URL for a message's attachment. It carries the session token, because images and
+         * links the browser loads itself cannot send an Authorization header.
+         */
+        attachmentUrl(attachment) {
+            const ref = encodeURIComponent(attachment.id || attachment.filename); // `filename`: posted before uploads were tracked
+            return `${this.baseUrl}/api/attachments/${ref}${this.session ? `?token=${encodeURIComponent(this.session.token)}` : ''}`;
+        }
+
+        /** The caller's upload usage: `{ used, quota, maxFileSize }` in bytes. */
+        fetchUploadQuota() {
+            return this.api('GET', '/attachments/quota');
+        }
+
+        // --- User Management (Admin only; `user` is a user ID or username) ---
+
+        /** `{ search, role, page, pageSize }`. */
+        listUsers(filters = {}) {
+            return this.api('GET', '/users', { query: filters });
+        }
+
+        getUser(user) {
+            return this.api('GET', `/users/${encodeURIComponent(user)}`);
+        }
+
+        /** Without a `password` the server generates one and returns it once, as `password`. */
+        createUser({ username, role = 'User', password } = {}) {
+            return this.api('POST', '/users', { body: { username, role, password } });
+        }
+
+        setUserRole(user, role) {
+            return this.api('PUT', `/users/${encodeURIComponent(user)}/role`, { body: { role } });
+        }
+
+        /** Logs the user out everywhere. Without a `password` the server generates one and returns it once. */
+        resetUserPassword(user, password) {
+            return this.api('POST', `/users/${encodeURIComponent(user)}/password`, { body: { password } });
+        }
+
+        disableUser(user, reason) {
+            return this.api('POST', `/users/${encodeURIComponent(user)}/disable`, { body: { reason } });
+        }
+
+        enableUser(user) {
+            return this.api('POST', `/users/${encodeURIComponent(user)}/enable`);
+        }
+
+        logoutUser(user) {
+            return this.api('POST', `/users/${encodeURIComponent(user)}/logout`);
+        }
+
+        deleteUser(user) {
+            return this.api('DELETE', `/users/${encodeURIComponent(user)}`);
+        }
+
+        // --- Profiles ---
+
+        /** The caller's own profile. */
+        fetchProfile() {
+            return this.api('GET', '/profile');
+        }
+
+        /** Anyone's profile, by username. */
+        fetchUserProfile(username) {
+            return this.api('GET', `/users/${encodeURIComponent(username)}/profile`);
+        }
+
+        /**
+         * Changes the caller's profile: `{ displayName, avatarId, bio, pronouns, timezone, status: { text, emoji, expiresIn } }`.
+         * Fields left out are unchanged; null clears one. `avatarId` is the `id` of an image from uploadFile().
+         */
+        updateProfile(changes) {
+            return this.api('PUT', '/profile', { body: changes });
+        }
+    }
+
+    return { LocalChatClient, LocalChatError, SERVER_EVENTS };
+}));
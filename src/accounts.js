@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const db = require('./db');
+const repo = require('./repositories');
+const auth = require('./auth');
+const { SYSTEM_ACTOR_ID, SYSTEM_ACTOR_NAME, ensureSystemActor } = require('./audit');
+const { isBanActive } = require('./moderation');
+const { clearLoginFailures } = require('./rateLimit');
+
+// Account management shared by the admin API (api.js) and the command line (adminCli.js). Roles are only ever
+// assigned here: registration always creates a User. Callers write the audit log entries.
+const ROLES = ['User', 'Moderator', 'Admin'];
+const USERNAME_LENGTH = { min: 3, max: 20 };
+const MIN_PASSWORD_LENGTH = 6;
+const ACCOUNT_PAGE_SIZE = 50;
+const MAX_ACCOUNT_PAGE_SIZE = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Emits 'role_changed' (userId, role) so live connections pick up the new role.
+const accountEvents = new EventEmitter();
+
+function accountError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// --- Passwords ---
+
+/** Hashes a plain password using PBKDF2 with a random salt. */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
+    return `${salt}:${hash}`;
+}
+
+/** Verifies a plain password against the stored hash. */
+function verifyPassword(password, storedHash) {
+    const [salt, hash] = storedHash.split(':');
+    if (!salt || !hash) return false;
+    const hashed = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
+    return hashed === hash;
+}
+
+function generatePassword() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw accountError('INVALID_ACCOUNT', `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+}
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) throw accountError('INVALID_ACCOUNT', `Invalid role "${role}". Use ${ROLES.join(', ')}.`);
+}
+
+// --- Lookup ---
+
+/** The admin view of an account. */
+function toAccount(row) {
+    return {
+        userId: row.user_id,
+        username: row.username,
+        role: row.user_role,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        lastLoginIp: row.last_login_ip || null,
+        banned: isBanActive(row),
+        disabled: row.disabled_at ? { reason: row.disabled_reason || null, disabledAt: Number(row.disabled_at) } : null,
+        activeSessions: Number(row.active_sessions || 0)
+    };
+}
+
+/**
+ * Lists accounts by username (the server's own `system` account is left out).
+ * @param {object} filters { search, role, page, pageSize }
+ * @returns {Promise<{users: object[], total: number, page: number, pageSize: number, hasMore: boolean}>}
+ */
+async function listAccounts(filters = {}) {
+    if (filters.role) checkRole(filters.role);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || ACCOUNT_PAGE_SIZE, 1), MAX_ACCOUNT_PAGE_SIZE);
+    const { rows, total } = await repo.users.find(
+        { search: filters.search || null, role: filters.role || null, excludeIds: [SYSTEM_ACTOR_ID] },
+        { limit: pageSize, offset: (page - 1) * pageSize }
+    );
+    return { users: rows.map(toAccount), total, page, pageSize, hasMore: page * pageSize < total };
+}
+
+/** Finds an account by user ID or username. Rejects with code 'ACCOUNT_NOT_FOUND'. */
+async function getAccount(ref) {
+    const user = typeof ref === 'string' && ref
+        ? (UUID_PATTERN.test(ref) ? await repo.users.findById(ref) : await repo.users.findByUsername(ref))
+        : null;
+    if (!user || user.user_id === SYSTEM_ACTOR_ID) throw accountError('ACCOUNT_NOT_FOUND', `User ${ref} not found.`);
+    const { rows } = await repo.users.find({ userId: user.user_id }, { limit: 1 });
+    return toAccount(rows[0]);
+}
+
+async function isAccountDisabled(userId) {
+    const rows = await db.query('SELECT 1 FROM disabled_accounts WHERE user_id = ?', [userId]);
+    return rows.length > 0;
+}
+
+// --- Changes ---
+
+/**
+ * Creates an account. Rejects with code 'INVALID_ACCOUNT', or 'ACCOUNT_CONFLICT' if the username is taken.
+ * @param {object} fields { username, password, role } (role defaults to User)
+ */
+async function createAccount({ username, password, role = 'User' }) {
+    if (typeof username !== 'string' || username.length < USERNAME_LENGTH.min || username.length > USERNAME_LENGTH.max || /\s/.test(username)) {
+        throw accountError('INVALID_ACCOUNT', `Username must be ${USERNAME_LENGTH.min}-${USERNAME_LENGTH.max} characters without spaces.`);
+    }
+    // Usernames match case-insensitively, so `System` would collide with the server's own account too
+    if (username.toLowerCase() === SYSTEM_ACTOR_NAME) throw accountError('ACCOUNT_CONFLICT', 'Username already taken.');
+    checkPassword(password);
+    checkRole(role);
+    const userId = crypto.randomUUID();
+    try {
+        await repo.users.create({ userId, username, passwordHash: hashPassword(password), role });
+    } catch (error) {
+        if (db.isDuplicateKeyError(error)) throw accountError('ACCOUNT_CONFLICT', 'Username already taken.');
+        throw error;
+    }
+    return getAccount(userId);
+}
+
+/** Admins who can still log in, other than `exceptUserId`. */
+async function countOtherActiveAdmins(exceptUserId) {
+    const rows = await db.query(
+        `SELECT COUNT(*) AS count FROM users u LEFT JOIN disabled_accounts d ON d.user_id = u.user_id
+         WHERE u.user_role = 'Admin' AND d.user_id IS NULL AND u.user_id <> ?`,
+        [exceptUserId]
+    );
+    return Number(rows[0].count);
+}
+
+/**
+ * Guards the changes that take an account away from its owner or lower its role: admins cannot do them to
+ * themselves, and the last admin who can log in must stay one.
+ */
+async function assertNotLockingOut(account, actorId, action) {
+    if (actorId && account.userId === actorId) throw accountError('ACCOUNT_CONFLICT', `You cannot ${action} your own account.`);
+    if (account.role === 'Admin' && !account.disabled && (await countOtherActiveAdmins(account.userId)) === 0) {
+        throw accountError('ACCOUNT_CONFLICT', `${account.username} is the only admin who can log in. Make someone else an admin first.`);
+    }
+}
+
+/**
+ * Changes an account's role; connected clients pick it up at once. `actorId` is the admin making the change
+ * (null from the command line). Rejects with code 'INVALID_ACCOUNT', 'ACCOUNT_NOT_FOUND' or 'ACCOUNT_CONFLICT'.
+ * @returns {Promise<{account: object, previousRole: string}>}
+ */
+async function setAccountRole(ref, role, { actorId = null } = {}) {
+    checkRole(role);
+    const account = await getAccount(ref);
+    if (account.role === role) throw accountError('ACCOUNT_CONFLICT', `${account.username} is already a ${role}.`);
+    if (account.role === 'Admin') await assertNotLockingOut(account, actorId, 'demote');
+
+    await repo.users.setRole(account.userId, role);
+    accountEvents.emit('role_changed', account.userId, role);
+    return { account: { ...account, role }, previousRole: account.role };
+}
+
+/**
+ * Sets a new password (a random one if none is given) and logs the account out everywhere.
+ * @returns {Promise<{account: object, password: string|null, revokedSessions: number}>} `password` is only returned when generated.
+ */
+async function resetPassword(ref, password = null) {
+    const account = await getAccount(ref);
+    const newPassword = password || generatePassword();
+    checkPassword(newPassword);
+
+    await repo.users.setPasswordHash(account.userId, hashPassword(newPassword));
+    await clearLoginFailures(account.userId);
+    const revokedSessions = await auth.revokeUserSessions(account.userId);
+    return { account: { ...account, activeSessions: 0 }, password: password ? null : newPassword, revokedSessions };
+}
+
+/** Stops an account from logging in and ends its sessions. @returns {Promise<{account: object, revokedSessions: number}>} */
+async function disableAccount(ref, reason = null, { actorId = null } = {}) {
+    const account = await getAccount(ref);
+    if (account.disabled) throw accountError('ACCOUNT_CONFLICT', `${account.username} is already disabled.`);
+    await assertNotLockingOut(account, actorId, 'disable');
+
+    const disabledAt = Date.now();
+    const cleanReason = reason ? String(reason).substring(0, 255) : null;
+    await db.query('INSERT INTO disabled_accounts (user_id, reason, disabled_by, disabled_at) VALUES (?, ?, ?, ?)',
+        [account.userId, cleanReason, actorId, disabledAt]);
+    const revokedSessions = await auth.revokeUserSessions(account.userId);
+    return { account: { ...account, disabled: { reason: cleanReason, disabledAt }, activeSessions: 0 }, revokedSessions };
+}
+
+async function enableAccount(ref) {
+    const account = await getAccount(ref);
+    if (!account.disabled) throw accountError('ACCOUNT_CONFLICT', `${account.username} is not disabled.`);
+    await db.query('DELETE FROM disabled_accounts WHERE user_id = ?', [account.userId]);
+    return { ...account, disabled: null };
+}
+
+/**
+ * Deletes an account with its messages, memberships and uploads. Its audit log entries are kept: they move to
+ * the system account and remember the deleted user's ID and name.
+ */
+async function deleteAccount(ref, { actorId = null } = {}) {
+    const account = await getAccount(ref);
+    await assertNotLockingOut(account, actorId, 'delete');
+
+    await auth.revokeUserSessions(account.userId);
+    await repo.auditLogs.reassignActor(account.userId, account.username, await ensureSystemActor());
+    await repo.users.remove(account.userId);
+    return account;
+}
+
+/** Logs an account out on every device. @returns {Promise<{account: object, revokedSessions: number}>} */
+async function logoutAccount(ref) {
+    const account = await getAccount(ref);
+    const revokedSessions = await auth.revokeUserSessions(account.userId);
+    return { account: { ...account, activeSessions: 0 }, revokedSessions };
+}
+
+module.exports = {
+    ROLES,
+    accountEvents,
+    hashPassword,
+    verifyPassword,
+    generatePassword,
+    listAccounts,
+    getAccount,
+    isAccountDisabled,
+    createAccount,
+    setAccountRole,
+    resetPassword,
+    disableAccount,
+    enableAccount,
+    deleteAccount,
+    logoutAccount
+};
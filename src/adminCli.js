@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Account administration from the server's shell. It works on the database directly, so it also runs while
+ * the server is stopped, and it is how the first admin is created. Run `node src/adminCli.js help` for usage.
+ */
+const db = require('./db');
+const accounts = require('./accounts');
+const { logSystemAction } = require('./audit');
+
+const USAGE = `Usage: node src/adminCli.js <command> [arguments]
+
+  create-admin <username> [--password <password>]   Create an admin account (e.g. the first one)
+  create <username> [--role User|Moderator|Admin] [--password <password>]
+  list [--search <text>] [--role <role>] [--page <n>]
+  show <user>
+  set-role <user> <User|Moderator|Admin>
+  reset-password <user> [--password <password>]     Also logs the user out everywhere
+  disable <user> [--reason <text>]                  Logs the user out and blocks logging in
+  enable <user>
+  logout <user>                                     Ends all of the user's sessions
+  delete <user> --yes                               Deletes the account and its messages
+
+<user> is a username or user ID. Without --password a random password is generated and printed.`;
+
+// A running server checks its open connections against the database every few seconds (see websocket.js)
+const LIVE_NOTE = 'Connected users pick up the change within a few seconds.';
+
+/** Splits argv into positional arguments and `--name value` options (`--yes` style flags become true). */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].substring(2);
+            const hasValue = i + 1 < argv.length && !argv[i + 1].startsWith('--');
+            options[name] = hasValue ? argv[++i] : true;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+}
+
+function usageError(message) {
+    const error = new Error(`${message}\n\n${USAGE}`);
+    error.code = 'USAGE';
+    return error;
+}
+
+function requireArg(value, name) {
+    if (!value || value === true) throw usageError(`Missing ${name}.`);
+    return value;
+}
+
+function describeAccount(account) {
+    const flags = [account.disabled ? `disabled${account.disabled.reason ? ` (${account.disabled.reason})` : ''}` : null, account.banned ? 'banned' : null].filter(Boolean);
+    return [
+        `${account.username} (${account.userId})`,
+        `  Role: ${account.role}`,
+        `  Created: ${account.createdAt || 'unknown'}`,
+        `  Last login IP: ${account.lastLoginIp || 'never logged in'}`,
+        `  Active sessions: ${account.activeSessions}`,
+        `  State: ${flags.length > 0 ? flags.join(', ') : 'active'}`
+    ].join('\n');
+}
+
+function audit(actionType, account, details = {}) {
+    return logSystemAction(actionType, { targetId: account.userId, details: { targetUsername: account.username, ...details, via: 'cli' } });
+}
+
+// --- Commands ---
+
+async function createCommand(username, options, role) {
+    const password = options.password || accounts.generatePassword();
+    const account = await accounts.createAccount({ username: requireArg(username, '<username>'), password, role });
+    await audit('USER_CREATE', account, { role: account.role });
+    console.log(`Created ${account.role} ${account.username} (${account.userId}).`);
+    if (!options.password) console.log(`Password: ${password}`);
+}
+
+const COMMANDS = {
+    'create-admin': ([username], options) => createCommand(username, options, 'Admin'),
+
+    'create': ([username], options) => createCommand(username, options, options.role || 'User'),
+
+    'list': async (args, options) => {
+        const result = await accounts.listAccounts({ search: options.search, role: options.role, page: options.page });
+        if (result.users.length === 0) {
+            console.log('No users found.');
+            return;
+        }
+        const width = Math.max(...result.users.map(account => account.username.length), 8);
+        result.users.forEach(account => {
+            const state = account.disabled ? 'disabled' : (account.banned ? 'banned' : 'active');
+            console.log(`${account.username.padEnd(width)}  ${account.role.padEnd(9)}  ${state.padEnd(8)}  ${String(account.activeSessions).padStart(2)} session(s)  ${account.userId}`);
+        });
+        console.log(`\n${result.total} user(s), page ${result.page}${result.hasMore ? ` (next: --page ${result.page + 1})` : ''}.`);
+    },
+
+    'show': async ([user]) => {
+        console.log(describeAccount(await accounts.getAccount(requireArg(user, '<user>'))));
+    },
+
+    'set-role': async ([user, role]) => {
+        const { account, previousRole } = await accounts.setAccountRole(requireArg(user, '<user>'), requireArg(role, '<role>'));
+        await audit('USER_ROLE_CHANGE', account, { from: previousRole, to: account.role });
+        console.log(`${account.username} is now a ${account.role} (was ${previousRole}).`);
+        console.log(LIVE_NOTE);
+    },
+
+    'reset-password': async ([user], options) => {
+        const result = await accounts.resetPassword(requireArg(user, '<user>'), typeof options.password === 'string' ? options.password : null);
+        await audit('USER_PASSWORD_RESET', result.account, { generated: !!result.password, revokedSessions: result.revokedSessions });
+        console.log(`Password reset for ${result.account.username}; ${result.revokedSessions} session(s) ended.`);
+        if (result.password) console.log(`Password: ${result.password}`);
+    },
+
+    'disable': async ([user], options) => {
+        const result = await accounts.disableAccount(requireArg(user, '<user>'), typeof options.reason === 'string' ? options.reason : null);
+        await audit('USER_DISABLE', result.account, { reason: result.account.disabled.reason, revokedSessions: result.revokedSessions });
+        console.log(`${result.account.username} is disabled; ${result.revokedSessions} session(s) ended.`);
+        console.log(LIVE_NOTE);
+    },
+
+    'enable': async ([user]) => {
+        const account = await accounts.enableAccount(requireArg(user, '<user>'));
+        await audit('USER_ENABLE', account);
+        console.log(`${account.username} can log in again.`);
+    },
+
+    'logout': async ([user]) => {
+        const result = await accounts.logoutAccount(requireArg(user, '<user>'));
+        await audit('USER_LOGOUT', result.account, { revokedSessions: result.revokedSessions });
+        console.log(`${result.revokedSessions} session(s) of ${result.account.username} ended.`);
+        console.log(LIVE_NOTE);
+    },
+
+    'delete': async ([user], options) => {
+        requireArg(user, '<user>');
+        if (options.yes !== true) throw usageError(`Deleting ${user} also deletes their messages. Add --yes to confirm.`);
+        const account = await accounts.deleteAccount(user);
+        await audit('USER_DELETE', account, { role: account.role });
+        console.log(`Deleted ${account.username}.`);
+    }
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return 0;
+    }
+    const handler = COMMANDS[command];
+    if (!handler) {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+    const { positional, options } = parseArgs(rest);
+    try {
+        await handler(positional, options);
+        return 0;
+    } catch (e) {
+        if (['USAGE', 'INVALID_ACCOUNT', 'ACCOUNT_NOT_FOUND', 'ACCOUNT_CONFLICT'].includes(e.code)) {
+            console.error(e.message);
+            return 1;
+        }
+        console.error('Admin CLI error:', e);
+        return 1;
+    } finally {
+        await db.close();
+    }
+}
+
+main().then(code => { process.exitCode = code; });
@@ -1,43 +1,46 @@
 const express = require('express');
 const crypto = require('crypto');
-const db = require('./db');
+const repo = require('./repositories');
+const auth = require('./auth');
+const { FALLBACK_CHANNEL, canAccessRoom } = require('./channels');
+const { fetchMessagePage } = require('./history');
+const { searchMessages } = require('./search');
+const { resolveChannelPermissions, getPermissionMatrix, setRolePermissions } = require('./permissions');
+const { logAction, queryLogs, logsToCsv } = require('./audit');
+const { isBanActive, describeExpiry } = require('./moderation');
+const { getMentionInbox } = require('./mentions');
+const webhooks = require('./webhooks');
+const attachments = require('./attachments');
+const resumableUploads = require('./resumableUploads');
+const retention = require('./retention');
+const transcripts = require('./transcripts');
+const profiles = require('./profiles');
+const { limitRequests, describeWait, getLockout, recordLoginFailure, clearLoginFailures } = require('./rateLimit');
+const accounts = require('./accounts');
+const { postMessage } = require('./websocket');
 const multer = require('multer');
-const path = require('path');
-
-// NOTE: Use a secure, non-guessable prefix in a real environment
-const ADMIN_USERNAME_PREFIX = 'admin-'; 
 
 const apiRouter = express.Router();
-const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
 
-// --- Multer Configuration for Robust Uploads (Max 5MB) ---
-const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // 10GB limit
+// --- Multer Configuration for Robust Uploads (UPLOAD_MAX_BYTES, 5MB by default) ---
+// Files land in uploads/.incoming first; attachments.storeUpload() moves them to their content-addressed name.
 
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-         // Ensure the upload directory exists (handled in server.js, but safe here too)
-        cb(null, UPLOAD_DIR);
+        cb(null, attachments.INCOMING_DIR);
     },
     filename: (req, file, cb) => {
-        // Use a secure, unique filename to prevent path traversal/overwrite
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const fileExtension = path.extname(file.originalname);
-        // Prep for secure file handling by including user ID context (though not used in filename here)
-        cb(null, file.fieldname + '-' + uniqueSuffix + fileExtension);
+        // Random name: nothing from the client reaches the file system
+        cb(null, crypto.randomUUID());
     }
 });
 
 const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: MAX_FILE_SIZE },
+    storage: storage,
+    limits: { fileSize: attachments.MAX_FILE_SIZE },
     fileFilter: (req, file, cb) => {
-        // Enforce whitelisting of allowed content types for security
-        const allowedMimes = [
-            'image/jpeg', 'image/png', 'image/gif', 
-            'text/plain', 
-            'application/pdf'
-        ];
-        if (allowedMimes.includes(file.mimetype)) {
+        // Enforce whitelisting of allowed content types for security
+        if (attachments.ALLOWED_MIMETYPES.includes(file.mimetype)) {
             // NOTE: A real enterprise app would perform virus scanning here.
             cb(null, true);
         } else {
@@ -47,58 +50,46 @@ const upload = multer({
     }
 });
 
-// --- User Auth Functions (Updated to reflect Argon2id recommendation, but using existing crypto functions) ---
+// --- Helpers ---
 
-/** Hashes a plain password using PBKDF2 with a random salt. */
-function hashPassword(password) {
-    // For demonstration, sticking to PBKDF2 provided in the original, but simulating complexity
-    const salt = crypto.randomBytes(16).toString('hex');
-    const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
-    return `${salt}:${hash}`;
+function isChunkUpload(req) {
+    return req.method === 'PUT' && /^\/uploads\/[^/]+\/chunks\/[^/]+$/.test(req.path);
 }
 
-/** Verifies a plain password against the stored hash. */
-function verifyPassword(password, storedHash) {
-    const [salt, hash] = storedHash.split(':');
-    if (!salt || !hash) return false;
-    const hashed = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
-    return hashed === hash;
+/** Answers a login attempt on an account locked after too many failed logins. */
+function sendLockedOut(res, lockedUntil) {
+    const waitMs = lockedUntil - Date.now();
+    res.setHeader('Retry-After', Math.ceil(waitMs / 1000));
+    return res.status(429).json({ error: `Account locked after too many failed logins. Try again in ${describeWait(waitMs)}.`, retryAfter: Math.ceil(waitMs / 1000) });
 }
 
 // --- API Routes ---
 
-/** POST /api/register - Creates a new user account with role assignment. */
-apiRouter.post('/register', async (req, res) => {
-    const { username, password } = req.body;
-    if (!username || !password || username.length < 3 || password.length < 6) {
-        return res.status(400).json({ error: 'Username (min 3 chars) and Password (min 6 chars) are required.' });
-    }
-    const userId = crypto.randomUUID();
-    const hashedPassword = hashPassword(password);
-    // RBAC: Assign role based on prefix (Admin/Moderator/User)
-    let role = 'User';
-    if (username.startsWith(ADMIN_USERNAME_PREFIX)) {
-        role = 'Admin';
-    } else if (username.startsWith('mod-')) {
-        role = 'Moderator';
-    }
+// Per-IP and per-user request budget shared by every route below (see rateLimit.js).
+// Upload chunks have their own budget, so a large file does not use up the caller's `api` requests.
+const apiRequestLimit = limitRequests('api');
+apiRouter.use((req, res, next) => (isChunkUpload(req) ? next() : apiRequestLimit(req, res, next)));
 
-    try {
-        await db.query(
-            'INSERT INTO users (user_id, username, password_hash, user_role) VALUES (?, ?, ?, ?)',
-            [userId, username, hashedPassword, role]
-        );
-        res.status(201).json({ message: 'Registration successful. Please log in.', userId: userId });
-    } catch (error) {
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Username already taken.' });
-        }
-        res.status(500).json({ error: 'Database error during registration.' });
-    }
+/** POST /api/register - Creates a new account with the User role; only admins assign other roles (see User Management). */
+apiRouter.post('/register', limitRequests('register'), async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username (min 3 chars) and Password (min 6 chars) are required.' });
+    }
+    try {
+        const account = await accounts.createAccount({ username, password, role: 'User' });
+        res.status(201).json({ message: 'Registration successful. Please log in.', userId: account.userId });
+    } catch (error) {
+        if (error.code === 'INVALID_ACCOUNT' || error.code === 'ACCOUNT_CONFLICT') {
+            return res.status(error.code === 'ACCOUNT_CONFLICT' ? 409 : 400).json({ error: error.message });
+        }
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Database error during registration.' });
+    }
 });
 
-/** POST /api/login - Authenticates a user, checks for ban status, and updates IP. */
-apiRouter.post('/login', async (req, res) => {
+/** POST /api/login - Authenticates a user, checks for ban and lockout status, and updates IP. */
+apiRouter.post('/login', limitRequests('login'), async (req, res) => {
     const { username, password } = req.body;
     if (!username || !password) {
         return res.status(400).json({ error: 'Username and Password are required.' });
@@ -107,61 +98,728 @@ apiRouter.post('/login', async (req, res) => {
     const clientIp = req.ip || req.connection.remoteAddress;
 
     try {
-        // Rate Limiting/Brute Force protection would be implemented before this query
-        const users = await db.query('SELECT * FROM users WHERE username = ?', [username]);
-        const user = users[0];
+        // Guessing is throttled per IP by limitRequests('login') and per account by the lockout below
+        const user = await repo.users.findByUsername(username);
 
-        if (!user || !verifyPassword(password, user.password_hash)) {
-            return res.status(401).json({ error: 'Invalid username or password.' });
-        }
-        
-        // Check ban status from the DB (schema feature)
-        if (user.is_banned) {
-            return res.status(403).json({ error: `Account is banned: ${user.ban_reason || 'No reason provided.'}` });
+        const lockedUntil = user && await getLockout(user.user_id);
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+
+        if (!user || !accounts.verifyPassword(password, user.password_hash)) {
+            const lockedNow = user && await recordLoginFailure(user, clientIp);
+            if (lockedNow) {
+                return sendLockedOut(res, lockedNow);
+            }
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        await clearLoginFailures(user.user_id);
+
+        if (await accounts.isAccountDisabled(user.user_id)) {
+            return res.status(403).json({ error: 'This account has been disabled. Ask an admin to enable it.' });
+        }
+        
+        // Check ban status from the DB (schema feature); timed bans lapse on their own
+        if (isBanActive(user)) {
+            return res.status(403).json({ error: `Account is banned ${describeExpiry(user.ban_expires_at && Number(user.ban_expires_at))}: ${user.ban_reason || 'No reason provided.'}` });
         }
 
-        // Update last login IP (for account protection features)
-        await db.query('UPDATE users SET last_login_ip = ? WHERE user_id = ?', [clientIp, user.user_id]);
+        // Update last login IP (for account protection features)
+        await repo.users.setLastLoginIp(user.user_id, clientIp);
 
-        res.status(200).json({
-            message: 'Login successful.',
-            userId: user.user_id,
-            username: user.username,
-            role: user.user_role
-        });
+        // Issue a signed session token; the WS handshake trusts only this, never a client-supplied userId
+        const session = await auth.createSession(user.user_id, { ip: clientIp, userAgent: req.get('User-Agent') });
+
+        res.status(200).json({
+            message: 'Login successful.',
+            userId: user.user_id,
+            username: user.username,
+            role: user.user_role,
+            token: session.token,
+            expiresAt: session.expiresAt
+        });
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Database error during login.' });
     }
 });
 
-/** POST /api/upload - Handles secure file upload via HTTP. */
-apiRouter.post('/upload', (req, res) => {
-    // This handler uses Multer middleware to process the incoming file
-    upload.single('chatFile')(req, res, function (err) {
-        if (err instanceof multer.MulterError) {
-            console.error("Multer Error:", err);
-            return res.status(400).json({ error: `Upload Failed: ${err.code}. Max size: 5MB.` });
-        } else if (err) {
-            console.error("Upload Error:", err);
-            return res.status(400).json({ error: `Upload Failed: ${err.message}` });
-        }
-        
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file selected for upload.' });
-        }
+/** POST /api/refresh - Extends the caller's session and returns a fresh token. */
+apiRouter.post('/refresh', async (req, res) => {
+    try {
+        const refreshed = await auth.refreshSession(auth.getRequestToken(req));
+        if (!refreshed) {
+            return res.status(401).json({ error: 'Session expired or revoked. Please log in again.' });
+        }
+        res.status(200).json({ token: refreshed.token, expiresAt: refreshed.expiresAt });
+    } catch (error) {
+        console.error('Session refresh error:', error);
+        res.status(500).json({ error: 'Database error during session refresh.' });
+    }
+});
+
+/** POST /api/logout - Revokes the caller's session and closes its WebSocket. */
+apiRouter.post('/logout', auth.requireAuth, async (req, res) => {
+    try {
+        await auth.revokeSession(req.session.sessionId);
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Database error during logout.' });
+    }
+});
+
+/** GET /api/sessions - (Admin) Lists all active sessions. */
+apiRouter.get('/sessions', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const sessions = await auth.listActiveSessions();
+        res.status(200).json({ sessions });
+    } catch (error) {
+        console.error('Session list error:', error);
+        res.status(500).json({ error: 'Database error while listing sessions.' });
+    }
+});
+
+/** DELETE /api/sessions/:sessionId - (Admin) Kills a session and disconnects it. */
+apiRouter.delete('/sessions/:sessionId', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const revoked = await auth.revokeSession(req.params.sessionId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found or already revoked.' });
+        }
+        await logAction('SESSION_REVOKE', req.user.user_id, { targetId: req.params.sessionId, details: { via: 'api' } });
+        res.status(200).json({ message: 'Session revoked.' });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ error: 'Database error while revoking session.' });
+    }
+});
+
+/**
+ * GET /api/logs - Admin audit log query.
+ * Filters: ?action=&actor=<userId|username>&target=<id|channel|username>&from=&to=&page=&pageSize=
+ * ?format=csv|json downloads every matching row (up to the export cap) instead of a page.
+ */
+apiRouter.get('/logs', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { action, actor, target, from, to, page, pageSize, format } = req.query;
+    if (format && !['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json.' });
+    }
+    try {
+        const result = await queryLogs({ actionType: action, actor, target, from, to, page, pageSize }, { exportAll: !!format });
+        if (!format) {
+            return res.status(200).json(result);
+        }
+        const filename = `audit-log-${new Date().toISOString().substring(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.type('text/csv').send(logsToCsv(result.logs));
+        } else {
+            res.status(200).json(result.logs);
+        }
+    } catch (error) {
+        console.error('Audit log query error:', error);
+        res.status(500).json({ error: 'Database error while loading audit logs.' });
+    }
+});
+
+/** GET /api/channels/:channel/messages - Returns one page of history (?before=|after=<messageId>&limit=). */
+apiRouter.get('/channels/:channel/messages', auth.requireAuth, async (req, res) => {
+    const roomName = req.params.channel;
+    const { before, after, limit } = req.query;
+    try {
+        if (!(await canAccessRoom(req.user.user_id, roomName))) {
+            return res.status(404).json({ error: `Channel ${roomName} is private or does not exist.` });
+        }
+        const page = await fetchMessagePage(roomName, { before, after, limit });
+        res.status(200).json({ channel: roomName, ...page });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('History fetch error:', error);
+        res.status(500).json({ error: 'Database error while loading history.' });
+    }
+});
+
+/** Loads the caller's permissions for :channel and rejects anyone who cannot manage its settings. */
+async function requireChannelManager(req, res, next) {
+    try {
+        const permissions = await resolveChannelPermissions(req.user.user_id, req.user.user_role, req.params.channel);
+        if (!permissions) {
+            return res.status(404).json({ error: `Channel ${req.params.channel} does not exist.` });
+        }
+        if (!permissions.can_manage_channel) {
+            return res.status(403).json({ error: 'Permission denied. Only the creator or an Admin can manage channel permissions.' });
+        }
+        next();
+    } catch (error) {
+        console.error('Channel permission check error:', error);
+        res.status(500).json({ error: 'Database error while checking permissions.' });
+    }
+}
+
+/** GET /api/channels/:channel/permissions - Returns the per-role permission matrix (creator/Admin only). */
+apiRouter.get('/channels/:channel/permissions', auth.requireAuth, requireChannelManager, async (req, res) => {
+    try {
+        res.status(200).json({ channel: req.params.channel, matrix: await getPermissionMatrix(req.params.channel) });
+    } catch (error) {
+        console.error('Permission matrix error:', error);
+        res.status(500).json({ error: 'Database error while loading permissions.' });
+    }
+});
 
-        // Return the necessary file metadata
-        res.status(200).json({
-            message: 'File uploaded successfully.',
-            fileData: {
-                filename: req.file.filename, // Stored secure name
-                originalname: req.file.originalname,
-                mimetype: req.file.mimetype,
-                size: req.file.size
-            }
-        });
-    });
+/** PUT /api/channels/:channel/permissions - Body: { role, permissions: { can_send_messages, ... } | null }. */
+apiRouter.put('/channels/:channel/permissions', auth.requireAuth, requireChannelManager, async (req, res) => {
+    const { role, permissions = null } = req.body || {};
+    if (req.params.channel === FALLBACK_CHANNEL && permissions && permissions.can_read_history === false) {
+        return res.status(400).json({ error: `${FALLBACK_CHANNEL} must stay readable by every role.` });
+    }
+    try {
+        const matrix = await setRolePermissions(req.params.channel, role, permissions);
+        await logAction('CHANNEL_PERMISSIONS_UPDATE', req.user.user_id, { details: { room: req.params.channel, role, permissions, via: 'api' } });
+        res.status(200).json({ channel: req.params.channel, matrix });
+    } catch (error) {
+        if (error.code === 'INVALID_PERMISSIONS') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Permission update error:', error);
+        res.status(500).json({ error: 'Database error while updating permissions.' });
+    }
+});
+
+/** GET /api/mentions - The caller's mentions inbox (?unread=1 for unread only, &limit=). */
+apiRouter.get('/mentions', auth.requireAuth, async (req, res) => {
+    try {
+        const inbox = await getMentionInbox(req.user.user_id, { unreadOnly: req.query.unread === '1', limit: req.query.limit });
+        res.status(200).json(inbox);
+    } catch (error) {
+        console.error('Mentions inbox error:', error);
+        res.status(500).json({ error: 'Database error while loading mentions.' });
+    }
+});
+
+/** GET /api/search - Full-text search (?q=&channel=&author=&from=&to=&has=attachment&inThread=true|false&page=&pageSize=). */
+apiRouter.get('/search', auth.requireAuth, async (req, res) => {
+    const { q, channel, author, from, to, has, inThread, page, pageSize } = req.query;
+    try {
+        const results = await searchMessages(req.user.user_id, {
+            query: q,
+            channel,
+            author,
+            from,
+            to,
+            hasAttachment: has === 'attachment',
+            inThread: inThread === undefined ? undefined : inThread === 'true',
+            page,
+            pageSize
+        });
+        res.status(200).json(results);
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Database error during search.' });
+    }
+});
+
+// --- User Management ---
+// :user is a user ID or a username. Every change is written to the audit log.
+
+/** Answers a rejection from accounts.js with its status, or a 500 for anything else. */
+function sendAccountError(res, error, action) {
+    const status = { INVALID_ACCOUNT: 400, ACCOUNT_NOT_FOUND: 404, ACCOUNT_CONFLICT: 409 }[error.code];
+    if (status) {
+        return res.status(status).json({ error: error.message });
+    }
+    console.error(`User ${action} error:`, error);
+    res.status(500).json({ error: `Database error while trying to ${action} the user.` });
+}
+
+/** GET /api/users - (Admin) Lists accounts (?search=&role=&page=&pageSize=). */
+apiRouter.get('/users', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { search, role, page, pageSize } = req.query;
+    try {
+        res.status(200).json(await accounts.listAccounts({ search, role, page, pageSize }));
+    } catch (error) {
+        sendAccountError(res, error, 'list');
+    }
+});
+
+/** POST /api/users - (Admin) Body: { username, role?, password? }. Without a password a random one is generated and returned once. */
+apiRouter.post('/users', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { username, role = 'User', password } = req.body || {};
+    const initialPassword = password || accounts.generatePassword();
+    try {
+        const account = await accounts.createAccount({ username, password: initialPassword, role });
+        await logAction('USER_CREATE', req.user.user_id, { targetId: account.userId, details: { targetUsername: account.username, role: account.role, via: 'api' } });
+        res.status(201).json({ ...account, password: password ? undefined : initialPassword });
+    } catch (error) {
+        sendAccountError(res, error, 'create');
+    }
+});
+
+/** GET /api/users/:user - (Admin) One account. */
+apiRouter.get('/users/:user', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        res.status(200).json(await accounts.getAccount(req.params.user));
+    } catch (error) {
+        sendAccountError(res, error, 'load');
+    }
+});
+
+/** PUT /api/users/:user/role - (Admin) Body: { role: 'User'|'Moderator'|'Admin' }. Applies to the user's open connections at once. */
+apiRouter.put('/users/:user/role', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { role } = req.body || {};
+    try {
+        const { account, previousRole } = await accounts.setAccountRole(req.params.user, role, { actorId: req.user.user_id });
+        await logAction('USER_ROLE_CHANGE', req.user.user_id, { targetId: account.userId, details: { targetUsername: account.username, from: previousRole, to: account.role, via: 'api' } });
+        res.status(200).json(account);
+    } catch (error) {
+        sendAccountError(res, error, 'change the role of');
+    }
+});
+
+/** POST /api/users/:user/password - (Admin) Body: { password? }; without one a random password is generated and returned. Logs the user out everywhere. */
+apiRouter.post('/users/:user/password', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { password = null } = req.body || {};
+    try {
+        const result = await accounts.resetPassword(req.params.user, password);
+        await logAction('USER_PASSWORD_RESET', req.user.user_id, { targetId: result.account.userId, details: { targetUsername: result.account.username, generated: !password, revokedSessions: result.revokedSessions, via: 'api' } });
+        res.status(200).json({ ...result.account, password: result.password || undefined, revokedSessions: result.revokedSessions });
+    } catch (error) {
+        sendAccountError(res, error, 'reset the password of');
+    }
+});
+
+/** POST /api/users/:user/disable - (Admin) Body: { reason? }. The user is logged out and cannot log in until enabled again. */
+apiRouter.post('/users/:user/disable', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { reason = null } = req.body || {};
+    try {
+        const result = await accounts.disableAccount(req.params.user, reason, { actorId: req.user.user_id });
+        await logAction('USER_DISABLE', req.user.user_id, { targetId: result.account.userId, details: { targetUsername: result.account.username, reason: result.account.disabled.reason, revokedSessions: result.revokedSessions, via: 'api' } });
+        res.status(200).json({ ...result.account, revokedSessions: result.revokedSessions });
+    } catch (error) {
+        sendAccountError(res, error, 'disable');
+    }
+});
+
+/** POST /api/users/:user/enable - (Admin) Lets a disabled user log in again. */
+apiRouter.post('/users/:user/enable', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const account = await accounts.enableAccount(req.params.user);
+        await logAction('USER_ENABLE', req.user.user_id, { targetId: account.userId, details: { targetUsername: account.username, via: 'api' } });
+        res.status(200).json(account);
+    } catch (error) {
+        sendAccountError(res, error, 'enable');
+    }
+});
+
+/** POST /api/users/:user/logout - (Admin) Ends all of the user's sessions and closes their connections. */
+apiRouter.post('/users/:user/logout', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const result = await accounts.logoutAccount(req.params.user);
+        await logAction('USER_LOGOUT', req.user.user_id, { targetId: result.account.userId, details: { targetUsername: result.account.username, revokedSessions: result.revokedSessions, via: 'api' } });
+        res.status(200).json({ ...result.account, revokedSessions: result.revokedSessions });
+    } catch (error) {
+        sendAccountError(res, error, 'log out');
+    }
+});
+
+/** DELETE /api/users/:user - (Admin) Deletes the account with its messages; its audit log entries move to the system account. */
+apiRouter.delete('/users/:user', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const account = await accounts.deleteAccount(req.params.user, { actorId: req.user.user_id });
+        await logAction('USER_DELETE', req.user.user_id, { targetId: account.userId, details: { targetUsername: account.username, role: account.role, via: 'api' } });
+        res.status(200).json({ message: `User ${account.username} deleted.` });
+    } catch (error) {
+        sendAccountError(res, error, 'delete');
+    }
+});
+
+// --- Retention ---
+
+/** GET /api/retention - (Admin) The server-wide defaults and every channel's retention policy. */
+apiRouter.get('/retention', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        res.status(200).json(await retention.listRetentionPolicies());
+    } catch (error) {
+        console.error('Retention list error:', error);
+        res.status(500).json({ error: 'Database error while loading retention policies.' });
+    }
+});
+
+/** PUT /api/channels/:channel/retention - (Admin) Body: { retention?: '30d'|'off'|'default', keepPinned?: true|false|'default' }. */
+apiRouter.put('/channels/:channel/retention', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { retention: window, keepPinned } = req.body || {};
+    try {
+        const policy = await retention.setChannelRetention(req.params.channel, { retention: window, keepPinned }, req.user.user_id);
+        await logAction('RETENTION_UPDATE', req.user.user_id, { details: { room: policy.channel, retention: window, keepPinned, via: 'api' } });
+        res.status(200).json(policy);
+    } catch (error) {
+        if (error.code === 'INVALID_RETENTION') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Retention update error:', error);
+        res.status(500).json({ error: 'Database error while updating the retention policy.' });
+    }
+});
+
+/** POST /api/retention/purge - (Admin) Runs the purge now instead of waiting for the next scheduled run. */
+apiRouter.post('/retention/purge', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const summary = await retention.purgeExpiredMessages({ actorId: req.user.user_id });
+        if (!summary) {
+            return res.status(409).json({ error: 'A purge is already running.' });
+        }
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error('Retention purge error:', error);
+        res.status(500).json({ error: 'Database error while purging messages.' });
+    }
+});
+
+// --- Channel Archives ---
+
+/**
+ * GET /api/channels/:channel/export - (Admin) Downloads a channel or DM as a JSON archive (?format=json, the default)
+ * or a read-only HTML transcript (?format=html). Add ?attachments=1 to bundle the attached files.
+ */
+apiRouter.get('/channels/:channel/export', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'html'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or html.' });
+    }
+    const includeAttachments = ['1', 'true'].includes(String(req.query.attachments));
+    try {
+        const archive = await transcripts.exportChannel(req.params.channel, { includeAttachments });
+        if (!archive) {
+            return res.status(404).json({ error: 'Channel not found.' });
+        }
+        await logAction('CHANNEL_EXPORT', req.user.user_id, { details: { room: archive.channel.name, format, attachments: includeAttachments, messages: archive.messages.length } });
+
+        const baseName = `${archive.channel.name.replace(/[^\w-]+/g, '_').replace(/^_+/, '') || 'channel'}-${new Date(archive.exportedAt).toISOString().slice(0, 10)}`;
+        if (format === 'html') {
+            res.attachment(`${baseName}.html`);
+            return res.type('html').send(transcripts.renderTranscriptHtml(archive));
+        }
+        res.attachment(`${baseName}.json`);
+        res.status(200).json(archive);
+    } catch (error) {
+        if (error.code === 'ARCHIVE_TOO_LARGE') {
+            return res.status(413).json({ error: error.message });
+        }
+        console.error('Channel export error:', error);
+        res.status(500).json({ error: 'Database error while exporting the channel.' });
+    }
+});
+
+/** POST /api/channels/import - (Admin) Body: an archive from GET /api/channels/:channel/export. ?name= imports it under another name. */
+apiRouter.post('/channels/import', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        const summary = await transcripts.importChannel(req.body, req.user.user_id, { name: req.query.name || null });
+        await logAction('CHANNEL_IMPORT', req.user.user_id, { details: { room: summary.channel, messages: summary.messages, unmatchedUsers: summary.unmatchedUsers } });
+        res.status(201).json(summary);
+    } catch (error) {
+        if (error.code === 'INVALID_ARCHIVE') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'CHANNEL_EXISTS') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Channel import error:', error);
+        res.status(500).json({ error: 'Database error while importing the channel.' });
+    }
+});
+
+// --- Webhooks ---
+
+/** POST /api/hooks/:token - Incoming webhook. Body: { content, parentId? }. Posts as the hook's bot user. */
+apiRouter.post('/hooks/:token', async (req, res) => {
+    const { content, parentId = null } = req.body || {};
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (text.length === 0) {
+        return res.status(400).json({ error: 'content is required.' });
+    }
+    try {
+        const hook = await webhooks.findIncomingWebhookByToken(req.params.token);
+        if (!hook) {
+            return res.status(404).json({ error: 'Unknown webhook.' });
+        }
+        const message = await postMessage({ userId: hook.userId, username: hook.username, role: hook.role }, hook.channel_name, text, { parentId, webhookId: hook.webhook_id });
+        res.status(201).json({ id: message.id, channel: message.channel, timestamp: message.timestamp });
+    } catch (error) {
+        if (error.code === 'POST_REJECTED') {
+            return res.status(403).json({ error: error.message });
+        }
+        console.error('Incoming webhook error:', error);
+        res.status(500).json({ error: 'Database error while posting the message.' });
+    }
+});
+
+/** GET /api/webhooks - (Admin) Lists incoming and outgoing webhooks (without tokens or secrets). */
+apiRouter.get('/webhooks', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        res.status(200).json({ incoming: await webhooks.listIncomingWebhooks(), outgoing: await webhooks.listOutgoingWebhooks() });
+    } catch (error) {
+        console.error('Webhook list error:', error);
+        res.status(500).json({ error: 'Database error while listing webhooks.' });
+    }
+});
+
+/** POST /api/webhooks/incoming - (Admin) Body: { name, channel }. The token in the response is not shown again. */
+apiRouter.post('/webhooks/incoming', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { name, channel } = req.body || {};
+    try {
+        const { webhook, token } = await webhooks.createIncomingWebhook({ name, channel, createdBy: req.user.user_id });
+        await logAction('WEBHOOK_CREATE', req.user.user_id, { targetId: webhook.webhook_id, details: { kind: 'incoming', name, room: webhook.channel_name } });
+        res.status(201).json({ webhook, token, url: `/api/hooks/${token}` });
+    } catch (error) {
+        if (error.code === 'INVALID_WEBHOOK') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Incoming webhook create error:', error);
+        res.status(500).json({ error: 'Database error while creating the webhook.' });
+    }
+});
+
+/** POST /api/webhooks/outgoing - (Admin) Body: { name, channel, url, events? }. The secret in the response is not shown again. */
+apiRouter.post('/webhooks/outgoing', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { name, channel, url, events } = req.body || {};
+    try {
+        const { webhook, secret } = await webhooks.createOutgoingWebhook({ name, channel, url, events, createdBy: req.user.user_id });
+        await logAction('WEBHOOK_CREATE', req.user.user_id, { targetId: webhook.webhook_id, details: { kind: 'outgoing', name, room: webhook.channel_name, url: webhook.url, events: webhook.events } });
+        res.status(201).json({ webhook, secret });
+    } catch (error) {
+        if (error.code === 'INVALID_WEBHOOK') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Outgoing webhook create error:', error);
+        res.status(500).json({ error: 'Database error while creating the webhook.' });
+    }
+});
+
+/** DELETE /api/webhooks/:kind/:webhookId - (Admin) Deletes an incoming or outgoing webhook. */
+apiRouter.delete('/webhooks/:kind/:webhookId', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    const { kind, webhookId } = req.params;
+    if (!['incoming', 'outgoing'].includes(kind)) {
+        return res.status(404).json({ error: 'Unknown webhook kind. Use incoming or outgoing.' });
+    }
+    try {
+        const deleted = kind === 'incoming' ? await webhooks.deleteIncomingWebhook(webhookId) : await webhooks.deleteOutgoingWebhook(webhookId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook not found.' });
+        }
+        await logAction('WEBHOOK_DELETE', req.user.user_id, { targetId: webhookId, details: { kind } });
+        res.status(200).json({ message: 'Webhook deleted.' });
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        res.status(500).json({ error: 'Database error while deleting the webhook.' });
+    }
+});
+
+/** GET /api/webhooks/outgoing/:webhookId/deliveries - (Admin) Delivery log, newest first (?limit=). */
+apiRouter.get('/webhooks/outgoing/:webhookId/deliveries', auth.requireAuth, auth.requireRole('Admin'), async (req, res) => {
+    try {
+        res.status(200).json({ deliveries: await webhooks.listDeliveries(req.params.webhookId, { limit: req.query.limit }) });
+    } catch (error) {
+        console.error('Webhook delivery log error:', error);
+        res.status(500).json({ error: 'Database error while loading deliveries.' });
+    }
+});
+
+// --- Attachments ---
+
+/** POST /api/upload - Stores a file for the caller. Post it by sending the returned fileData as the message's attachment. */
+apiRouter.post('/upload', limitRequests('upload'), auth.requireAuth, (req, res) => {
+    // This handler uses Multer middleware to process the incoming file
+    upload.single('chatFile')(req, res, async function (err) {
+        if (err instanceof multer.MulterError) {
+            console.error("Multer Error:", err);
+            const limitText = err.code === 'LIMIT_FILE_SIZE' ? ` Max size: ${attachments.formatBytes(attachments.MAX_FILE_SIZE)}.` : '';
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: `Upload Failed: ${err.code}.${limitText}` });
+        } else if (err) {
+            console.error("Upload Error:", err);
+            return res.status(400).json({ error: `Upload Failed: ${err.message}` });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file selected for upload.' });
+        }
+
+        try {
+            const fileData = await attachments.storeUpload(req.file, req.user.user_id);
+            res.status(200).json({ message: 'File uploaded successfully.', fileData });
+        } catch (error) {
+            if (error.code === 'QUOTA_EXCEEDED') {
+                return res.status(413).json({ error: `Upload Failed: ${error.message}` });
+            }
+            console.error('Upload store error:', error);
+            res.status(500).json({ error: 'Server error while storing the upload.' });
+        }
+    });
+});
+
+// --- Resumable Uploads ---
+
+// Chunks arrive as raw bytes (any Content-Type), at most UPLOAD_MAX_CHUNK_BYTES each
+const chunkBody = express.raw({ type: () => true, limit: resumableUploads.MAX_CHUNK_SIZE });
+
+/** Maps resumable upload errors to responses. Returns false for unexpected errors. */
+function sendUploadError(res, error) {
+    const statuses = { INVALID_UPLOAD: 400, INVALID_CHUNK: 400, UPLOAD_INCOMPLETE: 409, QUOTA_EXCEEDED: 413, CHECKSUM_MISMATCH: 422 };
+    if (!statuses[error.code]) return false;
+    res.status(statuses[error.code]).json({ error: error.message, code: error.code, ...(error.missing ? { missing: error.missing } : {}) });
+    return true;
+}
+
+/**
+ * POST /api/uploads - Starts a resumable upload. Body: { filename, mimetype, size, sha256, chunkSize? }
+ * (sha256 is the hex SHA-256 of the whole file). Then PUT every chunk and POST .../complete.
+ */
+apiRouter.post('/uploads', auth.requireAuth, async (req, res) => {
+    try {
+        res.status(201).json(await resumableUploads.createUploadSession(req.user.user_id, req.body || {}));
+    } catch (error) {
+        if (sendUploadError(res, error)) return;
+        console.error('Upload session create error:', error);
+        res.status(500).json({ error: 'Database error while starting the upload.' });
+    }
+});
+
+/** GET /api/uploads/:uploadId - Progress: { totalChunks, received: [[first, last], ...], receivedBytes, ... }. Resume by sending the rest. */
+apiRouter.get('/uploads/:uploadId', auth.requireAuth, async (req, res) => {
+    try {
+        const status = await resumableUploads.getUploadStatus(req.params.uploadId, req.user.user_id);
+        if (!status) {
+            return res.status(404).json({ error: 'Upload not found or expired.' });
+        }
+        res.status(200).json(status);
+    } catch (error) {
+        console.error('Upload status error:', error);
+        res.status(500).json({ error: 'Database error while loading the upload.' });
+    }
+});
+
+/** PUT /api/uploads/:uploadId/chunks/:index - One chunk as the raw body, with its hex SHA-256 in X-Chunk-SHA256. */
+apiRouter.put('/uploads/:uploadId/chunks/:index', limitRequests('chunks'), auth.requireAuth, (req, res) => {
+    chunkBody(req, res, async (err) => {
+        if (err) {
+            return res.status(err.status || 400).json({ error: `Chunk rejected: ${err.type === 'entity.too.large' ? `larger than ${attachments.formatBytes(resumableUploads.MAX_CHUNK_SIZE)}` : err.message}.` });
+        }
+        try {
+            const status = await resumableUploads.storeChunk(req.params.uploadId, req.user.user_id, req.params.index, req.body, req.get('X-Chunk-SHA256'));
+            if (!status) {
+                return res.status(404).json({ error: 'Upload not found or expired.' });
+            }
+            res.status(200).json(status);
+        } catch (error) {
+            if (sendUploadError(res, error)) return;
+            console.error('Upload chunk error:', error);
+            res.status(500).json({ error: 'Server error while storing the chunk.' });
+        }
+    });
+});
+
+/** POST /api/uploads/:uploadId/complete - Assembles and verifies the file. Answers like POST /api/upload: { message, fileData }. */
+apiRouter.post('/uploads/:uploadId/complete', auth.requireAuth, async (req, res) => {
+    try {
+        const fileData = await resumableUploads.completeUpload(req.params.uploadId, req.user.user_id);
+        if (!fileData) {
+            return res.status(404).json({ error: 'Upload not found or expired.' });
+        }
+        res.status(200).json({ message: 'File uploaded successfully.', fileData });
+    } catch (error) {
+        if (sendUploadError(res, error)) return;
+        console.error('Upload complete error:', error);
+        res.status(500).json({ error: 'Server error while assembling the upload.' });
+    }
+});
+
+/** DELETE /api/uploads/:uploadId - Cancels an upload and discards its chunks. */
+apiRouter.delete('/uploads/:uploadId', auth.requireAuth, async (req, res) => {
+    try {
+        if (!(await resumableUploads.abortUpload(req.params.uploadId, req.user.user_id))) {
+            return res.status(404).json({ error: 'Upload not found or expired.' });
+        }
+        res.status(200).json({ message: 'Upload cancelled.' });
+    } catch (error) {
+        console.error('Upload abort error:', error);
+        res.status(500).json({ error: 'Server error while cancelling the upload.' });
+    }
+});
+
+/** GET /api/attachments/quota - The caller's upload usage: { used, quota, maxFileSize } in bytes. */
+apiRouter.get('/attachments/quota', auth.requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await attachments.getQuota(req.user.user_id));
+    } catch (error) {
+        console.error('Upload quota error:', error);
+        res.status(500).json({ error: 'Database error while loading the upload quota.' });
+    }
+});
+
+/**
+ * GET /api/attachments/:attachmentId - Downloads an attachment if the caller can read the room it was posted in
+ * (avatars are open to everyone signed in).
+ * Accepts ?token= as well, since <img> tags and plain links cannot send an Authorization header.
+ */
+apiRouter.get('/attachments/:attachmentId', auth.requireAuthOrQueryToken, async (req, res) => {
+    try {
+        const file = await attachments.resolveDownload(req.params.attachmentId, req.user.user_id);
+        if (!file) {
+            return res.status(404).json({ error: 'Attachment not found.' });
+        }
+        res.type(file.mimetype);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // Always a download, never rendered as a page, to mitigate XSS from user-uploaded content
+        res.download(file.filePath, file.originalname, (error) => {
+            if (error && !res.headersSent) res.status(404).json({ error: 'Attachment file is missing.' });
+        });
+    } catch (error) {
+        console.error('Attachment download error:', error);
+        res.status(500).json({ error: 'Database error while loading the attachment.' });
+    }
+});
+
+// --- Profiles ---
+
+/** GET /api/profile - The caller's own profile. */
+apiRouter.get('/profile', auth.requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await profiles.getProfile(req.user.user_id));
+    } catch (error) {
+        console.error('Profile load error:', error);
+        res.status(500).json({ error: 'Database error while loading the profile.' });
+    }
+});
+
+/**
+ * PUT /api/profile - Body: { displayName?, avatarId?, bio?, pronouns?, timezone?, status?: { text, emoji, expiresIn|expiresAt } };
+ * null clears a field. avatarId is an image uploaded with POST /api/upload and not posted in a message.
+ */
+apiRouter.put('/profile', auth.requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await profiles.updateProfile(req.user.user_id, req.body || {}));
+    } catch (error) {
+        if (error.code === 'INVALID_PROFILE') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Profile update error:', error);
+        res.status(500).json({ error: 'Database error while updating the profile.' });
+    }
+});
+
+/** GET /api/users/:username/profile - Anyone's profile, for any signed-in user. */
+apiRouter.get('/users/:username/profile', auth.requireAuth, async (req, res) => {
+    try {
+        const profile = await profiles.getProfileByUsername(req.params.username);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        res.status(200).json(profile);
+    } catch (error) {
+        console.error('Profile load error:', error);
+        res.status(500).json({ error: 'Database error while loading the profile.' });
+    }
 });
 
 
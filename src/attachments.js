@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const { canAccessRoom } = require('./channels');
+require('dotenv').config();
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const INCOMING_DIR = path.join(UPLOAD_DIR, '.incoming'); // Multer writes here; same filesystem, so files can be renamed into place
+const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024; // 5MB
+const USER_QUOTA_BYTES = parseInt(process.env.UPLOAD_USER_QUOTA_BYTES, 10) || 500 * 1024 * 1024; // 500MB per user
+const TOTAL_QUOTA_BYTES = parseInt(process.env.UPLOAD_TOTAL_QUOTA_BYTES, 10) || 10 * 1024 * 1024 * 1024; // 10GB on disk
+const ORPHAN_TTL_MS = parseInt(process.env.UPLOAD_ORPHAN_TTL_MS, 10) || 60 * 60 * 1000; // Unposted uploads are kept this long
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const ALLOWED_MIMETYPES = ['image/jpeg', 'image/png', 'image/gif', 'text/plain', 'application/pdf'];
+const STORED_NAME_PATTERN = /^[0-9a-f]{64}$/;
+
+const ATTACHMENT_COLUMNS = 'attachment_id, uploader_id, message_id, sha256, original_name, mimetype, size, created_at';
+// Avatars (see profiles.js) are uploads that are never posted: they are not swept and cannot be attached to a message
+const NOT_AN_AVATAR = 'attachment_id NOT IN (SELECT avatar_attachment_id FROM user_profiles WHERE avatar_attachment_id IS NOT NULL)';
+
+// --- Helpers ---
+
+function attachmentError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/** Formats a byte count for user-facing messages. */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)}GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    return `${Math.ceil(bytes / 1024)}KB`;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/** The metadata stored with a message and sent to clients; the file itself is fetched from GET /api/attachments/:id. */
+function toMetadata(row) {
+    return { id: row.attachment_id, originalname: row.original_name, mimetype: row.mimetype, size: Number(row.size) };
+}
+
+// --- Quotas ---
+
+/** Bytes uploaded by a user (every upload counts, even one deduplicated against an existing file). */
+async function getUserUsage(userId) {
+    const rows = await db.query('SELECT COALESCE(SUM(size), 0) AS used FROM attachments WHERE uploader_id = ?', [userId]);
+    return Number(rows[0].used);
+}
+
+/** Bytes on disk: each stored file once, however many uploads share it. */
+async function getTotalUsage() {
+    const rows = await db.query('SELECT COALESCE(SUM(size), 0) AS used FROM (SELECT sha256, MAX(size) AS size FROM attachments GROUP BY sha256) stored', []);
+    return Number(rows[0].used);
+}
+
+async function getQuota(userId) {
+    return { used: await getUserUsage(userId), quota: USER_QUOTA_BYTES, maxFileSize: MAX_FILE_SIZE };
+}
+
+/** Rejects with code 'QUOTA_EXCEEDED' if storing `size` more bytes would exceed the user's or the server's quota. */
+async function assertQuota(uploaderId, size, { alreadyStored = false } = {}) {
+    const used = await getUserUsage(uploaderId);
+    if (used + size > USER_QUOTA_BYTES) {
+        throw attachmentError('QUOTA_EXCEEDED', `Upload quota exceeded: you have used ${formatBytes(used)} of ${formatBytes(USER_QUOTA_BYTES)}. Delete old messages with attachments to free space.`);
+    }
+    if (!alreadyStored && (await getTotalUsage()) + size > TOTAL_QUOTA_BYTES) {
+        throw attachmentError('QUOTA_EXCEEDED', 'The server is out of space for uploads. Ask an admin to free some.');
+    }
+}
+
+// --- Uploads ---
+
+/**
+ * Takes a file written to INCOMING_DIR (by multer, or assembled from chunks): checks the quotas, stores it
+ * under its SHA-256 (a file with the same content is kept only once) and records the upload.
+ * Rejects with code 'QUOTA_EXCEEDED', or 'CHECKSUM_MISMATCH' if `expectedSha256` is given and differs.
+ * The incoming file is always removed.
+ * @param {object} file { path, originalname, mimetype, size }
+ * @param {object} [options] { expectedSha256, enforceQuota } (channel imports store files without the quota checks)
+ * @returns {Promise<object>} Attachment metadata to pass along with send_message.
+ */
+async function storeUpload(file, uploaderId, { expectedSha256 = null, enforceQuota = true } = {}) {
+    try {
+        const sha256 = await hashFile(file.path);
+        if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+            throw attachmentError('CHECKSUM_MISMATCH', `Checksum mismatch: the assembled file hashes to ${sha256}, not ${expectedSha256}.`);
+        }
+        const alreadyStored = (await db.query('SELECT 1 FROM attachments WHERE sha256 = ? LIMIT 1', [sha256])).length > 0;
+        if (enforceQuota) await assertQuota(uploaderId, file.size, { alreadyStored });
+
+        const row = {
+            attachment_id: crypto.randomUUID(),
+            uploader_id: uploaderId,
+            message_id: null,
+            sha256,
+            original_name: path.basename(file.originalname).substring(0, 255),
+            mimetype: file.mimetype,
+            size: file.size,
+            created_at: Date.now()
+        };
+        // Recorded before the file is moved into place, so the sweeper never sees the stored file without a row
+        await db.query(`INSERT INTO attachments (${ATTACHMENT_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, Object.values(row));
+        if (alreadyStored && fs.existsSync(path.join(UPLOAD_DIR, sha256))) {
+            await fs.promises.unlink(file.path);
+        } else {
+            await fs.promises.rename(file.path, path.join(UPLOAD_DIR, sha256));
+        }
+        return toMetadata(row);
+    } catch (e) {
+        await fs.promises.unlink(file.path).catch(() => {});
+        throw e;
+    }
+}
+
+/**
+ * Resolves the attachment a user wants to post: it must be their own upload, not yet posted and not their avatar.
+ * Returns the metadata to store with the message, or null.
+ */
+async function findPostableAttachment(attachmentId, uploaderId) {
+    if (typeof attachmentId !== 'string') return null;
+    const rows = await db.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE attachment_id = ? AND uploader_id = ? AND message_id IS NULL AND ${NOT_AN_AVATAR}`,
+        [attachmentId, uploaderId]
+    );
+    return rows[0] ? toMetadata(rows[0]) : null;
+}
+
+/** Ties an upload to the message it was posted with. Returns false if another message took it first. */
+async function linkAttachment(attachmentId, messageId) {
+    const result = await db.query('UPDATE attachments SET message_id = ? WHERE attachment_id = ? AND message_id IS NULL', [messageId, attachmentId]);
+    return result.affectedRows > 0;
+}
+
+// --- Downloads ---
+
+/**
+ * Finds a file the user may download: an attachment on a message in a room they can read, someone's
+ * avatar, or their own upload that has not been posted yet. Messages from before uploads were tracked name the stored
+ * file directly, so an unknown ID is also looked up as a legacy file name.
+ * @returns {Promise<{filePath: string, originalname: string, mimetype: string}|null>}
+ */
+async function resolveDownload(attachmentId, userId) {
+    const rows = await db.query(
+        `SELECT a.sha256, a.original_name, a.mimetype, a.uploader_id, m.channel_name, p.user_id AS avatar_of
+         FROM attachments a LEFT JOIN messages m ON m.id = a.message_id LEFT JOIN user_profiles p ON p.avatar_attachment_id = a.attachment_id
+         WHERE a.attachment_id = ?`,
+        [attachmentId]
+    );
+    const row = rows[0];
+    if (row) {
+        const allowed = row.avatar_of || (row.channel_name ? await canAccessRoom(userId, row.channel_name) : row.uploader_id === userId);
+        return allowed ? { filePath: path.join(UPLOAD_DIR, row.sha256), originalname: row.original_name, mimetype: row.mimetype } : null;
+    }
+
+    const legacyName = path.basename(attachmentId);
+    const legacyRows = await db.query(
+        `SELECT channel_name, attachment_metadata FROM messages WHERE ${db.jsonText('attachment_metadata', '$.filename')} = ? LIMIT 1`,
+        [legacyName]
+    );
+    const legacy = legacyRows[0];
+    if (!legacy || !(await canAccessRoom(userId, legacy.channel_name))) return null;
+    const metadata = typeof legacy.attachment_metadata === 'string' ? JSON.parse(legacy.attachment_metadata) : legacy.attachment_metadata;
+    return { filePath: path.join(UPLOAD_DIR, legacyName), originalname: metadata.originalname || legacyName, mimetype: metadata.mimetype || 'application/octet-stream' };
+}
+
+// --- Orphan Sweeper ---
+
+/** Deletes files named by pre-tracking messages (metadata `filename`) once no remaining message refers to them. */
+async function removeLegacyFiles(filenames) {
+    for (const name of new Set(filenames.map(filename => path.basename(filename)))) {
+        const stillUsed = await db.query(`SELECT 1 FROM messages WHERE ${db.jsonText('attachment_metadata', '$.filename')} = ? LIMIT 1`, [name]);
+        if (stillUsed.length === 0) await fs.promises.unlink(path.join(UPLOAD_DIR, name)).catch(() => {});
+    }
+}
+
+/** Deletes stored files (and abandoned incoming ones) that no upload row refers to, once they are older than ORPHAN_TTL_MS. */
+async function removeUnreferencedFiles(cutoff) {
+    const stored = fs.readdirSync(UPLOAD_DIR).filter(name => STORED_NAME_PATTERN.test(name));
+    const referenced = new Set((await db.query('SELECT DISTINCT sha256 FROM attachments', [])).map(r => r.sha256));
+    const stale = (filePath) => fs.statSync(filePath).mtimeMs < cutoff;
+
+    for (const name of stored) {
+        const filePath = path.join(UPLOAD_DIR, name);
+        if (!referenced.has(name) && stale(filePath)) await fs.promises.unlink(filePath);
+    }
+    if (fs.existsSync(INCOMING_DIR)) {
+        for (const name of fs.readdirSync(INCOMING_DIR)) {
+            const filePath = path.join(INCOMING_DIR, name);
+            if (stale(filePath)) await fs.promises.unlink(filePath);
+        }
+    }
+}
+
+/**
+ * Forgets uploads that were never posted, or whose message was deleted (message_id is set back to NULL),
+ * unless they are someone's avatar, and deletes files left without any upload.
+ */
+async function sweepOrphanedAttachments() {
+    const cutoff = Date.now() - ORPHAN_TTL_MS;
+    try {
+        await db.query(`DELETE FROM attachments WHERE message_id IS NULL AND created_at < ? AND ${NOT_AN_AVATAR}`, [cutoff]);
+        await removeUnreferencedFiles(cutoff);
+    } catch (e) {
+        console.error('Attachment sweep error:', e);
+    }
+}
+
+function startAttachmentSweeper() {
+    fs.mkdirSync(INCOMING_DIR, { recursive: true });
+    sweepOrphanedAttachments();
+    setInterval(sweepOrphanedAttachments, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    INCOMING_DIR,
+    MAX_FILE_SIZE,
+    ALLOWED_MIMETYPES,
+    attachmentError,
+    formatBytes,
+    getQuota,
+    assertQuota,
+    storeUpload,
+    findPostableAttachment,
+    linkAttachment,
+    resolveDownload,
+    removeLegacyFiles,
+    sweepOrphanedAttachments,
+    startAttachmentSweeper
+};
@@ -0,0 +1,107 @@
+const db = require('./db');
+const repo = require('./repositories');
+const { parseDateBound } = require('./search');
+
+const LOG_PAGE_SIZE = 50;
+const MAX_LOG_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+// Background jobs act as this account, since every log entry needs an actor. Like webhook bots it cannot log in:
+// the password hash is not a `salt:hash` pair.
+const SYSTEM_ACTOR_ID = '00000000-0000-0000-0000-000000000000';
+const SYSTEM_ACTOR_NAME = 'system';
+
+const CSV_COLUMNS = ['log_id', 'action_time', 'action_type', 'actor_id', 'actor_username', 'target_id', 'details'];
+
+// --- Writing ---
+
+/**
+ * Records a privileged action. Channel names go in `details.room` since target_id only fits an ID.
+ * Failures are logged rather than thrown: the action itself has already happened.
+ */
+async function logAction(actionType, actorId, { targetId = null, details = null } = {}) {
+    try {
+        await repo.auditLogs.insert({ actionType, actorId, targetId, details });
+    } catch (e) {
+        console.error('Audit log write error:', e);
+    }
+}
+
+let systemActorReady = null;
+
+/**
+ * Creates the system account on first use. Resolves with its user ID. Rejects if another account already holds
+ * the name (registered before it was reserved), since nothing could then be written on the system's behalf.
+ */
+async function ensureSystemActor() {
+    if (!systemActorReady) {
+        systemActorReady = db.insertIgnore('users', ['user_id', 'username', 'password_hash', 'user_role'], [[SYSTEM_ACTOR_ID, SYSTEM_ACTOR_NAME, '!system', 'User']])
+            .then(async () => {
+                const holder = await repo.users.findByUsername(SYSTEM_ACTOR_NAME);
+                if (!holder || holder.user_id !== SYSTEM_ACTOR_ID) {
+                    throw new Error(`The username "${SYSTEM_ACTOR_NAME}" is reserved for the server, but it belongs to another account${holder ? ` (${holder.user_id})` : ''}. Rename or delete that account.`);
+                }
+            })
+            .catch(e => { systemActorReady = null; throw e; });
+    }
+    await systemActorReady;
+    return SYSTEM_ACTOR_ID;
+}
+
+/** Records an action taken by the server itself (e.g. a scheduled job) rather than by a user. */
+async function logSystemAction(actionType, { targetId = null, details = null } = {}) {
+    try {
+        await ensureSystemActor();
+    } catch (e) {
+        console.error('Audit log write error:', e);
+        return;
+    }
+    await logAction(actionType, SYSTEM_ACTOR_ID, { targetId, details });
+}
+
+// --- Reading ---
+
+/**
+ * Queries audit_logs, newest first.
+ * @param {object} filters { actionType, actor (user ID or username), target (ID or channel name), from, to, page, pageSize }
+ * @param {object} [options] { exportAll } lifts the page size cap (up to MAX_EXPORT_ROWS) for CSV/JSON exports.
+ * @returns {Promise<{logs: object[], total: number, page: number, pageSize: number, hasMore: boolean}>}
+ */
+async function queryLogs(filters = {}, { exportAll = false } = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const maxSize = exportAll ? MAX_EXPORT_ROWS : MAX_LOG_PAGE_SIZE;
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || (exportAll ? MAX_EXPORT_ROWS : LOG_PAGE_SIZE), 1), maxSize);
+
+    const { rows, total } = await repo.auditLogs.find({
+        actionType: filters.actionType ? String(filters.actionType).toUpperCase() : null,
+        actor: filters.actor,
+        target: filters.target,
+        from: parseDateBound(filters.from, false),
+        to: parseDateBound(filters.to, true)
+    }, { limit: pageSize, offset: (page - 1) * pageSize });
+
+    const logs = rows.map(row => ({
+        ...row,
+        details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+        action_time: new Date(row.action_time).toISOString()
+    }));
+    return { logs, total, page, pageSize, hasMore: page * pageSize < total };
+}
+
+// --- Export ---
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Neutralize spreadsheet formulas (e.g. a username of "=HYPERLINK(...)")
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serializes log rows (as returned by queryLogs) to CSV with a header row. */
+function logsToCsv(logs) {
+    const lines = logs.map(log => CSV_COLUMNS.map(column => csvCell(log[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+}
+
+module.exports = { SYSTEM_ACTOR_ID, SYSTEM_ACTOR_NAME, ensureSystemActor, logAction, logSystemAction, queryLogs, logsToCsv };
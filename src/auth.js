@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const db = require('./db');
+const { hasRole } = require('./permissions');
+const { isBanActive } = require('./moderation');
+require('dotenv').config();
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || (12 * 60 * 60 * 1000); // 12 hours default
+
+// NOTE: Without SESSION_SECRET every restart invalidates all issued tokens.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set. Using a random secret; sessions will not survive a restart.');
+}
+
+// Emits 'revoked' (sessionId, userId) so live WebSocket connections can be closed.
+const sessionEvents = new EventEmitter();
+
+// --- Token Encoding ---
+
+function sign(payloadPart) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payloadPart).digest('base64url');
+}
+
+/** Builds a signed token of the form `<base64url payload>.<base64url HMAC>`. */
+function encodeToken(sessionId, userId, expiresAt) {
+    const payloadPart = Buffer.from(JSON.stringify({ sid: sessionId, uid: userId, exp: expiresAt })).toString('base64url');
+    return `${payloadPart}.${sign(payloadPart)}`;
+}
+
+/** Verifies the signature and expiry of a token. Returns the payload or null. */
+function decodeToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payloadPart, signature] = token.split('.');
+    if (!payloadPart || !signature) return null;
+
+    const expected = Buffer.from(sign(payloadPart));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+        if (!payload.sid || !payload.uid || !(payload.exp > Date.now())) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Session Lifecycle ---
+
+/** Creates a persisted session for the user and returns its signed token. */
+async function createSession(userId, { ip = null, userAgent = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const now = Date.now();
+    const expiresAt = now + SESSION_TTL_MS;
+    await db.query(
+        'INSERT INTO sessions (session_id, user_id, created_at, last_seen_at, expires_at, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [sessionId, userId, now, now, expiresAt, ip, userAgent ? userAgent.substring(0, 255) : null]
+    );
+    return { sessionId, token: encodeToken(sessionId, userId, expiresAt), expiresAt };
+}
+
+/**
+ * Resolves a token to its live session and the user it belongs to.
+ * Identity and role always come from the `users` table, never from the token itself. Sessions of a
+ * disabled account are not accepted.
+ * @returns {Promise<{session: object, user: object}|null>}
+ */
+async function verifySessionToken(token) {
+    const payload = decodeToken(token);
+    if (!payload) return null;
+
+    const rows = await db.query(
+        `SELECT s.session_id, s.user_id, s.expires_at, s.revoked, u.username, u.user_role, u.is_banned, u.ban_reason, u.ban_expires_at, u.current_status, u.last_seen_channel,
+                d.user_id AS disabled_user_id
+         FROM sessions s JOIN users u ON u.user_id = s.user_id LEFT JOIN disabled_accounts d ON d.user_id = s.user_id
+         WHERE s.session_id = ?`,
+        [payload.sid]
+    );
+    const row = rows[0];
+    if (!row || row.revoked || row.disabled_user_id || row.user_id !== payload.uid || row.expires_at <= Date.now()) return null;
+
+    await db.query('UPDATE sessions SET last_seen_at = ? WHERE session_id = ?', [Date.now(), row.session_id]);
+    return {
+        session: { sessionId: row.session_id, expiresAt: row.expires_at },
+        user: {
+            user_id: row.user_id,
+            username: row.username,
+            user_role: row.user_role,
+            is_banned: isBanActive(row),
+            ban_expires_at: row.ban_expires_at,
+            ban_reason: row.ban_reason,
+            current_status: row.current_status,
+            last_seen_channel: row.last_seen_channel
+        }
+    };
+}
+
+/** Extends a valid session and issues a fresh token for it. */
+async function refreshSession(token) {
+    const verified = await verifySessionToken(token);
+    if (!verified) return null;
+
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    await db.query('UPDATE sessions SET expires_at = ? WHERE session_id = ?', [expiresAt, verified.session.sessionId]);
+    return { token: encodeToken(verified.session.sessionId, verified.user.user_id, expiresAt), expiresAt };
+}
+
+/** Marks a session as revoked and notifies listeners. Returns false if it was not active. */
+async function revokeSession(sessionId) {
+    const rows = await db.query('SELECT user_id FROM sessions WHERE session_id = ? AND revoked = 0', [sessionId]);
+    if (rows.length === 0) return false;
+
+    await db.query('UPDATE sessions SET revoked = 1 WHERE session_id = ?', [sessionId]);
+    sessionEvents.emit('revoked', sessionId, rows[0].user_id);
+    return true;
+}
+
+/** Revokes every active session of a user (logging them out on all devices). Returns how many were revoked. */
+async function revokeUserSessions(userId) {
+    const rows = await db.query('SELECT session_id FROM sessions WHERE user_id = ? AND revoked = 0 AND expires_at > ?', [userId, Date.now()]);
+    let revoked = 0;
+    for (const row of rows) {
+        if (await revokeSession(row.session_id)) revoked++;
+    }
+    return revoked;
+}
+
+/**
+ * The current state of several sessions: whether they still stand (not revoked, account not disabled) and their
+ * user's role. Sessions that no longer exist (e.g. their user was deleted) are missing from the result.
+ * @returns {Promise<Map<string, {userId: string, active: boolean, role: string}>>}
+ */
+async function getSessionStates(sessionIds) {
+    if (sessionIds.length === 0) return new Map();
+    const rows = await db.query(
+        `SELECT s.session_id, s.user_id, s.revoked, u.user_role, d.user_id AS disabled_user_id
+         FROM sessions s JOIN users u ON u.user_id = s.user_id LEFT JOIN disabled_accounts d ON d.user_id = s.user_id
+         WHERE s.session_id IN (${sessionIds.map(() => '?').join(', ')})`,
+        sessionIds
+    );
+    return new Map(rows.map(row => [row.session_id, { userId: row.user_id, active: !row.revoked && !row.disabled_user_id, role: row.user_role }]));
+}
+
+/** Lists all non-revoked, non-expired sessions (admin view). */
+async function listActiveSessions() {
+    return db.query(
+        `SELECT s.session_id, s.user_id, u.username, s.created_at, s.last_seen_at, s.expires_at, s.ip_address, s.user_agent
+         FROM sessions s JOIN users u ON u.user_id = s.user_id
+         WHERE s.revoked = 0 AND s.expires_at > ?
+         ORDER BY s.last_seen_at DESC`,
+        [Date.now()]
+    );
+}
+
+// --- Express Middleware ---
+
+/** Reads a bearer token from the Authorization header. */
+function getRequestToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+}
+
+/** The user ID in a validly signed, unexpired token, without a database lookup (revocation is not checked). */
+function getTokenUserId(token) {
+    const payload = decodeToken(token);
+    return payload ? payload.uid : null;
+}
+
+/** Builds middleware that rejects requests without a valid session; sets req.session and req.user otherwise. */
+function authenticateWith(readToken) {
+    return async (req, res, next) => {
+        try {
+            const verified = await verifySessionToken(readToken(req));
+            if (!verified) {
+                return res.status(401).json({ error: 'Authentication required.' });
+            }
+            if (verified.user.is_banned) {
+                return res.status(403).json({ error: `Account is banned: ${verified.user.ban_reason || 'No reason provided.'}` });
+            }
+            req.session = verified.session;
+            req.user = verified.user;
+            next();
+        } catch (error) {
+            console.error('Auth middleware error:', error);
+            res.status(500).json({ error: 'Database error during authentication.' });
+        }
+    };
+}
+
+/** Rejects requests without a valid session (bearer token). */
+const requireAuth = authenticateWith(getRequestToken);
+
+/** Like requireAuth, but also takes ?token= for URLs the browser loads itself (images, download links). */
+const requireAuthOrQueryToken = authenticateWith(req => getRequestToken(req) || (typeof req.query.token === 'string' ? req.query.token : null));
+
+/** Must run after requireAuth. Rejects users whose global role is below `role`. */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || !hasRole(req.user.user_role, role)) {
+            return res.status(403).json({ error: `Permission denied. Requires ${role} role.` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    sessionEvents,
+    createSession,
+    verifySessionToken,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    getSessionStates,
+    listActiveSessions,
+    getRequestToken,
+    getTokenUserId,
+    requireAuth,
+    requireAuthOrQueryToken,
+    requireRole
+};
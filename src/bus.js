@@ -0,0 +1,211 @@
+const EventEmitter = require('events');
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+require('dotenv').config();
+
+// 'memory': everything stays in this process (single server).
+// 'cluster': the primary forks CLUSTER_WORKERS processes that share the port and relay bus traffic through it.
+const MESSAGE_BUS = (process.env.MESSAGE_BUS || 'memory').toLowerCase();
+const CLUSTER_WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
+const BUS_BACKENDS = ['memory', 'cluster'];
+const IPC_TAG = 'localchat-bus'; // Marks our IPC messages among any others the process may receive
+const RESPAWN_DELAY_MS = 1000;
+
+if (!BUS_BACKENDS.includes(MESSAGE_BUS)) {
+    throw new Error(`Unknown MESSAGE_BUS "${MESSAGE_BUS}". Use one of: ${BUS_BACKENDS.join(', ')}.`);
+}
+
+// --- Shared State ---
+
+/**
+ * A key/value map replicated to every process on the bus. Reads are local and synchronous;
+ * writes apply locally at once and reach the other processes shortly after.
+ * Ephemeral entries (presence, typing) are dropped when the process that wrote them exits.
+ */
+class SharedState {
+    constructor(bus, name, ephemeral) {
+        this.bus = bus;
+        this.name = name;
+        this.ephemeral = ephemeral;
+        this.map = new Map(); // key -> { value, origin }
+    }
+
+    get(key) {
+        const entry = this.map.get(key);
+        return entry ? entry.value : undefined;
+    }
+
+    set(key, value) {
+        this.map.set(key, { value, origin: this.bus.origin });
+        this.bus.transmit({ kind: 'state', name: this.name, ephemeral: this.ephemeral, op: 'set', key, value });
+    }
+
+    delete(key) {
+        this.map.delete(key);
+        this.bus.transmit({ kind: 'state', name: this.name, ephemeral: this.ephemeral, op: 'delete', key });
+    }
+
+    /** All `[key, value]` pairs. */
+    entries() {
+        return Array.from(this.map, ([key, entry]) => [key, entry.value]);
+    }
+
+    values() {
+        return Array.from(this.map.values(), entry => entry.value);
+    }
+
+    /** Applies a change made by another process. */
+    apply(op, key, value, origin) {
+        if (op === 'set') this.map.set(key, { value, origin });
+        else this.map.delete(key);
+    }
+
+    /** Drops everything a (dead) process wrote, if this state is ephemeral. */
+    purge(origin) {
+        if (!this.ephemeral) return;
+        this.map.forEach((entry, key) => {
+            if (entry.origin === origin) this.map.delete(key);
+        });
+    }
+}
+
+// --- Buses ---
+
+/**
+ * Publish/subscribe plus shared state. Handlers run in every process on the bus, including the publisher's
+ * (synchronously, so local sockets never wait on IPC). This base class is the in-process backend.
+ */
+class MessageBus {
+    constructor(origin) {
+        this.origin = origin;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+        this.states = new Map();
+    }
+
+    publish(topic, payload) {
+        this.events.emit(topic, payload);
+        this.transmit({ kind: 'publish', topic, payload });
+    }
+
+    subscribe(topic, handler) {
+        this.events.on(topic, handler);
+    }
+
+    /** Returns the named shared state, creating it on first use. */
+    createState(name, { ephemeral = true } = {}) {
+        if (!this.states.has(name)) this.states.set(name, new SharedState(this, name, ephemeral));
+        return this.states.get(name);
+    }
+
+    /** Sends a message to the other processes. The in-process bus has none. */
+    transmit(message) {}
+
+    /** Handles a message that arrived from another process. */
+    receive(message) {
+        switch (message.kind) {
+            case 'publish':
+                this.events.emit(message.topic, message.payload);
+                break;
+            case 'state':
+                this.createState(message.name, { ephemeral: message.ephemeral }).apply(message.op, message.key, message.value, message.origin);
+                break;
+            case 'snapshot':
+                Object.entries(message.states).forEach(([name, snapshot]) => {
+                    const state = this.createState(name, { ephemeral: snapshot.ephemeral });
+                    snapshot.entries.forEach(([key, entry]) => state.apply('set', key, entry.value, entry.origin));
+                });
+                break;
+            case 'purge':
+                this.states.forEach(state => state.purge(message.origin));
+                break;
+        }
+    }
+}
+
+/** Fans out across the worker processes of a Node cluster, relayed by the primary (see startClusterPrimary). */
+class ClusterBus extends MessageBus {
+    constructor() {
+        super(`worker-${cluster.worker.id}`);
+        process.on('message', (message) => {
+            if (message && message[IPC_TAG] && message.origin !== this.origin) this.receive(message);
+        });
+        // Ask the primary for the shared state built up before this worker started
+        this.transmit({ kind: 'hello' });
+    }
+
+    transmit(message) {
+        if (process.connected) process.send({ [IPC_TAG]: true, origin: this.origin, ...message });
+    }
+}
+
+/** Creates the bus for this process according to MESSAGE_BUS. */
+function createBus() {
+    if (MESSAGE_BUS === 'cluster' && cluster.isWorker) return new ClusterBus();
+    return new MessageBus('local');
+}
+
+// --- Cluster Primary ---
+
+function isClusterPrimary() {
+    return MESSAGE_BUS === 'cluster' && cluster.isPrimary;
+}
+
+/**
+ * Runs the cluster primary: forks the workers, relays bus traffic between them, and keeps a copy of the
+ * shared state so late or restarted workers start from a snapshot. Workers that die are replaced.
+ */
+function startClusterPrimary() {
+    // Workers must agree on the token-signing secret, or a session issued by one is rejected by another
+    if (!process.env.SESSION_SECRET) process.env.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+
+    const states = new Map(); // name -> { ephemeral, entries: Map key -> { value, origin } }
+
+    const relay = (sender, message) => {
+        Object.values(cluster.workers).forEach(worker => {
+            if (worker !== sender && worker.isConnected()) worker.send(message);
+        });
+    };
+
+    cluster.on('message', (worker, message) => {
+        if (!message || !message[IPC_TAG]) return;
+
+        if (message.kind === 'hello') {
+            const snapshot = {};
+            states.forEach((state, name) => { snapshot[name] = { ephemeral: state.ephemeral, entries: Array.from(state.entries) }; });
+            worker.send({ [IPC_TAG]: true, kind: 'snapshot', origin: 'primary', states: snapshot });
+            return;
+        }
+        if (message.kind === 'state') {
+            if (!states.has(message.name)) states.set(message.name, { ephemeral: message.ephemeral, entries: new Map() });
+            const entries = states.get(message.name).entries;
+            if (message.op === 'set') entries.set(message.key, { value: message.value, origin: message.origin });
+            else entries.delete(message.key);
+        }
+        relay(worker, message);
+    });
+
+    cluster.on('exit', (worker, code, signal) => {
+        const origin = `worker-${worker.id}`;
+        states.forEach(state => {
+            if (!state.ephemeral) return;
+            state.entries.forEach((entry, key) => { if (entry.origin === origin) state.entries.delete(key); });
+        });
+        relay(null, { [IPC_TAG]: true, kind: 'purge', origin });
+
+        if (worker.exitedAfterDisconnect) return;
+        console.warn(`Worker ${worker.process.pid} exited (${signal || code}). Starting a replacement.`);
+        setTimeout(() => cluster.fork(), RESPAWN_DELAY_MS);
+    });
+
+    for (let i = 0; i < CLUSTER_WORKERS; i++) cluster.fork();
+    console.log(`Cluster primary ${process.pid} started ${CLUSTER_WORKERS} workers (MESSAGE_BUS=cluster).`);
+}
+
+module.exports = {
+    MESSAGE_BUS,
+    createBus,
+    isClusterPrimary,
+    startClusterPrimary
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const db = require('./db');
+const repo = require('./repositories');
+const { PERMISSION_FLAGS, computePermissions, getRoleOverrides } = require('./permissions');
+const { getChannelBans } = require('./moderation');
+
+const FALLBACK_CHANNEL = '#general';
+const DM_PREFIX = 'DM:';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ACCESS_CHECK_BATCH_SIZE = 500; // Users per IN (...) list, well under every backend's parameter limit
+
+// --- DM Room Naming ---
+
+function isDmRoom(roomName) {
+    return typeof roomName === 'string' && roomName.startsWith(DM_PREFIX);
+}
+
+function getDmRoomName(id1, id2) {
+    // Ensure deterministic room naming for 1:1 DMs
+    return `${DM_PREFIX}${[id1, id2].sort().join('-')}`;
+}
+
+/** Splits a `DM:<uuid>-<uuid>` room name into its two participant IDs, or returns null if malformed. */
+function parseDmRoomName(roomName) {
+    if (!isDmRoom(roomName)) return null;
+    const ids = roomName.substring(DM_PREFIX.length);
+    // UUIDs contain hyphens themselves, so split on the fixed UUID length instead of '-'
+    const first = ids.substring(0, 36);
+    const second = ids.substring(37);
+    if (ids[36] !== '-' || !UUID_PATTERN.test(first) || !UUID_PATTERN.test(second)) return null;
+    return [first, second];
+}
+
+/** Generates a simple, short invite code. */
+function generateInviteCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase(); // 8 characters
+}
+
+// --- Channel Queries ---
+
+/**
+ * Fetches all channels the given user is authorized to see, with their effective permissions.
+ * Channels where the user's role lacks can_read_history, or the user is channel-banned, are hidden;
+ * invite codes need can_invite.
+ * DM conversations are listed separately.
+ */
+async function getAuthorizedChannels(userId) {
+    try {
+        const users = await db.query('SELECT user_role FROM users WHERE user_id = ?', [userId]);
+        const role = users[0] ? users[0].user_role : 'Guest';
+        const overrides = await getRoleOverrides(role);
+        const bannedFrom = await getChannelBans(userId);
+
+        // 1. Get all public channels and their metadata
+        const publicChannels = await db.query(
+            'SELECT channel_name AS name, is_private, invite_code, created_by FROM channels WHERE is_private = 0 AND is_dm = 0'
+        );
+
+        // 2. Get all private channels the user is explicitly a member of
+        const privateChannels = await db.query(
+            `SELECT c.channel_name AS name, c.is_private, c.invite_code, c.created_by FROM channels c
+             JOIN channel_members cm ON c.channel_name = cm.channel_name
+             WHERE cm.user_id = ? AND c.is_private = 1 AND c.is_dm = 0`,
+            [userId]
+        );
+
+        // Process SQL results, applying per-channel role overrides
+        const processChannels = (channels) => channels.map(c => {
+            const permissions = computePermissions(role, c.created_by === userId, overrides.get(c.name));
+            return {
+                name: c.name,
+                is_private: c.is_private === 1,
+                invite_code: permissions.can_invite ? (c.invite_code || null) : null,
+                created_by: c.created_by,
+                permissions: permissions
+            };
+        }).filter(c => c.permissions.can_read_history && !bannedFrom.has(c.name));
+
+        // Combine and return
+        return [...processChannels(publicChannels), ...processChannels(privateChannels)];
+    } catch (e) {
+        console.error("DB ERROR in getAuthorizedChannels:", e.message, e);
+        return [{ name: FALLBACK_CHANNEL, is_private: false, invite_code: null }];
+    }
+}
+
+/**
+ * Checks whether a user may read from and post to a room.
+ * DM rooms are only accessible to their two participants, and only once the conversation exists.
+ */
+async function canAccessRoom(userId, roomName) {
+    if (isDmRoom(roomName)) {
+        const participants = parseDmRoomName(roomName);
+        if (!participants || !participants.includes(userId)) return false;
+        const membership = await db.query(
+            `SELECT 1 FROM channel_members cm JOIN channels c ON c.channel_name = cm.channel_name
+             WHERE cm.channel_name = ? AND cm.user_id = ? AND c.is_dm = 1`,
+            [roomName, userId]
+        );
+        return membership.length > 0;
+    }
+    const channels = await getAuthorizedChannels(userId);
+    return channels.some(c => c.name === roomName);
+}
+
+/**
+ * canAccessRoom for many users at once (e.g. everyone an @channel mention reaches), in a fixed number of queries
+ * per batch of users instead of a channel list per user.
+ * @returns {Promise<Set<string>>} The IDs of the users who may read the room.
+ */
+async function filterUsersWithRoomAccess(userIds, roomName) {
+    const allowed = new Set();
+    if (userIds.length === 0) return allowed;
+
+    if (isDmRoom(roomName)) {
+        const participants = (parseDmRoomName(roomName) || []).filter(id => userIds.includes(id));
+        if (participants.length === 0) return allowed;
+        const members = await db.query(
+            `SELECT cm.user_id FROM channel_members cm JOIN channels c ON c.channel_name = cm.channel_name
+             WHERE cm.channel_name = ? AND c.is_dm = 1 AND cm.user_id IN (${participants.map(() => '?').join(', ')})`,
+            [roomName, ...participants]
+        );
+        members.forEach(row => allowed.add(row.user_id));
+        return allowed;
+    }
+
+    const channels = await db.query('SELECT channel_name, is_private, is_dm, created_by FROM channels WHERE channel_name = ?', [roomName]);
+    const channel = channels[0];
+    // Same name match as canAccessRoom, which compares against the exact names in the user's channel list
+    if (!channel || channel.is_dm || channel.channel_name !== roomName) return allowed;
+    const overrideRows = await db.query(`SELECT user_role, ${PERMISSION_FLAGS.join(', ')} FROM channel_permissions WHERE channel_name = ?`, [roomName]);
+    const overrides = new Map(overrideRows.map(row => [row.user_role, row]));
+
+    for (let i = 0; i < userIds.length; i += ACCESS_CHECK_BATCH_SIZE) {
+        const batch = userIds.slice(i, i + ACCESS_CHECK_BATCH_SIZE);
+        const users = await db.query(
+            `SELECT u.user_id, u.user_role,
+                    EXISTS (SELECT 1 FROM channel_members cm WHERE cm.channel_name = ? AND cm.user_id = u.user_id) AS is_member,
+                    EXISTS (SELECT 1 FROM channel_bans b WHERE b.channel_name = ? AND b.user_id = u.user_id AND (b.expires_at IS NULL OR b.expires_at > ?)) AS is_channel_banned
+             FROM users u WHERE u.user_id IN (${batch.map(() => '?').join(', ')})`,
+            [roomName, roomName, Date.now(), ...batch]
+        );
+        users.forEach(user => {
+            if (channel.is_private && !Number(user.is_member)) return;
+            if (Number(user.is_channel_banned)) return;
+            const permissions = computePermissions(user.user_role, channel.created_by === user.user_id, overrides.get(user.user_role));
+            if (permissions.can_read_history) allowed.add(user.user_id);
+        });
+    }
+    return allowed;
+}
+
+/** Returns the set of user IDs allowed in a private room or DM, or null if the room is public. */
+async function getRoomMemberIds(roomName) {
+    const rows = await db.query('SELECT is_private FROM channels WHERE channel_name = ?', [roomName]);
+    if (!rows[0] || !rows[0].is_private) return null;
+    return new Set(await repo.members.listUserIds(roomName));
+}
+
+// --- DM Conversations ---
+
+/**
+ * Creates (or reuses) the DM conversation between two users and registers both as participants.
+ * @returns {Promise<{room: string, partner: {id: string, username: string}}|null>} null if the partner does not exist.
+ */
+async function ensureDmConversation(userId, partnerId) {
+    if (!UUID_PATTERN.test(partnerId || '') || partnerId === userId) return null;
+
+    const partners = await db.query('SELECT user_id, username FROM users WHERE user_id = ?', [partnerId]);
+    if (partners.length === 0) return null;
+
+    const room = getDmRoomName(userId, partnerId);
+    await repo.channels.createDm(room, userId);
+    await repo.members.add(room, [userId, partnerId]);
+    return { room, partner: { id: partners[0].user_id, username: partners[0].username } };
+}
+
+/** Lists the user's DM conversations, most recently active first. */
+async function getRecentConversations(userId, limit = 50) {
+    try {
+        const rows = await db.query(
+            `SELECT c.channel_name AS room, other.user_id AS partner_id, u.username AS partner_username,
+                    (SELECT MAX(m.timestamp) FROM messages m WHERE m.channel_name = c.channel_name) AS last_message_at
+             FROM channels c
+             JOIN channel_members me ON me.channel_name = c.channel_name AND me.user_id = ?
+             JOIN channel_members other ON other.channel_name = c.channel_name AND other.user_id <> ?
+             JOIN users u ON u.user_id = other.user_id
+             WHERE c.is_dm = 1
+             ORDER BY last_message_at DESC
+             LIMIT ${parseInt(limit, 10) || 50}`,
+            [userId, userId]
+        );
+        return rows.map(r => ({
+            room: r.room,
+            partnerId: r.partner_id,
+            partnerUsername: r.partner_username,
+            lastMessageAt: r.last_message_at === null ? null : Number(r.last_message_at)
+        }));
+    } catch (e) {
+        console.error("DB ERROR in getRecentConversations:", e.message, e);
+        return [];
+    }
+}
+
+module.exports = {
+    FALLBACK_CHANNEL,
+    isDmRoom,
+    getDmRoomName,
+    parseDmRoomName,
+    generateInviteCode,
+    getAuthorizedChannels,
+    canAccessRoom,
+    filterUsersWithRoomAccess,
+    getRoomMemberIds,
+    ensureDmConversation,
+    getRecentConversations
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROLE_HIERARCHY, hasRole } = require('./permissions');
+const { parseDuration, findUserByUsername } = require('./moderation');
+require('dotenv').config();
+
+const PLUGIN_DIR = process.env.COMMAND_PLUGIN_DIR || path.join(__dirname, '..', 'plugins');
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Argument types. Each parser returns the value, or undefined if the token does not fit
+ * (an optional argument that does not fit is skipped when a later one may take the token,
+ * so `/ban bob spamming` leaves out the duration).
+ * `text` takes the rest of the line and must come last; `user` is resolved to a `users` row.
+ */
+const ARG_PARSERS = {
+    string: (token) => token,
+    number: (token) => (/^-?\d+$/.test(token) ? parseInt(token, 10) : undefined),
+    duration: (token) => parseDuration(token) || undefined,
+    choice: (token, arg) => (arg.choices.includes(token.toLowerCase()) ? token.toLowerCase() : undefined),
+    user: (token) => token.replace(/^@/, ''),
+    text: (token) => token
+};
+
+// --- Registry ---
+
+const commands = new Map(); // name (without the slash) -> definition
+const aliases = new Map(); // alias -> name
+
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'COMMAND_USAGE';
+    return error;
+}
+
+/** `/ban <username> [duration] [reason...]` */
+function formatUsage(definition) {
+    const parts = definition.args.map(arg => {
+        const label = arg.type === 'choice' ? arg.choices.join('|') : arg.name;
+        const shown = arg.type === 'text' ? `${label}...` : label;
+        return arg.required ? `<${shown}>` : `[${shown}]`;
+    });
+    return [`/${definition.name}`, ...parts].join(' ');
+}
+
+/**
+ * Adds a command. Throws if the definition is invalid or its name or an alias is taken.
+ * @param {object} definition
+ * @param {string} definition.name Command name without the slash, e.g. 'ban'.
+ * @param {string[]} [definition.aliases]
+ * @param {string} [definition.description] Shown by /help and in the client's command list.
+ * @param {object[]} [definition.args] `{ name, type: 'string'|'number'|'duration'|'choice'|'user'|'text', required, choices, default }`
+ * @param {string} [definition.role='User'] Minimum global role.
+ * @param {Function} definition.handler `async (ctx, args)`; see runCommand() for ctx.
+ */
+function registerCommand(definition) {
+    const name = String(definition.name || '').replace(/^\//, '').toLowerCase();
+    if (!COMMAND_NAME_PATTERN.test(name)) throw new Error(`Invalid command name "${definition.name}".`);
+    if (typeof definition.handler !== 'function') throw new Error(`Command /${name} has no handler.`);
+    const role = definition.role || 'User';
+    if (!(role in ROLE_HIERARCHY)) throw new Error(`Command /${name} requires unknown role "${role}".`);
+
+    const args = definition.args || [];
+    args.forEach((arg, index) => {
+        const type = arg.type || 'string';
+        if (!arg.name || !ARG_PARSERS[type]) throw new Error(`Command /${name} has an invalid argument: ${JSON.stringify(arg)}.`);
+        if (type === 'text' && index !== args.length - 1) throw new Error(`Command /${name}: a text argument must come last.`);
+        if (type === 'choice' && !(Array.isArray(arg.choices) && arg.choices.length > 0)) throw new Error(`Command /${name}: argument ${arg.name} needs choices.`);
+    });
+
+    const commandAliases = (definition.aliases || []).map(alias => String(alias).replace(/^\//, '').toLowerCase());
+    [name, ...commandAliases].forEach(taken => {
+        if (commands.has(taken) || aliases.has(taken)) throw new Error(`Command /${taken} is already registered.`);
+    });
+
+    const normalized = {
+        ...definition,
+        name,
+        aliases: commandAliases,
+        description: definition.description || '',
+        role,
+        args: args.map(arg => ({ ...arg, type: arg.type || 'string', required: !!arg.required }))
+    };
+    commands.set(name, normalized);
+    commandAliases.forEach(alias => aliases.set(alias, name));
+    return normalized;
+}
+
+/** Looks a command up by name or alias, with or without the leading slash. */
+function findCommand(name) {
+    const key = String(name || '').replace(/^\//, '').toLowerCase();
+    return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/** Commands available to a role, for /help and client autocomplete. */
+function listCommands(role) {
+    return Array.from(commands.values())
+        .filter(definition => hasRole(role, definition.role))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(definition => ({
+            name: `/${definition.name}`,
+            aliases: definition.aliases.map(alias => `/${alias}`),
+            usage: formatUsage(definition),
+            description: definition.description,
+            role: definition.role
+        }));
+}
+
+// --- Parsing & Dispatch ---
+
+/** Validates the tokens after the command name against its argument schema. Rejects with code 'COMMAND_USAGE'. */
+async function parseArgs(definition, tokens) {
+    const values = {};
+    let position = 0;
+    for (const [index, arg] of definition.args.entries()) {
+        const fallback = arg.default === undefined ? null : arg.default;
+        if (arg.type === 'text') {
+            const rest = tokens.slice(position).join(' ');
+            if (!rest && arg.required) throw usageError(`Missing ${arg.name}.`);
+            values[arg.name] = rest || fallback;
+            position = tokens.length;
+            break;
+        }
+
+        const token = tokens[position];
+        if (token === undefined) {
+            if (arg.required) throw usageError(`Missing ${arg.name}.`);
+            values[arg.name] = fallback;
+            continue;
+        }
+        const value = ARG_PARSERS[arg.type](token, arg);
+        if (value === undefined) {
+            // Skip an optional argument that does not fit, unless no later argument could take the token
+            if (!arg.required && index < definition.args.length - 1) {
+                values[arg.name] = fallback;
+                continue;
+            }
+            throw usageError(`Invalid ${arg.name}: ${token}${arg.type === 'choice' ? ` (use ${arg.choices.join(', ')})` : ''}.`);
+        }
+        if (arg.type === 'user') {
+            const user = await findUserByUsername(value);
+            if (!user) throw usageError(`User ${value} not found.`);
+            values[arg.name] = user;
+        } else {
+            values[arg.name] = value;
+        }
+        position++;
+    }
+    if (position < tokens.length) throw usageError('Too many arguments.');
+    return values;
+}
+
+/**
+ * Runs a slash command line for a connected user.
+ * @param {string} text The whole message, e.g. `/ban bob 2h spamming`.
+ * @param {object} ctx Supplied by the transport (websocket.js):
+ *   { userId, username, role, channel, reply(message), fail(message), send(eventType, data), broadcast(eventType, data),
+ *     post(content), permissions(), logAction(actionType, { targetId, details }) }.
+ *   Handlers also get ctx.command (the canonical name) and ctx.argv (the raw tokens).
+ */
+async function runCommand(text, ctx) {
+    const [rawName, ...argv] = text.trim().split(/\s+/);
+    const definition = findCommand(rawName);
+    if (!definition) {
+        ctx.fail(`Unknown command: ${rawName}. Type /help for a list.`);
+        return;
+    }
+    if (!hasRole(ctx.role, definition.role)) {
+        ctx.fail(`Permission denied. Requires ${definition.role} role.`);
+        return;
+    }
+
+    let args;
+    try {
+        args = await parseArgs(definition, argv);
+    } catch (e) {
+        if (e.code !== 'COMMAND_USAGE') throw e;
+        ctx.fail(`${e.message} Usage: ${formatUsage(definition)}`);
+        return;
+    }
+    await definition.handler({ ...ctx, command: definition.name, argv }, args);
+}
+
+// --- Plugins ---
+
+/**
+ * Registers the commands exported by every `.js` file in the plugin directory (COMMAND_PLUGIN_DIR, default `plugins/`).
+ * A plugin exports one command definition or an array of them. A broken plugin is logged and skipped.
+ * @returns {string[]} Names of the commands that were added.
+ */
+function loadCommandPlugins(dir = PLUGIN_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    const loaded = [];
+    fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort().forEach(file => {
+        try {
+            const exported = require(path.join(dir, file));
+            (Array.isArray(exported) ? exported : [exported]).forEach(definition => {
+                loaded.push(registerCommand({ ...definition, plugin: file }).name);
+            });
+        } catch (e) {
+            console.error(`Command plugin error (${file}):`, e.message);
+        }
+    });
+    return loaded;
+}
+
+// --- Built-in: /help ---
+
+registerCommand({
+    name: 'help',
+    aliases: ['commands'],
+    description: 'List the commands you can use, or show how to use one.',
+    args: [{ name: 'command' }],
+    handler: async (ctx, { command }) => {
+        let content;
+        if (command) {
+            const definition = findCommand(command);
+            if (!definition || !hasRole(ctx.role, definition.role)) {
+                ctx.fail(`Unknown command: ${command}.`);
+                return;
+            }
+            content = `\`${formatUsage(definition)}\`\n\n${definition.description}`;
+            if (definition.aliases.length > 0) content += `\n\nAliases: ${definition.aliases.map(alias => `/${alias}`).join(', ')}`;
+        } else {
+            content = '**Commands**\n\n' + listCommands(ctx.role).map(c => `- \`${c.usage}\` ${c.description}`).join('\n');
+        }
+        // Only the caller sees the help text
+        ctx.send('channel_message', { id: crypto.randomUUID(), author: 'Server', content: content, timestamp: Date.now(), channel: ctx.channel, system: true });
+    }
+});
+
+module.exports = {
+    registerCommand,
+    findCommand,
+    listCommands,
+    formatUsage,
+    runCommand,
+    loadCommandPlugins
+};
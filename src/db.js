@@ -1,28 +1,83 @@
-const mysql = require('mysql2/promise');
+const path = require('path');
 require('dotenv').config();
 
-const pool = mysql.createPool({
-    host: '127.0.0.1',
-    user: 'root',
-    password: 'root',
-    database: 'localchat_db',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
-
-async function query(sql, params) {
-    let connection;
-    try {
-        connection = await pool.getConnection();
-        const [results] = await connection.execute(sql, params);
-        return results;
-    } catch (err) {
-        console.error('MySQL Query Error:', err.message);
-        throw err;
-    } finally {
-        if (connection) connection.release();
-    }
-}
-
-module.exports = { query };
\ No newline at end of file
+// 'mysql': a MySQL/MariaDB server configured with the DB_* variables.
+// 'sqlite': an embedded database file (SQLITE_FILE), created on first start; no database server needed.
+const DB_CLIENT = (process.env.DB_CLIENT || 'mysql').toLowerCase();
+const DB_CLIENTS = ['mysql', 'sqlite'];
+
+if (!DB_CLIENTS.includes(DB_CLIENT)) {
+    throw new Error(`Unknown DB_CLIENT "${DB_CLIENT}". Use one of: ${DB_CLIENTS.join(', ')}.`);
+}
+
+// Drivers are loaded lazily so a MySQL deployment never needs the SQLite native module, and vice versa.
+const driver = DB_CLIENT === 'sqlite'
+    ? require('./drivers/sqlite').createDriver({
+        file: process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'localchat.sqlite')
+    })
+    : require('./drivers/mysql').createDriver({
+        host: process.env.DB_HOST || '127.0.0.1',
+        port: parseInt(process.env.DB_PORT, 10) || 3306,
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || 'root',
+        database: process.env.DB_NAME || 'localchat_db'
+    });
+
+/**
+ * Runs a statement. Reads resolve to an array of rows; writes resolve to `{ affectedRows, insertId }`
+ * on every backend.
+ */
+async function query(sql, params = []) {
+    return driver.query(sql, params);
+}
+
+// --- Dialect Helpers (the only SQL that differs between backends) ---
+
+function valuesSql(columns, rowCount) {
+    const row = `(${columns.map(() => '?').join(', ')})`;
+    return Array(rowCount).fill(row).join(', ');
+}
+
+/** Inserts rows, silently skipping any that collide with an existing primary/unique key. */
+async function insertIgnore(table, columns, rows) {
+    if (rows.length === 0) return { affectedRows: 0, insertId: 0 };
+    return query(
+        `${driver.insertIgnoreVerb} INTO ${table} (${columns.join(', ')}) VALUES ${valuesSql(columns, rows.length)}`,
+        rows.flat()
+    );
+}
+
+/** Inserts rows, or overwrites `updateColumns` of the existing row when `keyColumns` collide. */
+async function upsert(table, columns, rows, keyColumns, updateColumns) {
+    if (rows.length === 0) return { affectedRows: 0, insertId: 0 };
+    return query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${valuesSql(columns, rows.length)}
+         ${driver.upsertClause(keyColumns, updateColumns)}`,
+        rows.flat()
+    );
+}
+
+/** SQL expression reading a JSON column's text value at `jsonPath` (e.g. `'$.room'`). */
+function jsonText(column, jsonPath) {
+    return driver.jsonText(column, jsonPath);
+}
+
+/** True if an error was raised by a duplicate primary/unique key. */
+function isDuplicateKeyError(error) {
+    return driver.isDuplicateKeyError(error);
+}
+
+async function close() {
+    return driver.close();
+}
+
+module.exports = {
+    DB_CLIENT,
+    supportsFullText: driver.supportsFullText,
+    query,
+    insertIgnore,
+    upsert,
+    jsonText,
+    isDuplicateKeyError,
+    close
+};
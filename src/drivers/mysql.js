@@ -0,0 +1,38 @@
+const mysql = require('mysql2/promise');
+
+/** MySQL/MariaDB backend over a connection pool. */
+function createDriver(config) {
+    const pool = mysql.createPool({
+        ...config,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    });
+
+    async function query(sql, params) {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const [results] = await connection.execute(sql, params);
+            return results;
+        } catch (err) {
+            console.error('MySQL Query Error:', err.message);
+            throw err;
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+
+    return {
+        query,
+        close: () => pool.end(),
+        supportsFullText: true,
+        insertIgnoreVerb: 'INSERT IGNORE',
+        upsertClause: (keyColumns, updateColumns) =>
+            `ON DUPLICATE KEY UPDATE ${updateColumns.map(column => `${column} = VALUES(${column})`).join(', ')}`,
+        jsonText: (column, jsonPath) => `JSON_UNQUOTE(JSON_EXTRACT(${column}, '${jsonPath}'))`,
+        isDuplicateKeyError: (error) => error.code === 'ER_DUP_ENTRY'
+    };
+}
+
+module.exports = { createDriver };
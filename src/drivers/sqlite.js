@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'database', 'schema.sqlite.sql');
+const STATEMENT_CACHE_SIZE = 500; // IN (...) lists make some SQL unique per call, so the cache is bounded
+const BUSY_TIMEOUT_MS = 5000; // Cluster workers share the file; wait for another writer instead of failing
+
+let Database;
+try {
+    Database = require('better-sqlite3');
+} catch (e) {
+    throw new Error('DB_CLIENT=sqlite needs the optional "better-sqlite3" package. Install it with: npm install better-sqlite3');
+}
+
+/** Converts a parameter to something SQLite can bind (it rejects booleans, undefined and Dates). */
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+/**
+ * Embedded SQLite backend. The database file (or ':memory:') is created and migrated to
+ * schema.sqlite.sql on open, so a fresh deployment needs no setup.
+ */
+function createDriver({ file }) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const database = new Database(file);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+    database.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    database.exec(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+
+    const statements = new Map();
+
+    function prepare(sql) {
+        let statement = statements.get(sql);
+        if (!statement) {
+            if (statements.size >= STATEMENT_CACHE_SIZE) statements.clear();
+            statement = database.prepare(sql);
+            statements.set(sql, statement);
+        }
+        return statement;
+    }
+
+    async function query(sql, params) {
+        try {
+            const statement = prepare(sql);
+            const values = params.map(toSqliteValue);
+            if (statement.reader) return statement.all(values);
+            const info = statement.run(values);
+            return { affectedRows: info.changes, insertId: Number(info.lastInsertRowid) };
+        } catch (err) {
+            console.error('SQLite Query Error:', err.message);
+            throw err;
+        }
+    }
+
+    return {
+        query,
+        close: async () => database.close(),
+        supportsFullText: false,
+        insertIgnoreVerb: 'INSERT OR IGNORE',
+        upsertClause: (keyColumns, updateColumns) =>
+            `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${updateColumns.map(column => `${column} = excluded.${column}`).join(', ')}`,
+        jsonText: (column, jsonPath) => `json_extract(${column}, '${jsonPath}')`,
+        isDuplicateKeyError: (error) => error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY'
+    };
+}
+
+module.exports = { createDriver };
@@ -0,0 +1,254 @@
+const db = require('./db');
+const repo = require('./repositories');
+require('dotenv').config();
+
+const HISTORY_PAGE_SIZE = parseInt(process.env.HISTORY_PAGE_SIZE, 10) || 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+const MAX_THREAD_REPLIES = 500;
+
+const MESSAGE_COLUMNS = 'id, channel_name, author_id, author_username AS author, content, timestamp, edited, edited_timestamp, attachment_metadata, is_system as system, parent_message_id, is_thread_root';
+
+// --- Row Formatting ---
+
+/** Normalizes a raw `messages` row: parses attachment metadata and converts DB ints (1/0) to booleans. */
+function formatMessageRow(msg) {
+    // Safely parse attachment_metadata. If it's already an object (due to driver settings), use it directly.
+    if (typeof msg.attachment_metadata === 'string') {
+        try {
+            msg.attachment = JSON.parse(msg.attachment_metadata);
+        } catch (e) {
+            console.error('Error parsing JSON attachment_metadata:', msg.attachment_metadata, e.message);
+            msg.attachment = null;
+        }
+    } else if (msg.attachment_metadata !== null && typeof msg.attachment_metadata === 'object') {
+        msg.attachment = msg.attachment_metadata;
+    } else {
+        msg.attachment = null;
+    }
+    delete msg.attachment_metadata;
+
+    msg.timestamp = Number(msg.timestamp);
+    msg.edited = msg.edited === 1;
+    msg.editedTimestamp = msg.edited_timestamp === null ? null : Number(msg.edited_timestamp);
+    delete msg.edited_timestamp;
+    msg.system = msg.system === 1;
+    msg.is_thread_root = msg.is_thread_root === 1;
+    return msg;
+}
+
+/** Groups reaction rows into `{ emoji: [userId, ...] }`. */
+function groupReactions(rows) {
+    return rows.reduce((acc, { user_id, emoji }) => {
+        acc[emoji] = acc[emoji] || [];
+        acc[emoji].push(user_id);
+        return acc;
+    }, {});
+}
+
+/**
+ * Loads reactions for many messages in a single query.
+ * @returns {Promise<Map<string, object>>} messageId -> `{ emoji: [userId, ...] }`
+ */
+async function getReactionsForMessages(messageIds) {
+    const byMessage = new Map(messageIds.map(id => [id, {}]));
+    if (messageIds.length === 0) return byMessage;
+
+    const rows = await repo.reactions.listForMessages(messageIds);
+    rows.forEach(({ message_id, user_id, emoji }) => {
+        const reactions = byMessage.get(message_id);
+        reactions[emoji] = reactions[emoji] || [];
+        reactions[emoji].push(user_id);
+    });
+    return byMessage;
+}
+
+// --- Threads ---
+
+/**
+ * Summarizes the replies of many thread roots in two queries.
+ * @returns {Promise<Map<string, {replyCount: number, lastReplyAt: number|null, participants: object[]}>>}
+ */
+async function getThreadSummaries(rootIds) {
+    const summaries = new Map(rootIds.map(id => [id, { replyCount: 0, lastReplyAt: null, participants: [] }]));
+    if (rootIds.length === 0) return summaries;
+
+    const placeholders = rootIds.map(() => '?').join(', ');
+    const counts = await db.query(
+        `SELECT parent_message_id, COUNT(*) AS reply_count, MAX(timestamp) AS last_reply_at
+         FROM messages WHERE parent_message_id IN (${placeholders}) GROUP BY parent_message_id`,
+        rootIds
+    );
+    counts.forEach(row => {
+        const summary = summaries.get(row.parent_message_id);
+        summary.replyCount = Number(row.reply_count);
+        summary.lastReplyAt = Number(row.last_reply_at);
+    });
+
+    const participants = await db.query(
+        `SELECT DISTINCT parent_message_id, author_id, author_username FROM messages WHERE parent_message_id IN (${placeholders})`,
+        rootIds
+    );
+    participants.forEach(row => {
+        summaries.get(row.parent_message_id).participants.push({ id: row.author_id, username: row.author_username });
+    });
+    return summaries;
+}
+
+/**
+ * Loads a thread root and its replies (oldest first), with reactions.
+ * Replies to a reply are stored against the root, so a thread is always one level deep.
+ * @returns {Promise<{root: object, replies: object[], hasMore: boolean}|null>} null if the root does not exist.
+ */
+async function fetchThread(rootId) {
+    const roots = await db.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`, [rootId]);
+    if (roots.length === 0) return null;
+
+    const rows = await db.query(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE parent_message_id = ? ORDER BY timestamp ASC, id ASC LIMIT ${MAX_THREAD_REPLIES + 1}`,
+        [rootId]
+    );
+    const hasMore = rows.length > MAX_THREAD_REPLIES;
+    const page = [roots[0], ...rows.slice(0, MAX_THREAD_REPLIES)];
+    const reactionsById = await getReactionsForMessages(page.map(m => m.id));
+    const [root, ...replies] = page.map(row => {
+        const msg = formatMessageRow(row);
+        msg.reactions = reactionsById.get(msg.id) || {};
+        return msg;
+    });
+    root.thread = (await getThreadSummaries([root.id])).get(root.id);
+    return { root, replies, hasMore };
+}
+
+// --- Edit History ---
+
+/**
+ * A message's versions, oldest first: the original text, the text after each edit, and the current one, each with
+ * who wrote it and when. `incomplete` is set when the message was edited before versions were kept, so its
+ * earlier texts are unknown.
+ * @returns {Promise<{id: string, channel: string, authorId: string, author: string, versions: object[], incomplete: boolean}|null>}
+ */
+async function fetchEditHistory(messageId) {
+    const rows = await db.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`, [messageId]);
+    if (rows.length === 0) return null;
+    const message = formatMessageRow(rows[0]);
+    const edits = await repo.messages.findVersions(messageId);
+    const incomplete = message.edited && edits.length === 0;
+
+    // A stored row is the text an edit replaced; the edit's author and time belong to the version after it
+    let writer = incomplete
+        ? { authorId: null, author: null, timestamp: message.editedTimestamp }
+        : { authorId: message.author_id, author: message.author, timestamp: message.timestamp };
+    const versions = edits.map(edit => {
+        const version = { content: edit.content, ...writer };
+        writer = { authorId: edit.edited_by, author: edit.edited_by_username, timestamp: Number(edit.edited_at) };
+        return version;
+    });
+    versions.push({ content: message.content, ...writer });
+
+    return {
+        id: message.id,
+        channel: message.channel_name,
+        authorId: message.author_id,
+        author: message.author,
+        versions: versions.map((version, index) => ({ version: index + 1, ...version })),
+        incomplete
+    };
+}
+
+// --- Paging ---
+
+function clampPageSize(limit) {
+    const size = parseInt(limit, 10);
+    if (!size || size < 1) return HISTORY_PAGE_SIZE;
+    return Math.min(size, MAX_HISTORY_PAGE_SIZE);
+}
+
+/**
+ * Fetches one page of a room's top-level history (thread replies live in fetchThread), oldest first.
+ * Each message carries a `thread` summary: reply count, last reply time and participants.
+ * Cursors are message IDs: `before` pages towards older messages, `after` towards newer ones.
+ * With neither cursor the most recent page is returned.
+ * @returns {Promise<{messages: object[], hasMore: boolean, direction: string}>}
+ */
+async function fetchMessagePage(roomName, { before = null, after = null, limit } = {}) {
+    const pageSize = clampPageSize(limit);
+    const cursorId = before || after;
+    const direction = after && !before ? 'after' : 'before';
+
+    let where = 'channel_name = ? AND parent_message_id IS NULL';
+    const params = [roomName];
+
+    if (cursorId) {
+        const cursorRows = await db.query('SELECT id, timestamp FROM messages WHERE id = ? AND channel_name = ?', [cursorId, roomName]);
+        if (cursorRows.length === 0) {
+            const error = new Error('Unknown history cursor.');
+            error.code = 'INVALID_CURSOR';
+            throw error;
+        }
+        const cursor = cursorRows[0];
+        // (timestamp, id) tuple comparison keeps paging stable when timestamps collide
+        where += direction === 'before'
+            ? ' AND (timestamp < ? OR (timestamp = ? AND id < ?))'
+            : ' AND (timestamp > ? OR (timestamp = ? AND id > ?))';
+        params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+    }
+
+    const order = direction === 'before' ? 'DESC' : 'ASC';
+    // Fetch one extra row to learn whether another page exists
+    const rows = await db.query(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where} ORDER BY timestamp ${order}, id ${order} LIMIT ${pageSize + 1}`,
+        params
+    );
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    if (direction === 'before') page.reverse();
+
+    const reactionsById = await getReactionsForMessages(page.map(m => m.id));
+    const threadsById = await getThreadSummaries(page.map(m => m.id));
+    const messages = page.map(row => {
+        const msg = formatMessageRow(row);
+        msg.reactions = reactionsById.get(msg.id) || {};
+        msg.thread = threadsById.get(msg.id);
+        return msg;
+    });
+
+    return { messages, hasMore, direction };
+}
+
+/** Retrieves the pinned message for a channel, if any. */
+async function getPinnedMessage(roomName) {
+    const rows = await db.query(
+        `SELECT m.id, m.author_username, m.content FROM channels c
+         JOIN messages m ON m.id = c.pinned_message_id
+         WHERE c.channel_name = ?`,
+        [roomName]
+    );
+    if (rows.length === 0) return null;
+    return { id: rows[0].id, author: rows[0].author_username, content: rows[0].content };
+}
+
+/** Retrieves the most recent page of messages and the pinned status for a room. */
+async function getRoomData(roomName) {
+    try {
+        const { messages, hasMore } = await fetchMessagePage(roomName);
+        const pinnedMessage = await getPinnedMessage(roomName);
+        return { messages, pinnedMessage, hasMore };
+    } catch (e) {
+        console.error("DB ERROR in getRoomData:", e.message, e);
+        return { messages: [], pinnedMessage: null, hasMore: false };
+    }
+}
+
+module.exports = {
+    HISTORY_PAGE_SIZE,
+    formatMessageRow,
+    groupReactions,
+    getReactionsForMessages,
+    getThreadSummaries,
+    fetchThread,
+    fetchEditHistory,
+    fetchMessagePage,
+    getPinnedMessage,
+    getRoomData
+};
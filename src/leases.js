@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Server-wide background tasks (e.g. the retention purge) must run in one process at a time, even with several
+// cluster workers on one database. A task is run by whoever holds its row in task_leases; a lease ends when its
+// holder releases it or, if the holder died, when leased_until passes.
+const HOLDER_ID = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/** Takes the task's lease for `durationMs` if no other process holds it. Resolves with true if this process now holds it. */
+async function claimLease(taskName, durationMs) {
+    const now = Date.now();
+    await db.insertIgnore('task_leases', ['task_name', 'holder', 'leased_until'], [[taskName, null, 0]]);
+    const claim = await db.query(
+        'UPDATE task_leases SET holder = ?, leased_until = ? WHERE task_name = ? AND leased_until < ?',
+        [HOLDER_ID, now + durationMs, taskName, now]
+    );
+    return claim.affectedRows === 1;
+}
+
+/** Gives up a lease this process holds, so another process may take it right away. */
+async function releaseLease(taskName) {
+    await db.query('UPDATE task_leases SET holder = NULL, leased_until = 0 WHERE task_name = ? AND holder = ?', [taskName, HOLDER_ID]);
+}
+
+module.exports = {
+    claimLease,
+    releaseLease
+};
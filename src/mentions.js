@@ -0,0 +1,130 @@
+const db = require('./db');
+const { isDmRoom, filterUsersWithRoomAccess } = require('./channels');
+
+const INBOX_LIMIT = 50;
+
+// --- Parsing ---
+
+/**
+ * Extracts mention tokens from message content.
+ * Usernames may contain punctuation (e.g. `mod-bob`), so only trailing sentence punctuation is trimmed.
+ * @returns {{ usernames: string[], here: boolean, channel: boolean }}
+ */
+function parseMentions(content) {
+    const usernames = new Set();
+    let here = false;
+    let channel = false;
+    const tokens = (content || '').match(/(?:^|[^\w@])@([^\s@]{1,40})/g) || [];
+    tokens.forEach(token => {
+        const name = token.substring(token.indexOf('@') + 1).replace(/[.,:;!?)\]'"]+$/, '');
+        const lower = name.toLowerCase();
+        if (lower === 'here') here = true;
+        else if (lower === 'channel') channel = true;
+        else if (name.length > 0 && name.length <= 20) usernames.add(name);
+    });
+    return { usernames: Array.from(usernames), here, channel };
+}
+
+// --- Resolution ---
+
+/** Users who could be notified in a room: its members for private rooms, everyone otherwise. */
+async function getRoomAudience(roomName) {
+    const channels = await db.query('SELECT is_private FROM channels WHERE channel_name = ?', [roomName]);
+    if (channels.length === 0) return [];
+    return channels[0].is_private
+        ? db.query('SELECT u.user_id, u.username FROM channel_members cm JOIN users u ON u.user_id = cm.user_id WHERE cm.channel_name = ?', [roomName])
+        : db.query('SELECT user_id, username FROM users WHERE is_banned = FALSE');
+}
+
+/**
+ * Resolves the mentions in a message to real users who can see the room.
+ * @param {object} options { authorId, allowBroadcast (may use @here/@channel), onlineUserIds (Set, for @here) }
+ * @returns {Promise<{ recipients: Map<string, string>, broadcastDenied: boolean }>} userId -> 'user' | 'here' | 'channel'
+ */
+async function resolveMentions(roomName, content, { authorId, allowBroadcast = false, onlineUserIds = new Set() }) {
+    const { usernames, here, channel } = parseMentions(content);
+    const recipients = new Map();
+    const candidates = new Map(); // userId -> mention type, before access checks
+
+    if ((here || channel) && allowBroadcast && !isDmRoom(roomName)) {
+        const audience = await getRoomAudience(roomName);
+        audience.forEach(user => {
+            if (channel) candidates.set(user.user_id, 'channel');
+            else if (onlineUserIds.has(user.user_id)) candidates.set(user.user_id, 'here');
+        });
+    }
+    if (usernames.length > 0) {
+        const users = await db.query(
+            `SELECT user_id FROM users WHERE username IN (${usernames.map(() => '?').join(', ')})`,
+            usernames
+        );
+        // A direct mention outranks a broadcast one
+        users.forEach(user => candidates.set(user.user_id, 'user'));
+    }
+    candidates.delete(authorId);
+
+    const allowed = await filterUsersWithRoomAccess(Array.from(candidates.keys()), roomName);
+    candidates.forEach((type, userId) => {
+        if (allowed.has(userId)) recipients.set(userId, type);
+    });
+    return { recipients, broadcastDenied: (here || channel) && !allowBroadcast };
+}
+
+// --- Storage & Inbox ---
+
+/** Persists resolved mentions so offline users find them in their inbox. */
+async function recordMentions(messageId, roomName, authorId, recipients) {
+    if (recipients.size === 0) return;
+    const rows = Array.from(recipients, ([userId, type]) => [messageId, userId, roomName, authorId, type, Date.now()]);
+    await db.insertIgnore('mentions', ['message_id', 'user_id', 'channel_name', 'author_id', 'mention_type', 'created_at'], rows);
+}
+
+/**
+ * Lists a user's mentions, newest first, with the message they came from.
+ * @returns {Promise<{ mentions: object[], unreadCount: number }>}
+ */
+async function getMentionInbox(userId, { unreadOnly = false, limit = INBOX_LIMIT } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || INBOX_LIMIT, 1), 200);
+    const rows = await db.query(
+        `SELECT mn.message_id, mn.channel_name, mn.mention_type, mn.is_read, mn.created_at, m.author_username, m.content, m.parent_message_id
+         FROM mentions mn JOIN messages m ON m.id = mn.message_id
+         WHERE mn.user_id = ? ${unreadOnly ? 'AND mn.is_read = 0' : ''}
+         ORDER BY mn.created_at DESC
+         LIMIT ${size}`,
+        [userId]
+    );
+    const countRows = await db.query('SELECT COUNT(*) AS unread FROM mentions WHERE user_id = ? AND is_read = 0', [userId]);
+    return {
+        mentions: rows.map(row => ({
+            messageId: row.message_id,
+            channel: row.channel_name,
+            type: row.mention_type,
+            isRead: row.is_read === 1,
+            timestamp: Number(row.created_at),
+            author: row.author_username,
+            content: row.content,
+            threadRootId: row.parent_message_id
+        })),
+        unreadCount: Number(countRows[0].unread)
+    };
+}
+
+/** Marks specific mentions (or all of them, when messageIds is empty) as read. */
+async function markMentionsRead(userId, messageIds = []) {
+    if (messageIds.length === 0) {
+        await db.query('UPDATE mentions SET is_read = 1 WHERE user_id = ? AND is_read = 0', [userId]);
+        return;
+    }
+    await db.query(
+        `UPDATE mentions SET is_read = 1 WHERE user_id = ? AND message_id IN (${messageIds.map(() => '?').join(', ')})`,
+        [userId, ...messageIds]
+    );
+}
+
+module.exports = {
+    parseMentions,
+    resolveMentions,
+    recordMentions,
+    getMentionInbox,
+    markMentionsRead
+};
@@ -0,0 +1,135 @@
+const db = require('./db');
+const { ROLE_HIERARCHY, hasRole } = require('./permissions');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// --- Helpers ---
+
+/** Parses durations like `30s`, `10m`, `2h`, `7d`, `1w` into milliseconds. Returns null if not a duration. */
+function parseDuration(text) {
+    const match = /^(\d+)([smhdw])$/i.exec(text || '');
+    if (!match) return null;
+    const ms = parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+    return ms > 0 ? ms : null;
+}
+
+/** Moderators may act on Users; Admins on Users and Moderators. Nobody may act on an equal or higher role. */
+function canModerate(actorRole, targetRole) {
+    return hasRole(actorRole, 'Moderator') && (ROLE_HIERARCHY[actorRole] || 0) > (ROLE_HIERARCHY[targetRole] || 0);
+}
+
+/** True if a `users` row carries a ban that has not yet expired. */
+function isBanActive(user) {
+    return !!user.is_banned && !(user.ban_expires_at && Number(user.ban_expires_at) <= Date.now());
+}
+
+/** Formats an expiry for user-facing messages. */
+function describeExpiry(expiresAt) {
+    return expiresAt ? `until ${new Date(expiresAt).toLocaleString()}` : 'permanently';
+}
+
+async function findUserByUsername(username) {
+    const rows = await db.query('SELECT user_id, username, user_role, is_banned, ban_expires_at, muted_until FROM users WHERE username = ?', [username]);
+    return rows[0] || null;
+}
+
+// --- Server Bans ---
+
+/** Bans a user server-wide. A null duration bans permanently. Returns the expiry (or null). */
+async function banUser(userId, reason, durationMs = null) {
+    const expiresAt = durationMs ? Date.now() + durationMs : null;
+    await db.query('UPDATE users SET is_banned = TRUE, ban_reason = ?, ban_expires_at = ? WHERE user_id = ?', [reason, expiresAt, userId]);
+    return expiresAt;
+}
+
+async function unbanUser(userId) {
+    await db.query('UPDATE users SET is_banned = FALSE, ban_reason = NULL, ban_expires_at = NULL WHERE user_id = ?', [userId]);
+}
+
+// --- Mutes (can read, cannot send) ---
+
+/** Mutes a user everywhere. A null duration mutes until /unmute. Returns the expiry (or null). */
+async function muteUser(userId, reason, durationMs = null) {
+    const expiresAt = durationMs ? Date.now() + durationMs : null;
+    // muted_until = 0 marks an indefinite mute so "IS NULL" keeps meaning "not muted"
+    await db.query('UPDATE users SET muted_until = ?, mute_reason = ? WHERE user_id = ?', [expiresAt || 0, reason, userId]);
+    return expiresAt;
+}
+
+async function unmuteUser(userId) {
+    await db.query('UPDATE users SET muted_until = NULL, mute_reason = NULL WHERE user_id = ?', [userId]);
+}
+
+/** Returns `{ expiresAt, reason }` if the user is currently muted, otherwise null. */
+async function getActiveMute(userId) {
+    const rows = await db.query('SELECT muted_until, mute_reason FROM users WHERE user_id = ?', [userId]);
+    if (!rows[0] || rows[0].muted_until === null) return null;
+    const mutedUntil = Number(rows[0].muted_until);
+    if (mutedUntil !== 0 && mutedUntil <= Date.now()) return null;
+    return { expiresAt: mutedUntil || null, reason: rows[0].mute_reason };
+}
+
+// --- Channel Bans ---
+
+async function banFromChannel(roomName, userId, bannedBy, reason, durationMs = null) {
+    const expiresAt = durationMs ? Date.now() + durationMs : null;
+    await db.upsert('channel_bans', ['channel_name', 'user_id', 'banned_by', 'reason', 'created_at', 'expires_at'],
+        [[roomName, userId, bannedBy, reason, Date.now(), expiresAt]],
+        ['channel_name', 'user_id'], ['banned_by', 'reason', 'created_at', 'expires_at']);
+    return expiresAt;
+}
+
+/** Lifts a channel ban. Returns false if there was none. */
+async function unbanFromChannel(roomName, userId) {
+    const result = await db.query('DELETE FROM channel_bans WHERE channel_name = ? AND user_id = ?', [roomName, userId]);
+    return result.affectedRows > 0;
+}
+
+/** Set of channel names the user is currently banned from. */
+async function getChannelBans(userId) {
+    const rows = await db.query(
+        'SELECT channel_name FROM channel_bans WHERE user_id = ? AND (expires_at IS NULL OR expires_at > ?)',
+        [userId, Date.now()]
+    );
+    return new Set(rows.map(r => r.channel_name));
+}
+
+// --- Expiry Sweeper ---
+
+/**
+ * Clears expired bans, mutes and channel bans. Expiry is also checked at use time,
+ * so the sweeper only keeps the tables tidy; it is safe to miss a run (e.g. across restarts).
+ */
+async function sweepExpiredModeration() {
+    const now = Date.now();
+    try {
+        await db.query('UPDATE users SET is_banned = FALSE, ban_reason = NULL, ban_expires_at = NULL WHERE is_banned = TRUE AND ban_expires_at IS NOT NULL AND ban_expires_at <= ?', [now]);
+        await db.query('UPDATE users SET muted_until = NULL, mute_reason = NULL WHERE muted_until IS NOT NULL AND muted_until <> 0 AND muted_until <= ?', [now]);
+        await db.query('DELETE FROM channel_bans WHERE expires_at IS NOT NULL AND expires_at <= ?', [now]);
+    } catch (e) {
+        console.error('Moderation sweep error:', e);
+    }
+}
+
+function startModerationSweeper() {
+    sweepExpiredModeration();
+    setInterval(sweepExpiredModeration, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    parseDuration,
+    canModerate,
+    isBanActive,
+    describeExpiry,
+    findUserByUsername,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    getActiveMute,
+    banFromChannel,
+    unbanFromChannel,
+    getChannelBans,
+    startModerationSweeper
+};
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const db = require('./db');
+
+// Role hierarchy for global (server-wide) checks
+const ROLE_HIERARCHY = { 'Admin': 3, 'Moderator': 2, 'User': 1, 'Guest': 0 };
+
+// Columns of the channel_permissions table, in matrix display order
+const PERMISSION_FLAGS = ['can_send_messages', 'can_read_history', 'can_manage_messages', 'can_invite', 'can_pin', 'can_mention_everyone'];
+
+// Roles whose per-channel permissions can be overridden. Admins always hold every permission.
+const CONFIGURABLE_ROLES = ['Moderator', 'User'];
+
+// Used when a channel has no channel_permissions row for a role; mirrors the pre-override behaviour.
+const DEFAULT_PERMISSIONS = {
+    'Admin': { can_send_messages: true, can_read_history: true, can_manage_messages: true, can_invite: true, can_pin: true, can_mention_everyone: true },
+    'Moderator': { can_send_messages: true, can_read_history: true, can_manage_messages: true, can_invite: true, can_pin: false, can_mention_everyone: true },
+    'User': { can_send_messages: true, can_read_history: true, can_manage_messages: false, can_invite: true, can_pin: false, can_mention_everyone: false },
+    'Guest': { can_send_messages: false, can_read_history: true, can_manage_messages: false, can_invite: false, can_pin: false, can_mention_everyone: false }
+};
+
+// Emits 'updated' (channelName) whenever a channel's permission matrix changes.
+const permissionEvents = new EventEmitter();
+
+// --- Role Checks ---
+
+/**
+ * Checks if a user has a minimum global role level.
+ * @param {string} userRole The user's role.
+ * @param {string} requiredRole The minimum role required.
+ * @returns {boolean} True if the role is sufficient.
+ */
+function hasRole(userRole, requiredRole) {
+    return (ROLE_HIERARCHY[userRole] || 0) >= ROLE_HIERARCHY[requiredRole];
+}
+
+// --- Resolution ---
+
+/**
+ * Combines the global role, channel ownership and a per-channel override row into effective permissions.
+ * Admins and the channel creator hold every permission and may manage the channel's settings.
+ */
+function computePermissions(role, isCreator, overrideRow) {
+    if (role === 'Admin' || isCreator) {
+        return { ...DEFAULT_PERMISSIONS.Admin, can_manage_channel: true };
+    }
+    const base = DEFAULT_PERMISSIONS[role] || DEFAULT_PERMISSIONS.Guest;
+    const permissions = { can_manage_channel: false };
+    PERMISSION_FLAGS.forEach(flag => {
+        permissions[flag] = overrideRow ? overrideRow[flag] === 1 || overrideRow[flag] === true : base[flag];
+    });
+    return permissions;
+}
+
+/** Loads every override row for a role, keyed by channel name (one query for a whole channel list). */
+async function getRoleOverrides(role) {
+    const rows = await db.query(`SELECT channel_name, ${PERMISSION_FLAGS.join(', ')} FROM channel_permissions WHERE user_role = ?`, [role]);
+    return new Map(rows.map(row => [row.channel_name, row]));
+}
+
+/**
+ * Resolves a user's effective permissions in a single channel.
+ * DM rooms are not configurable: both participants may read and post, nothing more.
+ * @returns {Promise<object|null>} null if the channel does not exist.
+ */
+async function resolveChannelPermissions(userId, role, channelName) {
+    const channels = await db.query('SELECT created_by, is_dm FROM channels WHERE channel_name = ?', [channelName]);
+    if (channels.length === 0) return null;
+    if (channels[0].is_dm) {
+        return { can_send_messages: true, can_read_history: true, can_manage_messages: false, can_invite: false, can_pin: false, can_mention_everyone: false, can_manage_channel: false };
+    }
+    const overrides = await db.query(
+        `SELECT ${PERMISSION_FLAGS.join(', ')} FROM channel_permissions WHERE channel_name = ? AND user_role = ?`,
+        [channelName, role]
+    );
+    return computePermissions(role, channels[0].created_by === userId, overrides[0]);
+}
+
+// --- Permission Matrix ---
+
+/** Returns the effective matrix for a channel: `{ Moderator: { flags..., overridden }, User: {...} }`. */
+async function getPermissionMatrix(channelName) {
+    const rows = await db.query(
+        `SELECT user_role, ${PERMISSION_FLAGS.join(', ')} FROM channel_permissions WHERE channel_name = ?`,
+        [channelName]
+    );
+    const matrix = {};
+    CONFIGURABLE_ROLES.forEach(role => {
+        const row = rows.find(r => r.user_role === role);
+        const { can_manage_channel, ...flags } = computePermissions(role, false, row);
+        matrix[role] = { ...flags, overridden: !!row };
+    });
+    return matrix;
+}
+
+/**
+ * Replaces the override row for one role. Missing flags fall back to the role's defaults.
+ * Passing `null` as flags removes the override so the defaults apply again.
+ * @returns {Promise<object>} The updated matrix.
+ */
+async function setRolePermissions(channelName, role, flags) {
+    if (!CONFIGURABLE_ROLES.includes(role) || (flags !== null && typeof flags !== 'object')) {
+        const error = new Error(`Permissions must be an object of flags, for one of: ${CONFIGURABLE_ROLES.join(', ')}.`);
+        error.code = 'INVALID_PERMISSIONS';
+        throw error;
+    }
+    if (flags === null) {
+        await db.query('DELETE FROM channel_permissions WHERE channel_name = ? AND user_role = ?', [channelName, role]);
+    } else {
+        const values = PERMISSION_FLAGS.map(flag => (flag in flags ? !!flags[flag] : DEFAULT_PERMISSIONS[role][flag]) ? 1 : 0);
+        await db.upsert('channel_permissions', ['channel_name', 'user_role', ...PERMISSION_FLAGS],
+            [[channelName, role, ...values]], ['channel_name', 'user_role'], PERMISSION_FLAGS);
+    }
+    permissionEvents.emit('updated', channelName);
+    return getPermissionMatrix(channelName);
+}
+
+module.exports = {
+    ROLE_HIERARCHY,
+    PERMISSION_FLAGS,
+    CONFIGURABLE_ROLES,
+    permissionEvents,
+    hasRole,
+    computePermissions,
+    getRoleOverrides,
+    resolveChannelPermissions,
+    getPermissionMatrix,
+    setRolePermissions
+};
@@ -0,0 +1,205 @@
+const EventEmitter = require('events');
+const db = require('./db');
+const { parseDuration } = require('./moderation');
+require('dotenv').config();
+
+// Profiles are owned by the server: clients edit them through the profile API and see them in user_presence,
+// profile_updated and /whois. A user without a user_profiles row has an empty profile.
+const STATUS_SWEEP_INTERVAL_MS = 60 * 1000;
+const AVATAR_MIMETYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const LIMITS = { displayName: 40, bio: 500, pronouns: 40, statusText: 100, statusEmoji: 32 };
+const MAX_STATUS_DURATION_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Emits 'updated' (userId, profile) after a profile changes, including when a custom status expires.
+const profileEvents = new EventEmitter();
+
+const PROFILE_QUERY = `
+    SELECT u.user_id, u.username, u.user_role, u.created_at, p.display_name, p.avatar_attachment_id, p.bio, p.pronouns,
+           p.timezone, p.status_text, p.status_emoji, p.status_expires_at, p.updated_at, a.mimetype AS avatar_mimetype
+    FROM users u
+    LEFT JOIN user_profiles p ON p.user_id = u.user_id
+    LEFT JOIN attachments a ON a.attachment_id = p.avatar_attachment_id`;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_PROFILE';
+    return error;
+}
+
+// --- Reading ---
+
+/** A custom status that has not yet expired, or null. */
+function activeStatus(row, now = Date.now()) {
+    if (!row.status_text && !row.status_emoji) return null;
+    const expiresAt = row.status_expires_at !== null && row.status_expires_at !== undefined ? Number(row.status_expires_at) : null;
+    if (expiresAt !== null && expiresAt <= now) return null;
+    return { text: row.status_text || null, emoji: row.status_emoji || null, expiresAt };
+}
+
+/** The profile sent to clients. */
+function toProfile(row) {
+    return {
+        userId: row.user_id,
+        username: row.username,
+        role: row.user_role,
+        displayName: row.display_name || null,
+        avatar: row.avatar_attachment_id ? { id: row.avatar_attachment_id, mimetype: row.avatar_mimetype } : null,
+        bio: row.bio || null,
+        pronouns: row.pronouns || null,
+        timezone: row.timezone || null,
+        customStatus: activeStatus(row),
+        joinedAt: row.created_at || null,
+        updatedAt: row.updated_at ? Number(row.updated_at) : null
+    };
+}
+
+/** The part of a profile carried in user_presence entries. */
+function toPresenceProfile(profile) {
+    return { displayName: profile.displayName, avatar: profile.avatar, customStatus: profile.customStatus };
+}
+
+/** Returns the user's profile, or null if there is no such user. */
+async function getProfile(userId) {
+    const rows = await db.query(`${PROFILE_QUERY} WHERE u.user_id = ?`, [userId]);
+    return rows[0] ? toProfile(rows[0]) : null;
+}
+
+/** Returns the profile of the user with this name (matched case-insensitively), or null. */
+async function getProfileByUsername(username) {
+    const rows = await db.query(`${PROFILE_QUERY} WHERE u.username = ?`, [username]);
+    return rows[0] ? toProfile(rows[0]) : null;
+}
+
+// --- Editing ---
+
+/** Trims an optional text field; '' and null clear it. Only the bio may span several lines. */
+function cleanText(value, field, label) {
+    if (value === null) return null;
+    if (typeof value !== 'string') throw invalid(`${label} must be a string.`);
+    const controlChars = field === 'bio' ? /[\u0000-\u0009\u000b-\u001f\u007f]/g : /[\u0000-\u001f\u007f]/g;
+    const text = value.replace(controlChars, ' ').trim();
+    if (text.length > LIMITS[field]) throw invalid(`${label} can be at most ${LIMITS[field]} characters.`);
+    return text || null;
+}
+
+function cleanTimezone(value) {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string') throw invalid('Timezone must be a string.');
+    try {
+        return new Intl.DateTimeFormat('en-GB', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (e) {
+        throw invalid(`Unknown timezone "${value}". Use an IANA name such as Europe/Berlin or America/New_York.`);
+    }
+}
+
+/** The avatar must be one of the user's own image uploads that has not been posted in a message. */
+async function resolveAvatar(userId, attachmentId, currentAvatarId) {
+    if (attachmentId === null || attachmentId === '') return null;
+    if (typeof attachmentId !== 'string') throw invalid('avatarId must be the ID of an uploaded image.');
+    if (attachmentId === currentAvatarId) return attachmentId;
+    const rows = await db.query(
+        'SELECT mimetype FROM attachments WHERE attachment_id = ? AND uploader_id = ? AND message_id IS NULL',
+        [attachmentId, userId]
+    );
+    if (!rows[0]) throw invalid('Avatar not found: upload an image first, then pass its ID as avatarId.');
+    if (!AVATAR_MIMETYPES.includes(rows[0].mimetype)) throw invalid('An avatar must be a JPEG, PNG or GIF image.');
+    return attachmentId;
+}
+
+/**
+ * Parses a custom status: { text, emoji, expiresIn: '30m'|'4h'|..., expiresAt: epoch ms }, or null to clear it.
+ * Without an expiry the status stays until it is cleared.
+ */
+function cleanStatus(status, now) {
+    if (status === null) return { status_text: null, status_emoji: null, status_expires_at: null };
+    if (typeof status !== 'object' || Array.isArray(status)) throw invalid('status must be an object ({ text, emoji, expiresIn }) or null.');
+    const text = status.text === undefined ? null : cleanText(status.text, 'statusText', 'Status text');
+    const emoji = status.emoji === undefined ? null : cleanText(status.emoji, 'statusEmoji', 'Status emoji');
+    if (!text && !emoji) throw invalid('A custom status needs text and/or an emoji. Pass null to clear it.');
+
+    let expiresAt = null;
+    if (status.expiresIn !== undefined && status.expiresIn !== null) {
+        const ms = parseDuration(String(status.expiresIn).trim());
+        if (!ms) throw invalid(`Invalid expiresIn "${status.expiresIn}". Use a duration like 30m, 4h or 2d.`);
+        expiresAt = now + ms;
+    } else if (status.expiresAt !== undefined && status.expiresAt !== null) {
+        expiresAt = Number(status.expiresAt);
+        if (!Number.isFinite(expiresAt) || expiresAt <= now) throw invalid('expiresAt must be a time in the future (epoch ms).');
+    }
+    if (expiresAt !== null && expiresAt - now > MAX_STATUS_DURATION_MS) throw invalid('A custom status can be set for at most a year.');
+    return { status_text: text, status_emoji: emoji, status_expires_at: expiresAt };
+}
+
+/**
+ * Changes a user's profile. Rejects with code 'INVALID_PROFILE'.
+ * @param {object} changes { displayName, avatarId, bio, pronouns, timezone, status }; a field left out is unchanged, null clears it.
+ * @returns {Promise<object>} The updated profile.
+ */
+async function updateProfile(userId, changes = {}) {
+    const current = (await db.query(`${PROFILE_QUERY} WHERE u.user_id = ?`, [userId]))[0];
+    if (!current) throw invalid('User not found.');
+    const fields = ['displayName', 'avatarId', 'bio', 'pronouns', 'timezone', 'status'];
+    if (!changes || typeof changes !== 'object' || !fields.some(field => changes[field] !== undefined)) {
+        throw invalid(`Nothing to change: give any of ${fields.join(', ')}.`);
+    }
+
+    const now = Date.now();
+    const row = {
+        display_name: current.display_name || null,
+        avatar_attachment_id: current.avatar_attachment_id || null,
+        bio: current.bio || null,
+        pronouns: current.pronouns || null,
+        timezone: current.timezone || null,
+        ...(activeStatus(current, now)
+            ? { status_text: current.status_text, status_emoji: current.status_emoji, status_expires_at: current.status_expires_at }
+            : { status_text: null, status_emoji: null, status_expires_at: null })
+    };
+    if (changes.displayName !== undefined) row.display_name = cleanText(changes.displayName, 'displayName', 'Display name');
+    if (changes.bio !== undefined) row.bio = cleanText(changes.bio, 'bio', 'Bio');
+    if (changes.pronouns !== undefined) row.pronouns = cleanText(changes.pronouns, 'pronouns', 'Pronouns');
+    if (changes.timezone !== undefined) row.timezone = cleanTimezone(changes.timezone);
+    if (changes.avatarId !== undefined) row.avatar_attachment_id = await resolveAvatar(userId, changes.avatarId, current.avatar_attachment_id);
+    if (changes.status !== undefined) Object.assign(row, cleanStatus(changes.status, now));
+
+    const columns = Object.keys(row);
+    await db.upsert('user_profiles', ['user_id', ...columns, 'updated_at'], [[userId, ...Object.values(row), now]],
+        ['user_id'], [...columns, 'updated_at']);
+
+    const profile = await getProfile(userId);
+    profileEvents.emit('updated', userId, profile);
+    return profile;
+}
+
+// --- Status Expiry ---
+
+/** Clears custom statuses that have expired, announcing each as a profile update. */
+async function expireCustomStatuses() {
+    try {
+        const now = Date.now();
+        const expired = await db.query('SELECT user_id, status_expires_at FROM user_profiles WHERE status_expires_at <= ?', [now]);
+        for (const row of expired) {
+            // Only the process whose UPDATE wins announces it, and a status set again meanwhile is left alone
+            const result = await db.query(
+                'UPDATE user_profiles SET status_text = NULL, status_emoji = NULL, status_expires_at = NULL, updated_at = ? WHERE user_id = ? AND status_expires_at = ?',
+                [now, row.user_id, row.status_expires_at]
+            );
+            if (result.affectedRows > 0) profileEvents.emit('updated', row.user_id, await getProfile(row.user_id));
+        }
+    } catch (e) {
+        console.error('Custom status expiry error:', e);
+    }
+}
+
+function startProfileSweeper() {
+    expireCustomStatuses();
+    setInterval(expireCustomStatuses, STATUS_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    profileEvents,
+    toPresenceProfile,
+    getProfile,
+    getProfileByUsername,
+    updateProfile,
+    startProfileSweeper
+};
@@ -0,0 +1,231 @@
+const db = require('./db');
+const auth = require('./auth');
+const { logSystemAction } = require('./audit');
+const { parseDuration } = require('./moderation');
+require('dotenv').config();
+
+// Limits are written `<count>/<period>` (e.g. `10/1m`: bursts of 10, refilled evenly over a minute), or `off`.
+// Buckets live in process memory, so with MESSAGE_BUS=cluster each worker enforces them separately.
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/** REST limits, overridable with RATE_LIMIT_<NAME>_IP / RATE_LIMIT_<NAME>_USER. */
+const REST_LIMITS = {
+    api: { ip: '600/1m', user: '300/1m' }, // Every /api route
+    login: { ip: '10/1m' },
+    register: { ip: '5/1h' },
+    upload: { ip: '30/1m', user: '20/1m' },
+    chunks: { ip: '1200/1m', user: '600/1m' } // Resumable upload chunks, which skip the `api` budget
+};
+
+/** Per-socket WebSocket frame limits by event type, overridable with RATE_LIMIT_WS (`send_message=5/10s,typing_update=off`). */
+const FRAME_LIMITS = {
+    send_message: '10/10s',
+    typing_update: '20/10s',
+    add_reaction: '20/10s',
+    edit_message: '10/10s',
+    delete_message: '10/10s',
+    create_channel: '3/1m',
+    join_channel_by_code: '5/1m',
+    update_channel_permissions: '10/1m',
+    '*': '60/10s' // Every other frame type
+};
+const FRAME_GROUPS = { send_dm: 'send_message', remove_reaction: 'add_reaction' }; // Frame types that share a bucket
+
+// Rejected frames a socket may send before it is disconnected (RATE_LIMIT_WS_STRIKES)
+const FLOOD_STRIKES = process.env.RATE_LIMIT_WS_STRIKES || '10/1m';
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5; // Failed logins within LOCKOUT_MS
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 15 * 60 * 1000;
+
+// --- Token Buckets ---
+
+/** Parses `10/1m` into `{ capacity, periodMs }`. Returns null for `off`; throws on anything else. */
+function parseRate(spec) {
+    if (String(spec).trim().toLowerCase() === 'off') return null;
+    const match = /^(\d+)\/(\w+)$/.exec(String(spec).trim());
+    const periodMs = match && parseDuration(match[2]);
+    if (!match || !periodMs || parseInt(match[1], 10) < 1) throw new Error(`Invalid rate limit "${spec}". Use <count>/<period>, e.g. 10/1m, or off.`);
+    return { capacity: parseInt(match[1], 10), periodMs };
+}
+
+/** Formats a wait for user-facing messages. */
+function describeWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 120 ? `${seconds}s` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+class TokenBucket {
+    constructor({ capacity, periodMs }) {
+        this.capacity = capacity;
+        this.refillPerMs = capacity / periodMs;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /** Takes a token. Returns 0 if one was available, otherwise how many ms until one will be. */
+    take() {
+        const now = Date.now();
+        this.refill(now);
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    isFull() {
+        this.refill(Date.now());
+        return this.tokens >= this.capacity;
+    }
+}
+
+/** A bucket per key (IP address, user ID, ...) for one rate. Full buckets are dropped periodically. */
+function createKeyedLimiter(rate) {
+    const buckets = new Map();
+    setInterval(() => {
+        buckets.forEach((bucket, key) => { if (bucket.isFull()) buckets.delete(key); });
+    }, PRUNE_INTERVAL_MS).unref();
+
+    return {
+        /** Returns 0 if the request may proceed, otherwise the ms to wait. */
+        take(key) {
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = new TokenBucket(rate);
+                buckets.set(key, bucket);
+            }
+            return bucket.take();
+        }
+    };
+}
+
+// --- REST ---
+
+function envRate(name, scope, fallback) {
+    const value = process.env[`RATE_LIMIT_${name.toUpperCase()}_${scope.toUpperCase()}`];
+    return parseRate(value || fallback);
+}
+
+/**
+ * Express middleware enforcing a REST_LIMITS entry per client IP and, when the request carries
+ * a validly signed token, per user. Answers 429 with a Retry-After header once a bucket is empty.
+ */
+function limitRequests(name) {
+    const limits = REST_LIMITS[name];
+    const ipRate = limits.ip && envRate(name, 'ip', limits.ip);
+    const userRate = limits.user && envRate(name, 'user', limits.user);
+    const byIp = ipRate && createKeyedLimiter(ipRate);
+    const byUser = userRate && createKeyedLimiter(userRate);
+
+    return (req, res, next) => {
+        let waitMs = byIp ? byIp.take(req.ip) : 0;
+        if (!waitMs && byUser) {
+            const userId = auth.getTokenUserId(auth.getRequestToken(req));
+            if (userId) waitMs = byUser.take(userId);
+        }
+        if (waitMs) {
+            res.setHeader('Retry-After', Math.ceil(waitMs / 1000));
+            return res.status(429).json({ error: `Too many requests. Try again in ${describeWait(waitMs)}.`, retryAfter: Math.ceil(waitMs / 1000) });
+        }
+        next();
+    };
+}
+
+// --- WebSocket Frames ---
+
+function loadFrameRates() {
+    const specs = { ...FRAME_LIMITS };
+    (process.env.RATE_LIMIT_WS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [type, spec] = entry.split('=').map(part => part.trim());
+        specs[type] = spec;
+    });
+    const rates = {};
+    Object.entries(specs).forEach(([type, spec]) => { rates[type] = parseRate(spec); });
+    return rates;
+}
+
+const frameRates = loadFrameRates();
+const strikeRate = parseRate(FLOOD_STRIKES);
+
+/**
+ * Per-socket frame limiter. check(type) returns `{ allowed: true }`, or `{ allowed: false, retryAfterMs, disconnect }`
+ * where `disconnect` is set once the socket has used up its strikes (rejected frames) and should be dropped.
+ */
+function createFrameLimiter() {
+    const buckets = new Map(); // bucket key -> TokenBucket (bounded by the keys of frameRates)
+    const strikes = strikeRate && new TokenBucket(strikeRate);
+
+    return {
+        check(type) {
+            const grouped = Object.hasOwn(FRAME_GROUPS, type) ? FRAME_GROUPS[type] : type;
+            const key = Object.hasOwn(frameRates, grouped) ? grouped : '*';
+            const rate = frameRates[key];
+            if (!rate) return { allowed: true };
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = new TokenBucket(rate);
+                buckets.set(key, bucket);
+            }
+            const retryAfterMs = bucket.take();
+            if (!retryAfterMs) return { allowed: true };
+            return { allowed: false, retryAfterMs, disconnect: !!strikes && strikes.take() > 0 };
+        }
+    };
+}
+
+// --- Login Lockout ---
+
+/** The time until which an account is locked after failed logins, or null. */
+async function getLockout(userId) {
+    const rows = await db.query('SELECT locked_until FROM login_failures WHERE user_id = ?', [userId]);
+    const lockedUntil = rows[0] && rows[0].locked_until && Number(rows[0].locked_until);
+    return lockedUntil && lockedUntil > Date.now() ? lockedUntil : null;
+}
+
+/**
+ * Counts a failed login. LOCKOUT_THRESHOLD failures within LOCKOUT_MS lock the account for LOCKOUT_MS;
+ * the lockout is written to audit_logs. Returns the lock expiry if this failure locked the account.
+ */
+async function recordLoginFailure(user, ip) {
+    const now = Date.now();
+    const rows = await db.query('SELECT failed_attempts, first_failed_at FROM login_failures WHERE user_id = ?', [user.user_id]);
+    const inWindow = rows[0] && Number(rows[0].first_failed_at) > now - LOCKOUT_MS;
+    const attempts = inWindow ? Number(rows[0].failed_attempts) + 1 : 1;
+    const firstFailedAt = inWindow ? Number(rows[0].first_failed_at) : now;
+    const lockedUntil = attempts >= LOCKOUT_THRESHOLD ? now + LOCKOUT_MS : null;
+
+    // A lockout restarts the count, so failures after it lapses start a fresh window
+    await db.upsert('login_failures', ['user_id', 'failed_attempts', 'first_failed_at', 'locked_until'],
+        [[user.user_id, lockedUntil ? 0 : attempts, lockedUntil ? now : firstFailedAt, lockedUntil]],
+        ['user_id'], ['failed_attempts', 'first_failed_at', 'locked_until']);
+
+    if (lockedUntil) {
+        // The server locks the account, so the entry is the system's; the user is only its target
+        await logSystemAction('ACCOUNT_LOCKOUT', {
+            targetId: user.user_id,
+            details: { targetUsername: user.username, ip, failedAttempts: attempts, lockedUntil }
+        });
+    }
+    return lockedUntil;
+}
+
+/** Forgets failed logins after a successful one. */
+async function clearLoginFailures(userId) {
+    await db.query('DELETE FROM login_failures WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+    parseRate,
+    describeWait,
+    limitRequests,
+    createFrameLimiter,
+    getLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,102 @@
+const db = require('./db');
+
+// A user's read position in a room is their newest read receipt there. Receipts are only ever added, so the
+// position only moves forward (a stale tab can't rewind another device's progress), and if the newest receipt's
+// message is deleted the position falls back to the one before it.
+
+// Each row is a room with the user's newest read receipt in it (needs the user ID as its parameter)
+const READ_POSITIONS_SQL = `
+    SELECT rm.channel_name, MAX(rm.timestamp) AS last_read_timestamp
+    FROM read_receipts rr JOIN messages rm ON rm.id = rr.message_id
+    WHERE rr.user_id = ?
+    GROUP BY rm.channel_name`;
+
+// --- Read Positions ---
+
+/**
+ * Records that a user has read a room up to (and including) a message, clearing mentions up to that point.
+ * @returns {Promise<boolean>} false if the message does not belong to the room.
+ */
+async function markRead(userId, roomName, messageId) {
+    const rows = await db.query('SELECT id, timestamp FROM messages WHERE id = ? AND channel_name = ?', [messageId, roomName]);
+    if (rows.length === 0) return false;
+    const { timestamp } = rows[0];
+
+    await db.insertIgnore('read_receipts', ['message_id', 'user_id'], [[messageId, userId]]);
+    await db.query(
+        `UPDATE mentions SET is_read = 1
+         WHERE user_id = ? AND channel_name = ? AND is_read = 0
+           AND message_id IN (SELECT id FROM messages WHERE channel_name = ? AND timestamp <= ?)`,
+        [userId, roomName, roomName, timestamp]
+    );
+    return true;
+}
+
+/** Returns the user's last-read position in a room, or null if they have never marked it read. */
+async function getReadPosition(userId, roomName) {
+    const rows = await db.query(
+        `SELECT m.id, m.timestamp FROM read_receipts r JOIN messages m ON m.id = r.message_id
+         WHERE r.user_id = ? AND m.channel_name = ?
+         ORDER BY m.timestamp DESC LIMIT 1`,
+        [userId, roomName]
+    );
+    if (rows.length === 0) return null;
+    return { messageId: rows[0].id, timestamp: Number(rows[0].timestamp) };
+}
+
+// --- Unread Counts ---
+
+/**
+ * Counts unread messages and unread mentions per room (one grouped query each).
+ * Thread replies are excluded from the message count; followers hear about them separately.
+ * Rooms the user has never opened count from their account creation, not from the beginning of time.
+ * @returns {Promise<Map<string, {unread: number, mentions: number}>>}
+ */
+async function getUnreadCounts(userId, roomNames) {
+    const counts = new Map(roomNames.map(name => [name, { unread: 0, mentions: 0 }]));
+    if (roomNames.length === 0) return counts;
+
+    const users = await db.query('SELECT created_at FROM users WHERE user_id = ?', [userId]);
+    if (users.length === 0) return counts;
+    const baseline = new Date(users[0].created_at).getTime() || 0;
+    const placeholders = roomNames.map(() => '?').join(', ');
+
+    const rows = await db.query(
+        `SELECT m.channel_name, COUNT(*) AS unread
+         FROM messages m
+         LEFT JOIN (${READ_POSITIONS_SQL}) r ON r.channel_name = m.channel_name
+         WHERE m.channel_name IN (${placeholders})
+           AND m.author_id <> ? AND m.is_system = 0 AND m.parent_message_id IS NULL
+           AND m.timestamp > COALESCE(r.last_read_timestamp, ?)
+         GROUP BY m.channel_name`,
+        [userId, ...roomNames, userId, baseline]
+    );
+    rows.forEach(row => { counts.get(row.channel_name).unread = Number(row.unread); });
+
+    const mentionRows = await db.query(
+        `SELECT channel_name, COUNT(*) AS mentions FROM mentions
+         WHERE user_id = ? AND is_read = 0 AND channel_name IN (${placeholders})
+         GROUP BY channel_name`,
+        [userId, ...roomNames]
+    );
+    mentionRows.forEach(row => { counts.get(row.channel_name).mentions = Number(row.mentions); });
+    return counts;
+}
+
+/** Decorates channel list entries (`{ name }`) with `unread` and `mentions` counts. */
+async function withUnreadCounts(userId, channels) {
+    try {
+        const counts = await getUnreadCounts(userId, channels.map(c => c.name));
+        return channels.map(c => ({ ...c, ...counts.get(c.name) }));
+    } catch (e) {
+        console.error("DB ERROR in withUnreadCounts:", e.message, e);
+        return channels.map(c => ({ ...c, unread: 0, mentions: 0 }));
+    }
+}
+
+module.exports = {
+    markRead,
+    getReadPosition,
+    getUnreadCounts,
+    withUnreadCounts
+};
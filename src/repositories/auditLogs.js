@@ -0,0 +1,64 @@
+const db = require('../db');
+
+async function insert({ actionType, actorId, targetId = null, details = null }) {
+    await db.query('INSERT INTO audit_logs (action_type, actor_id, target_id, details) VALUES (?, ?, ?, ?)',
+        [actionType, actorId, targetId, details ? JSON.stringify(details) : null]);
+}
+
+/**
+ * Moves a user's entries to another actor (the system account) before the user is deleted, keeping who acted
+ * as `details.deletedActor` ({ userId, username }).
+ */
+async function reassignActor(userId, username, toActorId) {
+    const result = await db.query(
+        `UPDATE audit_logs SET actor_id = ?,
+             details = JSON_SET(COALESCE(details, JSON_OBJECT()), '$.deletedActor', JSON_OBJECT('userId', ?, 'username', ?))
+         WHERE actor_id = ?`,
+        [toActorId, userId, username, userId]
+    );
+    return result.affectedRows;
+}
+
+/** Builds the WHERE clause for find(); `from`/`to` are epoch milliseconds. */
+function buildFilter({ actionType, actor, target, from = null, to = null }) {
+    const where = ['1 = 1'];
+    const params = [];
+    if (actionType) { where.push('a.action_type = ?'); params.push(actionType); }
+    if (actor) {
+        where.push(`(a.actor_id = ? OR u.username = ? OR ${db.jsonText('a.details', '$.deletedActor.userId')} = ? OR ${db.jsonText('a.details', '$.deletedActor.username')} = ?)`);
+        params.push(actor, actor, actor, actor);
+    }
+    if (target) {
+        where.push(`(a.target_id = ? OR ${db.jsonText('a.details', '$.room')} = ? OR ${db.jsonText('a.details', '$.targetUsername')} = ?)`);
+        params.push(target, target, target);
+    }
+    if (from !== null) { where.push('a.action_time >= ?'); params.push(new Date(from)); }
+    if (to !== null) { where.push('a.action_time <= ?'); params.push(new Date(to)); }
+    return { whereSql: where.join(' AND '), params };
+}
+
+/**
+ * Lists log rows (with the actor's username, or the name a since deleted actor had), newest first.
+ * @param {object} filters { actionType, actor (user ID or username), target (ID or channel name), from, to }
+ * @returns {Promise<{rows: object[], total: number}>}
+ */
+async function find(filters, { limit, offset = 0 }) {
+    const { whereSql, params } = buildFilter(filters);
+    const fromSql = `FROM audit_logs a LEFT JOIN users u ON u.user_id = a.actor_id WHERE ${whereSql}`;
+    const countRows = await db.query(`SELECT COUNT(*) AS total ${fromSql}`, params);
+
+    const rows = await db.query(
+        `SELECT a.log_id, a.action_type, a.actor_id, COALESCE(${db.jsonText('a.details', '$.deletedActor.username')}, u.username) AS actor_username, a.target_id, a.details, a.action_time
+         ${fromSql}
+         ORDER BY a.action_time DESC, a.log_id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        params
+    );
+    return { rows, total: Number(countRows[0].total) };
+}
+
+module.exports = {
+    insert,
+    reassignActor,
+    find
+};
@@ -0,0 +1,53 @@
+const db = require('../db');
+
+/** Returns the channel row, or null. */
+async function find(channelName) {
+    const rows = await db.query(
+        'SELECT channel_name, is_private, is_dm, invite_code, created_by, pinned_message_id FROM channels WHERE channel_name = ?',
+        [channelName]
+    );
+    return rows[0] || null;
+}
+
+async function findByInviteCode(inviteCode) {
+    const rows = await db.query('SELECT channel_name, is_private FROM channels WHERE invite_code = ?', [inviteCode]);
+    return rows[0] || null;
+}
+
+/** Creates a channel. Rejects with a duplicate-key error (see db.isDuplicateKeyError) if the name is taken. */
+async function create({ name, isPrivate, inviteCode = null, createdBy }) {
+    await db.query(
+        'INSERT INTO channels (channel_name, is_private, invite_code, created_by) VALUES (?, ?, ?, ?)',
+        [name, isPrivate ? 1 : 0, inviteCode, createdBy]
+    );
+}
+
+/** Creates a DM room unless it already exists. */
+async function createDm(roomName, createdBy) {
+    await db.insertIgnore('channels', ['channel_name', 'is_private', 'is_dm', 'created_by'], [[roomName, 1, 1, createdBy]]);
+}
+
+/** Deletes a channel; its messages, members, reactions and permissions cascade. */
+async function remove(channelName) {
+    await db.query('DELETE FROM channels WHERE channel_name = ?', [channelName]);
+}
+
+/** Pins a message in the channel, or clears the pin when messageId is null. */
+async function setPinnedMessage(channelName, messageId) {
+    await db.query('UPDATE channels SET pinned_message_id = ? WHERE channel_name = ?', [messageId, channelName]);
+}
+
+/** Clears the channel's pin only if it points at the given message (e.g. after that message is deleted). */
+async function clearPinIfMessage(channelName, messageId) {
+    await db.query('UPDATE channels SET pinned_message_id = NULL WHERE channel_name = ? AND pinned_message_id = ?', [channelName, messageId]);
+}
+
+module.exports = {
+    find,
+    findByInviteCode,
+    create,
+    createDm,
+    remove,
+    setPinnedMessage,
+    clearPinIfMessage
+};
@@ -0,0 +1,14 @@
+/**
+ * Data-access layer for the core tables. Request handlers go through these repositories instead of
+ * writing SQL, so the same handler code runs on every DB_CLIENT backend (see db.js).
+ * Feature modules with specialized queries (history paging, search, unread counts...) keep their own
+ * SQL, written to run on every backend.
+ */
+module.exports = {
+    users: require('./users'),
+    channels: require('./channels'),
+    members: require('./members'),
+    messages: require('./messages'),
+    reactions: require('./reactions'),
+    auditLogs: require('./auditLogs')
+};
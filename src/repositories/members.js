@@ -0,0 +1,16 @@
+const db = require('../db');
+
+/** Adds users to a private channel or DM. Existing memberships are left alone. */
+async function add(channelName, userIds) {
+    await db.insertIgnore('channel_members', ['channel_name', 'user_id'], userIds.map(userId => [channelName, userId]));
+}
+
+async function listUserIds(channelName) {
+    const rows = await db.query('SELECT user_id FROM channel_members WHERE channel_name = ?', [channelName]);
+    return rows.map(row => row.user_id);
+}
+
+module.exports = {
+    add,
+    listUserIds
+};
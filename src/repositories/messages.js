@@ -0,0 +1,55 @@
+const db = require('../db');
+
+/** Stores a new message. The attachment (if any) is kept as JSON. */
+async function create({ id, channelName, authorId, authorUsername, content, timestamp, attachment = null, parentId = null, isThreadRoot = true }) {
+    await db.query(
+        'INSERT INTO messages (id, channel_name, author_id, author_username, content, timestamp, attachment_metadata, parent_message_id, is_thread_root) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [id, channelName, authorId, authorUsername, content, timestamp, attachment ? JSON.stringify(attachment) : null, parentId, isThreadRoot ? 1 : 0]
+    );
+}
+
+async function findById(messageId) {
+    const rows = await db.query('SELECT * FROM messages WHERE id = ?', [messageId]);
+    return rows[0] || null;
+}
+
+/** Returns the message row only if it belongs to the room, or null. */
+async function findInRoom(messageId, roomName) {
+    const rows = await db.query('SELECT * FROM messages WHERE id = ? AND channel_name = ?', [messageId, roomName]);
+    return rows[0] || null;
+}
+
+/** Returns the message if it is a thread root (not itself a reply), or null. */
+async function findThreadRoot(messageId) {
+    const rows = await db.query('SELECT id, channel_name, author_id FROM messages WHERE id = ? AND parent_message_id IS NULL', [messageId]);
+    return rows[0] || null;
+}
+
+/** Replaces a message's text, first keeping the text it had in message_versions. `editor` is `{ id, username }`. */
+async function updateContent(messageId, content, editedTimestamp, editor) {
+    await db.query(
+        'INSERT INTO message_versions (message_id, content, edited_by, edited_by_username, edited_at) SELECT id, content, ?, ?, ? FROM messages WHERE id = ?',
+        [editor.id, editor.username, editedTimestamp, messageId]
+    );
+    await db.query('UPDATE messages SET content = ?, edited = 1, edited_timestamp = ? WHERE id = ?', [content, editedTimestamp, messageId]);
+}
+
+/** The texts a message had before each of its edits, oldest first. */
+async function findVersions(messageId) {
+    return db.query('SELECT content, edited_by, edited_by_username, edited_at FROM message_versions WHERE message_id = ? ORDER BY version_id', [messageId]);
+}
+
+/** Deletes a message; its reactions, mentions and receipts cascade, and its replies are detached. */
+async function remove(messageId) {
+    await db.query('DELETE FROM messages WHERE id = ?', [messageId]);
+}
+
+module.exports = {
+    create,
+    findById,
+    findInRoom,
+    findThreadRoot,
+    updateContent,
+    findVersions,
+    remove
+};
@@ -0,0 +1,25 @@
+const db = require('../db');
+
+/** Adds a reaction; reacting twice with the same emoji is a no-op. */
+async function add(messageId, userId, emoji) {
+    await db.insertIgnore('reactions', ['message_id', 'user_id', 'emoji'], [[messageId, userId, emoji]]);
+}
+
+async function remove(messageId, userId, emoji) {
+    await db.query('DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND emoji = ?', [messageId, userId, emoji]);
+}
+
+/** Reaction rows (`{ message_id, user_id, emoji }`) for many messages in a single query. */
+async function listForMessages(messageIds) {
+    if (messageIds.length === 0) return [];
+    return db.query(
+        `SELECT message_id, user_id, emoji FROM reactions WHERE message_id IN (${messageIds.map(() => '?').join(', ')})`,
+        messageIds
+    );
+}
+
+module.exports = {
+    add,
+    remove,
+    listForMessages
+};
@@ -0,0 +1,87 @@
+const db = require('../db');
+
+async function create({ userId, username, passwordHash, role }) {
+    await db.query(
+        'INSERT INTO users (user_id, username, password_hash, user_role) VALUES (?, ?, ?, ?)',
+        [userId, username, passwordHash, role]
+    );
+}
+
+/** Returns the full user row (including the password hash), or null. */
+async function findById(userId) {
+    const rows = await db.query('SELECT * FROM users WHERE user_id = ?', [userId]);
+    return rows[0] || null;
+}
+
+/** Returns the full user row (including the password hash), or null. Usernames match case-insensitively. */
+async function findByUsername(username) {
+    const rows = await db.query('SELECT * FROM users WHERE username = ?', [username]);
+    return rows[0] || null;
+}
+
+async function setLastLoginIp(userId, ip) {
+    await db.query('UPDATE users SET last_login_ip = ? WHERE user_id = ?', [ip, userId]);
+}
+
+async function setStatus(userId, status) {
+    await db.query('UPDATE users SET current_status = ? WHERE user_id = ?', [status, userId]);
+}
+
+/** Remembers the room a user is in, so their next login reopens it. */
+async function setLastSeenChannel(userId, channelName) {
+    await db.query('UPDATE users SET last_seen_channel = ? WHERE user_id = ?', [channelName, userId]);
+}
+
+async function setRole(userId, role) {
+    await db.query('UPDATE users SET user_role = ? WHERE user_id = ?', [role, userId]);
+}
+
+async function setPasswordHash(userId, passwordHash) {
+    await db.query('UPDATE users SET password_hash = ? WHERE user_id = ?', [passwordHash, userId]);
+}
+
+/** Deletes the account; their messages, memberships, sessions and uploads go with it (ON DELETE CASCADE). */
+async function remove(userId) {
+    const result = await db.query('DELETE FROM users WHERE user_id = ?', [userId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Lists accounts by username, with whether each is disabled and how many sessions it has open.
+ * @param {object} filters { userId, search (part of the username), role, excludeIds }
+ * @returns {Promise<{rows: object[], total: number}>}
+ */
+async function find({ userId = null, search = null, role = null, excludeIds = [] } = {}, { limit, offset = 0 }) {
+    const where = ['1 = 1'];
+    const params = [];
+    if (userId) { where.push('u.user_id = ?'); params.push(userId); }
+    if (search) { where.push("u.username LIKE ? ESCAPE '!'"); params.push(`%${String(search).replace(/[!%_]/g, '!$&')}%`); }
+    if (role) { where.push('u.user_role = ?'); params.push(role); }
+    excludeIds.forEach(id => { where.push('u.user_id <> ?'); params.push(id); });
+    const fromSql = `FROM users u LEFT JOIN disabled_accounts d ON d.user_id = u.user_id WHERE ${where.join(' AND ')}`;
+    const countRows = await db.query(`SELECT COUNT(*) AS total ${fromSql}`, params);
+
+    const rows = await db.query(
+        `SELECT u.user_id, u.username, u.user_role, u.created_at, u.last_login_ip, u.is_banned, u.ban_expires_at,
+                d.reason AS disabled_reason, d.disabled_at,
+                (SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.user_id AND s.revoked = 0 AND s.expires_at > ?) AS active_sessions
+         ${fromSql}
+         ORDER BY u.username
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        [Date.now(), ...params]
+    );
+    return { rows, total: Number(countRows[0].total) };
+}
+
+module.exports = {
+    create,
+    findById,
+    findByUsername,
+    find,
+    setRole,
+    setPasswordHash,
+    remove,
+    setLastLoginIp,
+    setStatus,
+    setLastSeenChannel
+};
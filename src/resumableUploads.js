@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const attachments = require('./attachments');
+require('dotenv').config();
+
+const CHUNK_DIR = path.join(attachments.UPLOAD_DIR, '.chunks'); // One directory of numbered chunk files per upload
+const MAX_RESUMABLE_SIZE = parseInt(process.env.UPLOAD_MAX_RESUMABLE_BYTES, 10) || 2 * 1024 * 1024 * 1024; // 2GB
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = parseInt(process.env.UPLOAD_MAX_CHUNK_BYTES, 10) || 16 * 1024 * 1024; // 16MB
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_CHUNKS = 10000;
+const SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000; // Abandoned uploads are dropped after a day
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+const SESSION_COLUMNS = 'upload_id, uploader_id, original_name, mimetype, size, chunk_size, sha256, assembling, created_at, expires_at';
+
+// --- Helpers ---
+
+const uploadError = attachments.attachmentError;
+
+function chunkCount(session) {
+    return Math.max(Math.ceil(Number(session.size) / Number(session.chunk_size)), 1);
+}
+
+/** Expected byte length of chunk `index` (every chunk is chunk_size long except the last). */
+function chunkLength(session, index) {
+    const size = Number(session.size);
+    const chunkSize = Number(session.chunk_size);
+    return index === chunkCount(session) - 1 ? size - index * chunkSize : chunkSize;
+}
+
+/** Indexes of the chunks stored so far. A chunk file only appears once it has been verified. */
+function listReceivedChunks(uploadId) {
+    const dir = path.join(CHUNK_DIR, uploadId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => /^\d+$/.test(name)).map(Number).sort((a, b) => a - b);
+}
+
+/** Collapses sorted indexes into `[[first, last], ...]` ranges. */
+function toRanges(indexes) {
+    const ranges = [];
+    indexes.forEach(index => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === index - 1) last[1] = index;
+        else ranges.push([index, index]);
+    });
+    return ranges;
+}
+
+/** The upload's progress as sent to clients. */
+function describeSession(session) {
+    const received = listReceivedChunks(session.upload_id);
+    const receivedBytes = received.reduce((sum, index) => sum + chunkLength(session, index), 0);
+    return {
+        uploadId: session.upload_id,
+        filename: session.original_name,
+        mimetype: session.mimetype,
+        size: Number(session.size),
+        sha256: session.sha256,
+        chunkSize: Number(session.chunk_size),
+        totalChunks: chunkCount(session),
+        received: toRanges(received),
+        receivedBytes,
+        expiresAt: Number(session.expires_at)
+    };
+}
+
+async function removeSession(uploadId) {
+    await db.query('DELETE FROM upload_sessions WHERE upload_id = ?', [uploadId]);
+    await fs.promises.rm(path.join(CHUNK_DIR, uploadId), { recursive: true, force: true });
+}
+
+// --- Protocol ---
+
+/**
+ * Starts a resumable upload. Rejects with code 'INVALID_UPLOAD' or 'QUOTA_EXCEEDED'.
+ * @param {object} options { filename, mimetype, size, sha256 (of the whole file, hex), chunkSize }
+ * @returns {Promise<object>} The session, see describeSession().
+ */
+async function createUploadSession(uploaderId, { filename, mimetype, size, sha256, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    const fileSize = Number(size);
+    const chunkBytes = Number(chunkSize);
+    if (typeof filename !== 'string' || filename.trim().length === 0) throw uploadError('INVALID_UPLOAD', 'filename is required.');
+    if (!attachments.ALLOWED_MIMETYPES.includes(mimetype)) throw uploadError('INVALID_UPLOAD', `Unsupported file type: ${mimetype}. Allowed: images, PDFs, text.`);
+    if (!Number.isSafeInteger(fileSize) || fileSize < 1) throw uploadError('INVALID_UPLOAD', 'size must be a positive number of bytes.');
+    if (fileSize > MAX_RESUMABLE_SIZE) throw uploadError('INVALID_UPLOAD', `File too large. Max size: ${attachments.formatBytes(MAX_RESUMABLE_SIZE)}.`);
+    if (typeof sha256 !== 'string' || !SHA256_PATTERN.test(sha256)) throw uploadError('INVALID_UPLOAD', 'sha256 must be the hex SHA-256 of the whole file.');
+    if (!Number.isSafeInteger(chunkBytes) || chunkBytes < MIN_CHUNK_SIZE || chunkBytes > MAX_CHUNK_SIZE) {
+        throw uploadError('INVALID_UPLOAD', `chunkSize must be between ${attachments.formatBytes(MIN_CHUNK_SIZE)} and ${attachments.formatBytes(MAX_CHUNK_SIZE)}.`);
+    }
+    if (Math.ceil(fileSize / chunkBytes) > MAX_CHUNKS) throw uploadError('INVALID_UPLOAD', `Too many chunks; use chunks of at least ${attachments.formatBytes(Math.ceil(fileSize / MAX_CHUNKS))}.`);
+    // Checked again on completion; this only spares the client a pointless transfer
+    await attachments.assertQuota(uploaderId, fileSize);
+
+    const now = Date.now();
+    const session = {
+        upload_id: crypto.randomUUID(),
+        uploader_id: uploaderId,
+        original_name: path.basename(filename).substring(0, 255),
+        mimetype,
+        size: fileSize,
+        chunk_size: chunkBytes,
+        sha256: sha256.toLowerCase(),
+        assembling: 0,
+        created_at: now,
+        expires_at: now + SESSION_TTL_MS
+    };
+    await db.query(`INSERT INTO upload_sessions (${SESSION_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, Object.values(session));
+    await fs.promises.mkdir(path.join(CHUNK_DIR, session.upload_id), { recursive: true });
+    return describeSession(session);
+}
+
+/** The caller's upload session, or null if it does not exist, has expired or belongs to someone else. */
+async function findUploadSession(uploadId, uploaderId) {
+    const rows = await db.query(`SELECT ${SESSION_COLUMNS} FROM upload_sessions WHERE upload_id = ? AND uploader_id = ? AND expires_at > ?`, [uploadId, uploaderId, Date.now()]);
+    return rows[0] || null;
+}
+
+async function getUploadStatus(uploadId, uploaderId) {
+    const session = await findUploadSession(uploadId, uploaderId);
+    return session ? describeSession(session) : null;
+}
+
+/**
+ * Stores chunk `index` after checking its length and SHA-256. Re-sending a chunk replaces it.
+ * Rejects with code 'INVALID_CHUNK'. Returns the updated progress, or null if the session is unknown.
+ */
+async function storeChunk(uploadId, uploaderId, index, data, sha256) {
+    const session = await findUploadSession(uploadId, uploaderId);
+    if (!session) return null;
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= chunkCount(session)) {
+        throw uploadError('INVALID_CHUNK', `Chunk index must be between 0 and ${chunkCount(session) - 1}.`);
+    }
+    if (!Buffer.isBuffer(data) || data.length !== chunkLength(session, chunkIndex)) {
+        throw uploadError('INVALID_CHUNK', `Chunk ${chunkIndex} must be ${chunkLength(session, chunkIndex)} bytes, got ${Buffer.isBuffer(data) ? data.length : 0}.`);
+    }
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (typeof sha256 !== 'string' || actual !== sha256.toLowerCase()) {
+        throw uploadError('INVALID_CHUNK', `Chunk ${chunkIndex} failed its checksum; send it again.`);
+    }
+
+    // Written under a temporary name and renamed, so a chunk file is never seen half-written
+    const dir = path.join(CHUNK_DIR, uploadId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const partial = path.join(dir, `${chunkIndex}.${crypto.randomUUID()}.part`);
+    await fs.promises.writeFile(partial, data);
+    await fs.promises.rename(partial, path.join(dir, String(chunkIndex)));
+    await db.query('UPDATE upload_sessions SET expires_at = ? WHERE upload_id = ?', [Date.now() + SESSION_TTL_MS, uploadId]);
+    return describeSession(session);
+}
+
+/**
+ * Assembles the chunks, verifies the file against the checksum given when the upload started and stores it
+ * like a single-request upload. Rejects with code 'UPLOAD_INCOMPLETE' (with `missing` ranges), 'CHECKSUM_MISMATCH'
+ * (the session is discarded) or 'QUOTA_EXCEEDED'. Returns the attachment metadata, or null if the session is unknown.
+ */
+async function completeUpload(uploadId, uploaderId) {
+    const session = await findUploadSession(uploadId, uploaderId);
+    if (!session) return null;
+
+    const received = new Set(listReceivedChunks(uploadId));
+    const missing = [];
+    for (let index = 0; index < chunkCount(session); index++) if (!received.has(index)) missing.push(index);
+    if (missing.length > 0) {
+        const error = uploadError('UPLOAD_INCOMPLETE', `Upload incomplete: ${missing.length} of ${chunkCount(session)} chunks are missing.`);
+        error.missing = toRanges(missing);
+        throw error;
+    }
+
+    const claimed = await db.query('UPDATE upload_sessions SET assembling = 1 WHERE upload_id = ? AND assembling = 0', [uploadId]);
+    if (claimed.affectedRows === 0) throw uploadError('UPLOAD_INCOMPLETE', 'This upload is already being completed.');
+
+    const assembled = path.join(attachments.INCOMING_DIR, `${uploadId}.assembled`);
+    try {
+        const output = fs.createWriteStream(assembled);
+        for (let index = 0; index < chunkCount(session); index++) {
+            const data = await fs.promises.readFile(path.join(CHUNK_DIR, uploadId, String(index)));
+            if (!output.write(data)) await new Promise(resolve => output.once('drain', resolve));
+        }
+        await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+        const fileData = await attachments.storeUpload(
+            { path: assembled, originalname: session.original_name, mimetype: session.mimetype, size: Number(session.size) },
+            uploaderId,
+            { expectedSha256: session.sha256 }
+        );
+        await removeSession(uploadId);
+        return fileData;
+    } catch (e) {
+        await fs.promises.unlink(assembled).catch(() => {});
+        // A file that does not match its checksum cannot be repaired chunk by chunk; anything else may be retried
+        if (e.code === 'CHECKSUM_MISMATCH') await removeSession(uploadId);
+        else await db.query('UPDATE upload_sessions SET assembling = 0 WHERE upload_id = ?', [uploadId]);
+        throw e;
+    }
+}
+
+/** Cancels an upload and deletes its chunks. Returns false if the session is unknown. */
+async function abortUpload(uploadId, uploaderId) {
+    const session = await findUploadSession(uploadId, uploaderId);
+    if (!session) return false;
+    await removeSession(uploadId);
+    return true;
+}
+
+// --- Sweeper ---
+
+/** Drops expired sessions and chunk directories left without a session. */
+async function sweepExpiredUploads() {
+    try {
+        const expired = await db.query('SELECT upload_id FROM upload_sessions WHERE expires_at <= ?', [Date.now()]);
+        for (const row of expired) await removeSession(row.upload_id);
+
+        if (!fs.existsSync(CHUNK_DIR)) return;
+        const live = new Set((await db.query('SELECT upload_id FROM upload_sessions', [])).map(r => r.upload_id));
+        const cutoff = Date.now() - SESSION_TTL_MS;
+        for (const name of fs.readdirSync(CHUNK_DIR)) {
+            const dir = path.join(CHUNK_DIR, name);
+            if (!live.has(name) && fs.statSync(dir).mtimeMs < cutoff) await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    } catch (e) {
+        console.error('Upload session sweep error:', e);
+    }
+}
+
+function startUploadSessionSweeper() {
+    fs.mkdirSync(CHUNK_DIR, { recursive: true });
+    sweepExpiredUploads();
+    setInterval(sweepExpiredUploads, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    createUploadSession,
+    getUploadStatus,
+    storeChunk,
+    completeUpload,
+    abortUpload,
+    startUploadSessionSweeper
+};
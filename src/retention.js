@@ -0,0 +1,252 @@
+const EventEmitter = require('events');
+const db = require('./db');
+const repo = require('./repositories');
+const { logAction, logSystemAction } = require('./audit');
+const { parseDuration } = require('./moderation');
+const { removeLegacyFiles, sweepOrphanedAttachments } = require('./attachments');
+const { claimLease, releaseLease } = require('./leases');
+require('dotenv').config();
+
+// Retention windows are durations (`90d`, `12w`) or `off` (keep forever). Channels without a policy of their own,
+// and every DM conversation, follow the server-wide default.
+const MIN_RETENTION_MS = 60 * 60 * 1000; // Guards against wiping a channel with a typo like `1m`
+const PURGE_INTERVAL_MS = parseInt(process.env.RETENTION_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+const PURGE_LEASE_MS = 30 * 60 * 1000; // A purge by a process that died mid-run stops blocking others after this
+// Every cluster worker runs the purge timer; whichever claims this lease first purges, the rest skip until the next interval
+const SCHEDULE_LEASE_MS = PURGE_INTERVAL_MS - Math.floor(PURGE_INTERVAL_MS / 10);
+
+// Emits 'purged' (roomName, { messageIds, unpinned }) after messages are purged from a room.
+const retentionEvents = new EventEmitter();
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RETENTION';
+    return error;
+}
+
+/** Parses a retention window into ms (0 for `off`), or returns null if it is not one. */
+function parseRetention(text) {
+    if (String(text).trim().toLowerCase() === 'off') return 0;
+    const ms = parseDuration(String(text).trim());
+    return ms && ms >= MIN_RETENTION_MS ? ms : null;
+}
+
+function loadDefaultRetention() {
+    const spec = process.env.RETENTION_DEFAULT || 'off';
+    const ms = parseRetention(spec);
+    if (ms === null) throw new Error(`Invalid RETENTION_DEFAULT "${spec}". Use a duration of at least 1h (e.g. 90d) or off.`);
+    return ms;
+}
+
+const DEFAULT_RETENTION_MS = loadDefaultRetention();
+const DEFAULT_KEEP_PINNED = process.env.RETENTION_KEEP_PINNED !== 'false';
+
+// --- Policies ---
+
+/** The policy in force for a channel: its own settings where it has them, otherwise the server defaults. */
+function resolvePolicy(row) {
+    const overrides = {
+        retentionMs: row && row.retention_ms !== null && row.retention_ms !== undefined ? Number(row.retention_ms) : null,
+        keepPinned: row && row.keep_pinned !== null && row.keep_pinned !== undefined ? !!row.keep_pinned : null
+    };
+    return {
+        retentionMs: overrides.retentionMs !== null ? overrides.retentionMs : DEFAULT_RETENTION_MS,
+        keepPinned: overrides.keepPinned !== null ? overrides.keepPinned : DEFAULT_KEEP_PINNED,
+        overrides
+    };
+}
+
+/** Channels (and DM rooms) with their retention settings. */
+async function loadChannelPolicies({ includeDms = false } = {}) {
+    const rows = await db.query(
+        `SELECT c.channel_name, c.is_dm, c.pinned_message_id, r.retention_ms, r.keep_pinned, r.updated_by, r.updated_at
+         FROM channels c LEFT JOIN channel_retention r ON r.channel_name = c.channel_name
+         ${includeDms ? '' : 'WHERE c.is_dm = 0'}
+         ORDER BY c.channel_name`,
+        []
+    );
+    return rows.map(row => ({ row, policy: resolvePolicy(row) }));
+}
+
+/** The server defaults and every channel's effective policy (`overrides` holds the channel's own settings, null where it inherits). */
+async function listRetentionPolicies() {
+    const channels = await loadChannelPolicies();
+    return {
+        defaults: { retentionMs: DEFAULT_RETENTION_MS, keepPinned: DEFAULT_KEEP_PINNED },
+        channels: channels.map(({ row, policy }) => ({
+            channel: row.channel_name,
+            ...policy,
+            updatedBy: row.updated_by || null,
+            updatedAt: row.updated_at ? Number(row.updated_at) : null
+        }))
+    };
+}
+
+async function getChannelRetention(channelName) {
+    const rows = await db.query('SELECT retention_ms, keep_pinned FROM channel_retention WHERE channel_name = ?', [channelName]);
+    return { channel: channelName, ...resolvePolicy(rows[0]) };
+}
+
+/**
+ * Changes a channel's retention settings. Rejects with code 'INVALID_RETENTION'.
+ * @param {object} settings { retention: '30d'|'off'|'default', keepPinned: true|false|'default' }; a setting left out is unchanged.
+ * @returns {Promise<object>} The channel's resulting policy.
+ */
+async function setChannelRetention(channelName, { retention, keepPinned } = {}, actorId) {
+    const channel = channelName ? await repo.channels.find(channelName) : null;
+    if (!channel || channel.is_dm) throw invalid(`Channel ${channelName} does not exist.`);
+    if (retention === undefined && keepPinned === undefined) throw invalid('Nothing to change: give retention and/or keepPinned.');
+
+    const current = (await getChannelRetention(channel.channel_name)).overrides;
+    let retentionMs = current.retentionMs;
+    if (retention !== undefined) {
+        retentionMs = retention === 'default' || retention === null ? null : parseRetention(retention);
+        if (retentionMs === null && retention !== 'default' && retention !== null) {
+            throw invalid(`Invalid retention "${retention}". Use a duration of at least 1h (e.g. 30d, 12w), off, or default.`);
+        }
+    }
+    let keepPinnedValue = current.keepPinned;
+    if (keepPinned !== undefined) {
+        if (keepPinned !== 'default' && keepPinned !== null && typeof keepPinned !== 'boolean') throw invalid('keepPinned must be true, false or default.');
+        keepPinnedValue = typeof keepPinned === 'boolean' ? keepPinned : null;
+    }
+
+    if (retentionMs === null && keepPinnedValue === null) {
+        await db.query('DELETE FROM channel_retention WHERE channel_name = ?', [channel.channel_name]);
+    } else {
+        await db.upsert('channel_retention', ['channel_name', 'retention_ms', 'keep_pinned', 'updated_by', 'updated_at'],
+            [[channel.channel_name, retentionMs, keepPinnedValue === null ? null : (keepPinnedValue ? 1 : 0), actorId, Date.now()]],
+            ['channel_name'], ['retention_ms', 'keep_pinned', 'updated_by', 'updated_at']);
+    }
+    return getChannelRetention(channel.channel_name);
+}
+
+/** Formats a retention window for replies, e.g. `30d` or `kept forever`. */
+function describeRetention(ms) {
+    if (!ms) return 'kept forever';
+    const units = [['w', 7 * 24 * 60 * 60 * 1000], ['d', 24 * 60 * 60 * 1000], ['h', 60 * 60 * 1000]];
+    const [unit, size] = units.find(([, unitMs]) => ms % unitMs === 0) || ['m', 60 * 1000];
+    return `${Math.round(ms / size)}${unit}`;
+}
+
+// --- Purge ---
+
+/**
+ * Deletes a room's messages older than its retention window, in batches. A thread root is kept while any of
+ * its replies is still within the window; the pinned message is kept if the policy says so. Reactions, read
+ * receipts and mentions go with their message (ON DELETE CASCADE); uploads are released for the orphan sweep.
+ */
+async function purgeRoom(row, policy, now) {
+    const cutoff = now - policy.retentionMs;
+    const pinnedId = policy.keepPinned ? row.pinned_message_id : null;
+    const result = { messageIds: [], releasedUploads: 0, legacyFiles: [], unpinned: false };
+
+    for (;;) {
+        const batch = await db.query(
+            `SELECT m.id, m.attachment_metadata FROM messages m
+             WHERE m.channel_name = ? AND m.timestamp < ?${pinnedId ? ' AND m.id <> ?' : ''}
+               AND NOT EXISTS (SELECT 1 FROM messages r WHERE r.parent_message_id = m.id AND r.timestamp >= ?)
+             LIMIT ${PURGE_BATCH_SIZE}`,
+            pinnedId ? [row.channel_name, cutoff, pinnedId, cutoff] : [row.channel_name, cutoff, cutoff]
+        );
+        if (batch.length === 0) break;
+
+        const ids = batch.map(message => message.id);
+        const placeholders = ids.map(() => '?').join(', ');
+        const uploads = await db.query(`SELECT COUNT(*) AS count FROM attachments WHERE message_id IN (${placeholders})`, ids);
+        result.releasedUploads += Number(uploads[0].count);
+        batch.forEach(message => {
+            const metadata = typeof message.attachment_metadata === 'string' ? JSON.parse(message.attachment_metadata) : message.attachment_metadata;
+            if (metadata && !metadata.id && metadata.filename) result.legacyFiles.push(metadata.filename);
+        });
+
+        await db.query(`DELETE FROM messages WHERE id IN (${placeholders})`, ids);
+        result.messageIds.push(...ids);
+        if (row.pinned_message_id && ids.includes(row.pinned_message_id)) {
+            await repo.channels.clearPinIfMessage(row.channel_name, row.pinned_message_id);
+            result.unpinned = true;
+        }
+        if (batch.length < PURGE_BATCH_SIZE) break;
+    }
+    return result;
+}
+
+let purgeRunning = false;
+
+/**
+ * Runs one purge over every room with a retention window and records it in audit_logs as RETENTION_PURGE
+ * (by the server, or by `actorId` when an admin starts it). Returns null if a purge is already running,
+ * in this process or in another one on the same database.
+ * @returns {Promise<{deletedMessages: number, releasedUploads: number, channels: object, durationMs: number}|null>}
+ */
+async function purgeExpiredMessages({ actorId = null } = {}) {
+    if (purgeRunning) return null;
+    purgeRunning = true;
+    try {
+        if (!(await claimLease('retention_purge', PURGE_LEASE_MS))) return null;
+        try {
+            return await runPurge(actorId);
+        } finally {
+            await releaseLease('retention_purge');
+        }
+    } finally {
+        purgeRunning = false;
+    }
+}
+
+async function runPurge(actorId) {
+    const startedAt = Date.now();
+    const summary = { deletedMessages: 0, releasedUploads: 0, channels: {}, durationMs: 0 };
+    const rooms = (await loadChannelPolicies({ includeDms: true })).filter(({ policy }) => policy.retentionMs > 0);
+    if (rooms.length === 0 && !actorId) return summary; // Retention is not in use: nothing to run or record
+
+    const legacyFiles = [];
+    for (const { row, policy } of rooms) {
+        const purged = await purgeRoom(row, policy, startedAt);
+        if (purged.messageIds.length === 0) continue;
+        summary.deletedMessages += purged.messageIds.length;
+        summary.releasedUploads += purged.releasedUploads;
+        legacyFiles.push(...purged.legacyFiles);
+        // DM room names contain both user IDs, so DMs are counted together
+        const key = row.is_dm ? 'DMs' : row.channel_name;
+        summary.channels[key] = (summary.channels[key] || 0) + purged.messageIds.length;
+        retentionEvents.emit('purged', row.channel_name, { messageIds: purged.messageIds, unpinned: purged.unpinned });
+    }
+    if (legacyFiles.length > 0) await removeLegacyFiles(legacyFiles);
+    if (summary.releasedUploads > 0) await sweepOrphanedAttachments();
+
+    summary.durationMs = Date.now() - startedAt;
+    const details = { ...summary, policies: rooms.length };
+    if (actorId) {
+        await logAction('RETENTION_PURGE', actorId, { details });
+    } else {
+        await logSystemAction('RETENTION_PURGE', { details });
+    }
+    return summary;
+}
+
+async function runScheduledPurge() {
+    try {
+        if (!(await claimLease('retention_purge_schedule', SCHEDULE_LEASE_MS))) return;
+        await purgeExpiredMessages();
+    } catch (e) {
+        console.error('Retention purge error:', e);
+    }
+}
+
+function startRetentionPurger() {
+    runScheduledPurge();
+    setInterval(runScheduledPurge, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    retentionEvents,
+    parseRetention,
+    describeRetention,
+    listRetentionPolicies,
+    getChannelRetention,
+    setChannelRetention,
+    purgeExpiredMessages,
+    startRetentionPurger
+};
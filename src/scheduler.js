@@ -0,0 +1,328 @@
+const db = require('./db');
+const { canAccessRoom, ensureDmConversation } = require('./channels');
+const { ensureSystemActor } = require('./audit');
+require('dotenv').config();
+
+// Scheduled messages (/schedule) are posted verbatim; reminders (/remind) are posted with a ⏰ prefix, either into a
+// channel or, for personal reminders (no channel), as a DM from the system account. Times are in the server's time zone.
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS, 10) || 15 * 1000;
+const MAX_PENDING_PER_USER = parseInt(process.env.SCHEDULE_MAX_PER_USER, 10) || 50;
+const MAX_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+const MAX_CONTENT_LENGTH = 2000;
+const CLAIM_MS = 60 * 1000; // A claim by a process that died mid-delivery lapses after this
+const DELIVERY_BATCH_SIZE = 50;
+const DEFAULT_HOUR = 9; // For a day given without a time ("tomorrow", "friday")
+
+const SCHEDULE_COLUMNS = 'schedule_id, user_id, kind, channel_name, content, deliver_at, status, error, created_at';
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SCHEDULE';
+    return error;
+}
+
+// --- Time Parsing ---
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const UNIT_WORDS = {
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+    m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    d: 'd', day: 'd', days: 'd',
+    w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w'
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/** `in 2h`, `in 30 minutes`, `in an hour`. Returns { ms, used } or null. */
+function parseRelative(words, i) {
+    if (words[i] !== 'in') return null;
+    const attached = /^(\d+)([a-z]+)$/.exec(words[i + 1] || '');
+    if (attached && Object.hasOwn(UNIT_WORDS, attached[2])) {
+        return { ms: parseInt(attached[1], 10) * UNIT_MS[UNIT_WORDS[attached[2]]], used: 2 };
+    }
+    const count = ['a', 'an'].includes(words[i + 1]) ? 1 : (/^\d+$/.test(words[i + 1] || '') ? parseInt(words[i + 1], 10) : null);
+    if (count === null || !Object.hasOwn(UNIT_WORDS, words[i + 2] || '')) return null;
+    return { ms: count * UNIT_MS[UNIT_WORDS[words[i + 2]]], used: 3 };
+}
+
+/** `9:00`, `21:15`, `10am`, `4:30 pm`, `noon`, `midnight`, optionally after `at`. Returns { hours, minutes, used } or null. */
+function parseTimeOfDay(words, i) {
+    const skip = words[i] === 'at' ? 1 : 0;
+    const word = words[i + skip] || '';
+    if (word === 'noon') return { hours: 12, minutes: 0, used: skip + 1 };
+    if (word === 'midnight') return { hours: 0, minutes: 0, used: skip + 1 };
+
+    const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(word);
+    if (!match) return null;
+    let used = skip + 1;
+    let meridiem = match[3];
+    if (!meridiem && ['am', 'pm'].includes(words[i + used])) meridiem = words[i + used++];
+    if (!meridiem && match[2] === undefined) return null; // A bare number ("5 people") is not a time
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] === undefined ? 0 : parseInt(match[2], 10);
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes, used };
+}
+
+/** `today`, `tomorrow`, `friday`, `next friday`, `2026-12-24`, optionally after `on`. Returns { date, used } (local midnight) or null. */
+function parseDay(words, i, now) {
+    const skip = words[i] === 'on' ? 1 : 0;
+    const word = words[i + skip] || '';
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const offset = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+
+    if (word === 'today') return { date: today, used: skip + 1 };
+    if (word === 'tomorrow') return { date: offset(1), used: skip + 1 };
+
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+    if (iso) {
+        const date = new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+        return date.getDate() === parseInt(iso[3], 10) ? { date, used: skip + 1 } : null;
+    }
+
+    const next = word === 'next' ? 1 : 0;
+    const name = words[i + skip + next] || '';
+    const weekday = name.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(name)) : -1;
+    if (weekday === -1) return null;
+    // Always the coming one: "monday" said on a Monday means next week
+    return { date: offset(((weekday - today.getDay() + 7) % 7) || 7), used: skip + next + 1 };
+}
+
+/**
+ * Reads a delivery time from the start of a command's words, e.g. `in 2h`, `at 9:00`, `tomorrow 10am`,
+ * `friday at 4:30pm`, `10am tomorrow`, `2026-12-24 18:00`. A time without a day is its next occurrence.
+ * @param {string[]} tokens
+ * @returns {{at: number, used: number}|null} The time (ms) and how many tokens it took; the rest is the message.
+ */
+function parseWhen(tokens, now = new Date()) {
+    const words = tokens.map(token => token.toLowerCase());
+
+    const relative = parseRelative(words, 0);
+    if (relative) return relative.ms > 0 ? { at: now.getTime() + relative.ms, used: relative.used } : null;
+
+    const isoDateTime = /^(\d{4}-\d{2}-\d{2})t(\d{1,2}:\d{2})$/.exec(words[0] || '');
+    if (isoDateTime) {
+        const parsed = parseWhen([isoDateTime[1], isoDateTime[2]], now);
+        return parsed && { at: parsed.at, used: 1 };
+    }
+
+    // Day then time ("tomorrow at 10am"), or time then day ("10am tomorrow")
+    let used = 0;
+    let day = parseDay(words, used, now);
+    if (day) used += day.used;
+    const time = parseTimeOfDay(words, used);
+    if (time) used += time.used;
+    if (!day && time) {
+        day = parseDay(words, used, now);
+        if (day) used += day.used;
+    }
+    if (!day && !time) return null;
+
+    const base = day ? day.date : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let at = new Date(base.getFullYear(), base.getMonth(), base.getDate(), time ? time.hours : DEFAULT_HOUR, time ? time.minutes : 0);
+    if (!day && at <= now) at = new Date(base.getFullYear(), base.getMonth(), base.getDate() + 1, time.hours, time.minutes);
+    return { at: at.getTime(), used };
+}
+
+/** Formats a delivery time for replies, e.g. `Tue 20 Oct, 09:00`. */
+function formatWhen(ms) {
+    return new Date(ms).toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+// --- Storage ---
+
+function toScheduledMessage(row) {
+    return {
+        id: Number(row.schedule_id),
+        kind: row.kind,
+        channel: row.channel_name || null,
+        content: row.content,
+        deliverAt: Number(row.deliver_at),
+        status: row.status,
+        error: row.error || null,
+        createdAt: Number(row.created_at)
+    };
+}
+
+function checkDelivery(deliverAt, content, now = Date.now()) {
+    if (deliverAt <= now) throw invalid(`${formatWhen(deliverAt)} is in the past.`);
+    if (deliverAt > now + MAX_AHEAD_MS) throw invalid('Messages can be scheduled at most a year ahead.');
+    if (!content) throw invalid('Nothing to send: add a message after the time.');
+    if (content.length > MAX_CONTENT_LENGTH) throw invalid(`Scheduled messages are limited to ${MAX_CONTENT_LENGTH} characters.`);
+    if (content.startsWith('/')) throw invalid('Scheduled messages cannot run commands.');
+}
+
+/**
+ * Queues a message. The author must be able to read the channel now; whether they may post is checked again
+ * on delivery. Rejects with code 'INVALID_SCHEDULE'.
+ * @param {object} entry { userId, kind: 'message'|'reminder', channel (null for a personal reminder), content, deliverAt }
+ * @returns {Promise<object>} The scheduled message.
+ */
+async function createScheduledMessage({ userId, kind, channel = null, content, deliverAt }) {
+    const text = (content || '').trim();
+    checkDelivery(deliverAt, text);
+    if (channel && !(await canAccessRoom(userId, channel))) throw invalid(`Channel ${channel} is private or does not exist.`);
+
+    const pending = await db.query('SELECT COUNT(*) AS count FROM scheduled_messages WHERE user_id = ?', [userId]);
+    if (Number(pending[0].count) >= MAX_PENDING_PER_USER) {
+        throw invalid(`You already have ${MAX_PENDING_PER_USER} scheduled messages and reminders. Cancel some first.`);
+    }
+
+    const createdAt = Date.now();
+    const result = await db.query(
+        'INSERT INTO scheduled_messages (user_id, kind, channel_name, content, deliver_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, kind, channel, text, deliverAt, createdAt]
+    );
+    armTimer(deliverAt);
+    return toScheduledMessage({ schedule_id: result.insertId, kind, channel_name: channel, content: text, deliver_at: deliverAt, status: 'pending', created_at: createdAt });
+}
+
+/** A user's queued messages and reminders (including failed ones), soonest first. */
+async function listScheduledMessages(userId, { kind = null } = {}) {
+    const rows = await db.query(
+        `SELECT ${SCHEDULE_COLUMNS} FROM scheduled_messages WHERE user_id = ?${kind ? ' AND kind = ?' : ''} ORDER BY deliver_at`,
+        kind ? [userId, kind] : [userId]
+    );
+    return rows.map(toScheduledMessage);
+}
+
+/** Cancels one of the user's scheduled messages (of `kind`, if given). Returns false if there is no such message. */
+async function cancelScheduledMessage(userId, scheduleId, { kind = null } = {}) {
+    const result = await db.query(
+        `DELETE FROM scheduled_messages WHERE schedule_id = ? AND user_id = ?${kind ? ' AND kind = ?' : ''}`,
+        kind ? [scheduleId, userId, kind] : [scheduleId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Changes the time and/or text of one of the user's scheduled messages; a failed one is queued again.
+ * Rejects with code 'INVALID_SCHEDULE'.
+ * @param {object} changes { deliverAt, content }; a change left out keeps the current value.
+ * @param {object} [options] { kind } only matches a message of that kind.
+ * @returns {Promise<object|null>} The updated message, or null if there is no such message.
+ */
+async function updateScheduledMessage(userId, scheduleId, { deliverAt, content } = {}, { kind = null } = {}) {
+    const rows = await db.query(`SELECT ${SCHEDULE_COLUMNS} FROM scheduled_messages WHERE schedule_id = ? AND user_id = ?`, [scheduleId, userId]);
+    if (rows.length === 0 || (kind && rows[0].kind !== kind)) return null;
+    const current = toScheduledMessage(rows[0]);
+    if (current.status === 'sending') throw invalid(`#${current.id} is being delivered right now.`);
+
+    const updated = { ...current, deliverAt: deliverAt === undefined ? current.deliverAt : deliverAt, content: content === undefined ? current.content : content.trim() };
+    checkDelivery(updated.deliverAt, updated.content);
+    const result = await db.query(
+        "UPDATE scheduled_messages SET deliver_at = ?, content = ?, status = 'pending', error = NULL WHERE schedule_id = ? AND user_id = ? AND status <> 'sending'",
+        [updated.deliverAt, updated.content, scheduleId, userId]
+    );
+    if (result.affectedRows === 0) throw invalid(`#${current.id} is being delivered right now.`);
+    armTimer(updated.deliverAt);
+    return { ...updated, status: 'pending', error: null };
+}
+
+// --- Delivery ---
+
+let deliverFn = null; // websocket.postMessage, handed over by startScheduler
+let deliveryRunning = false;
+let nextTimer = null;
+let nextTimerAt = Infinity;
+
+/** Delivers early if a message falls due before the next poll. */
+function armTimer(deliverAt) {
+    if (!deliverFn || deliverAt >= nextTimerAt || deliverAt - Date.now() >= POLL_INTERVAL_MS) return;
+    clearTimeout(nextTimer);
+    nextTimerAt = deliverAt;
+    nextTimer = setTimeout(() => {
+        nextTimerAt = Infinity;
+        deliverDueMessages();
+    }, Math.max(0, deliverAt - Date.now()));
+    nextTimer.unref();
+}
+
+/** Posts as the system account into its DM with the user (personal reminders and failure notices). */
+async function sendSystemDm(userId, text) {
+    const systemId = await ensureSystemActor();
+    const conversation = await ensureDmConversation(systemId, userId);
+    if (!conversation) return;
+    await deliverFn({ userId: systemId, username: 'system', role: 'User' }, conversation.room, text);
+}
+
+/**
+ * Delivers one due message through the normal posting path, so it is checked (access, mutes, permissions)
+ * as if the author sent it now. The row is claimed first, so two processes never deliver it twice; it is
+ * deleted once posted, or kept as failed (and the author told why) if the post is rejected.
+ */
+async function deliverScheduledMessage(row) {
+    const now = Date.now();
+    const claim = await db.query(
+        "UPDATE scheduled_messages SET status = 'sending', claimed_until = ? WHERE schedule_id = ? AND deliver_at <= ? AND (status = 'pending' OR (status = 'sending' AND claimed_until < ?))",
+        [now + CLAIM_MS, row.schedule_id, now, now]
+    );
+    if (claim.affectedRows !== 1) return;
+
+    const message = toScheduledMessage(row);
+    const text = message.kind === 'reminder' ? `⏰ Reminder: ${message.content}` : message.content;
+    try {
+        if (message.channel) {
+            const users = await db.query('SELECT username, user_role FROM users WHERE user_id = ?', [row.user_id]);
+            if (users.length === 0) throw invalid('Your account no longer exists.');
+            await deliverFn({ userId: row.user_id, username: users[0].username, role: users[0].user_role }, message.channel, text);
+        } else {
+            await sendSystemDm(row.user_id, text);
+        }
+        await db.query('DELETE FROM scheduled_messages WHERE schedule_id = ?', [row.schedule_id]);
+    } catch (e) {
+        if (e.code !== 'POST_REJECTED' && e.code !== 'INVALID_SCHEDULE') {
+            // Not the post being refused: release the claim so the next poll tries again
+            await db.query("UPDATE scheduled_messages SET status = 'pending', claimed_until = NULL WHERE schedule_id = ?", [row.schedule_id]);
+            throw e;
+        }
+        await db.query("UPDATE scheduled_messages SET status = 'failed', error = ?, claimed_until = NULL WHERE schedule_id = ?", [e.message.substring(0, 255), row.schedule_id]);
+        const label = message.kind === 'reminder' ? 'reminder' : 'scheduled message';
+        const command = message.kind === 'reminder' ? '/remind' : '/schedule';
+        const notice = `Your ${label} #${message.id}${message.channel ? ` for ${message.channel}` : ''} could not be posted: ${e.message} ` +
+            `Use \`${command} edit ${message.id} <when>\` to retry it or \`${command} cancel ${message.id}\` to drop it.`;
+        await sendSystemDm(row.user_id, notice).catch(err => console.error('Scheduled message failure notice error:', err));
+    }
+}
+
+/** Delivers every message that is due, including any whose delivery was cut short by a restart. */
+async function deliverDueMessages() {
+    if (deliveryRunning || !deliverFn) return;
+    deliveryRunning = true;
+    try {
+        const now = Date.now();
+        const due = await db.query(
+            `SELECT ${SCHEDULE_COLUMNS} FROM scheduled_messages
+             WHERE deliver_at <= ? AND (status = 'pending' OR (status = 'sending' AND claimed_until < ?))
+             ORDER BY deliver_at LIMIT ${DELIVERY_BATCH_SIZE}`,
+            [now, now]
+        );
+        for (const row of due) await deliverScheduledMessage(row);
+    } catch (e) {
+        console.error('Scheduled message delivery error:', e);
+    } finally {
+        deliveryRunning = false;
+    }
+}
+
+/** Starts delivering scheduled messages. `postMessage` is websocket.js's, which this module cannot require (it requires this one). */
+function startScheduler(postMessage) {
+    deliverFn = postMessage;
+    deliverDueMessages();
+    setInterval(deliverDueMessages, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    parseWhen,
+    formatWhen,
+    createScheduledMessage,
+    listScheduledMessages,
+    cancelScheduledMessage,
+    updateScheduledMessage,
+    startScheduler
+};
@@ -0,0 +1,161 @@
+const db = require('./db');
+const { getAuthorizedChannels } = require('./channels');
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 100;
+const SNIPPET_RADIUS = 80; // characters of context on each side of the first hit
+
+// --- Query Helpers ---
+
+/** Splits free text into FULLTEXT-safe terms (boolean-mode operators are stripped). */
+function extractTerms(text) {
+    return (text || '')
+        .replace(/[+\-<>()~*"@]/g, ' ')
+        .split(/\s+/)
+        .map(t => t.trim())
+        .filter(t => t.length > 0)
+        .slice(0, 10);
+}
+
+/** Parses a date filter; a bare YYYY-MM-DD used as an upper bound covers the whole day. */
+function parseDateBound(value, isUpperBound) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    return (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) ? time + (24 * 60 * 60 * 1000) - 1 : time;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/** Builds an HTML-escaped snippet around the first matching term, with every match wrapped in <mark>. */
+function buildSnippet(content, terms) {
+    const lower = content.toLowerCase();
+    let firstHit = -1;
+    terms.forEach(term => {
+        const index = lower.indexOf(term.toLowerCase());
+        if (index !== -1 && (firstHit === -1 || index < firstHit)) firstHit = index;
+    });
+
+    const start = Math.max(0, (firstHit === -1 ? 0 : firstHit) - SNIPPET_RADIUS);
+    const end = Math.min(content.length, (firstHit === -1 ? 0 : firstHit) + SNIPPET_RADIUS * 2);
+    const excerpt = content.substring(start, end);
+
+    let snippet;
+    if (terms.length === 0) {
+        snippet = escapeHtml(excerpt);
+    } else {
+        const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        snippet = excerpt.split(pattern).map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+    }
+    return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Parses `/search` arguments. Recognized filters: from:<user>, in:<#channel>, after:<date>,
+ * before:<date>, has:attachment, is:thread, is:root, page:<n>. Everything else is the query.
+ */
+function parseSearchArgs(args) {
+    const options = { query: [] };
+    args.forEach(arg => {
+        const [key, ...rest] = arg.split(':');
+        const value = rest.join(':');
+        switch (rest.length > 0 ? key.toLowerCase() : null) {
+            case 'from': options.author = value.replace(/^@/, ''); break;
+            case 'in': options.channel = value; break;
+            case 'after': options.from = value; break;
+            case 'before': options.to = value; break;
+            case 'has': if (value.toLowerCase() === 'attachment') options.hasAttachment = true; break;
+            case 'is':
+                if (value.toLowerCase() === 'thread') options.inThread = true;
+                if (value.toLowerCase() === 'root') options.inThread = false;
+                break;
+            case 'page': options.page = value; break;
+            default: options.query.push(arg);
+        }
+    });
+    options.query = options.query.join(' ');
+    return options;
+}
+
+// --- Search ---
+
+/**
+ * Full-text search over messages the user can see (per getAuthorizedChannels), using the ft_content index.
+ * Backends without full-text support (SQLite) fall back to substring matching, unranked.
+ * @param {string} userId The caller; results are limited to their authorized channels.
+ * @param {object} options { query, channel, author, from, to, hasAttachment, inThread, page, pageSize }
+ * @returns {Promise<{results: object[], total: number, page: number, pageSize: number, hasMore: boolean}>}
+ */
+async function searchMessages(userId, options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+    const empty = { results: [], total: 0, page, pageSize, hasMore: false };
+
+    const visibleChannels = (await getAuthorizedChannels(userId)).map(c => c.name);
+    const channels = options.channel ? visibleChannels.filter(name => name === options.channel) : visibleChannels;
+    if (channels.length === 0) return empty;
+
+    const terms = extractTerms(options.query);
+    const where = [`channel_name IN (${channels.map(() => '?').join(', ')})`, 'is_system = 0'];
+    const params = [...channels];
+
+    let scoreSql = '0';
+    const scoreParams = [];
+    if (terms.length > 0 && db.supportsFullText) {
+        // Prefix-match every term; all terms must be present
+        const booleanQuery = terms.map(t => `+${t}*`).join(' ');
+        where.push('MATCH(content) AGAINST(? IN BOOLEAN MODE)');
+        params.push(booleanQuery);
+        scoreSql = 'MATCH(content) AGAINST(? IN BOOLEAN MODE)';
+        scoreParams.push(booleanQuery);
+    } else if (terms.length > 0) {
+        terms.forEach(term => {
+            where.push("content LIKE ? ESCAPE '!'");
+            params.push(`%${term.replace(/[!%_]/g, '!$&')}%`);
+        });
+    }
+    if (options.author) { where.push('author_username = ?'); params.push(options.author); }
+
+    const from = parseDateBound(options.from, false);
+    const to = parseDateBound(options.to, true);
+    if (from !== null) { where.push('timestamp >= ?'); params.push(from); }
+    if (to !== null) { where.push('timestamp <= ?'); params.push(to); }
+
+    if (options.hasAttachment) where.push('attachment_metadata IS NOT NULL');
+    if (options.inThread === true) where.push('parent_message_id IS NOT NULL');
+    if (options.inThread === false) where.push('parent_message_id IS NULL');
+
+    // Require at least one real criterion so an empty search doesn't dump every channel
+    if (terms.length === 0 && !options.author && from === null && to === null && !options.hasAttachment && options.inThread === undefined) {
+        return empty;
+    }
+
+    const whereSql = where.join(' AND ');
+    const countRows = await db.query(`SELECT COUNT(*) AS total FROM messages WHERE ${whereSql}`, params);
+    const total = Number(countRows[0].total);
+
+    const rows = await db.query(
+        `SELECT id, channel_name, author_id, author_username, content, timestamp, parent_message_id, attachment_metadata IS NOT NULL AS has_attachment, ${scoreSql} AS score
+         FROM messages WHERE ${whereSql}
+         ORDER BY score DESC, timestamp DESC
+         LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+        [...scoreParams, ...params]
+    );
+
+    const results = rows.map(row => ({
+        id: row.id,
+        channel: row.channel_name,
+        authorId: row.author_id,
+        author: row.author_username,
+        timestamp: Number(row.timestamp),
+        parent_message_id: row.parent_message_id,
+        hasAttachment: row.has_attachment === 1,
+        snippet: buildSnippet(row.content, terms)
+    }));
+
+    return { results, total, page, pageSize, hasMore: page * pageSize < total };
+}
+
+module.exports = { parseSearchArgs, parseDateBound, searchMessages, buildSnippet };
@@ -2,15 +2,24 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const fs = require('fs'); // For file system operations
-const setupWebSocket = require('./websocket');
+const { setupWebSocket, postMessage } = require('./websocket');
 const apiRouter = require('./api');
+const { startModerationSweeper } = require('./moderation');
+const { startWebhookSweeper } = require('./webhooks');
+const { UPLOAD_DIR, startAttachmentSweeper } = require('./attachments');
+const { startUploadSessionSweeper } = require('./resumableUploads');
+const { startRetentionPurger } = require('./retention');
+const { ARCHIVE_MAX_BYTES } = require('./transcripts');
+const { startScheduler } = require('./scheduler');
+const { startProfileSweeper } = require('./profiles');
+const { MESSAGE_BUS, isClusterPrimary, startClusterPrimary } = require('./bus');
+const { ensureSystemActor } = require('./audit');
 require('dotenv').config();
 
 const PORT = process.env.SERVER_PORT || 3000;
 const HOST = process.env.SERVER_IP || '0.0.0.0';
 
 // --- File Upload Setup (Ensuring Secure Upload Directory Exists) ---
-const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
 if (!fs.existsSync(UPLOAD_DIR)) {
     fs.mkdirSync(UPLOAD_DIR);
     console.log(`Created upload directory: ${UPLOAD_DIR}`);
@@ -21,40 +30,77 @@ const app = express();
 const server = http.createServer(app);
 
 // Middleware
+app.use('/api/channels/import', express.json({ limit: ARCHIVE_MAX_BYTES })); // Channel archives are far larger than other bodies
 app.use(express.json()); // To parse JSON bodies from HTTP POST requests
 // HSTS Header for Transport Encryption (TLS >=1.3) compliance (simulated)
 app.use((req, res, next) => {
     res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
     // CORS for local dev environment
     res.setHeader('Access-Control-Allow-Origin', '*'); 
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST');
-    next();
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Chunk-SHA256');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
 });
 app.use(express.static(path.join(__dirname, '..', 'public'))); // Serve the front-end
+app.use('/sdk', express.static(path.join(__dirname, '..', 'sdk'))); // Client SDK, used by the front-end and third-party pages
 
-// Serve uploaded files statically under /uploads endpoint
-// NOTE: Content-Disposition headers for secure file handling should be managed here
-app.use('/uploads', express.static(UPLOAD_DIR, {
-    setHeaders: (res, path, stat) => {
-        res.set('Content-Disposition', 'attachment'); // Force download to mitigate XSS from user-uploaded content
-    }
-}));
+// Uploaded files are not served statically: GET /api/attachments/:id checks the caller can read the room first
 
 // API Routes
 app.use('/api', apiRouter);
 
-// WebSocket Setup
-setupWebSocket(server);
+async function startServer() {
+    // Background jobs write audit entries and DMs as the system account, so it must exist before they start
+    try {
+        await ensureSystemActor();
+    } catch (e) {
+        console.error('Startup error:', e.message);
+        process.exit(1);
+    }
 
-// Start the server
-server.listen(PORT, HOST, () => {
-    console.log(`
+    // WebSocket Setup
+    setupWebSocket(server);
+
+    // Lift expired timed bans, mutes and channel bans
+    startModerationSweeper();
+
+    // Retry outgoing webhook deliveries whose retry timer was lost
+    startWebhookSweeper();
+
+    // Delete uploads that were never posted or whose message is gone
+    startAttachmentSweeper();
+
+    // Drop resumable uploads abandoned part-way
+    startUploadSessionSweeper();
+
+    // Delete messages older than their channel's retention window
+    startRetentionPurger();
+
+    // Post scheduled messages and reminders as they fall due, including any missed while the server was down
+    startScheduler(postMessage);
+
+    // Clear custom statuses once they expire
+    startProfileSweeper();
+
+    // Start the server (cluster workers share the port)
+    server.listen(PORT, HOST, () => {
+        console.log(`
 ------------------------------------------------------
-  LOCALCHAT Server (Professional Grade) is running!
+  LOCALCHAT Server (Professional Grade) is running!
 ------------------------------------------------------
-    Server IP: ${HOST}
-    Server Port: ${PORT}
-    Front-end URL: http://${HOST}:${PORT}/index.html
+    Server IP: ${HOST}
+    Server Port: ${PORT}
+    Front-end URL: http://${HOST}:${PORT}/index.html
+    Message Bus: ${MESSAGE_BUS} (pid ${process.pid})
 ------------------------------------------------------
-    `);
-});
\ No newline at end of file
+        `);
+    });
+}
+
+// In cluster mode the primary only supervises the workers and relays their bus traffic
+if (isClusterPrimary()) {
+    startClusterPrimary();
+} else {
+    startServer();
+}
\ No newline at end of file
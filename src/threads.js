@@ -0,0 +1,39 @@
+const db = require('./db');
+
+// --- Thread Subscriptions ---
+
+/**
+ * Subscribes users to a thread unless they have explicitly unfollowed it.
+ * Called for the root author and every replier, so participants hear about new replies.
+ */
+async function autoSubscribe(rootId, userIds) {
+    const ids = Array.from(new Set(userIds.filter(Boolean)));
+    if (ids.length === 0) return;
+    const rows = ids.map(userId => [rootId, userId, 1, Date.now()]);
+    // Ignoring duplicates keeps an existing `subscribed = 0` row, so unfollowing sticks
+    await db.insertIgnore('thread_subscriptions', ['message_id', 'user_id', 'subscribed', 'created_at'], rows);
+}
+
+/** Explicitly follows or unfollows a thread. */
+async function setFollowing(rootId, userId, following) {
+    await db.upsert('thread_subscriptions', ['message_id', 'user_id', 'subscribed', 'created_at'],
+        [[rootId, userId, following ? 1 : 0, Date.now()]], ['message_id', 'user_id'], ['subscribed']);
+}
+
+async function isFollowing(rootId, userId) {
+    const rows = await db.query('SELECT subscribed FROM thread_subscriptions WHERE message_id = ? AND user_id = ?', [rootId, userId]);
+    return rows.length > 0 && rows[0].subscribed === 1;
+}
+
+/** User IDs currently following a thread. */
+async function getSubscribers(rootId) {
+    const rows = await db.query('SELECT user_id FROM thread_subscriptions WHERE message_id = ? AND subscribed = 1', [rootId]);
+    return rows.map(r => r.user_id);
+}
+
+module.exports = {
+    autoSubscribe,
+    setFollowing,
+    isFollowing,
+    getSubscribers
+};
@@ -0,0 +1,411 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const repo = require('./repositories');
+const { isDmRoom, getDmRoomName, generateInviteCode } = require('./channels');
+const { getPermissionMatrix, setRolePermissions } = require('./permissions');
+const { ensureSystemActor } = require('./audit');
+const attachments = require('./attachments');
+require('dotenv').config();
+
+// A channel archive is one JSON document: `{ format, version, exportedAt, channel, messages, files? }`.
+// Bump ARCHIVE_VERSION when the layout changes; imports accept every version up to it.
+const ARCHIVE_FORMAT = 'localchat.channel-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 100 * 1024 * 1024; // Import body, and bundled files on export
+const INSERT_BATCH_SIZE = 200;
+
+const MESSAGE_COLUMNS = ['id', 'channel_name', 'author_id', 'author_username', 'content', 'timestamp', 'edited', 'edited_timestamp', 'attachment_metadata', 'is_system', 'parent_message_id', 'is_thread_root'];
+
+// Emits 'imported' (channelName) after an archive has been imported.
+const transcriptEvents = new EventEmitter();
+
+function archiveError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// --- Export ---
+
+/** Reads a stored file for bundling, or returns null if it is gone. */
+async function readStoredFile(name) {
+    try {
+        return await fs.promises.readFile(path.join(attachments.UPLOAD_DIR, path.basename(name)));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Builds the archive of a channel or DM: its settings, every message (threads, reactions, edit markers and
+ * attachment references) and, with `includeAttachments`, the attached files themselves, base64-encoded once
+ * per SHA-256 in `files`. Rejects with code 'ARCHIVE_TOO_LARGE' if the files exceed ARCHIVE_MAX_BYTES.
+ * @returns {Promise<object|null>} null if the channel does not exist.
+ */
+async function exportChannel(channelName, { includeAttachments = false } = {}) {
+    const channel = await repo.channels.find(channelName);
+    if (!channel) return null;
+
+    const [creators, memberRows, messageRows, reactionRows, attachmentRows] = await Promise.all([
+        db.query('SELECT c.created_at, u.username FROM channels c LEFT JOIN users u ON u.user_id = c.created_by WHERE c.channel_name = ?', [channel.channel_name]),
+        db.query('SELECT u.username FROM channel_members cm JOIN users u ON u.user_id = cm.user_id WHERE cm.channel_name = ? ORDER BY u.username', [channel.channel_name]),
+        db.query('SELECT * FROM messages WHERE channel_name = ? ORDER BY timestamp, id', [channel.channel_name]),
+        db.query(
+            `SELECT r.message_id, r.emoji, u.username FROM reactions r
+             JOIN messages m ON m.id = r.message_id JOIN users u ON u.user_id = r.user_id
+             WHERE m.channel_name = ? ORDER BY u.username`,
+            [channel.channel_name]
+        ),
+        db.query('SELECT a.message_id, a.sha256 FROM attachments a JOIN messages m ON m.id = a.message_id WHERE m.channel_name = ?', [channel.channel_name])
+    ]);
+
+    const reactionsByMessage = new Map();
+    reactionRows.forEach(row => {
+        const reactions = reactionsByMessage.get(row.message_id) || {};
+        (reactions[row.emoji] = reactions[row.emoji] || []).push(row.username);
+        reactionsByMessage.set(row.message_id, reactions);
+    });
+    const hashByMessage = new Map(attachmentRows.map(row => [row.message_id, row.sha256]));
+
+    const files = {};
+    let bundledBytes = 0;
+    const messages = [];
+    for (const row of messageRows) {
+        let attachment = null;
+        const metadata = parseJson(row.attachment_metadata);
+        if (metadata) {
+            attachment = { originalname: metadata.originalname, mimetype: metadata.mimetype, size: Number(metadata.size), sha256: hashByMessage.get(row.id) || null };
+            if (includeAttachments) {
+                // Files from before uploads were tracked are stored under their own name and hashed here
+                const data = await readStoredFile(attachment.sha256 || metadata.filename || '');
+                if (data) {
+                    attachment.sha256 = attachment.sha256 || crypto.createHash('sha256').update(data).digest('hex');
+                    if (!files[attachment.sha256]) {
+                        bundledBytes += data.length;
+                        if (bundledBytes > ARCHIVE_MAX_BYTES) {
+                            throw archiveError('ARCHIVE_TOO_LARGE', `The attachments exceed ${attachments.formatBytes(ARCHIVE_MAX_BYTES)}. Export without them.`);
+                        }
+                        files[attachment.sha256] = data.toString('base64');
+                    }
+                }
+            }
+        }
+        messages.push({
+            id: row.id,
+            author: row.author_username,
+            content: row.content,
+            timestamp: Number(row.timestamp),
+            edited: !!row.edited,
+            editedAt: row.edited_timestamp ? Number(row.edited_timestamp) : null,
+            system: !!row.is_system,
+            parentId: row.parent_message_id || null,
+            isThreadRoot: !!row.is_thread_root,
+            reactions: reactionsByMessage.get(row.id) || {},
+            attachment
+        });
+    }
+
+    const matrix = channel.is_dm ? {} : await getPermissionMatrix(channel.channel_name);
+    const permissions = {};
+    Object.entries(matrix).forEach(([role, { overridden, ...flags }]) => { if (overridden) permissions[role] = flags; });
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: Date.now(),
+        channel: {
+            name: channel.channel_name,
+            isPrivate: !!channel.is_private,
+            isDm: !!channel.is_dm,
+            createdBy: creators[0] ? creators[0].username : null,
+            createdAt: creators[0] && creators[0].created_at ? new Date(creators[0].created_at).toISOString() : null,
+            members: channel.is_private ? memberRows.map(row => row.username) : [],
+            permissions,
+            pinnedMessageId: channel.pinned_message_id || null
+        },
+        messages,
+        ...(includeAttachments ? { files } : {})
+    };
+}
+
+// --- HTML Transcript ---
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+
+function renderAttachmentHtml(attachment, files) {
+    const data = attachment.sha256 && files[attachment.sha256];
+    const label = `${escapeHtml(attachment.originalname)} (${attachments.formatBytes(attachment.size)})`;
+    if (!data) return `<div class="file">📎 ${label}</div>`;
+    // Images are shown inline (and saved from the page); other files become download links
+    if (INLINE_IMAGE_TYPES.includes(attachment.mimetype)) {
+        return `<div class="file"><img src="data:${attachment.mimetype};base64,${data}" alt="${escapeHtml(attachment.originalname)}">📎 ${label}</div>`;
+    }
+    return `<div class="file">📎 <a href="data:application/octet-stream;base64,${data}" download="${escapeHtml(attachment.originalname)}">${label}</a></div>`;
+}
+
+function renderMessageHtml(message, archive) {
+    const reactions = Object.entries(message.reactions || {})
+        .map(([emoji, users]) => `<span class="reaction" title="${escapeHtml(users.join(', '))}">${escapeHtml(emoji)} ${users.length}</span>`)
+        .join(' ');
+    const edited = message.edited ? ` <span class="meta">(edited${message.editedAt ? ` ${escapeHtml(new Date(message.editedAt).toISOString())}` : ''})</span>` : '';
+    const pinned = message.id === archive.channel.pinnedMessageId ? ' <span class="meta">📌 pinned</span>' : '';
+    return `<div class="message${message.system ? ' system' : ''}" id="m-${escapeHtml(message.id)}">
+<div><strong>${escapeHtml(message.author)}</strong> <span class="meta">${escapeHtml(new Date(message.timestamp).toISOString())}</span>${edited}${pinned}</div>
+<div class="content">${escapeHtml(message.content)}</div>
+${message.attachment ? renderAttachmentHtml(message.attachment, archive.files || {}) : ''}${reactions ? `<div>${reactions}</div>` : ''}</div>`;
+}
+
+/** Renders an archive as a standalone, read-only HTML page. Replies are shown under their thread root. */
+function renderTranscriptHtml(archive) {
+    const ids = new Set(archive.messages.map(message => message.id));
+    const replies = new Map();
+    archive.messages.filter(message => message.parentId && ids.has(message.parentId)).forEach(message => {
+        replies.set(message.parentId, [...(replies.get(message.parentId) || []), message]);
+    });
+    const body = archive.messages
+        .filter(message => !(message.parentId && ids.has(message.parentId)))
+        .map(message => {
+            const thread = replies.get(message.id) || [];
+            const threadHtml = thread.length > 0 ? `<div class="thread">${thread.map(reply => renderMessageHtml(reply, archive)).join('\n')}</div>` : '';
+            return renderMessageHtml(message, archive) + threadHtml;
+        })
+        .join('\n');
+    const title = archive.channel.isDm ? `Direct messages: ${archive.channel.members.join(' & ')}` : archive.channel.name;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - LocalChat transcript</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+.message { padding: 0.5rem 0; border-bottom: 1px solid #e5e7eb; }
+.message.system { color: #6b7280; font-style: italic; }
+.content { white-space: pre-wrap; overflow-wrap: anywhere; }
+.meta { color: #6b7280; font-size: 0.8rem; }
+.thread { margin-left: 2rem; padding-left: 0.75rem; border-left: 3px solid #c7d2fe; }
+.reaction { display: inline-block; background: #eef2ff; border-radius: 999px; padding: 0 0.5rem; font-size: 0.85rem; }
+.file img { display: block; max-width: 320px; max-height: 240px; margin: 0.25rem 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Exported ${escapeHtml(new Date(archive.exportedAt).toISOString())} · ${archive.messages.length} messages · read-only transcript</p>
+${body}
+</body>
+</html>
+`;
+}
+
+// --- Import ---
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Checks an archive's shape before anything is written. Rejects with code 'INVALID_ARCHIVE'. */
+function validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+        throw archiveError('INVALID_ARCHIVE', `Not a LocalChat channel archive (expected format "${ARCHIVE_FORMAT}").`);
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+        throw archiveError('INVALID_ARCHIVE', `Unsupported archive version ${archive.version}; this server reads versions up to ${ARCHIVE_VERSION}.`);
+    }
+    if (!archive.channel || typeof archive.channel.name !== 'string' || !Array.isArray(archive.messages)) {
+        throw archiveError('INVALID_ARCHIVE', 'The archive has no channel or messages.');
+    }
+    if (archive.channel.members !== undefined && !Array.isArray(archive.channel.members)) {
+        throw archiveError('INVALID_ARCHIVE', 'The channel\'s members must be a list of usernames.');
+    }
+    if (archive.files !== undefined && (!isPlainObject(archive.files) || Object.values(archive.files).some(data => typeof data !== 'string'))) {
+        throw archiveError('INVALID_ARCHIVE', 'The archive\'s files must map checksums to base64 data.');
+    }
+    archive.messages.forEach((message, index) => {
+        if (!message || typeof message.id !== 'string' || typeof message.author !== 'string' || typeof message.content !== 'string' || !Number.isFinite(message.timestamp)) {
+            throw archiveError('INVALID_ARCHIVE', `Message ${index} is malformed (needs id, author, content and timestamp).`);
+        }
+        const { reactions, attachment } = message;
+        if (reactions !== undefined && reactions !== null
+            && (!isPlainObject(reactions) || Object.values(reactions).some(users => !Array.isArray(users) || users.some(user => typeof user !== 'string')))) {
+            throw archiveError('INVALID_ARCHIVE', `Message ${index} has malformed reactions (needs emoji -> list of usernames).`);
+        }
+        if (attachment !== undefined && attachment !== null
+            && (!isPlainObject(attachment) || !['sha256', 'originalname', 'mimetype'].every(key => attachment[key] === undefined || attachment[key] === null || typeof attachment[key] === 'string')
+                || (attachment.size !== undefined && attachment.size !== null && !Number.isFinite(attachment.size)))) {
+            throw archiveError('INVALID_ARCHIVE', `Message ${index} has a malformed attachment (sha256, originalname and mimetype must be text, size a number).`);
+        }
+    });
+}
+
+
+/** Looks up users by username, case-insensitively. Returns a Map of lowercased username -> user_id. */
+async function mapUsernames(usernames) {
+    const unique = Array.from(new Set(usernames.filter(name => typeof name === 'string').map(name => name.toLowerCase())));
+    const mapped = new Map();
+    for (let i = 0; i < unique.length; i += INSERT_BATCH_SIZE) {
+        const batch = unique.slice(i, i + INSERT_BATCH_SIZE);
+        const rows = await db.query(`SELECT user_id, username FROM users WHERE username IN (${batch.map(() => '?').join(', ')})`, batch);
+        rows.forEach(row => mapped.set(row.username.toLowerCase(), row.user_id));
+    }
+    return mapped;
+}
+
+/** Stores a bundled file and ties it to the imported message. Returns the attachment metadata, or null if it is unusable. */
+async function importAttachment(attachment, data, uploaderId, messageId) {
+    if (!attachments.ALLOWED_MIMETYPES.includes(attachment.mimetype)) return null;
+    const buffer = Buffer.from(data, 'base64');
+    const incomingPath = path.join(attachments.INCOMING_DIR, crypto.randomUUID());
+    await fs.promises.writeFile(incomingPath, buffer);
+    try {
+        const stored = await attachments.storeUpload(
+            { path: incomingPath, originalname: attachment.originalname || 'attachment', mimetype: attachment.mimetype, size: buffer.length },
+            uploaderId,
+            { expectedSha256: attachment.sha256, enforceQuota: false }
+        );
+        await attachments.linkAttachment(stored.id, messageId);
+        return stored;
+    } catch (e) {
+        if (e.code === 'CHECKSUM_MISMATCH') return null;
+        throw e;
+    }
+}
+
+/** Creates the target room. Returns its name and whether it was created here (so a failed import can remove it). */
+async function createTargetRoom(archive, targetName, userIds, actorId) {
+    const source = archive.channel;
+    if (source.isDm) {
+        const participants = (source.members || []).map(name => userIds.get(String(name).toLowerCase()));
+        if (participants.length !== 2 || participants.some(id => !id)) {
+            throw archiveError('INVALID_ARCHIVE', `A DM can only be imported when both participants (${(source.members || []).join(', ')}) have accounts here.`);
+        }
+        const room = getDmRoomName(participants[0], participants[1]);
+        const existing = await repo.channels.find(room);
+        if (existing && (await db.query('SELECT 1 FROM messages WHERE channel_name = ? LIMIT 1', [room])).length > 0) {
+            throw archiveError('CHANNEL_EXISTS', 'These users already have a DM conversation with messages in it.');
+        }
+        await repo.channels.createDm(room, participants[0]);
+        await repo.members.add(room, participants);
+        return { room, created: !existing };
+    }
+
+    if (targetName.length < 2 || targetName.length > 50 || isDmRoom(targetName)) {
+        throw archiveError('INVALID_ARCHIVE', `Invalid channel name "${targetName}" (2-50 characters, not starting with "DM:").`);
+    }
+    const createdBy = (source.createdBy && userIds.get(String(source.createdBy).toLowerCase())) || actorId;
+    try {
+        await repo.channels.create({ name: targetName, isPrivate: !!source.isPrivate, inviteCode: source.isPrivate ? generateInviteCode() : null, createdBy });
+    } catch (e) {
+        if (db.isDuplicateKeyError(e)) throw archiveError('CHANNEL_EXISTS', `Channel ${targetName} already exists. Import under another name.`);
+        throw e;
+    }
+    if (source.isPrivate) {
+        const memberIds = (source.members || []).map(name => userIds.get(String(name).toLowerCase())).filter(Boolean);
+        await repo.members.add(targetName, Array.from(new Set([actorId, ...memberIds])));
+    }
+    return { room: targetName, created: true };
+}
+
+/**
+ * Recreates a channel (or DM) from an archive. Authors, reactions and members are matched to local accounts
+ * by username; messages by unknown authors keep their name but belong to the system account, and reactions by
+ * unknown users are dropped. Messages get new IDs. Bundled files are stored again; attachments without one
+ * keep their name and size but are marked `unavailable`.
+ * Rejects with code 'INVALID_ARCHIVE' or 'CHANNEL_EXISTS'; nothing is left behind on failure.
+ * @param {object} [options] { name } imports a channel under another name.
+ */
+async function importChannel(archive, actorId, { name = null } = {}) {
+    validateArchive(archive);
+    const source = archive.channel;
+    const files = archive.files || {};
+
+    const usernames = [source.createdBy, ...(source.members || [])];
+    archive.messages.forEach(message => {
+        usernames.push(message.author);
+        Object.values(message.reactions || {}).forEach(users => usernames.push(...users));
+    });
+    const userIds = await mapUsernames(usernames);
+    const systemId = await ensureSystemActor();
+
+    const { room, created } = await createTargetRoom(archive, name || source.name, userIds, actorId);
+    const summary = { channel: room, messages: 0, reactions: 0, attachments: { stored: 0, unavailable: 0 }, unmatchedUsers: [] };
+    const unmatched = new Set();
+    try {
+        // Roots before replies, so each reply's parent exists when it is inserted
+        const ordered = [...archive.messages].sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0) || a.timestamp - b.timestamp);
+        const newIds = new Map(ordered.map(message => [message.id, crypto.randomUUID()]));
+        const authorOf = (message) => {
+            const userId = userIds.get(message.author.toLowerCase());
+            if (!userId) unmatched.add(message.author);
+            return userId || systemId;
+        };
+
+        const rows = ordered.map(message => [
+            newIds.get(message.id), room, authorOf(message), message.author.substring(0, 20), message.content, message.timestamp,
+            message.edited ? 1 : 0, message.editedAt || null, null, message.system ? 1 : 0,
+            (message.parentId && newIds.get(message.parentId)) || null, message.isThreadRoot ? 1 : 0
+        ]);
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+            await db.insertIgnore('messages', MESSAGE_COLUMNS, rows.slice(i, i + INSERT_BATCH_SIZE));
+        }
+        summary.messages = rows.length;
+
+        const reactionRows = [];
+        for (const message of ordered) {
+            const messageId = newIds.get(message.id);
+            Object.entries(message.reactions || {}).forEach(([emoji, users]) => users.forEach(username => {
+                const userId = userIds.get(String(username).toLowerCase());
+                if (userId) reactionRows.push([messageId, userId, emoji]);
+                else unmatched.add(username);
+            }));
+
+            if (!message.attachment) continue;
+            const data = message.attachment.sha256 && files[message.attachment.sha256];
+            const stored = data ? await importAttachment(message.attachment, data, authorOf(message), messageId) : null;
+            const metadata = stored || { originalname: message.attachment.originalname, mimetype: message.attachment.mimetype, size: message.attachment.size, unavailable: true };
+            await db.query('UPDATE messages SET attachment_metadata = ? WHERE id = ?', [JSON.stringify(metadata), messageId]);
+            summary.attachments[stored ? 'stored' : 'unavailable']++;
+        }
+        for (let i = 0; i < reactionRows.length; i += INSERT_BATCH_SIZE) {
+            await db.insertIgnore('reactions', ['message_id', 'user_id', 'emoji'], reactionRows.slice(i, i + INSERT_BATCH_SIZE));
+        }
+        summary.reactions = reactionRows.length;
+
+        if (source.pinnedMessageId && newIds.has(source.pinnedMessageId)) await repo.channels.setPinnedMessage(room, newIds.get(source.pinnedMessageId));
+        if (!source.isDm) {
+            for (const [role, flags] of Object.entries(source.permissions || {})) {
+                await setRolePermissions(room, role, flags);
+            }
+        }
+    } catch (e) {
+        // An existing (empty) DM room is kept, but loses whatever was imported into it
+        const cleanup = created ? repo.channels.remove(room) : db.query('DELETE FROM messages WHERE channel_name = ?', [room]);
+        await cleanup.catch(() => {});
+        if (e.code === 'INVALID_PERMISSIONS') throw archiveError('INVALID_ARCHIVE', e.message);
+        throw e;
+    }
+
+    summary.unmatchedUsers = Array.from(unmatched).sort();
+    transcriptEvents.emit('imported', room);
+    return summary;
+}
+
+module.exports = {
+    ARCHIVE_MAX_BYTES,
+    transcriptEvents,
+    exportChannel,
+    renderTranscriptHtml,
+    importChannel
+};
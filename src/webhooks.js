@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const db = require('./db');
+const repo = require('./repositories');
+const { isDmRoom } = require('./channels');
+require('dotenv').config();
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10 * 1000; // Doubles after every failed attempt
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+const TIMER_SLACK_MS = 50; // setTimeout may fire a millisecond or so before Date.now() reaches the due time
+const MAX_DELIVERY_LOG_PAGE = 200;
+
+const WEBHOOK_EVENTS = ['channel_message', 'message_edited', 'message_deleted', 'message_reacted'];
+const WEBHOOK_NAME_PATTERN = /^[\w-]{3,20}$/;
+
+// Bot users can never log in: this is not a `salt:hash` pair, so verifyPassword always rejects it.
+// It also marks the account as a webhook bot, so re-creating a deleted hook reuses its bot.
+const BOT_PASSWORD_HASH = '!webhook-bot';
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_WEBHOOK';
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Loads a channel that webhooks may be attached to (an existing, non-DM channel). */
+async function requireHookChannel(channelName) {
+    const channel = channelName && !isDmRoom(channelName) ? await repo.channels.find(channelName) : null;
+    if (!channel || channel.is_dm) throw invalid(`Channel ${channelName} does not exist.`);
+    return channel;
+}
+
+// --- Incoming Webhooks ---
+
+/**
+ * Creates an incoming webhook that posts into `channel` as a bot user named `name`.
+ * @returns {Promise<{webhook: object, token: string}>} The token is only ever returned here.
+ */
+async function createIncomingWebhook({ name, channel, createdBy }) {
+    if (!WEBHOOK_NAME_PATTERN.test(name || '')) throw invalid('Webhook name must be 3-20 letters, digits, dashes or underscores.');
+    const channelRow = await requireHookChannel(channel);
+
+    let bot = await repo.users.findByUsername(name);
+    if (bot && bot.password_hash !== BOT_PASSWORD_HASH) throw invalid(`The name ${name} is already taken by a user.`);
+    if (!bot) {
+        bot = { user_id: crypto.randomUUID() };
+        await repo.users.create({ userId: bot.user_id, username: name, passwordHash: BOT_PASSWORD_HASH, role: 'User' });
+    }
+    // The bot posts through the same access checks as everyone else, so it must be a member of private channels
+    if (channelRow.is_private) await repo.members.add(channelRow.channel_name, [bot.user_id]);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const webhook = { webhook_id: crypto.randomUUID(), name, channel_name: channelRow.channel_name, bot_user_id: bot.user_id, created_by: createdBy, created_at: Date.now() };
+    await db.query(
+        'INSERT INTO incoming_webhooks (webhook_id, name, channel_name, token_hash, bot_user_id, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [webhook.webhook_id, name, webhook.channel_name, hashToken(token), bot.user_id, createdBy, webhook.created_at]
+    );
+    return { webhook, token };
+}
+
+async function listIncomingWebhooks() {
+    return db.query('SELECT webhook_id, name, channel_name, bot_user_id, created_by, created_at FROM incoming_webhooks ORDER BY created_at DESC', []);
+}
+
+/** Deletes an incoming webhook. Its bot user is kept so the messages it posted keep their author. */
+async function deleteIncomingWebhook(webhookId) {
+    const result = await db.query('DELETE FROM incoming_webhooks WHERE webhook_id = ?', [webhookId]);
+    return result.affectedRows > 0;
+}
+
+/** Resolves a token to its webhook and bot identity (`{ webhook_id, channel_name, userId, username, role }`), or null. */
+async function findIncomingWebhookByToken(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+    const rows = await db.query(
+        `SELECT w.webhook_id, w.name, w.channel_name, u.user_id, u.username, u.user_role
+         FROM incoming_webhooks w JOIN users u ON u.user_id = w.bot_user_id
+         WHERE w.token_hash = ?`,
+        [hashToken(token)]
+    );
+    const row = rows[0];
+    return row ? { webhook_id: row.webhook_id, name: row.name, channel_name: row.channel_name, userId: row.user_id, username: row.username, role: row.user_role } : null;
+}
+
+// --- Outgoing Webhooks ---
+
+/** Validates an event list (an array or comma-separated string); empty means every event. */
+function parseEvents(events) {
+    const list = (Array.isArray(events) ? events : String(events || '').split(',')).map(e => String(e).trim()).filter(Boolean);
+    if (list.length === 0) return WEBHOOK_EVENTS;
+    const unknown = list.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) throw invalid(`Unknown webhook event(s): ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}.`);
+    return Array.from(new Set(list));
+}
+
+function parseTargetUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw invalid('Webhook URL is not a valid URL.');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw invalid('Webhook URL must use http or https.');
+    return parsed.toString();
+}
+
+function toOutgoingHook(row) {
+    return { webhook_id: row.webhook_id, name: row.name, channel_name: row.channel_name, url: row.url, events: row.events.split(','), created_by: row.created_by, created_at: row.created_at };
+}
+
+/**
+ * Creates an outgoing webhook for a channel's events.
+ * @returns {Promise<{webhook: object, secret: string}>} The signing secret is only ever returned here.
+ */
+async function createOutgoingWebhook({ name, channel, url, events, createdBy }) {
+    if (!name || String(name).length > 50) throw invalid('Webhook name is required (up to 50 characters).');
+    const channelRow = await requireHookChannel(channel);
+    const targetUrl = parseTargetUrl(url);
+    const eventList = parseEvents(events);
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const row = { webhook_id: crypto.randomUUID(), name: String(name), channel_name: channelRow.channel_name, url: targetUrl, events: eventList.join(','), created_by: createdBy, created_at: Date.now() };
+    await db.query(
+        'INSERT INTO outgoing_webhooks (webhook_id, name, channel_name, url, secret, events, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [row.webhook_id, row.name, row.channel_name, row.url, secret, row.events, createdBy, row.created_at]
+    );
+    return { webhook: toOutgoingHook(row), secret };
+}
+
+async function listOutgoingWebhooks() {
+    const rows = await db.query('SELECT webhook_id, name, channel_name, url, events, created_by, created_at FROM outgoing_webhooks ORDER BY created_at DESC', []);
+    return rows.map(toOutgoingHook);
+}
+
+/** Deletes an outgoing webhook together with its delivery log. */
+async function deleteOutgoingWebhook(webhookId) {
+    const result = await db.query('DELETE FROM outgoing_webhooks WHERE webhook_id = ?', [webhookId]);
+    return result.affectedRows > 0;
+}
+
+/** The most recent deliveries of an outgoing webhook, newest first. */
+async function listDeliveries(webhookId, { limit = 50 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_DELIVERY_LOG_PAGE);
+    const rows = await db.query(
+        `SELECT delivery_id, event_type, payload, status, attempts, next_attempt_at, last_status_code, last_error, created_at, completed_at
+         FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ${pageSize}`,
+        [webhookId]
+    );
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+}
+
+// --- Delivery ---
+
+/** `sha256=<hex>` HMAC of `<timestamp>.<body>`, so receivers can reject forged and replayed requests. */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+/**
+ * Makes one delivery attempt. The row is claimed first by moving its next_attempt_at past the request timeout,
+ * so a delivery is never sent twice at once (by a retry timer and the sweeper, or by two cluster workers);
+ * if this process dies mid-attempt, the claim lapses and the sweeper retries it.
+ */
+async function attemptDelivery(delivery) {
+    const claimedUntil = Date.now() + DELIVERY_TIMEOUT_MS * 2;
+    const claim = await db.query(
+        "UPDATE webhook_deliveries SET next_attempt_at = ? WHERE delivery_id = ? AND status = 'pending' AND next_attempt_at = ?",
+        [claimedUntil, delivery.delivery_id, delivery.next_attempt_at]
+    );
+    if (claim.affectedRows !== 1) return;
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'LocalChat-Webhooks/1.0',
+                'X-LocalChat-Event': delivery.event_type,
+                'X-LocalChat-Delivery': delivery.delivery_id,
+                'X-LocalChat-Timestamp': String(timestamp),
+                'X-LocalChat-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+        await response.arrayBuffer().catch(() => {}); // Drain the body so the connection is released
+    } catch (e) {
+        error = (e.cause && e.cause.message) || e.message;
+    }
+
+    const now = Date.now();
+    try {
+        if (!error) {
+            await db.query(
+                "UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, next_attempt_at = NULL, completed_at = ? WHERE delivery_id = ?",
+                [attempts, statusCode, now, delivery.delivery_id]
+            );
+        } else if (attempts >= MAX_ATTEMPTS) {
+            await db.query(
+                "UPDATE webhook_deliveries SET status = 'failed', attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = NULL, completed_at = ? WHERE delivery_id = ?",
+                [attempts, statusCode, error.substring(0, 255), now, delivery.delivery_id]
+            );
+        } else {
+            const nextAttemptAt = now + retryDelay(attempts);
+            await db.query(
+                'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ? WHERE delivery_id = ?',
+                [attempts, statusCode, error.substring(0, 255), nextAttemptAt, delivery.delivery_id]
+            );
+            setTimeout(() => retryDelivery(delivery.delivery_id), nextAttemptAt - now).unref();
+        }
+    } catch (e) {
+        console.error('Webhook delivery log error:', e);
+    }
+}
+
+const DELIVERY_COLUMNS = `d.delivery_id, d.event_type, d.payload, d.attempts, d.next_attempt_at, h.url, h.secret
+     FROM webhook_deliveries d JOIN outgoing_webhooks h ON h.webhook_id = d.webhook_id`;
+
+async function retryDelivery(deliveryId) {
+    try {
+        const rows = await db.query(`SELECT ${DELIVERY_COLUMNS} WHERE d.delivery_id = ? AND d.status = 'pending'`, [deliveryId]);
+        if (rows[0] && rows[0].next_attempt_at <= Date.now() + TIMER_SLACK_MS) await attemptDelivery(rows[0]);
+    } catch (e) {
+        console.error('Webhook retry error:', e);
+    }
+}
+
+/**
+ * Queues a channel event for every outgoing webhook subscribed to it and sends it right away.
+ * Never throws: webhook trouble must not fail the chat action that triggered it.
+ */
+async function dispatchWebhookEvent(roomName, eventType, data) {
+    if (isDmRoom(roomName)) return;
+    try {
+        const hooks = await db.query('SELECT webhook_id, url, secret, events FROM outgoing_webhooks WHERE channel_name = ?', [roomName]);
+        const now = Date.now();
+        for (const hook of hooks) {
+            if (!hook.events.split(',').includes(eventType)) continue;
+            const delivery = { delivery_id: crypto.randomUUID(), event_type: eventType, attempts: 0, next_attempt_at: now, url: hook.url, secret: hook.secret };
+            delivery.payload = JSON.stringify({ event: eventType, channel: roomName, webhookId: hook.webhook_id, deliveryId: delivery.delivery_id, timestamp: now, data });
+            await db.query(
+                'INSERT INTO webhook_deliveries (delivery_id, webhook_id, event_type, payload, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [delivery.delivery_id, hook.webhook_id, eventType, delivery.payload, now, now]
+            );
+            attemptDelivery(delivery).catch(e => console.error('Webhook delivery error:', e));
+        }
+    } catch (e) {
+        console.error('Webhook dispatch error:', e);
+    }
+}
+
+// --- Retry Sweeper ---
+
+/** Picks up due deliveries whose retry timer was lost (restarts, crashed workers, lapsed claims). */
+async function sweepPendingDeliveries() {
+    try {
+        const due = await db.query(
+            `SELECT ${DELIVERY_COLUMNS} WHERE d.status = 'pending' AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at LIMIT ${SWEEP_BATCH_SIZE}`,
+            [Date.now()]
+        );
+        for (const delivery of due) await attemptDelivery(delivery);
+    } catch (e) {
+        console.error('Webhook sweep error:', e);
+    }
+}
+
+function startWebhookSweeper() {
+    sweepPendingDeliveries();
+    setInterval(sweepPendingDeliveries, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    createIncomingWebhook,
+    listIncomingWebhooks,
+    deleteIncomingWebhook,
+    findIncomingWebhookByToken,
+    createOutgoingWebhook,
+    listOutgoingWebhooks,
+    deleteOutgoingWebhook,
+    listDeliveries,
+    dispatchWebhookEvent,
+    startWebhookSweeper
+};
@@ -1,25 +1,47 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const db = require('./db');
+const repo = require('./repositories');
+const auth = require('./auth');
+const { FALLBACK_CHANNEL, isDmRoom, parseDmRoomName, generateInviteCode, getAuthorizedChannels, canAccessRoom, getRoomMemberIds, ensureDmConversation, getRecentConversations } = require('./channels');
+const { markRead, getReadPosition, getUnreadCounts, withUnreadCounts } = require('./readState');
+const { resolveMentions, recordMentions, getMentionInbox, markMentionsRead } = require('./mentions');
+const { getRoomData, fetchMessagePage, groupReactions, getThreadSummaries, fetchThread, fetchEditHistory } = require('./history');
+const { autoSubscribe, setFollowing, isFollowing, getSubscribers } = require('./threads');
+const { parseSearchArgs, searchMessages } = require('./search');
+const { logAction, logSystemAction } = require('./audit');
+const { canModerate, isBanActive, describeExpiry, banUser, unbanUser, muteUser, unmuteUser, getActiveMute, banFromChannel, unbanFromChannel } = require('./moderation');
+const { hasRole, permissionEvents, resolveChannelPermissions, getPermissionMatrix, setRolePermissions } = require('./permissions');
+const { createBus } = require('./bus');
+const { registerCommand, listCommands, runCommand, loadCommandPlugins } = require('./commands');
+const { dispatchWebhookEvent } = require('./webhooks');
+const { createFrameLimiter, describeWait } = require('./rateLimit');
+const { findPostableAttachment, linkAttachment } = require('./attachments');
+const { describeRetention, getChannelRetention, setChannelRetention, retentionEvents } = require('./retention');
+const { transcriptEvents } = require('./transcripts');
+const { parseWhen, formatWhen, createScheduledMessage, listScheduledMessages, cancelScheduledMessage, updateScheduledMessage } = require('./scheduler');
+const { profileEvents, toPresenceProfile, getProfile } = require('./profiles');
+const { accountEvents } = require('./accounts');
 require('dotenv').config();
 
 const MESSAGE_EDIT_TTL_MS = parseInt(process.env.MESSAGE_EDIT_TTL_MS, 10) || (24 * 60 * 60 * 1000); // 24 hours default
-const FALLBACK_CHANNEL = '#general';
+const EDIT_HISTORY_FOR_AUTHORS = process.env.EDIT_HISTORY_FOR_AUTHORS === 'true'; // Edit history is otherwise for can_manage_messages only
+const ACCOUNT_SYNC_INTERVAL_MS = 5 * 1000;
 
 // --- Core Data Structures (Centralized State) ---
-// Role hierarchy for granular permissions checks
-const ROLE_HIERARCHY = { 'Admin': 3, 'Moderator': 2, 'User': 1, 'Guest': 0 };
+// Sockets connected to *this* process (connectionId -> { ws, userId, sessionId, username, channel, role }).
+// A user may be connected from several devices at once, each with its own current room.
 const clients = new Map();
-const typingUsers = new Map();
-const bannedUsers = new Set();
 
+// Everything other processes need to see goes through the message bus (see bus.js)
+const bus = createBus();
+const presence = bus.createState('presence'); // connectionId -> { userId, username, role, channel }, across all processes
+const statuses = bus.createState('status', { ephemeral: false }); // userId -> 'online' | 'away' | 'dnd'
+const profileSummaries = bus.createState('profiles', { ephemeral: false }); // userId -> { displayName, avatar, customStatus }
+const typingUsers = bus.createState('typing'); // `${room}\n${username}` -> { room, username }
 
-// --- Utility Functions ---
 
-function getDmRoomName(id1, id2) {
-    // Ensure deterministic room naming for 1:1 DMs
-    return `DM:${[id1, id2].sort().join('-')}`;
-}
+// --- Utility Functions ---
 
 function sendToClient(ws, eventType, data) {
     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -31,239 +53,598 @@ function sendToClient(ws, eventType, data) {
     }
 }
 
-function broadcast(roomName, eventType, data, senderId = null) {
-    clients.forEach((client, clientId) => {
-        if (client.channel === roomName && clientId !== senderId) {
-            sendToClient(client.ws, eventType, data);
-        }
-    });
+/** Sends an event to every socket viewing a room, optionally skipping one (usually the sender's, which is answered directly). */
+function broadcast(roomName, eventType, data, excludeConnectionId = null) {
+    bus.publish('room', { room: roomName, eventType, data, exclude: excludeConnectionId });
 }
 
-/** Generates a simple, short invite code. */
-function generateInviteCode() {
-    return crypto.randomBytes(4).toString('hex').toUpperCase(); // 8 characters
+/** Sends an event to specific sockets, whichever process they are connected to. */
+function sendToConnections(connectionIds, eventType, data) {
+    if (connectionIds.length > 0) bus.publish('deliver', { connectionIds, eventType, data });
 }
 
-/** * Checks if a user has a minimum role level (RBAC). 
- * @param {string} userRole The client's role.
- * @param {string} requiredRole The minimum role required.
- * @returns {boolean} True if user role is sufficient.
- */
-function hasPermission(userRole, requiredRole) {
-    return ROLE_HIERARCHY[userRole] >= ROLE_HIERARCHY[requiredRole];
+// --- Connections (multi-device, multi-process) ---
+
+/** Records a socket's user and current room where every process can see it. */
+function updatePresence(connectionId, client) {
+    presence.set(connectionId, { userId: client.userId, username: client.username, role: client.role, channel: client.channel });
 }
 
-/** Fetches all channels the given user is authorized to see. */
-async function getAuthorizedChannels(userId) {
-    try {
-        // 1. Get all public channels and their metadata
-        const publicChannels = await db.query(
-            'SELECT channel_name AS name, is_private, invite_code FROM channels WHERE is_private = 0'
-        );
-        
-        // 2. Get all private channels the user is explicitly a member of
-        const privateChannels = await db.query(
-            `SELECT c.channel_name AS name, c.is_private, c.invite_code, c.created_by FROM channels c
-             JOIN channel_members cm ON c.channel_name = cm.channel_name
-             WHERE cm.user_id = ? AND c.is_private = 1`,
-            [userId]
-        );
-        
-        // Process SQL results
-        const processChannels = (channels) => channels.map(c => ({
-            name: c.name,
-            is_private: c.is_private === 1,
-            invite_code: c.invite_code || null,
-            created_by: c.created_by
-        }));
-
-        // Combine and return
-        return [...processChannels(publicChannels), ...processChannels(privateChannels)];
-    } catch (e) {
-        console.error("DB ERROR in getAuthorizedChannels:", e.message, e);
-        return [{ name: FALLBACK_CHANNEL, is_private: false, invite_code: null }]; 
-    }
+/** Moves a local socket to another room, keeping the shared presence in step. */
+function setClientChannel(connectionId, client, roomName) {
+    client.channel = roomName;
+    updatePresence(connectionId, client);
 }
 
+/** All live connections of a user across processes, one per device: `[{ connectionId, channel, ... }]`. */
+function getUserConnections(userId) {
+    return presence.entries().filter(([, p]) => p.userId === userId).map(([connectionId, p]) => ({ connectionId, ...p }));
+}
 
-/** Retrieves messages and pinned status from the DB, including threading context. */
-async function getRoomData(roomName) {
-    const isDM = roomName.startsWith('DM:');
-    
-    if (isDM) {
-        // NOTE: DM messages are assumed to be volatile or handled by another secure storage layer.
-        return { messages: [], pinnedMessage: null };
-    }
+/** Sends an event to every device a user is connected from. */
+function sendToUser(userId, eventType, data) {
+    sendToConnections(getUserConnections(userId).map(c => c.connectionId), eventType, data);
+}
 
-    try {
-        // Select all message data including new threading columns
-        let messages = await db.query(
-            `SELECT id, channel_name, author_id, author_username AS author, content, timestamp, edited, edited_timestamp, attachment_metadata, is_system as system, parent_message_id, is_thread_root
-             FROM messages 
-             WHERE channel_name = ?
-             ORDER BY timestamp ASC`,
-            [roomName]
-        );
-
-        const metadata = await db.query(
-            'SELECT pinned_message_id FROM channels WHERE channel_name = ?',
-            [roomName]
-        );
-
-        let pinnedMessage = null;
-        if (metadata[0]?.pinned_message_id) {
-            let pinnedMsg = await db.query('SELECT id, author_username, content FROM messages WHERE id = ?', [metadata[0].pinned_message_id]);
-            if (pinnedMsg.length > 0) {
-                pinnedMessage = {
-                    id: pinnedMsg[0].id,
-                    author: pinnedMsg[0].author_username,
-                    content: pinnedMsg[0].content,
-                };
-            }
-        }
+function getOnlineUserIds() {
+    return new Set(presence.values().map(p => p.userId));
+}
 
-        // Process messages: parse attachment metadata, fetch reactions, clean booleans
-        for (const msg of messages) {
-    // FIX: Safely parse attachment_metadata. Check if it's a non-null string before parsing.
-    // If it's already an object (due to driver settings), use it directly.
-    if (typeof msg.attachment_metadata === 'string') {
-        // If it's a string, attempt to parse it (assuming DB stores it as JSON string)
-        try {
-            msg.attachment = JSON.parse(msg.attachment_metadata);
-        } catch (e) {
-            console.error('Error parsing JSON attachment_metadata:', msg.attachment_metadata, e.message);
-            msg.attachment = null;
-        }
-    } else if (msg.attachment_metadata !== null && typeof msg.attachment_metadata === 'object') {
-        // If the driver already parsed it into an object, use it directly
-        msg.attachment = msg.attachment_metadata;
-    } else {
-        msg.attachment = null;
-    }
-    delete msg.attachment_metadata;
-            
-            // FIX: Ensure boolean values are correctly interpreted from DB int (1/0)
-            msg.edited = msg.edited === 1;
-            msg.system = msg.system === 1;
-            msg.is_thread_root = msg.is_thread_root === 1;
-
-            const reactions = await db.query('SELECT user_id, emoji FROM reactions WHERE message_id = ?', [msg.id]);
-            msg.reactions = reactions.reduce((acc, { user_id, emoji }) => {
-                acc[emoji] = acc[emoji] || [];
-                acc[emoji].push(user_id);
-                return acc;
-            }, {});
-        }
+/** True if any of the user's other devices is viewing the room (so joins/leaves are not announced twice). */
+function isUserInRoomElsewhere(userId, roomName, connectionId) {
+    return getUserConnections(userId).some(c => c.channel === roomName && c.connectionId !== connectionId);
+}
 
-        return { messages, pinnedMessage };
-    } catch (e) {
-        console.error("DB ERROR in getRoomData:", e.message, e);
-        return { messages: [], pinnedMessage: null };
-    }
+function getTypingUsers(roomName) {
+    return typingUsers.values().filter(t => t.room === roomName).map(t => t.username);
+}
+
+/** Updates a user's typing flag in a room. Returns true if it changed. */
+function setTyping(roomName, username, isTyping) {
+    const key = `${roomName}\n${username}`;
+    if (!!typingUsers.get(key) === isTyping) return false;
+    if (isTyping) typingUsers.set(key, { room: roomName, username });
+    else typingUsers.delete(key);
+    return true;
+}
+
+/** Effective permissions of a connected client in a room (global role + channel overrides). Unknown rooms grant nothing. */
+async function getClientPermissions(userId, client, roomName) {
+    return (await resolveChannelPermissions(userId, client.role, roomName)) || {};
+}
+
+/** Authorized channels for a user, decorated with unread and mention counts. */
+async function getChannelList(userId) {
+    return withUnreadCounts(userId, await getAuthorizedChannels(userId));
+}
+
+/** Pushes an unread bump to every connected user who can see the room but is not currently viewing it. */
+async function notifyUnread(roomName, messageData, mentionRecipients) {
+    const memberIds = await getRoomMemberIds(roomName);
+    const plain = [];
+    const mentioned = [];
+    presence.entries().forEach(([connectionId, p]) => {
+        if (p.userId === messageData.authorId || p.channel === roomName) return;
+        if (memberIds && !memberIds.has(p.userId)) return;
+        (mentionRecipients.has(p.userId) ? mentioned : plain).push(connectionId);
+    });
+    sendToConnections(plain, 'unread_increment', { channel: roomName, messageId: messageData.id, mention: false });
+    sendToConnections(mentioned, 'unread_increment', { channel: roomName, messageId: messageData.id, mention: true });
+}
+
+/** Pushes mention_notification to every device of every mentioned user, whichever room they are in. */
+function notifyMentions(messageData, mentionRecipients) {
+    mentionRecipients.forEach((mentionType, id) => {
+        sendToUser(id, 'mention_notification', {
+            room: messageData.channel, messageId: messageData.id, author: messageData.author, content: messageData.content, mentionType: mentionType, timestamp: messageData.timestamp,
+            threadRootId: messageData.parent_message_id
+        });
+    });
+}
+
+/** Sends a thread root's fresh reply summary to everyone viewing its room. */
+async function broadcastThreadSummary(rootId, roomName) {
+    const summaries = await getThreadSummaries([rootId]);
+    broadcast(roomName, 'thread_updated', { rootId: rootId, channel: roomName, thread: summaries.get(rootId) });
+}
+
+/**
+ * Subscribes the participants of a thread reply, refreshes the root's summary for viewers of the room,
+ * and notifies subscribers who are elsewhere. Replies do not count towards channel unread counts.
+ */
+async function notifyThreadReply(rootId, rootAuthorId, messageData) {
+    await autoSubscribe(rootId, [rootAuthorId, messageData.authorId]);
+    await broadcastThreadSummary(rootId, messageData.channel);
+
+    const subscribers = new Set(await getSubscribers(rootId));
+    subscribers.delete(messageData.authorId);
+    const targets = presence.entries()
+        .filter(([, p]) => subscribers.has(p.userId) && p.channel !== messageData.channel)
+        .map(([connectionId]) => connectionId);
+    sendToConnections(targets, 'thread_notification', {
+        rootId: rootId, channel: messageData.channel, messageId: messageData.id, author: messageData.author, content: messageData.content, timestamp: messageData.timestamp
+    });
 }
 
+/** The profile fields shown in presence lists; a custom status past its expiry is dropped before the sweeper clears it. */
+function getPresenceProfile(userId) {
+    const summary = profileSummaries.get(userId) || { displayName: null, avatar: null, customStatus: null };
+    const status = summary.customStatus;
+    return status && status.expiresAt && status.expiresAt <= Date.now() ? { ...summary, customStatus: null } : summary;
+}
 
+/** Users with at least one device in the room, listed once each. */
 function getActiveUsersInRoom(roomName) {
-    const activeUsers = [];
-    clients.forEach((client, clientId) => {
-        if (client.channel === roomName) {
-            activeUsers.push({ id: clientId, username: client.username, role: client.role, status: client.status });
+    const activeUsers = new Map();
+    presence.values().forEach(p => {
+        if (p.channel === roomName && !activeUsers.has(p.userId)) {
+            activeUsers.set(p.userId, { id: p.userId, username: p.username, role: p.role, status: statuses.get(p.userId) || 'online', ...getPresenceProfile(p.userId) });
         }
     });
-    return activeUsers;
+    return Array.from(activeUsers.values());
 }
 
 function broadcastPresence(roomName) {
-    const activeUsers = getActiveUsersInRoom(roomName);
-    const data = { channel: roomName, users: activeUsers };
-    clients.forEach((client) => {
-        if (client.channel === roomName) {
-            sendToClient(client.ws, 'user_presence', data);
+    broadcast(roomName, 'user_presence', { channel: roomName, users: getActiveUsersInRoom(roomName) });
+}
+
+/** Returns the message row if the user may see its room (whichever room they are viewing), or null. */
+async function findAccessibleMessage(userId, messageId) {
+    const message = messageId ? await repo.messages.findById(messageId) : null;
+    if (!message || !(await canAccessRoom(userId, message.channel_name))) return null;
+    return message;
+}
+
+// --- Posting ---
+
+function postRejected(message) {
+    const error = new Error(message);
+    error.code = 'POST_REJECTED';
+    return error;
+}
+
+/**
+ * Posts a message into a room: access, mute and permission checks, threading, persistence, mentions and fan-out.
+ * Used by send_message/send_dm and by incoming webhooks, so every author goes through the same rules.
+ * @param {object} author { userId, username, role }
+ * @param {object} [options] { attachment ({ id } from POST /api/upload), parentId, ws and connectionId of the sending socket (answered directly), webhookId }
+ * @returns {Promise<object>} The message as broadcast. Rejects with code 'POST_REJECTED' and a user-facing message.
+ */
+async function postMessage(author, targetRoom, content, { attachment: requestedAttachment = null, parentId: requestedParentId = null, ws = null, connectionId = null, webhookId = null } = {}) {
+    const isDM = isDmRoom(targetRoom);
+
+    // Only the two participants may ever post into a DM room
+    if (!(await canAccessRoom(author.userId, targetRoom))) {
+        throw postRejected(isDM ? 'You are not a participant in this conversation.' : `Channel ${targetRoom} is private or does not exist.`);
+    }
+
+    // Muted users (/mute, /timeout) can still read everything
+    const activeMute = await getActiveMute(author.userId);
+    if (activeMute) {
+        throw postRejected(`You are muted ${describeExpiry(activeMute.expiresAt)}.${activeMute.reason ? ` Reason: ${activeMute.reason}` : ''}`);
+    }
+
+    // Announcement channels: the role may read but not post
+    const sendPermissions = await getClientPermissions(author.userId, author, targetRoom);
+    if (!sendPermissions.can_send_messages) {
+        throw postRejected(`You do not have permission to post in ${targetRoom}.`);
+    }
+
+    // Only the author's own upload, not yet posted, can be attached; its metadata comes from the server, never the client
+    let attachment = null;
+    if (requestedAttachment) {
+        attachment = await findPostableAttachment(requestedAttachment.id, author.userId);
+        if (!attachment) throw postRejected('The attachment was not found or has already been posted. Please upload it again.');
+    }
+
+    // Threading: replies must target a message in the same room; a reply to a reply joins the root's thread
+    let parentId = null;
+    let threadRootAuthorId = null;
+    if (requestedParentId) {
+        const parent = await repo.messages.findInRoom(requestedParentId, targetRoom);
+        if (!parent) throw postRejected('The message you are replying to no longer exists.');
+        parentId = parent.parent_message_id || parent.id;
+        threadRootAuthorId = parent.author_id;
+        if (parent.parent_message_id) {
+            const root = await repo.messages.findById(parentId);
+            threadRootAuthorId = root ? root.author_id : null;
         }
+    }
+    // FIX: A message is a thread root if it's NOT a reply (i.e., it has no parentId)
+    const isThreadRoot = parentId ? false : true; 
+
+    const messageData = {
+        id: crypto.randomUUID(),
+        author: author.username,
+        authorId: author.userId,
+        content: content,
+        timestamp: Date.now(),
+        channel: targetRoom, 
+        system: false,
+        edited: false,
+        editedTimestamp: null,
+        reactions: {},
+        attachment: attachment,
+        parent_message_id: parentId,
+        is_thread_root: isThreadRoot
+    };
+    
+    await repo.messages.create({
+        id: messageData.id, channelName: targetRoom, authorId: author.userId, authorUsername: author.username,
+        content: content, timestamp: messageData.timestamp, attachment: attachment, parentId: parentId, isThreadRoot: isThreadRoot
+    });
+    if (attachment) await linkAttachment(attachment.id, messageData.id);
+    
+    // Resolve @mentions against real users; @here/@channel need can_mention_everyone
+    const { recipients: mentionRecipients, broadcastDenied } = await resolveMentions(targetRoom, content, {
+        authorId: author.userId, allowBroadcast: sendPermissions.can_mention_everyone, onlineUserIds: getOnlineUserIds()
     });
+    await recordMentions(messageData.id, targetRoom, author.userId, mentionRecipients);
+    if (broadcastDenied && ws) {
+        sendToClient(ws, 'notification', { message: 'You do not have permission to use @here/@channel here; nobody was notified.' });
+    }
+
+    if (ws) sendToClient(ws, 'channel_message', messageData);
+    broadcast(targetRoom, 'channel_message', messageData, connectionId); 
+    notifyMentions(messageData, mentionRecipients);
+    // Webhook posts are not echoed to outgoing webhooks, so two integrations cannot feed each other in a loop
+    if (!webhookId) dispatchWebhookEvent(targetRoom, 'channel_message', messageData);
+
+    if (parentId) {
+        await notifyThreadReply(parentId, threadRootAuthorId, messageData);
+        return messageData;
+    }
+
+    // Let a DM partner who is elsewhere know the conversation has new activity
+    if (isDM) {
+        const recipients = parseDmRoomName(targetRoom)
+            .filter(userId => userId !== author.userId)
+            .flatMap(userId => getUserConnections(userId))
+            .filter(c => c.channel !== targetRoom)
+            .map(c => c.connectionId);
+        sendToConnections(recipients, 'dm_notification', { room: targetRoom, authorId: author.userId, author: author.username, content: content, timestamp: messageData.timestamp });
+    }
+    await notifyUnread(targetRoom, messageData, mentionRecipients);
+    return messageData;
 }
 
-// --- Command Handlers ---
-async function handleCommand(command, args, client, userId, ws) {
-    const roomName = client.channel;
-    const [targetUsername, ...restArgs] = args;
-    
+// --- Built-in Commands (see commands.js for the registry; plugins add more) ---
+
+registerCommand({
+    name: 'pin',
+    description: 'Pin a message to the channel banner (needs can_pin).',
+    args: [{ name: 'messageId', required: true }],
+    handler: async (ctx, { messageId }) => {
+        if (!(await ctx.permissions()).can_pin) { ctx.fail('Permission denied. You cannot pin messages in this channel.'); return; }
+        try {
+            const messageToPin = await repo.messages.findInRoom(messageId, ctx.channel);
+            if (!messageToPin) { ctx.fail('Message not found in this channel.'); return; }
+
+            await repo.channels.setPinnedMessage(ctx.channel, messageId);
+            const pinnedMessage = { id: messageToPin.id, author: messageToPin.author_username, content: messageToPin.content };
+            broadcast(ctx.channel, 'update_pinned_message', { message: pinnedMessage });
+            ctx.reply('Message pinned successfully.');
+            await ctx.logAction('MESSAGE_PIN', { targetId: messageId, details: { room: ctx.channel } });
+        } catch (e) {
+            console.error('Pin message DB error:', e);
+            ctx.fail('DB Error pinning message.');
+        }
+    }
+});
+
+registerCommand({
+    name: 'unpin',
+    description: 'Clear the pinned message (needs can_pin).',
+    handler: async (ctx) => {
+        if (!(await ctx.permissions()).can_pin) { ctx.fail('Permission denied. You cannot pin messages in this channel.'); return; }
+        await repo.channels.setPinnedMessage(ctx.channel, null);
+        broadcast(ctx.channel, 'update_pinned_message', { message: null });
+        ctx.reply('Message unpinned.');
+        await ctx.logAction('MESSAGE_UNPIN', { details: { room: ctx.channel } });
+    }
+});
+
+/** Shared handler of the moderation commands; `ctx.command` says which one ran. */
+async function moderate(ctx, { username: target, duration: durationMs = null, reason = null }) {
+    const command = `/${ctx.command}`;
+    const roomName = ctx.channel;
+    if (!canModerate(ctx.role, target.user_role)) { ctx.fail(`You cannot moderate ${target.user_role}s.`); return; }
+    if (['/channelban', '/channelunban'].includes(command) && (isDmRoom(roomName) || roomName === FALLBACK_CHANNEL)) {
+        ctx.fail(`Channel bans cannot be applied in ${isDmRoom(roomName) ? 'a DM' : FALLBACK_CHANNEL}. Use /mute instead.`);
+        return;
+    }
+
+    const targetConnections = getUserConnections(target.user_id);
+    let expiresAt = null;
+    let summary;
     switch (command) {
-        case '/pin':
-            const messageIdToPin = restArgs[0];
-            if (!hasPermission(client.role, 'Admin')) { sendToClient(ws, 'error', { message: 'Permission denied. Requires Admin role.' }); return; }
-            if (!messageIdToPin) { sendToClient(ws, 'error', { message: 'Usage: /pin [messageId]' }); return; }
-            try {
-                const messages = await db.query('SELECT id, author_username, content FROM messages WHERE id = ? AND channel_name = ?', [messageIdToPin, roomName]);
-                if (messages.length === 0) { sendToClient(ws, 'error', { message: 'Message not found in this channel.' }); return; }
-                
-                await db.query('UPDATE channels SET pinned_message_id = ? WHERE channel_name = ?', [messageIdToPin, roomName]);
-                const pinnedMessage = { id: messages[0].id, author: messages[0].author_username, content: messages[0].content };
-                broadcast(roomName, 'update_pinned_message', { message: pinnedMessage });
-                sendToClient(ws, 'notification', { message: 'Message pinned successfully.' });
-            } catch (e) {
-                console.error('Pin message DB error:', e);
-                sendToClient(ws, 'error', { message: 'DB Error pinning message.' });
+        case '/kick':
+            if (targetConnections.length === 0) { ctx.fail(`User ${target.username} not found or already disconnected.`); return; }
+            summary = 'kicked';
+            break;
+        case '/ban':
+            expiresAt = await banUser(target.user_id, reason || `Banned by ${ctx.username}.`, durationMs);
+            summary = `banned ${describeExpiry(expiresAt)}`;
+            break;
+        case '/unban':
+            if (!isBanActive(target)) { ctx.fail(`User ${target.username} is not banned.`); return; }
+            await unbanUser(target.user_id);
+            summary = 'unbanned';
+            break;
+        case '/mute':
+        case '/timeout':
+            expiresAt = await muteUser(target.user_id, reason, durationMs);
+            summary = `muted ${describeExpiry(expiresAt)}`;
+            sendToUser(target.user_id, 'notification', { message: `You have been muted ${describeExpiry(expiresAt)} by ${ctx.username}.${reason ? ` Reason: ${reason}` : ''}` });
+            break;
+        case '/unmute':
+            await unmuteUser(target.user_id);
+            summary = 'unmuted';
+            sendToUser(target.user_id, 'notification', { message: 'You are no longer muted.' });
+            break;
+        case '/channelban':
+            expiresAt = await banFromChannel(roomName, target.user_id, ctx.userId, reason, durationMs);
+            summary = `banned from ${roomName} ${describeExpiry(expiresAt)}`;
+            if (targetConnections.length > 0) {
+                bus.publish('rejoin', { connectionIds: targetConnections.filter(c => c.channel === roomName).map(c => c.connectionId), channel: FALLBACK_CHANNEL });
+                sendToUser(target.user_id, 'channel_list_update', { availableChannels: await getChannelList(target.user_id) });
+                sendToUser(target.user_id, 'notification', { message: `You have been banned from ${roomName} ${describeExpiry(expiresAt)}.` });
             }
             break;
-            
-        case '/unpin':
-            if (!hasPermission(client.role, 'Admin')) { sendToClient(ws, 'error', { message: 'Permission denied. Requires Admin role.' }); return; }
-            await db.query('UPDATE channels SET pinned_message_id = NULL WHERE channel_name = ?', [roomName]);
-            broadcast(roomName, 'update_pinned_message', { message: null });
-            sendToClient(ws, 'notification', { message: 'Message unpinned.' });
+        case '/channelunban':
+            if (!(await unbanFromChannel(roomName, target.user_id))) { ctx.fail(`User ${target.username} is not banned from ${roomName}.`); return; }
+            summary = `unbanned from ${roomName}`;
+            if (targetConnections.length > 0) sendToUser(target.user_id, 'channel_list_update', { availableChannels: await getChannelList(target.user_id) });
             break;
-            
-        case '/kick':
-        case '/ban':
-            // Moderation: Requires Admin or Moderator role (simplified to Admin here)
-            if (!hasPermission(client.role, 'Admin') || !targetUsername) { sendToClient(ws, 'error', { message: `Permission denied or missing username. Usage: ${command} [username]` }); return; }
-            
-            let targetClient, targetId;
-            clients.forEach((c, id) => { if (c.username === targetUsername) { targetClient = c; targetId = id; } });
+    }
 
-            if (targetClient?.role === 'Admin') { sendToClient(ws, 'error', { message: 'Cannot moderate another Admin.' }); return; }
-            
-            if (command === '/ban') {
-                bannedUsers.add(targetUsername);
-                const reason = restArgs.slice(1).join(' ') || 'Banned by Admin command.';
-                // Update DB ban status (Schema feature)
-                await db.query('UPDATE users SET is_banned = TRUE, ban_reason = ? WHERE username = ?', [reason, targetUsername]);
-                sendToClient(ws, 'notification', { message: `User ${targetUsername} is now permanently banned.` });
+    await ctx.logAction(`${command.startsWith('/channel') ? 'CHANNEL' : 'USER'}_${command.replace(/^\/(channel)?/, '').toUpperCase()}`, {
+        targetId: target.user_id,
+        details: { targetUsername: target.username, room: roomName, reason, expiresAt }
+    });
+    ctx.reply(`User ${target.username} ${summary}.`);
+
+    // Kicks and bans disconnect every device of the target immediately
+    if (targetConnections.length > 0 && (command === '/kick' || command === '/ban')) {
+        const action = command === '/ban' ? 'banned' : 'kicked';
+        new Set(targetConnections.map(c => c.channel)).forEach(room => {
+            broadcast(room, 'channel_message', {
+                author: 'Server', content: `${target.username} has been ${summary} by ${ctx.username}.`, timestamp: Date.now(), system: true
+            });
+        });
+        bus.publish('disconnect', {
+            connectionIds: targetConnections.map(c => c.connectionId), eventType: action, data: { reason: `You were ${summary} from the server.${reason ? ` Reason: ${reason}` : ''}` }
+        });
+    }
+}
+
+// Durations look like 30s, 10m, 2h, 7d, 1w; Moderators may act on Users, Admins on Users and Moderators
+const USERNAME_ARG = { name: 'username', type: 'user', required: true };
+const REASON_ARG = { name: 'reason', type: 'text' };
+[
+    { name: 'kick', description: 'Disconnect a user from every device.', args: [USERNAME_ARG, REASON_ARG] },
+    { name: 'ban', description: 'Ban a user from the server, permanently or for a duration.', args: [USERNAME_ARG, { name: 'duration', type: 'duration' }, REASON_ARG] },
+    { name: 'unban', description: 'Lift a server ban.', args: [USERNAME_ARG, REASON_ARG] },
+    { name: 'mute', description: 'Stop a user from posting, indefinitely or for a duration.', args: [USERNAME_ARG, { name: 'duration', type: 'duration' }, REASON_ARG] },
+    { name: 'timeout', description: 'Mute a user for a duration.', args: [USERNAME_ARG, { name: 'duration', type: 'duration', required: true }, REASON_ARG] },
+    { name: 'unmute', description: 'Lift a mute or timeout.', args: [USERNAME_ARG, REASON_ARG] },
+    { name: 'channelban', description: 'Ban a user from this channel, permanently or for a duration.', args: [USERNAME_ARG, { name: 'duration', type: 'duration' }, REASON_ARG] },
+    { name: 'channelunban', description: 'Lift a ban from this channel.', args: [USERNAME_ARG, REASON_ARG] }
+].forEach(definition => registerCommand({ ...definition, role: 'Moderator', handler: moderate }));
+
+registerCommand({
+    name: 'status',
+    description: 'Set your status.',
+    args: [{ name: 'status', type: 'choice', choices: ['online', 'away', 'dnd'], default: 'online' }],
+    handler: async (ctx, { status }) => {
+        // Status belongs to the user, not the device
+        statuses.set(ctx.userId, status);
+        await repo.users.setStatus(ctx.userId, status);
+        new Set(getUserConnections(ctx.userId).map(c => c.channel)).forEach(broadcastPresence);
+        ctx.reply(`Your status is now set to ${status}.`);
+    }
+});
+
+registerCommand({
+    name: 'search',
+    description: 'Search message history. Filters: from:user in:#channel after:YYYY-MM-DD before:YYYY-MM-DD has:attachment is:thread page:N',
+    args: [{ name: 'terms', type: 'text', required: true }],
+    handler: async (ctx) => {
+        const searchOptions = parseSearchArgs(ctx.argv);
+        try {
+            const searchResults = await searchMessages(ctx.userId, searchOptions);
+            ctx.send('search_results', { ...searchResults, query: searchOptions });
+        } catch (e) {
+            console.error('Search DB error:', e);
+            ctx.fail('DB Error while searching.');
+        }
+    }
+});
+
+registerCommand({
+    name: 'retention',
+    description: 'Show or set how long this channel keeps messages: a duration (30d, 12w), off, or default; optionally whether the pinned message is kept.',
+    role: 'Admin',
+    args: [{ name: 'window' }, { name: 'pinned', type: 'choice', choices: ['keep', 'purge', 'default'] }],
+    handler: async (ctx, { window, pinned }) => {
+        if (isDmRoom(ctx.channel)) { ctx.fail('DMs follow the server-wide retention default.'); return; }
+        try {
+            let policy;
+            if (window) {
+                const keepPinned = pinned ? { keep: true, purge: false, default: 'default' }[pinned] : undefined;
+                policy = await setChannelRetention(ctx.channel, { retention: window.toLowerCase(), keepPinned }, ctx.userId);
+                await ctx.logAction('RETENTION_UPDATE', { details: { room: ctx.channel, retention: window.toLowerCase(), keepPinned } });
+            } else {
+                policy = await getChannelRetention(ctx.channel);
             }
-            
-            if (targetClient) {
-                const action = command === '/ban' ? 'banned' : 'kicked';
-                const message = command === '/ban' ? 'permanently banned' : 'kicked';
-                broadcast(roomName, 'channel_message', { 
-                    author: 'Server', content: `${targetUsername} has been ${message} by ${client.username}.`, timestamp: Date.now(), system: true
-                });
-                sendToClient(targetClient.ws, action, { reason: `You were ${action} from the server.` });
-                // Log action (Schema feature)
-                await db.query('INSERT INTO audit_logs (action_type, actor_id, target_id, details) VALUES (?, ?, ?, ?)', 
-                    [`USER_${command.substring(1).toUpperCase()}`, userId, targetId, JSON.stringify({ targetUsername, room: roomName })]);
-
-                targetClient.ws.close(1000, action);
-                clients.delete(targetId); 
-                broadcastPresence(roomName);
-            } else if (command === '/kick') {
-                sendToClient(ws, 'error', { message: `User ${targetUsername} not found or already disconnected.` });
+            const source = policy.overrides.retentionMs === null ? ' (server default)' : '';
+            ctx.reply(`Messages in ${ctx.channel}: ${describeRetention(policy.retentionMs)}${source}. The pinned message is ${policy.keepPinned ? 'kept' : 'purged with the rest'}.`);
+        } catch (e) {
+            if (e.code === 'INVALID_RETENTION') { ctx.fail(e.message); return; }
+            console.error('Retention command DB error:', e);
+            ctx.fail('DB Error updating the retention policy.');
+        }
+    }
+});
+
+/** Formats a profile for /whois. */
+function describeProfile(profile) {
+    const heading = profile.displayName ? `**${profile.displayName}** (${profile.username})` : `**${profile.username}**`;
+    const lines = [`${heading} · ${profile.role}${profile.pronouns ? ` · ${profile.pronouns}` : ''}`];
+    const online = getUserConnections(profile.userId).length > 0;
+    lines.push(`Presence: ${online ? statuses.get(profile.userId) || 'online' : 'offline'}`);
+    if (profile.customStatus) {
+        const { text, emoji, expiresAt } = profile.customStatus;
+        lines.push(`Status: ${[emoji, text].filter(Boolean).join(' ')}${expiresAt ? ` (until ${formatWhen(expiresAt)})` : ''}`);
+    }
+    if (profile.timezone) {
+        const localTime = new Date().toLocaleTimeString('en-GB', { timeZone: profile.timezone, hour: '2-digit', minute: '2-digit' });
+        lines.push(`Local time: ${localTime} (${profile.timezone})`);
+    }
+    if (profile.bio) lines.push(`Bio: ${profile.bio}`);
+    if (profile.joinedAt) lines.push(`Joined: ${new Date(profile.joinedAt).toISOString().slice(0, 10)}`);
+    return lines.join('\n');
+}
+
+registerCommand({
+    name: 'whois',
+    aliases: ['profile'],
+    description: "Show a user's profile: display name, pronouns, status, local time and bio.",
+    args: [USERNAME_ARG],
+    handler: async (ctx, { username: target }) => {
+        try {
+            const profile = await getProfile(target.user_id);
+            // Only the caller sees the profile
+            ctx.send('channel_message', { id: crypto.randomUUID(), author: 'Server', content: describeProfile(profile), timestamp: Date.now(), channel: ctx.channel, system: true });
+        } catch (e) {
+            console.error('Whois DB error:', e);
+            ctx.fail('DB Error loading the profile.');
+        }
+    }
+});
+
+const WHEN_EXAMPLES = 'Try 9:00, at 4:30pm, in 2h, tomorrow 10am, friday noon or 2026-12-24 18:00.';
+
+function describeRoom(roomName) {
+    return isDmRoom(roomName) ? 'this conversation' : roomName;
+}
+
+/**
+ * `list`, `cancel <id>` and `edit <id> <when> [message]` / `edit <id> text <message>`, shared by /schedule and /remind
+ * (each manages its own kind). Returns false if the arguments are not one of these.
+ */
+async function manageScheduled(ctx, kind) {
+    const [action, rawId, ...rest] = ctx.argv;
+    const command = `/${ctx.command}`;
+    const label = kind === 'reminder' ? 'Reminder' : 'Scheduled message';
+
+    if (action.toLowerCase() === 'list') {
+        const items = await listScheduledMessages(ctx.userId, { kind });
+        if (items.length === 0) { ctx.reply(`You have no ${kind === 'reminder' ? 'reminders' : 'scheduled messages'}.`); return true; }
+        const lines = items.map(item => `- \`#${item.id}\` ${formatWhen(item.deliverAt)} · ${item.channel ? describeRoom(item.channel) : 'to you'} · ${item.content}` +
+            (item.status === 'failed' ? ` · **failed:** ${item.error}` : ''));
+        const content = `**${kind === 'reminder' ? 'Reminders' : 'Scheduled messages'}**\n\n${lines.join('\n')}\n\n\`${command} cancel <id>\` drops one; \`${command} edit <id> <when> [message]\` or \`${command} edit <id> text <message>\` changes it.`;
+        // Only the caller sees the list
+        ctx.send('channel_message', { id: crypto.randomUUID(), author: 'Server', content: content, timestamp: Date.now(), channel: ctx.channel, system: true });
+        return true;
+    }
+    if (!['cancel', 'edit'].includes(action.toLowerCase())) return false;
+
+    const scheduleId = /^#?(\d+)$/.exec(rawId || '');
+    if (!scheduleId) { ctx.fail(`Usage: ${command} ${action.toLowerCase()} <id> (see ${command} list).`); return true; }
+    const id = parseInt(scheduleId[1], 10);
+
+    if (action.toLowerCase() === 'cancel') {
+        if (!(await cancelScheduledMessage(ctx.userId, id, { kind }))) { ctx.fail(`${label} #${id} not found.`); return true; }
+        ctx.reply(`${label} #${id} cancelled.`);
+        return true;
+    }
+
+    let changes;
+    if ((rest[0] || '').toLowerCase() === 'text') {
+        changes = { content: rest.slice(1).join(' ') };
+    } else {
+        const when = parseWhen(rest);
+        if (!when) { ctx.fail(`Could not tell when to send it. ${WHEN_EXAMPLES} To change only the message, use ${command} edit ${id} text <message>.`); return true; }
+        changes = { deliverAt: when.at, content: when.used < rest.length ? rest.slice(when.used).join(' ') : undefined };
+    }
+    const updated = await updateScheduledMessage(ctx.userId, id, changes, { kind });
+    if (!updated) { ctx.fail(`${label} #${id} not found.`); return true; }
+    ctx.reply(`${label} #${id} is now due ${formatWhen(updated.deliverAt)}: ${updated.content}`);
+    return true;
+}
+
+registerCommand({
+    name: 'schedule',
+    description: `Post a message in this channel later, e.g. /schedule 9:00 Standup time! ${WHEN_EXAMPLES} Also: /schedule list, /schedule cancel <id>, /schedule edit <id> <when> [message].`,
+    args: [{ name: 'when', required: true }, { name: 'message', type: 'text' }],
+    handler: async (ctx) => {
+        try {
+            if (await manageScheduled(ctx, 'message')) return;
+            const when = parseWhen(ctx.argv);
+            if (!when) { ctx.fail(`Could not tell when to send it. ${WHEN_EXAMPLES}`); return; }
+            if (!(await ctx.permissions()).can_send_messages) { ctx.fail(`You do not have permission to post in ${describeRoom(ctx.channel)}.`); return; }
+
+            const scheduled = await createScheduledMessage({
+                userId: ctx.userId, kind: 'message', channel: ctx.channel, content: ctx.argv.slice(when.used).join(' '), deliverAt: when.at
+            });
+            ctx.reply(`Message #${scheduled.id} will be posted in ${describeRoom(ctx.channel)} ${formatWhen(scheduled.deliverAt)}.`);
+        } catch (e) {
+            if (e.code === 'INVALID_SCHEDULE') { ctx.fail(e.message); return; }
+            console.error('Schedule command DB error:', e);
+            ctx.fail('DB Error scheduling the message.');
+        }
+    }
+});
+
+registerCommand({
+    name: 'remind',
+    description: `Set a reminder: /remind me in 2h check deploy (sent to you as a DM) or /remind #channel tomorrow 10am retro. ${WHEN_EXAMPLES} Also: /remind list, /remind cancel <id>, /remind edit <id> <when> [message].`,
+    args: [{ name: 'when', required: true }, { name: 'message', type: 'text' }],
+    handler: async (ctx) => {
+        try {
+            if (await manageScheduled(ctx, 'reminder')) return;
+            // `me` (or no target) is a personal reminder; `#channel` posts it there
+            const [target] = ctx.argv;
+            const words = target.startsWith('#') || target.toLowerCase() === 'me' ? ctx.argv.slice(1) : ctx.argv;
+            const when = parseWhen(words);
+            if (!when) { ctx.fail(`Could not tell when to remind you. ${WHEN_EXAMPLES}`); return; }
+
+            let channel = null;
+            if (target.startsWith('#')) {
+                const room = await repo.channels.find(target);
+                if (!room || room.is_dm || !(await canAccessRoom(ctx.userId, room.channel_name))) { ctx.fail(`Channel ${target} is private or does not exist.`); return; }
+                channel = room.channel_name;
+                if (!(await getClientPermissions(ctx.userId, ctx, channel)).can_send_messages) { ctx.fail(`You do not have permission to post in ${channel}.`); return; }
             }
-            break;
-            
-        case '/status':
-            const newStatus = args[0] ? args[0].toLowerCase() : 'online';
-            const allowedStatuses = ['online', 'away', 'dnd'];
-            if (!allowedStatuses.includes(newStatus)) { sendToClient(ws, 'error', { message: 'Invalid status. Use: online, away, or dnd.' }); return; }
-            client.status = newStatus;
-            await db.query('UPDATE users SET current_status = ? WHERE user_id = ?', [newStatus, userId]);
-            broadcastPresence(roomName);
-            sendToClient(ws, 'notification', { message: `Your status is now set to ${newStatus}.` });
-            break;
 
-        default:
-            sendToClient(ws, 'error', { message: `Unknown command: ${command}.` });
+            const reminder = await createScheduledMessage({
+                userId: ctx.userId, kind: 'reminder', channel, content: words.slice(when.used).join(' '), deliverAt: when.at
+            });
+            ctx.reply(`Reminder #${reminder.id} set for ${formatWhen(reminder.deliverAt)}${channel ? ` in ${channel}` : ''}.`);
+        } catch (e) {
+            if (e.code === 'INVALID_SCHEDULE') { ctx.fail(e.message); return; }
+            console.error('Remind command DB error:', e);
+            ctx.fail('DB Error setting the reminder.');
+        }
     }
+});
+
+/** Runs a slash command in `roomName` (the room the frame was sent to, by default the client's current room). */
+async function handleCommand(content, client, userId, ws, connectionId, roomName = client.channel) {
+    await runCommand(content, {
+        userId: userId,
+        username: client.username,
+        role: client.role,
+        channel: roomName,
+        reply: (message) => sendToClient(ws, 'notification', { message }),
+        fail: (message) => sendToClient(ws, 'error', { message }),
+        send: (eventType, data) => sendToClient(ws, eventType, data),
+        broadcast: (eventType, data) => broadcast(roomName, eventType, data),
+        post: (text) => postMessage({ userId, username: client.username, role: client.role }, roomName, text, { ws, connectionId }),
+        permissions: () => getClientPermissions(userId, client, roomName),
+        logAction: (actionType, entry) => logAction(actionType, userId, entry)
+    });
 }
 
 
@@ -272,116 +653,318 @@ async function handleCommand(command, args, client, userId, ws) {
 function setupWebSocket(server) {
     const wss = new WebSocket.Server({ server });
 
-    wss.on('connection', (ws) => {
+    // In-house slash commands from the plugin directory (see commands.js)
+    const pluginCommands = loadCommandPlugins();
+    if (pluginCommands.length > 0) console.log(`Loaded command plugins: ${pluginCommands.map(name => `/${name}`).join(', ')}`);
+
+    // An imported channel shows up in everyone's channel list
+    transcriptEvents.on('imported', () => bus.publish('refresh_channel_lists', {}));
+
+    // Messages removed by the retention purge disappear from open clients too
+    retentionEvents.on('purged', (room, { messageIds, unpinned }) => {
+        messageIds.forEach(id => broadcast(room, 'message_deleted', { id, channel: room }));
+        if (unpinned) broadcast(room, 'update_pinned_message', { message: null });
+    });
+
+    // Profiles are public to everyone signed in: every client hears about a change, and presence lists showing the user refresh
+    profileEvents.on('updated', (userId, profile) => {
+        if (!profile) return;
+        profileSummaries.set(userId, toPresenceProfile(profile));
+        bus.publish('profile_updated', profile);
+        new Set(getUserConnections(userId).map(c => c.channel)).forEach(broadcastPresence);
+    });
+
+    // A role change applies to the user's open connections right away: permissions, commands, channels and presence
+    accountEvents.on('role_changed', (userId, role) => bus.publish('role_changed', { userId, role }));
+
+    /** Applies a user's new role to this process's connections of that user. */
+    const applyRoleChange = (userId, role) => {
+        const rooms = new Set();
+        clients.forEach((c, connectionId) => {
+            if (c.userId !== userId) return;
+            c.role = role;
+            updatePresence(connectionId, c);
+            rooms.add(c.channel);
+            sendToClient(c.ws, 'role_updated', { role });
+            sendToClient(c.ws, 'command_list', { commands: listCommands(role) });
+            getChannelList(userId).then(channels => {
+                sendToClient(c.ws, 'channel_list_update', { availableChannels: channels });
+                if (!channels.some(ch => ch.name === c.channel) && !isDmRoom(c.channel)) {
+                    c.ws.emit('message', JSON.stringify({ type: 'join_channel', channel: FALLBACK_CHANNEL }));
+                }
+            }).catch(err => console.error("Error refreshing channel list after role change:", err));
+        });
+        rooms.forEach(broadcastPresence);
+    };
+
+    /** Closes this process's sockets that were opened with a session that has ended. */
+    const closeSession = (sessionId) => {
+        clients.forEach(c => {
+            if (c.sessionId === sessionId) {
+                sendToClient(c.ws, 'kicked', { reason: 'Your session has ended. Please log in again.' });
+                c.ws.close(1000, 'Session Revoked');
+            }
+        });
+    };
+
+    // --- Bus subscribers: each process acts on its own sockets ---
+    bus.subscribe('role_changed', ({ userId, role }) => applyRoleChange(userId, role));
+
+    bus.subscribe('profile_updated', (profile) => {
+        clients.forEach(c => sendToClient(c.ws, 'profile_updated', { profile }));
+    });
+
+    bus.subscribe('room', ({ room, eventType, data, exclude }) => {
+        clients.forEach((c, connectionId) => {
+            if (c.channel === room && connectionId !== exclude) sendToClient(c.ws, eventType, data);
+        });
+    });
+
+    bus.subscribe('deliver', ({ connectionIds, eventType, data }) => {
+        connectionIds.forEach(id => {
+            if (clients.has(id)) sendToClient(clients.get(id).ws, eventType, data);
+        });
+    });
+
+    bus.subscribe('disconnect', ({ connectionIds, eventType, data }) => {
+        connectionIds.forEach(id => {
+            if (!clients.has(id)) return;
+            sendToClient(clients.get(id).ws, eventType, data);
+            clients.get(id).ws.close(1000, eventType);
+        });
+    });
+
+    // Re-runs the join logic for sockets that must leave their room (e.g. after a channel ban)
+    bus.subscribe('rejoin', ({ connectionIds, channel }) => {
+        connectionIds.forEach(id => {
+            if (clients.has(id)) clients.get(id).ws.emit('message', JSON.stringify({ type: 'join_channel', channel: channel }));
+        });
+    });
+
+    bus.subscribe('refresh_channel_lists', () => {
+        clients.forEach(c => {
+            getChannelList(c.userId).then(channels => {
+                sendToClient(c.ws, 'channel_list_update', { availableChannels: channels });
+            }).catch(err => console.error("Error refreshing channel list:", err));
+        });
+    });
+
+    // A deleted channel's viewers are moved to the fallback, then everyone's list is refreshed
+    bus.subscribe('channel_deleted', async ({ channel }) => {
+        try {
+            const usersToMove = [];
+            clients.forEach((c, connectionId) => {
+                if (c.channel === channel) {
+                    setClientChannel(connectionId, c, FALLBACK_CHANNEL);
+                    usersToMove.push(c);
+                }
+            });
+            if (usersToMove.length > 0) {
+                const fallbackRoomData = await getRoomData(FALLBACK_CHANNEL);
+                for (const c of usersToMove) {
+                    sendToClient(c.ws, 'channel_change', {
+                        newChannel: FALLBACK_CHANNEL,
+                        history: fallbackRoomData.messages,
+                        hasMore: fallbackRoomData.hasMore,
+                        pinned: fallbackRoomData.pinnedMessage,
+                        availableChannels: await getChannelList(c.userId)
+                    });
+                }
+                broadcastPresence(FALLBACK_CHANNEL);
+            }
+        } catch (e) {
+            console.error("Error moving clients out of deleted channel:", e);
+        }
+    });
+
+    // Sessions are revoked by whichever process served the logout/kill request; every process closes its sockets
+    auth.sessionEvents.on('revoked', (sessionId) => bus.publish('session_revoked', sessionId));
+    bus.subscribe('session_revoked', closeSession);
+
+    // The admin CLI changes accounts without going through a server process, so each process also checks its
+    // connections' sessions and roles against the database every few seconds
+    const syncConnectedAccounts = async () => {
+        try {
+            const sessionIds = [...new Set([...clients.values()].map(c => c.sessionId))];
+            const states = await auth.getSessionStates(sessionIds);
+            const changedRoles = new Map();
+            sessionIds.forEach(sessionId => {
+                const state = states.get(sessionId);
+                if (!state || !state.active) closeSession(sessionId);
+            });
+            clients.forEach(c => {
+                const state = states.get(c.sessionId);
+                if (state && state.active && state.role !== c.role) changedRoles.set(c.userId, state.role);
+            });
+            changedRoles.forEach((role, userId) => applyRoleChange(userId, role));
+        } catch (e) {
+            console.error('Account sync error:', e);
+        }
+    };
+    setInterval(syncConnectedAccounts, ACCOUNT_SYNC_INTERVAL_MS).unref();
+
+    // Permission changes can hide a channel or change what its members may do: refresh everyone's list
+    // and move anyone who can no longer read the channel back to the fallback.
+    permissionEvents.on('updated', (channelName) => bus.publish('permissions_updated', channelName));
+    bus.subscribe('permissions_updated', (channelName) => {
+        clients.forEach(c => {
+            getChannelList(c.userId).then(channels => {
+                sendToClient(c.ws, 'channel_list_update', { availableChannels: channels });
+                if (c.channel === channelName && !channels.some(ch => ch.name === channelName)) {
+                    sendToClient(c.ws, 'notification', { message: `You no longer have access to ${channelName}.` });
+                    c.ws.emit('message', JSON.stringify({ type: 'join_channel', channel: FALLBACK_CHANNEL }));
+                }
+            }).catch(err => console.error("Error refreshing channel list after permission change:", err));
+        });
+    });
+
+    wss.on('connection', (ws, req) => {
+        const connectionId = crypto.randomUUID();
+        ws.connectionId = connectionId;
         let currentUserId = null;
+        let isAuthenticating = false;
+        const frameLimiter = createFrameLimiter();
+        const clientIp = req.socket.remoteAddress;
+
+        /** Rejects a frame over its rate limit; a socket that keeps flooding is dropped and the disconnect audited. */
+        const rejectFlood = async (eventType, verdict) => {
+            if (!verdict.disconnect) {
+                sendToClient(ws, 'error', { code: 'RATE_LIMITED', event: eventType, retryAfterMs: verdict.retryAfterMs, message: `Slow down: too many ${eventType} requests. Try again in ${describeWait(verdict.retryAfterMs)}.` });
+                return;
+            }
+            sendToClient(ws, 'error', { code: 'FLOOD_DISCONNECT', event: eventType, message: 'Disconnected for flooding the server.' });
+            ws.close(1008, 'Rate Limit Exceeded');
+            if (currentUserId) {
+                await logSystemAction('FLOOD_DISCONNECT', { targetId: currentUserId, details: { event: eventType, ip: clientIp, via: 'websocket' } });
+            } else {
+                console.warn(`Disconnected an unauthenticated socket from ${clientIp} for flooding ${eventType} frames.`);
+            }
+        };
+
+        /** Authenticates the socket from a signed session token; identity and role come only from the DB. */
+        const completeLogin = async (token) => {
+            if (currentUserId || isAuthenticating) { sendToClient(ws, 'error', { message: 'Already authenticated.' }); return; }
+
+            isAuthenticating = true;
+            const verified = await auth.verifySessionToken(token).finally(() => { isAuthenticating = false; });
+            if (!verified) { sendToClient(ws, 'error', { message: 'Invalid or expired session. Please log in again.' }); ws.close(1000, 'Invalid Auth'); return; }
+            const { session, user: persistentUser } = verified;
+            const userId = persistentUser.user_id;
+
+            // Check DB ban status
+            if (persistentUser.is_banned) { sendToClient(ws, 'banned', { reason: persistentUser.ban_reason || 'You are banned from this server.' }); ws.close(1000, 'Banned'); return; }
+
+            currentUserId = userId;
+            ws.currentUserId = currentUserId; // Used by the 'close' handler and channel list refreshes
+
+            const clientData = {
+                ws: ws,
+                userId: userId,
+                sessionId: session.sessionId,
+                username: persistentUser.username,
+                channel: persistentUser.last_seen_channel,
+                role: persistentUser.user_role
+            };
+            clients.set(connectionId, clientData);
+            statuses.set(userId, persistentUser.current_status);
+            profileSummaries.set(userId, toPresenceProfile(await getProfile(userId)));
+
+            const isChannelAccessible = await canAccessRoom(userId, clientData.channel);
+
+            // If the user's last seen channel is no longer accessible, switch them to the fallback.
+            if (!isChannelAccessible) {
+                clientData.channel = FALLBACK_CHANNEL;
+                await repo.users.setLastSeenChannel(userId, FALLBACK_CHANNEL);
+            }
+            updatePresence(connectionId, clientData);
+
+            const { messages, pinnedMessage, hasMore } = await getRoomData(clientData.channel);
+            const lastRead = await getReadPosition(userId, clientData.channel);
+            const availableChannels = await getChannelList(userId);
+            const recentConversations = await getRecentConversations(userId);
+            const dmCounts = await getUnreadCounts(userId, recentConversations.map(c => c.room));
+            recentConversations.forEach(c => Object.assign(c, dmCounts.get(c.room)));
+
+            // Send authorized channels list (with unread counts), DM conversations and initial history
+            sendToClient(ws, 'initial_state', { currentChannel: clientData.channel, availableChannels: availableChannels, recentConversations: recentConversations, editHistoryForAuthors: EDIT_HISTORY_FOR_AUTHORS });
+            sendToClient(ws, 'message_history', { channel: clientData.channel, messages: messages, pinned: pinnedMessage, hasMore: hasMore, lastRead: lastRead });
+            // Slash commands this role may use, for the client's autocomplete
+            sendToClient(ws, 'command_list', { commands: listCommands(clientData.role) });
+
+            // Notify room of arrival (not when another of the user's devices is already there)
+            if (!clientData.channel.startsWith('DM:') && !isUserInRoomElsewhere(userId, clientData.channel, connectionId)) {
+                broadcast(clientData.channel, 'channel_message', {
+                    id: crypto.randomUUID(), author: 'Server', content: `${clientData.username} has joined ${clientData.channel}.`, timestamp: Date.now(), system: true
+                }, connectionId);
+            }
+            broadcastPresence(clientData.channel);
+            sendToClient(ws, 'login_success', { userId: userId, username: clientData.username, role: clientData.role });
+            // Mentions received while offline
+            sendToClient(ws, 'mentions_inbox', await getMentionInbox(userId));
+        };
+
+        // The token may arrive with the upgrade request (?token=...) instead of a 'login' frame.
+        const handshakeToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+        if (handshakeToken) {
+            completeLogin(handshakeToken).catch(e => {
+                console.error('Error authenticating WebSocket handshake:', e.message, e);
+                sendToClient(ws, 'error', { message: 'Internal error processing request.' });
+            });
+        }
 
         ws.on('message', async (message) => {
             try {
+                if (ws.readyState !== WebSocket.OPEN) return; // Already dropped, e.g. for flooding
                 const data = JSON.parse(message);
+
+                const verdict = frameLimiter.check(data.type);
+                if (!verdict.allowed) {
+                    await rejectFlood(data.type, verdict);
+                    return;
+                }
                 
                 // IMPORTANT: In the login block, this variable is updated to persist the ID.
                 // We ensure it is set correctly on the WS object for use in the 'close' handler.
                 ws.currentUserId = currentUserId;
 
                 if (data.type === 'login') {
-                    const userId = data.userId;
-                    const inputUsername = data.username.substring(0, 20);
-                    currentUserId = userId; // FIX: Ensure currentUserId is set correctly here
-                    ws.currentUserId = currentUserId; // FIX: Also ensure it is set on the ws object
-
-                    const users = await db.query('SELECT * FROM users WHERE user_id = ?', [userId]);
-                    const persistentUser = users[0];
-
-                    if (!persistentUser) { sendToClient(ws, 'error', { message: 'Invalid User ID. Please register.' }); ws.close(1000, 'Invalid Auth'); return; }
-                    // Check against in-memory ban list AND DB status
-                    if (bannedUsers.has(persistentUser.username) || persistentUser.is_banned) { sendToClient(ws, 'banned', { reason: persistentUser.ban_reason || 'You are banned from this server.' }); ws.close(1000, 'Banned'); return; }
-                    if (clients.has(userId)) { sendToClient(clients.get(userId).ws, 'kicked', { reason: 'Another connection established with your user ID.' }); clients.get(userId).ws.close(1000, 'Duplicate Login'); clients.delete(userId); }
-                    
-                    const clientData = {
-                        ws: ws,
-                        username: inputUsername, 
-                        channel: persistentUser.last_seen_channel,
-                        role: persistentUser.user_role,
-                        status: persistentUser.current_status
-                    };
-                    clients.set(userId, clientData);
-                    
-                    const authorizedChannels = await getAuthorizedChannels(userId);
-                    const isChannelAccessible = authorizedChannels.some(c => c.name === clientData.channel);
-                    
-                    // If the user's last seen channel is no longer accessible, switch them to the fallback.
-                    if (!isChannelAccessible) {
-                        clientData.channel = FALLBACK_CHANNEL;
-                        await db.query('UPDATE users SET last_seen_channel = ? WHERE user_id = ?', [FALLBACK_CHANNEL, userId]);
-                    }
-
-                    const { messages, pinnedMessage } = await getRoomData(clientData.channel);
-
-                    // Send authorized channels list and initial history
-                    sendToClient(ws, 'initial_state', { currentChannel: clientData.channel, availableChannels: authorizedChannels });
-                    sendToClient(ws, 'message_history', { channel: clientData.channel, messages: messages, pinned: pinnedMessage });
-                    
-                    // Notify room of arrival
-                    if (!clientData.channel.startsWith('DM:')) {
-                        broadcast(clientData.channel, 'channel_message', { 
-                            id: crypto.randomUUID(), author: 'Server', content: `${clientData.username} has joined ${clientData.channel}.`, timestamp: Date.now(), system: true
-                        }, userId);
-                    }
-                    broadcastPresence(clientData.channel); 
-                    sendToClient(ws, 'login_success', { username: clientData.username, role: clientData.role });
+                    await completeLogin(data.token);
                     return;
                 }
 
-                if (!currentUserId || !clients.has(currentUserId)) { sendToClient(ws, 'error', { message: 'Authentication required.' }); return; }
-                const client = clients.get(currentUserId);
+                if (!currentUserId || !clients.has(connectionId)) { sendToClient(ws, 'error', { message: 'Authentication required.' }); return; }
+                const client = clients.get(connectionId);
 
                 switch (data.type) {
                     case 'send_message':
                     case 'send_dm': 
                         const content = data.content ? data.content.trim() : '';
-                        const targetRoom = data.type === 'send_dm' ? data.channel : client.channel;
-                        const isDM = targetRoom.startsWith('DM:');
+                        // A frame names its room; older clients leave it out and post into their current room
+                        const targetRoom = data.channel || client.channel;
+                        const isDM = isDmRoom(targetRoom);
                         const attachment = data.attachment || null; 
+
+                        // Only the two participants may ever post into a DM room (and send_dm must not bypass channel access)
+                        if (!(await canAccessRoom(currentUserId, targetRoom))) {
+                            sendToClient(ws, 'error', { message: isDM ? 'You are not a participant in this conversation.' : `Channel ${targetRoom} is private or does not exist.` });
+                            return;
+                        }
                         
                         // Check for slash command before content check
                         if (content.startsWith('/')) {
-                            const parts = content.substring(1).split(' ');
-                            await handleCommand(parts[0].toLowerCase(), parts.slice(1), client, currentUserId, ws);
+                            await handleCommand(content, client, currentUserId, ws, connectionId, targetRoom);
                             break;
                         }
 
                         if (content.length > 0 || attachment) {
-                            // Threading: Set parent and thread root flags
-                            const parentId = data.parent_message_id || null;
-                            // FIX: A message is a thread root if it's NOT a reply (i.e., it has no parentId)
-                            const isThreadRoot = parentId ? false : true; 
-
-                            const messageData = {
-                                id: crypto.randomUUID(),
-                                author: client.username,
-                                authorId: currentUserId,
-                                content: content,
-                                timestamp: Date.now(),
-                                channel: targetRoom, 
-                                system: false,
-                                edited: false,
-                                editedTimestamp: null,
-                                reactions: {},
-                                attachment: attachment,
-                                parent_message_id: parentId,
-                                is_thread_root: isThreadRoot
-                            };
-                            
-                            if (!isDM) {
-                                const attachmentJson = attachment ? JSON.stringify(attachment) : null;
-                                await db.query(
-                                    'INSERT INTO messages (id, channel_name, author_id, author_username, content, timestamp, attachment_metadata, parent_message_id, is_thread_root) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                                    [messageData.id, targetRoom, currentUserId, client.username, content, messageData.timestamp, attachmentJson, parentId, isThreadRoot ? 1 : 0]
-                                );
+                            try {
+                                await postMessage({ userId: currentUserId, username: client.username, role: client.role }, targetRoom, content, {
+                                    attachment: attachment, parentId: data.parent_message_id, ws: ws, connectionId: connectionId
+                                });
+                            } catch (e) {
+                                if (e.code !== 'POST_REJECTED') throw e;
+                                sendToClient(ws, 'error', { message: e.message });
                             }
-                            
-                            sendToClient(ws, 'channel_message', messageData);
-                            broadcast(targetRoom, 'channel_message', messageData, currentUserId); 
                         }
                         break;
                         
@@ -393,6 +976,10 @@ function setupWebSocket(server) {
                             sendToClient(ws, 'error', { message: 'Channel name is too short or too long.' });
                             return;
                         }
+                        if (isDmRoom(newChannelName)) {
+                            sendToClient(ws, 'error', { message: 'Channel names may not start with "DM:".' });
+                            return;
+                        }
                         
                         let inviteCode = null;
                         if (isPrivate) {
@@ -401,19 +988,15 @@ function setupWebSocket(server) {
 
                         try {
                             // 1. Create Channel
-                            await db.query(
-                                'INSERT INTO channels (channel_name, is_private, invite_code, created_by) VALUES (?, ?, ?, ?)',
-                                [newChannelName, isPrivate ? 1 : 0, inviteCode, currentUserId]
-                            );
+                            await repo.channels.create({ name: newChannelName, isPrivate: isPrivate, inviteCode: inviteCode, createdBy: currentUserId });
                             
                             // 2. Add creator to membership if private
                             if (isPrivate) {
-                                await db.query(
-                                    'INSERT INTO channel_members (channel_name, user_id) VALUES (?, ?)',
-                                    [newChannelName, currentUserId]
-                                );
+                                await repo.members.add(newChannelName, [currentUserId]);
                             }
 
+                            await logAction('CHANNEL_CREATE', currentUserId, { details: { room: newChannelName, isPrivate: isPrivate } });
+
                             // 3. Notify user and make them join
                             if (inviteCode) {
                                 sendToClient(ws, 'notification', { message: `Private Channel ${newChannelName} created! Invite code: ${inviteCode}` });
@@ -421,15 +1004,8 @@ function setupWebSocket(server) {
                                 sendToClient(ws, 'notification', { message: `Public Channel ${newChannelName} created!` });
                             }
                             
-                            // 4. Update client channel lists (for all clients)
-                            wss.clients.forEach(c => {
-                                // FIX: Use c.currentUserId, which is set in the login handler
-                                if (c.readyState === WebSocket.OPEN && c.currentUserId) {
-                                    getAuthorizedChannels(c.currentUserId).then(channels => {
-                                        sendToClient(c, 'channel_list_update', { availableChannels: channels });
-                                    }).catch(err => console.error("Error updating public channel list for client:", err));
-                                }
-                            });
+                            // 4. Update client channel lists (for all clients, on every process)
+                            bus.publish('refresh_channel_lists', {});
                             
                             // 5. Immediately join the new channel by triggering the join logic
                             setTimeout(() => {
@@ -438,7 +1014,7 @@ function setupWebSocket(server) {
                             }, 50);
 
                         } catch (e) {
-                            if (e.code === 'ER_DUP_ENTRY') {
+                            if (db.isDuplicateKeyError(e)) {
                                 sendToClient(ws, 'error', { message: `Channel ${newChannelName} already exists.` });
                             } else {
                                 console.error("Channel creation error:", e);
@@ -449,15 +1025,15 @@ function setupWebSocket(server) {
                         
                     case 'delete_channel':
                         const channelToDelete = data.channel;
-                        const channelInfo = (await db.query('SELECT created_by FROM channels WHERE channel_name = ?', [channelToDelete]))[0];
+                        const channelInfo = await repo.channels.find(channelToDelete);
 
-                        if (!channelInfo || channelToDelete === FALLBACK_CHANNEL) {
+                        if (!channelInfo || channelInfo.is_dm || channelToDelete === FALLBACK_CHANNEL) {
                             sendToClient(ws, 'error', { message: 'Cannot delete default or nonexistent channel.' });
                             return;
                         }
                         // FIX: Added Moderator to the permission check for channel deletion
                         const isChannelCreator = channelInfo.created_by === currentUserId;
-                        const canDeleteChannel = hasPermission(client.role, 'Admin') || isChannelCreator;
+                        const canDeleteChannel = hasRole(client.role, 'Admin') || isChannelCreator;
 
                         if (!canDeleteChannel) {
                             sendToClient(ws, 'error', { message: 'Permission denied. Only the creator or an Admin can delete this channel.' });
@@ -465,43 +1041,13 @@ function setupWebSocket(server) {
                         }
                         
                         try {
-                            // 1. Move all users in that channel to #general and send channel change
-                            const usersToMove = [];
-                            clients.forEach((c, id) => {
-                                if (c.channel === channelToDelete) {
-                                    c.channel = FALLBACK_CHANNEL;
-                                    clients.set(id, c);
-                                    usersToMove.push(c);
-                                }
-                            });
-                            
-                            // 2. Delete channel (cascades to messages/members/reactions)
-                            await db.query('DELETE FROM channels WHERE channel_name = ?', [channelToDelete]);
-
-                            // 3. Send channel change to affected clients
-                            const fallbackRoomData = await getRoomData(FALLBACK_CHANNEL);
-                            usersToMove.forEach(c => {
-                                getAuthorizedChannels(c.ws.currentUserId).then(channels => {
-                                    sendToClient(c.ws, 'channel_change', { 
-                                        newChannel: FALLBACK_CHANNEL, 
-                                        history: fallbackRoomData.messages, 
-                                        pinned: fallbackRoomData.pinnedMessage,
-                                        availableChannels: channels
-                                    });
-                                });
-                            });
-                            
-                            // 4. Broadcast updated channel list to all
-                            wss.clients.forEach(c => {
-                                if (c.readyState === WebSocket.OPEN && c.currentUserId) {
-                                    getAuthorizedChannels(c.currentUserId).then(channels => {
-                                        sendToClient(c, 'channel_list_update', { availableChannels: channels });
-                                    }).catch(err => console.error("Error updating channel list after delete:", err));
-                                }
-                            });
-                            
-                            broadcastPresence(channelToDelete); 
-                            broadcastPresence(FALLBACK_CHANNEL); 
+                            // 1. Delete channel (cascades to messages/members/reactions)
+                            await repo.channels.remove(channelToDelete);
+                            await logAction('CHANNEL_DELETE', currentUserId, { details: { room: channelToDelete, createdBy: channelInfo.created_by } });
+
+                            // 2. Every process moves its viewers of the channel to #general, then refreshes all channel lists
+                            bus.publish('channel_deleted', { channel: channelToDelete });
+                            bus.publish('refresh_channel_lists', {});
                             
                             sendToClient(ws, 'notification', { message: `Channel ${channelToDelete} deleted successfully.` });
 
@@ -513,24 +1059,28 @@ function setupWebSocket(server) {
                         
                     case 'join_channel_by_code':
                         const code = data.code;
-                        const channelResult = (await db.query('SELECT channel_name, is_private FROM channels WHERE invite_code = ?', [code]))[0];
+                        const channelResult = await repo.channels.findByInviteCode(code);
 
                         if (!channelResult) {
                             sendToClient(ws, 'error', { message: 'Invalid or expired invite code.' });
                             return;
                         }
 
+                        // Moderator-only (or otherwise restricted) channels cannot be joined by roles without read access
+                        const invitePermissions = await getClientPermissions(currentUserId, client, channelResult.channel_name);
+                        if (!invitePermissions.can_read_history) {
+                            sendToClient(ws, 'error', { message: `Your role cannot access ${channelResult.channel_name}.` });
+                            return;
+                        }
+
                         if (channelResult.is_private) {
                             // 1. Add user to channel_members table
-                            await db.query(
-                                'INSERT IGNORE INTO channel_members (channel_name, user_id) VALUES (?, ?)',
-                                [channelResult.channel_name, currentUserId]
-                            );
+                            await repo.members.add(channelResult.channel_name, [currentUserId]);
                             
                             sendToClient(ws, 'notification', { message: `Successfully joined private channel ${channelResult.channel_name}.` });
                             
                             // 2. Refresh client's channel list
-                            const channelList = await getAuthorizedChannels(currentUserId);
+                            const channelList = await getChannelList(currentUserId);
                             sendToClient(ws, 'channel_list_update', { availableChannels: channelList });
                         } else {
                             sendToClient(ws, 'error', { message: 'This code is for a public channel. Use the channel list.' });
@@ -544,68 +1094,81 @@ function setupWebSocket(server) {
 
                     case 'typing_update':
                         const isTyping = !!data.isTyping;
-                        const typingSet = typingUsers.get(client.channel) || new Set();
-                        if (isTyping && !typingSet.has(client.username)) { typingSet.add(client.username); } 
-                        else if (!isTyping) { typingSet.delete(client.username); }
-                        typingUsers.set(client.channel, typingSet);
-                        const currentTyping = Array.from(typingSet);
-                        broadcast(client.channel, 'typing_status', { channel: client.channel, typingUsers: currentTyping }, currentUserId);
+                        setTyping(client.channel, client.username, isTyping);
+                        const currentTyping = getTypingUsers(client.channel);
+                        broadcast(client.channel, 'typing_status', { channel: client.channel, typingUsers: currentTyping }, connectionId);
                         sendToClient(ws, 'typing_status', { channel: client.channel, typingUsers: currentTyping });
                         break;
                         
                     case 'edit_message':
                         const messageIdToEdit = data.id;
                         const newContent = data.content ? data.content.trim() : '';
-                        const msgToEditResults = await db.query('SELECT * FROM messages WHERE id = ? AND channel_name = ?', [messageIdToEdit, client.channel]);
-                        const messageToEdit = msgToEditResults[0];
+                        // Like reactions, edits follow the message's room, which need not be the room the user is viewing
+                        const messageToEdit = await findAccessibleMessage(currentUserId, messageIdToEdit);
+                        const editRoom = messageToEdit && messageToEdit.channel_name;
 
-                        // Permission Check: User is author OR is an Admin/Moderator (RBAC)
-                        const canEdit = messageToEdit && (messageToEdit.author_id === currentUserId || hasPermission(client.role, 'Moderator'));
+                        // Permission Check: User is author OR holds can_manage_messages in this channel
+                        const canEdit = messageToEdit && (messageToEdit.author_id === currentUserId || (await getClientPermissions(currentUserId, client, editRoom)).can_manage_messages);
                         
                         if (canEdit && newContent.length > 0) {
+                            if (await getActiveMute(currentUserId)) {
+                                sendToClient(ws, 'error', { message: 'You cannot edit messages while muted.' });
+                                return;
+                            }
                             // TTL Check (feature) - Only applies to the original author
                             if (messageToEdit.author_id === currentUserId && Date.now() > (messageToEdit.timestamp + MESSAGE_EDIT_TTL_MS)) {
                                 sendToClient(ws, 'error', { message: 'Message is too old to edit (TTL exceeded).' }); 
                                 return;
                             }
                             
+                            if (newContent === messageToEdit.content) break; // Nothing changed: no new version
+
                             const newTimestamp = Date.now();
-                            await db.query(
-                                'UPDATE messages SET content = ?, edited = 1, edited_timestamp = ? WHERE id = ?',
-                                [newContent, newTimestamp, messageIdToEdit]
-                            );
+                            await repo.messages.updateContent(messageIdToEdit, newContent, newTimestamp, { id: currentUserId, username: client.username });
                             
                             const updatedMsg = { 
                                 ...messageToEdit, 
                                 content: newContent, 
                                 edited: true, 
                                 editedTimestamp: newTimestamp,
-                                attachment: messageToEdit.attachment_metadata ? JSON.parse(messageToEdit.attachment_metadata) : null
+                                attachment: typeof messageToEdit.attachment_metadata === 'string' ? JSON.parse(messageToEdit.attachment_metadata) : messageToEdit.attachment_metadata
                             };
-                            broadcast(client.channel, 'message_edited', updatedMsg);
+                            broadcast(editRoom, 'message_edited', updatedMsg, connectionId);
                             sendToClient(ws, 'message_edited', updatedMsg);
+                            dispatchWebhookEvent(editRoom, 'message_edited', updatedMsg);
+
+                            // Authors editing their own messages is routine; editing someone else's is a moderation action
+                            if (messageToEdit.author_id !== currentUserId) {
+                                await logAction('MESSAGE_EDIT', currentUserId, {
+                                    targetId: messageIdToEdit,
+                                    details: { room: editRoom, authorId: messageToEdit.author_id, targetUsername: messageToEdit.author_username, before: messageToEdit.content.substring(0, 50), after: newContent.substring(0, 50) }
+                                });
+                            }
                         } else { sendToClient(ws, 'error', { message: 'Permission denied or content empty.' }); }
                         break;
 
                     case 'delete_message':
                         const messageIdToDelete = data.id;
                         // FIX: Also select content for the audit log
-                        const msgToDeleteResults = await db.query('SELECT author_id, content FROM messages WHERE id = ? AND channel_name = ?', [messageIdToDelete, client.channel]);
-                        const messageToDelete = msgToDeleteResults[0];
+                        const messageToDelete = await findAccessibleMessage(currentUserId, messageIdToDelete);
+                        const deleteRoom = messageToDelete && messageToDelete.channel_name;
                         
-                        // Permission Check: User is author OR Moderator/Admin
-                        const canDelete = messageToDelete && (messageToDelete.author_id === currentUserId || hasPermission(client.role, 'Moderator'));
+                        // Permission Check: User is author OR holds can_manage_messages in this channel
+                        const canDelete = messageToDelete && (messageToDelete.author_id === currentUserId || (await getClientPermissions(currentUserId, client, deleteRoom)).can_manage_messages);
 
                         if (canDelete) {
-                            await db.query('DELETE FROM messages WHERE id = ?', [messageIdToDelete]);
-                            await db.query('UPDATE channels SET pinned_message_id = NULL WHERE channel_name = ? AND pinned_message_id = ?', [client.channel, messageIdToDelete]);
-
-                            broadcast(client.channel, 'message_deleted', { id: messageIdToDelete, channel: client.channel });
-                            sendToClient(ws, 'message_deleted', { id: messageIdToDelete, channel: client.channel });
+                            await repo.messages.remove(messageIdToDelete);
+                            await repo.channels.clearPinIfMessage(deleteRoom, messageIdToDelete);
+
+                            broadcast(deleteRoom, 'message_deleted', { id: messageIdToDelete, channel: deleteRoom }, connectionId);
+                            sendToClient(ws, 'message_deleted', { id: messageIdToDelete, channel: deleteRoom });
+                            dispatchWebhookEvent(deleteRoom, 'message_deleted', { id: messageIdToDelete, channel: deleteRoom, authorId: messageToDelete.author_id, deletedBy: currentUserId });
+                            if (messageToDelete.parent_message_id) {
+                                await broadcastThreadSummary(messageToDelete.parent_message_id, deleteRoom);
+                            }
                             
                             // Log action (Schema feature)
-                            await db.query('INSERT INTO audit_logs (action_type, actor_id, target_id, details) VALUES (?, ?, ?, ?)', 
-                                ['MESSAGE_DELETE', currentUserId, messageIdToDelete, JSON.stringify({ room: client.channel, content: messageToDelete.content.substring(0, 50) + '...' })]);
+                            await logAction('MESSAGE_DELETE', currentUserId, { targetId: messageIdToDelete, details: { room: deleteRoom, authorId: messageToDelete.author_id, content: messageToDelete.content.substring(0, 50) + '...' } });
 
                         } else { sendToClient(ws, 'error', { message: 'Permission denied to delete this message.' }); }
                         break;
@@ -614,25 +1177,139 @@ function setupWebSocket(server) {
                     case 'remove_reaction':
                         const messageIdReaction = data.id;
                         const emoji = data.emoji;
+                        // Reactions follow the message's room, which need not be the room the user is viewing
+                        const reactedMessage = await findAccessibleMessage(currentUserId, messageIdReaction);
+                        if (!reactedMessage) {
+                            sendToClient(ws, 'error', { message: 'Message not found.' });
+                            return;
+                        }
+                        const reactionRoom = reactedMessage.channel_name;
 
                         if (data.type === 'add_reaction') {
-                            await db.query('INSERT IGNORE INTO reactions (message_id, user_id, emoji) VALUES (?, ?, ?)', [messageIdReaction, currentUserId, emoji]);
+                            await repo.reactions.add(messageIdReaction, currentUserId, emoji);
                         } else if (data.type === 'remove_reaction') {
-                            await db.query('DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND emoji = ?', [messageIdReaction, currentUserId, emoji]);
+                            await repo.reactions.remove(messageIdReaction, currentUserId, emoji);
                         }
                         
                         // Fetch updated reactions
-                        const reactionResults = await db.query('SELECT user_id, emoji FROM reactions WHERE message_id = ?', [messageIdReaction]);
-                        const updatedReactions = reactionResults.reduce((acc, { user_id, emoji }) => {
-                            acc[emoji] = acc[emoji] || [];
-                            acc[emoji].push(user_id);
-                            return acc;
-                        }, {});
-
-                        broadcast(client.channel, 'message_reacted', { id: messageIdReaction, reactions: updatedReactions });
+                        const reactionResults = await repo.reactions.listForMessages([messageIdReaction]);
+                        const updatedReactions = groupReactions(reactionResults);
+
+                        broadcast(reactionRoom, 'message_reacted', { id: messageIdReaction, reactions: updatedReactions }, connectionId);
                         sendToClient(ws, 'message_reacted', { id: messageIdReaction, reactions: updatedReactions });
+                        dispatchWebhookEvent(reactionRoom, 'message_reacted', {
+                            id: messageIdReaction, channel: reactionRoom, reactions: updatedReactions, emoji: emoji, user: client.username, added: data.type === 'add_reaction'
+                        });
+                        break;
+
+
+                    case 'fetch_history':
+                        // Cursor-based paging: { channel, before?: messageId, after?: messageId, limit? }
+                        const historyRoom = data.channel || client.channel;
+                        if (!(await canAccessRoom(currentUserId, historyRoom))) {
+                            sendToClient(ws, 'error', { message: `Channel ${historyRoom} is private or does not exist.` });
+                            return;
+                        }
+                        try {
+                            const page = await fetchMessagePage(historyRoom, { before: data.before, after: data.after, limit: data.limit });
+                            sendToClient(ws, 'history_page', { channel: historyRoom, ...page });
+                        } catch (e) {
+                            if (e.code !== 'INVALID_CURSOR') throw e;
+                            sendToClient(ws, 'error', { message: e.message });
+                        }
+                        break;
+
+                    case 'mark_read':
+                        // Records the user's last-read position: { channel, messageId }
+                        const readRoom = data.channel || client.channel;
+                        if (!data.messageId || !(await canAccessRoom(currentUserId, readRoom))) {
+                            sendToClient(ws, 'error', { message: 'Cannot mark this channel as read.' });
+                            return;
+                        }
+                        if (await markRead(currentUserId, readRoom, data.messageId)) {
+                            const readCounts = (await getUnreadCounts(currentUserId, [readRoom])).get(readRoom);
+                            // Reading on one device clears the badge on the others
+                            sendToUser(currentUserId, 'unread_update', { channel: readRoom, lastReadMessageId: data.messageId, ...readCounts });
+                        }
+                        break;
+
+                    case 'get_channel_permissions':
+                    case 'update_channel_permissions':
+                        // Permission matrix for a channel: { channel, role?, permissions? } (null permissions resets to defaults)
+                        const settingsRoom = data.channel || client.channel;
+                        if (!(await getClientPermissions(currentUserId, client, settingsRoom)).can_manage_channel) {
+                            sendToClient(ws, 'error', { message: 'Permission denied. Only the creator or an Admin can manage channel permissions.' });
+                            return;
+                        }
+                        let matrix;
+                        if (data.type === 'update_channel_permissions') {
+                            if (settingsRoom === FALLBACK_CHANNEL && data.permissions && data.permissions.can_read_history === false) {
+                                sendToClient(ws, 'error', { message: `${FALLBACK_CHANNEL} must stay readable by every role.` });
+                                return;
+                            }
+                            try {
+                                matrix = await setRolePermissions(settingsRoom, data.role, data.permissions === undefined ? null : data.permissions);
+                            } catch (e) {
+                                if (e.code !== 'INVALID_PERMISSIONS') throw e;
+                                sendToClient(ws, 'error', { message: e.message });
+                                return;
+                            }
+                            await logAction('CHANNEL_PERMISSIONS_UPDATE', currentUserId, { details: { room: settingsRoom, role: data.role, permissions: data.permissions === undefined ? null : data.permissions } });
+                            sendToClient(ws, 'notification', { message: `Permissions for ${data.role} in ${settingsRoom} updated.` });
+                        } else {
+                            matrix = await getPermissionMatrix(settingsRoom);
+                        }
+                        sendToClient(ws, 'channel_permissions', { channel: settingsRoom, matrix: matrix });
                         break;
 
+                    case 'list_commands':
+                        sendToClient(ws, 'command_list', { commands: listCommands(client.role) });
+                        break;
+
+                    case 'fetch_mentions':
+                    case 'mark_mentions_read':
+                        // Mentions inbox: { unreadOnly? } / { messageIds?: [] } (no IDs marks everything read)
+                        if (data.type === 'mark_mentions_read') {
+                            await markMentionsRead(currentUserId, Array.isArray(data.messageIds) ? data.messageIds : []);
+                            sendToUser(currentUserId, 'mentions_inbox', await getMentionInbox(currentUserId));
+                            break;
+                        }
+                        sendToClient(ws, 'mentions_inbox', await getMentionInbox(currentUserId, { unreadOnly: !!data.unreadOnly }));
+                        break;
+
+                    case 'fetch_thread':
+                        // Thread view: { rootId } -> root message plus replies, oldest first
+                        const threadView = await fetchThread(data.rootId);
+                        if (!threadView || threadView.root.parent_message_id || !(await canAccessRoom(currentUserId, threadView.root.channel_name))) {
+                            sendToClient(ws, 'error', { message: 'Thread not found.' });
+                            return;
+                        }
+                        sendToClient(ws, 'thread', { ...threadView, following: await isFollowing(threadView.root.id, currentUserId) });
+                        break;
+
+                    case 'fetch_message_history':
+                        // Edit history: { id } -> every version of a message in this room, for moderators (and its author if EDIT_HISTORY_FOR_AUTHORS)
+                        const versionedMessage = await repo.messages.findInRoom(data.id, client.channel);
+                        const canViewVersions = versionedMessage && ((EDIT_HISTORY_FOR_AUTHORS && versionedMessage.author_id === currentUserId) ||
+                            (await getClientPermissions(currentUserId, client, client.channel)).can_manage_messages);
+                        if (!canViewVersions) {
+                            sendToClient(ws, 'error', { message: versionedMessage ? 'Permission denied to view the edit history of this message.' : 'Message not found in this channel.' });
+                            return;
+                        }
+                        sendToClient(ws, 'message_versions', await fetchEditHistory(versionedMessage.id));
+                        break;
+
+                    case 'follow_thread':
+                    case 'unfollow_thread':
+                        const followRoot = await repo.messages.findThreadRoot(data.rootId);
+                        if (!followRoot || !(await canAccessRoom(currentUserId, followRoot.channel_name))) {
+                            sendToClient(ws, 'error', { message: 'Thread not found.' });
+                            return;
+                        }
+                        const nowFollowing = data.type === 'follow_thread';
+                        await setFollowing(followRoot.id, currentUserId, nowFollowing);
+                        sendToUser(currentUserId, 'thread_subscription', { rootId: followRoot.id, following: nowFollowing });
+                        break;
 
                     case 'join_channel':
                     case 'start_dm':
@@ -650,30 +1327,35 @@ function setupWebSocket(server) {
                             }
                             newRoom = targetChannel;
                         } else if (data.type === 'start_dm' && data.targetUserId) {
-                            newRoom = getDmRoomName(currentUserId, data.targetUserId);
+                            const conversation = await ensureDmConversation(currentUserId, data.targetUserId);
+                            if (!conversation) {
+                                sendToClient(ws, 'error', { message: 'Cannot start a DM with that user.' });
+                                return;
+                            }
+                            newRoom = conversation.room;
                         }
 
                         if (!newRoom || newRoom === oldRoom) break;
 
-                        // Notify old room of departure
-                        if (!oldRoom.startsWith('DM:')) { 
+                        // Notify old room of departure, unless another of the user's devices is still there
+                        if (!oldRoom.startsWith('DM:') && !isUserInRoomElsewhere(currentUserId, oldRoom, connectionId)) { 
                             broadcast(oldRoom, 'channel_message', { id: crypto.randomUUID(), author: 'Server', content: `${client.username} has left the chat.`, timestamp: Date.now(), system: true });
                         }
-                        const oldTypingSet = typingUsers.get(oldRoom);
-                        if (oldTypingSet && oldTypingSet.delete(client.username)) { broadcast(oldRoom, 'typing_status', { channel: oldRoom, typingUsers: Array.from(oldTypingSet) }); }
+                        if (!isUserInRoomElsewhere(currentUserId, oldRoom, connectionId) && setTyping(oldRoom, client.username, false)) { broadcast(oldRoom, 'typing_status', { channel: oldRoom, typingUsers: getTypingUsers(oldRoom) }); }
                         
-                        // Update client state
-                        client.channel = newRoom;
-                        clients.set(currentUserId, client);
-                        await db.query('UPDATE users SET last_seen_channel = ? WHERE user_id = ?', [newRoom, currentUserId]);
+                        // Update client state; the joined-announcement is skipped if another device was already in the new room
+                        const alreadyInNewRoom = isUserInRoomElsewhere(currentUserId, newRoom, connectionId);
+                        setClientChannel(connectionId, client, newRoom);
+                        await repo.users.setLastSeenChannel(currentUserId, newRoom);
 
                         const newRoomData = await getRoomData(newRoom);
                         
-                        const channelList = await getAuthorizedChannels(currentUserId);
-                        sendToClient(ws, 'channel_change', { newChannel: newRoom, history: newRoomData.messages, pinned: newRoomData.pinnedMessage, availableChannels: channelList });
+                        const channelList = await getChannelList(currentUserId);
+                        const newRoomLastRead = await getReadPosition(currentUserId, newRoom);
+                        sendToClient(ws, 'channel_change', { newChannel: newRoom, history: newRoomData.messages, hasMore: newRoomData.hasMore, pinned: newRoomData.pinnedMessage, availableChannels: channelList, lastRead: newRoomLastRead });
 
                         // Notify new room of arrival
-                        if (!newRoom.startsWith('DM:')) { 
+                        if (!newRoom.startsWith('DM:') && !alreadyInNewRoom) { 
                             broadcast(newRoom, 'channel_message', { id: crypto.randomUUID(), author: 'Server', content: `${client.username} has joined ${newRoom}.`, timestamp: Date.now(), system: true });
                         }
                         broadcastPresence(oldRoom);
@@ -690,20 +1372,21 @@ function setupWebSocket(server) {
         });
 
         ws.on('close', () => {
-            const userId = ws.currentUserId; 
-            const client = clients.get(userId);
+            const client = clients.get(connectionId);
             
             if (client) {
                 const disconnectedChannel = client.channel;
-                // Notify room of departure
-                if (!disconnectedChannel.startsWith('DM:')) {
-                    broadcast(disconnectedChannel, 'channel_message', { id: crypto.randomUUID(), author: 'Server', content: `${client.username} has disconnected.`, timestamp: Date.now(), system: true });
+                clients.delete(connectionId);
+                presence.delete(connectionId);
+
+                // Closing one device is silent; the user only leaves a room when their last device there does
+                if (!isUserInRoomElsewhere(client.userId, disconnectedChannel, connectionId)) {
+                    if (!disconnectedChannel.startsWith('DM:') && getUserConnections(client.userId).length === 0) {
+                        broadcast(disconnectedChannel, 'channel_message', { id: crypto.randomUUID(), author: 'Server', content: `${client.username} has disconnected.`, timestamp: Date.now(), system: true });
+                    }
+                    // Clear typing status
+                    if (setTyping(disconnectedChannel, client.username, false)) { broadcast(disconnectedChannel, 'typing_status', { channel: disconnectedChannel, typingUsers: getTypingUsers(disconnectedChannel) }); }
                 }
-                // Clear typing status
-                const typingSet = typingUsers.get(disconnectedChannel);
-                if (typingSet && typingSet.delete(client.username)) { broadcast(disconnectedChannel, 'typing_status', { channel: disconnectedChannel, typingUsers: Array.from(typingSet) }); }
-                
-                clients.delete(userId);
                 broadcastPresence(disconnectedChannel); 
             }
         });
@@ -711,4 +1394,4 @@ function setupWebSocket(server) {
     });
 }
 
-module.exports = setupWebSocket;
\ No newline at end of file
+module.exports = { setupWebSocket, postMessage };
\ No newline at end of file
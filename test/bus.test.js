@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const path = require('path');
+const { LocalChatClient } = require('../sdk');
+const { ROOT, startServer, adminCli, connectUser, closeClients, eventually } = require('./helpers');
+
+/** Runs test/fixtures/clusterBus.js and resolves with the JSON lines its workers reported. */
+function runClusterFixture() {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, 'fixtures', 'clusterBus.js')], {
+            cwd: ROOT,
+            env: { ...process.env, MESSAGE_BUS: 'cluster', CLUSTER_WORKERS: '2', DOTENV_CONFIG_QUIET: 'true' }
+        });
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+        const timer = setTimeout(() => { child.kill(); reject(new Error(`Cluster fixture timed out:\n${output}`)); }, 20 * 1000);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) return reject(new Error(`Cluster fixture exited with ${code}:\n${output}`));
+            resolve(output.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line)));
+        });
+    });
+}
+
+test('cluster bus relays messages and shared state between worker processes', { timeout: 30 * 1000 }, async () => {
+    const reports = await runClusterFixture();
+    const find = (worker, fixture) => reports.find(r => r.worker === worker && r.fixture === fixture);
+
+    // A message published in worker 1 reaches worker 2, after the state worker 1 wrote before publishing
+    const ping = find(2, 'ping');
+    assert.ok(ping, 'worker 2 received the ping');
+    assert.deepEqual(ping.payload, { from: 1 });
+    assert.deepEqual(ping.presence, { channel: '#general' });
+    assert.equal(ping.status, 'away');
+
+    // When worker 1 exits, its ephemeral entries (presence) are dropped everywhere; durable ones (status) stay
+    assert.deepEqual(find(2, 'check'), { worker: 2, fixture: 'check', presence: null, status: 'away' });
+
+    // The replacement worker starts from the primary's snapshot
+    assert.deepEqual(find(3, 'check'), { worker: 3, fixture: 'check', presence: null, status: 'away' });
+});
+
+test('users on a clustered server see each other\'s messages, presence, typing and DMs', { timeout: 60 * 1000 }, async (t) => {
+    const server = await startServer({ env: { MESSAGE_BUS: 'cluster', CLUSTER_WORKERS: '2' } });
+    t.after(() => server.stop());
+
+    // The workers share the port and take connections in turn, so these clients are spread across both
+    const alice = await connectUser(server, 'alice');
+    const others = [];
+    t.after(() => closeClients(alice, ...others));
+
+    // Presence is combined across processes: alice sees everyone arrive in #general, whichever worker they're on
+    let listed = [];
+    alice.on('user_presence', data => { if (data.channel === '#general') listed = data.users.map(user => user.username); });
+    for (const name of ['bobby', 'carol', 'dave']) others.push(await connectUser(server, name));
+    await eventually(() => ['alice', 'bobby', 'carol', 'dave'].every(name => listed.includes(name)));
+
+    const received = others.map(client => client.waitFor('channel_message', m => m.content === 'hello from alice'));
+    alice.sendMessage('#general', 'hello from alice');
+    for (const message of await Promise.all(received)) {
+        assert.equal(message.author, 'alice');
+        assert.equal(message.channel, '#general');
+    }
+
+    const typing = others.map(client => client.waitFor('typing_status', s => s.typingUsers.includes('alice')));
+    alice.setTyping(true);
+    await Promise.all(typing);
+
+    // Alice stays in #general; a DM from each of the others reaches her as a notification, whichever worker sent it
+    const notified = others.map(client => alice.waitFor('dm_notification', n => n.author === client.user.username));
+    for (const client of others) {
+        const { newChannel } = await client.startDm(alice.user.userId);
+        client.sendMessage(newChannel, `hi alice, ${client.user.username} here`);
+    }
+    for (const notification of await Promise.all(notified)) {
+        assert.match(notification.content, /^hi alice/);
+    }
+});
+
+test('only one worker of a clustered server runs each retention purge', { timeout: 60 * 1000 }, async (t) => {
+    // Both workers start their purge timers together; a long interval leaves just the startup run to compare
+    const server = await startServer({ env: { MESSAGE_BUS: 'cluster', CLUSTER_WORKERS: '2', RETENTION_DEFAULT: '1h', RETENTION_PURGE_INTERVAL_MS: '600000' } });
+    t.after(() => server.stop());
+    adminCli(server, 'create-admin', 'boss', '--password', 'bosspass1');
+    const admin = new LocalChatClient({ baseUrl: server.baseUrl, reconnect: false });
+    await admin.login('boss', 'bosspass1');
+    t.after(() => closeClients(admin));
+
+    const purges = async () => (await admin.fetchAuditLogs({ action: 'RETENTION_PURGE' })).logs;
+    await eventually(async () => (await purges()).length > 0);
+    await new Promise(resolve => setTimeout(resolve, 1000)); // Give a second worker's purge time to show up
+    assert.equal((await purges()).length, 1);
+
+    // A purge started by an admin still runs, once the scheduled one has finished
+    const summary = await admin.api('POST', '/retention/purge');
+    assert.equal(summary.deletedMessages, 0);
+    assert.equal((await purges()).length, 2);
+});
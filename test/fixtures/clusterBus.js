@@ -0,0 +1,55 @@
+// Runs the cluster message bus (MESSAGE_BUS=cluster, CLUSTER_WORKERS=2) through a fixed script and prints what
+// each worker observed as JSON lines, for test/bus.test.js:
+//   1. worker 1 writes shared state and publishes 'ping'; worker 2 reports the ping and the state it sees
+//   2. worker 1 exits; worker 2 reports the state again (its ephemeral entries must be purged)
+//   3. the replacement worker reports the state it received as its startup snapshot
+const cluster = require('cluster');
+const { createBus, startClusterPrimary } = require('../../src/bus');
+
+if (cluster.isPrimary) {
+    startClusterPrimary();
+    const report = (worker, message) => console.log(JSON.stringify({ worker: worker.id, ...message }));
+    const ready = new Set();
+
+    cluster.on('message', (worker, message) => {
+        if (!message || !message.fixture) return;
+        report(worker, message);
+        if (message.fixture === 'ready') {
+            ready.add(worker.id);
+            if (worker.id === 1 || worker.id === 2) {
+                if (ready.has(1) && ready.has(2)) cluster.workers[1].send({ fixture: 'go' });
+            } else {
+                worker.send({ fixture: 'check' }); // The replacement for worker 1
+            }
+        } else if (message.fixture === 'ping' && worker.id === 2) { // The publisher hears its own ping too
+            cluster.workers[1].send({ fixture: 'exit' });
+        } else if (message.fixture === 'check' && worker.id !== 2) {
+            cluster.disconnect(() => process.exit(0));
+        }
+    });
+
+    // The bus primary relays the purge of worker 1's entries first, since its exit handler was registered first
+    cluster.on('exit', (worker) => {
+        if (worker.id === 1) cluster.workers[2].send({ fixture: 'check' });
+    });
+} else {
+    const bus = createBus();
+    const presence = bus.createState('presence');
+    const statuses = bus.createState('status', { ephemeral: false });
+    const snapshot = () => ({ presence: presence.get('alice') || null, status: statuses.get('alice') || null });
+
+    bus.subscribe('ping', (payload) => process.send({ fixture: 'ping', payload, ...snapshot() }));
+    process.on('message', (message) => {
+        if (!message || !message.fixture) return;
+        if (message.fixture === 'go') {
+            presence.set('alice', { channel: '#general' });
+            statuses.set('alice', 'away');
+            bus.publish('ping', { from: cluster.worker.id });
+        } else if (message.fixture === 'check') {
+            process.send({ fixture: 'check', ...snapshot() });
+        } else if (message.fixture === 'exit') {
+            process.exit(0);
+        }
+    });
+    process.send({ fixture: 'ready' });
+}
@@ -0,0 +1,127 @@
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { LocalChatClient } = require('../sdk');
+
+// Shared by the integration tests: each test file starts its own servers on free ports, backed by a throwaway
+// SQLite database, so no MySQL server is needed.
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT_MS = 20 * 1000;
+
+/** Asks the OS for a port nobody is listening on. */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/** A fresh directory for a test's database; removed by the server's stop() unless `keepData` is set. */
+function makeDataDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'localchat-test-'));
+}
+
+/**
+ * Starts src/server.js on a free port with a SQLite database in `dataDir` (a new one by default).
+ * `env` adds or overrides variables, e.g. `{ MESSAGE_BUS: 'cluster', CLUSTER_WORKERS: '2' }`; with several
+ * workers it resolves once every one of them listens.
+ * @returns {Promise<{baseUrl: string, env: object, dataDir: string, output: () => string, stop: (options?: {keepData?: boolean}) => Promise<void>}>}
+ */
+async function startServer({ env = {}, dataDir = makeDataDir() } = {}) {
+    const port = await freePort();
+    const serverEnv = {
+        ...process.env,
+        DB_CLIENT: 'sqlite',
+        SQLITE_FILE: path.join(dataDir, 'localchat.sqlite'),
+        SERVER_IP: '127.0.0.1',
+        SERVER_PORT: String(port),
+        SESSION_SECRET: 'integration-test-secret',
+        DOTENV_CONFIG_QUIET: 'true',
+        RATE_LIMIT_REGISTER_IP: 'off',
+        RATE_LIMIT_LOGIN_IP: 'off',
+        ...env
+    };
+    const workers = serverEnv.MESSAGE_BUS === 'cluster' ? parseInt(serverEnv.CLUSTER_WORKERS, 10) || os.cpus().length : 1;
+
+    const child = spawn(process.execPath, ['src/server.js'], { cwd: ROOT, env: serverEnv });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => done(new Error(`Server did not start within ${START_TIMEOUT_MS} ms:\n${output}`)), START_TIMEOUT_MS);
+        const onData = () => {
+            if ((output.match(/is running!/g) || []).length >= workers) done();
+        };
+        const onExit = (code) => done(new Error(`Server exited (${code}) before it started:\n${output}`));
+        function done(error) {
+            clearTimeout(timer);
+            child.stdout.off('data', onData);
+            child.off('exit', onExit);
+            if (error) { child.kill(); reject(error); } else { resolve(); }
+        }
+        child.stdout.on('data', onData);
+        child.once('exit', onExit);
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        env: serverEnv,
+        dataDir,
+        output: () => output,
+        async stop({ keepData = false } = {}) {
+            if (child.exitCode === null && child.signalCode === null) child.kill();
+            await exited;
+            if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/** Runs the admin CLI against a server's database (e.g. `create-admin boss --password secret1`). */
+function adminCli(server, ...args) {
+    return execFileSync(process.execPath, ['src/adminCli.js', ...args], { cwd: ROOT, env: server.env, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/** Registers (unless `register` is false), logs in and connects a user. Resolves with the connected client. */
+async function connectUser(server, username, { password = 'password123', register = true } = {}) {
+    const client = new LocalChatClient({ baseUrl: server.baseUrl, reconnect: false });
+    if (register) await client.register(username, password);
+    await client.login(username, password);
+    const ready = client.waitFor('message_history');
+    await client.connect();
+    await ready;
+    return client;
+}
+
+/** Logs clients out so their sockets and session refresh timers don't keep the test process alive. */
+async function closeClients(...clients) {
+    await Promise.all(clients.map(client => client.logout().catch(() => {})));
+}
+
+/** Polls `check` until it returns a truthy value, or rejects after `timeoutMs`. */
+async function eventually(check, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    ROOT,
+    makeDataDir,
+    startServer,
+    adminCli,
+    connectUser,
+    closeClients,
+    eventually
+};
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectUser, closeClients } = require('./helpers');
+
+let server;
+const clients = [];
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await closeClients(...clients);
+    await server.stop();
+});
+
+test('a message posted to a channel the author is not viewing can be edited and deleted from there', async () => {
+    const bot = await connectUser(server, 'deploybot');
+    const reader = await connectUser(server, 'reader');
+    clients.push(bot, reader);
+    await reader.joinChannel('#dev-talk');
+
+    // The bot stays in #general and posts into #dev-talk
+    const posted = reader.waitFor('channel_message', m => m.content === 'deploying v1');
+    bot.sendMessage('#dev-talk', 'deploying v1');
+    const message = await posted;
+    assert.equal(message.channel, '#dev-talk');
+
+    const edited = reader.waitFor('message_edited', m => m.id === message.id);
+    bot.editMessage(message.id, 'deployed v1');
+    const update = await edited;
+    assert.equal(update.content, 'deployed v1');
+    assert.equal(update.channel_name, '#dev-talk');
+    const history = await reader.fetchHistory('#dev-talk');
+    assert.equal(history.messages.find(m => m.id === message.id).content, 'deployed v1');
+
+    const deleted = reader.waitFor('message_deleted', m => m.id === message.id);
+    bot.deleteMessage(message.id);
+    assert.equal((await deleted).channel, '#dev-talk');
+    assert.equal((await reader.fetchHistory('#dev-talk')).messages.some(m => m.id === message.id), false);
+});
+
+test('a message in a private channel cannot be edited or deleted by a non-member', async () => {
+    const owner = await connectUser(server, 'owner');
+    const outsider = await connectUser(server, 'outsider');
+    clients.push(owner, outsider);
+    await owner.createChannel('#hidden', { isPrivate: true });
+    const posted = owner.waitFor('channel_message', m => m.content === 'members only');
+    owner.sendMessage('#hidden', 'members only');
+    const message = await posted;
+
+    // waitFor rejects with the server's error frame
+    const editRejected = outsider.waitFor('message_edited');
+    outsider.editMessage(message.id, 'hijacked');
+    await assert.rejects(editRejected, /Permission denied/);
+    const deleteRejected = outsider.waitFor('message_deleted');
+    outsider.deleteMessage(message.id);
+    await assert.rejects(deleteRejected, /Permission denied/);
+
+    const history = await owner.fetchHistory('#hidden');
+    assert.deepEqual(history.messages.map(m => m.content), ['members only']);
+});
+
+test('@channel in a private channel notifies its members and nobody else', async () => {
+    const lead = await connectUser(server, 'lead');
+    const member = await connectUser(server, 'member');
+    const bystander = await connectUser(server, 'bystander');
+    clients.push(lead, member, bystander);
+    const created = await lead.createChannel('#team', { isPrivate: true });
+    const { invite_code: inviteCode } = created.availableChannels.find(channel => channel.name === '#team');
+    await member.joinByCode(inviteCode);
+
+    // The channel's creator may use @channel; the bystander is named too, but cannot see the room
+    const notified = member.waitFor('mention_notification', n => n.room === '#team');
+    lead.sendMessage('#team', '@channel standup moved, @bystander fyi');
+    assert.equal((await notified).mentionType, 'channel');
+
+    assert.deepEqual((await member.fetchMentions()).mentions.map(m => m.type), ['channel']);
+    assert.deepEqual((await bystander.fetchMentions()).mentions, []);
+    assert.deepEqual((await lead.fetchMentions()).mentions, []);
+});
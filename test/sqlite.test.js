@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, connectUser, closeClients } = require('./helpers');
+
+// The repositories run in this process against an in-memory database; db.js picks the backend when first loaded.
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+const db = require('../src/db');
+const repo = require('../src/repositories');
+const { canAccessRoom, filterUsersWithRoomAccess, getDmRoomName } = require('../src/channels');
+
+test.after(() => db.close());
+
+test('repositories store and read users, channels, members, messages and reactions on SQLite', async () => {
+    await repo.users.create({ userId: 'u-alice', username: 'Alice', passwordHash: 'hash', role: 'User' });
+    await repo.users.create({ userId: 'u-bob', username: 'bob', passwordHash: 'hash', role: 'Moderator' });
+    assert.equal((await repo.users.findByUsername('alice')).user_id, 'u-alice', 'usernames match case-insensitively');
+    await assert.rejects(
+        repo.users.create({ userId: 'u-alice2', username: 'ALICE', passwordHash: 'hash', role: 'User' }),
+        error => db.isDuplicateKeyError(error)
+    );
+    const { rows, total } = await repo.users.find({ search: 'o' }, { limit: 10 });
+    assert.equal(total, 1);
+    assert.equal(rows[0].username, 'bob');
+    assert.equal(Number(rows[0].active_sessions), 0);
+
+    await repo.channels.create({ name: '#secret', isPrivate: true, inviteCode: 'code-1', createdBy: 'u-alice' });
+    await assert.rejects(repo.channels.create({ name: '#Secret', isPrivate: false, createdBy: 'u-bob' }), error => db.isDuplicateKeyError(error));
+    assert.equal((await repo.channels.findByInviteCode('code-1')).channel_name, '#secret');
+    await repo.members.add('#secret', ['u-alice', 'u-bob']);
+    await repo.members.add('#secret', ['u-bob']); // Already a member: ignored
+    assert.deepEqual((await repo.members.listUserIds('#secret')).sort(), ['u-alice', 'u-bob']);
+
+    await repo.messages.create({ id: 'm-1', channelName: '#secret', authorId: 'u-alice', authorUsername: 'Alice', content: 'first', timestamp: 1000, attachment: { name: 'a.txt' } });
+    await repo.messages.updateContent('m-1', 'first, edited', 2000, { id: 'u-alice', username: 'Alice' });
+    const message = await repo.messages.findInRoom('m-1', '#secret');
+    assert.equal(message.content, 'first, edited');
+    assert.equal(message.edited, 1);
+    assert.deepEqual(JSON.parse(message.attachment_metadata), { name: 'a.txt' });
+    assert.equal(await repo.messages.findInRoom('m-1', '#general'), null);
+    assert.deepEqual((await repo.messages.findVersions('m-1')).map(version => version.content), ['first']);
+
+    await repo.reactions.add('m-1', 'u-bob', '👍');
+    await repo.reactions.add('m-1', 'u-bob', '👍'); // Reacting twice is a no-op
+    assert.deepEqual(await repo.reactions.listForMessages(['m-1']), [{ message_id: 'm-1', user_id: 'u-bob', emoji: '👍' }]);
+
+    // Deleting the channel cascades to its messages, reactions and members
+    await repo.channels.setPinnedMessage('#secret', 'm-1');
+    assert.equal((await repo.channels.find('#secret')).pinned_message_id, 'm-1');
+    await repo.channels.remove('#secret');
+    assert.equal(await repo.messages.findById('m-1'), null);
+    assert.deepEqual(await repo.reactions.listForMessages(['m-1']), []);
+    assert.deepEqual(await repo.members.listUserIds('#secret'), []);
+});
+
+test('audit log entries keep JSON details and survive their actor\'s deletion on SQLite', async () => {
+    await repo.users.create({ userId: 'u-admin', username: 'boss', passwordHash: 'hash', role: 'Admin' });
+    await repo.users.create({ userId: 'u-gone', username: 'leaver', passwordHash: 'hash', role: 'User' });
+    await repo.users.create({ userId: 'u-system', username: 'system', passwordHash: '!', role: 'Admin' });
+    await repo.auditLogs.insert({ actionType: 'CHANNEL_CREATE', actorId: 'u-gone', details: { room: '#lounge' } });
+    await repo.auditLogs.insert({ actionType: 'USER_ROLE_CHANGE', actorId: 'u-admin', targetId: 'u-gone', details: { targetUsername: 'leaver' } });
+
+    assert.equal((await repo.auditLogs.find({ target: '#lounge' }, { limit: 10 })).total, 1);
+    assert.equal((await repo.auditLogs.find({ target: 'leaver' }, { limit: 10 })).rows[0].actor_username, 'boss');
+
+    assert.equal(await repo.auditLogs.reassignActor('u-gone', 'leaver', 'u-system'), 1);
+    assert.equal(await repo.users.remove('u-gone'), true);
+    const { rows } = await repo.auditLogs.find({ actor: 'leaver' }, { limit: 10 });
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].actor_id, 'u-system');
+    assert.equal(rows[0].actor_username, 'leaver');
+    assert.deepEqual(JSON.parse(rows[0].details), { room: '#lounge', deletedActor: { userId: 'u-gone', username: 'leaver' } });
+});
+
+test('the batched room access check agrees with canAccessRoom', async () => {
+    const ids = {};
+    for (const [name, role] of [['ops-admin', 'Admin'], ['ops-mod', 'Moderator'], ['ops-owner', 'User'], ['ops-user', 'User'], ['ops-banned', 'User']]) {
+        ids[name] = crypto.randomUUID();
+        await repo.users.create({ userId: ids[name], username: name, passwordHash: 'hash', role });
+    }
+    await repo.channels.create({ name: '#ops', isPrivate: true, createdBy: ids['ops-owner'] });
+    await repo.members.add('#ops', [ids['ops-owner'], ids['ops-banned']]);
+    await repo.channels.create({ name: '#quiet', isPrivate: false, createdBy: ids['ops-admin'] });
+    await db.query('INSERT INTO channel_permissions (channel_name, user_role, can_read_history) VALUES (?, ?, 0)', ['#quiet', 'User']);
+    await db.query('INSERT INTO channel_bans (channel_name, user_id, created_at, expires_at) VALUES (?, ?, ?, NULL), (?, ?, ?, ?)',
+        ['#general', ids['ops-banned'], Date.now(), '#general', ids['ops-user'], Date.now(), Date.now() - 1000]);
+    const dm = getDmRoomName(ids['ops-owner'], ids['ops-user']);
+    await repo.channels.createDm(dm, ids['ops-owner']);
+    await repo.members.add(dm, [ids['ops-owner'], ids['ops-user']]);
+
+    const userIds = Object.values(ids);
+    for (const room of ['#general', '#GENERAL', '#quiet', '#ops', dm, '#missing']) {
+        const expected = [];
+        for (const userId of userIds) if (await canAccessRoom(userId, room)) expected.push(userId);
+        assert.deepEqual(Array.from(await filterUsersWithRoomAccess(userIds, room)).sort(), expected.sort(), room);
+    }
+    assert.deepEqual(Array.from(await filterUsersWithRoomAccess([ids['ops-user']], '#general')), [ids['ops-user']], 'an expired channel ban no longer applies');
+});
+
+test('a server on SQLite keeps accounts, channels and messages across a restart', { timeout: 60 * 1000 }, async (t) => {
+    let server = await startServer();
+    const clients = [];
+    t.after(async () => { await closeClients(...clients); await server.stop(); });
+
+    const alice = await connectUser(server, 'alice');
+    const bob = await connectUser(server, 'bob');
+    clients.push(alice, bob);
+    await alice.createChannel('#secret', { isPrivate: true });
+    const secretSent = alice.waitFor('channel_message', m => m.content === 'just us');
+    alice.sendMessage('#secret', 'just us');
+    await secretSent;
+    const received = bob.waitFor('channel_message', m => m.content === 'hello everyone');
+    alice.sendMessage('#general', 'hello everyone');
+    const message = await received;
+    const reacted = bob.waitFor('message_reacted', update => update.id === message.id);
+    alice.react(message.id, '🎉'); // From #secret: reactions go to the message's room
+    await reacted;
+    const aliceId = alice.user.userId;
+    await closeClients(...clients.splice(0));
+
+    await server.stop({ keepData: true });
+    server = await startServer({ dataDir: server.dataDir });
+
+    const bobAgain = await connectUser(server, 'bob', { register: false });
+    const aliceAgain = await connectUser(server, 'alice', { register: false });
+    clients.push(aliceAgain, bobAgain);
+
+    const general = await bobAgain.fetchHistory('#general');
+    const stored = general.messages.find(m => m.id === message.id);
+    assert.ok(stored, 'the #general message survived the restart');
+    assert.equal(stored.content, 'hello everyone');
+    assert.deepEqual(stored.reactions, { '🎉': [aliceId] });
+
+    // The private channel and its membership are still there: alice can read it, bob still can't
+    const secret = await aliceAgain.fetchHistory('#secret');
+    assert.deepEqual(secret.messages.map(m => m.content), ['just us']);
+    const bobsView = await bobAgain.fetchHistory('#secret').then(() => 'visible', () => 'hidden');
+    assert.equal(bobsView, 'hidden');
+});
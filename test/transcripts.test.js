@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalChatClient } = require('../sdk');
+const { startServer, adminCli, connectUser, closeClients } = require('./helpers');
+
+let server;
+let admin;
+let archive;
+
+before(async () => {
+    server = await startServer();
+    adminCli(server, 'create-admin', 'boss', '--password', 'bosspass1');
+    admin = new LocalChatClient({ baseUrl: server.baseUrl, reconnect: false });
+    await admin.login('boss', 'bosspass1');
+
+    const alice = await connectUser(server, 'alice');
+    const posted = alice.waitFor('channel_message', m => m.content === 'release notes');
+    alice.sendMessage('#random', 'release notes');
+    const message = await posted;
+    const reacted = alice.waitFor('message_reacted', update => update.id === message.id);
+    alice.react(message.id, '👍');
+    await reacted;
+    await closeClients(alice);
+    archive = await admin.exportChannel('#random');
+});
+
+after(async () => {
+    await closeClients(admin);
+    await server.stop();
+});
+
+test('an exported channel imports under another name with its reactions', async () => {
+    const summary = await admin.importChannel(archive, { name: '#random-copy' });
+    assert.equal(summary.channel, '#random-copy');
+    assert.equal(summary.messages, 1);
+    assert.equal(summary.reactions, 1);
+});
+
+test('an archive with malformed reactions, attachments or files is rejected as invalid', async () => {
+    const message = archive.messages[0];
+    const malformed = {
+        'reactions that are not lists': { ...archive, messages: [{ ...message, reactions: { '👍': 'alice' } }] },
+        'a reactions list': { ...archive, messages: [{ ...message, reactions: ['👍'] }] },
+        'a numeric attachment checksum': { ...archive, messages: [{ ...message, attachment: { sha256: 12345, originalname: 'a.png', mimetype: 'image/png', size: 3 } }] },
+        'an attachment that is text': { ...archive, messages: [{ ...message, attachment: 'a.png' }] },
+        'file data that is not text': { ...archive, files: { abc: 42 } },
+        'members that are not a list': { ...archive, channel: { ...archive.channel, members: 'alice' } }
+    };
+    for (const [label, body] of Object.entries(malformed)) {
+        await assert.rejects(admin.importChannel(body, { name: '#imported' }), error => error.status === 400 && /malformed|must/.test(error.message), label);
+    }
+
+    // Nothing was left behind: the name is still free for a good archive
+    assert.equal((await admin.importChannel(archive, { name: '#imported' })).channel, '#imported');
+});
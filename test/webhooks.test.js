@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { LocalChatClient } = require('../sdk');
+const { startServer, adminCli, connectUser, closeClients, eventually } = require('./helpers');
+
+// Outgoing webhooks are delivered to a receiver in this process. Its path picks the answer:
+// /ok always accepts, /flaky fails the first request and accepts the retry, /down always fails.
+const requests = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+        const seen = requests.filter(r => r.path === req.url).length;
+        const ok = req.url === '/ok' || (req.url === '/flaky' && seen > 1);
+        res.writeHead(ok ? 200 : 500).end();
+    });
+});
+
+let server;
+let admin;
+let alice;
+
+before(async () => {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    server = await startServer({ env: { WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_MS: '100' } });
+    adminCli(server, 'create-admin', 'boss', '--password', 'bosspass1');
+    admin = new LocalChatClient({ baseUrl: server.baseUrl, reconnect: false });
+    await admin.login('boss', 'bosspass1');
+    alice = await connectUser(server, 'alice');
+});
+
+after(async () => {
+    await closeClients(admin, alice);
+    await server.stop();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+/** Creates an outgoing webhook on the receiver path. Resolves with `{ webhook, secret }`. */
+function createOutgoingHook(channel, path, events = ['channel_message']) {
+    const { port } = receiver.address();
+    return admin.api('POST', '/webhooks/outgoing', { body: { name: `hook-${path.slice(1)}`, channel, url: `http://127.0.0.1:${port}${path}`, events } });
+}
+
+/** Polls the delivery log until the webhook's delivery for `content` is no longer pending. */
+function finishedDelivery(webhookId, content) {
+    return eventually(async () => {
+        const { deliveries } = await admin.api('GET', `/webhooks/outgoing/${webhookId}/deliveries`);
+        return deliveries.find(d => d.payload.data.content === content && d.status !== 'pending');
+    }, { timeoutMs: 10 * 1000 });
+}
+
+test('an outgoing webhook receives signed channel events and logs the delivery', async () => {
+    const { webhook, secret } = await createOutgoingHook('#general', '/ok', ['channel_message', 'message_reacted']);
+    const sent = alice.waitFor('channel_message', m => m.content === 'deploy finished');
+    alice.sendMessage('#general', 'deploy finished');
+    const message = await sent;
+
+    const delivery = await finishedDelivery(webhook.webhook_id, 'deploy finished');
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, 200);
+
+    const request = requests.find(r => r.headers['x-localchat-delivery'] === delivery.delivery_id);
+    assert.equal(request.headers['x-localchat-event'], 'channel_message');
+    const timestamp = request.headers['x-localchat-timestamp'];
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex')}`;
+    assert.equal(request.headers['x-localchat-signature'], signature);
+    assert.equal(request.payload.event, 'channel_message');
+    assert.equal(request.payload.channel, '#general');
+    assert.equal(request.payload.webhookId, webhook.webhook_id);
+    assert.equal(request.payload.data.id, message.id);
+    assert.equal(request.payload.data.author, 'alice');
+
+    // Reacting from another room still reports the reaction for the message's own channel
+    await alice.joinChannel('#random');
+    alice.react(message.id, '🚀');
+    const reaction = await eventually(() => requests.find(r => r.payload.event === 'message_reacted' && r.payload.data.id === message.id));
+    assert.equal(reaction.path, '/ok');
+    assert.equal(reaction.payload.channel, '#general');
+    await alice.joinChannel('#general');
+});
+
+test('a failed delivery is retried until the receiver accepts it', async () => {
+    const { webhook } = await createOutgoingHook('#dev-talk', '/flaky');
+    alice.sendMessage('#dev-talk', 'build is green');
+
+    const delivery = await finishedDelivery(webhook.webhook_id, 'build is green');
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.last_status_code, 200);
+    const attempts = requests.filter(r => r.path === '/flaky');
+    assert.equal(attempts.length, 2);
+    assert.equal(attempts[0].headers['x-localchat-delivery'], attempts[1].headers['x-localchat-delivery']);
+});
+
+test('a delivery that keeps failing is marked failed after the last attempt', async () => {
+    const { webhook } = await createOutgoingHook('#random', '/down');
+    alice.sendMessage('#random', 'nobody is listening');
+
+    const delivery = await finishedDelivery(webhook.webhook_id, 'nobody is listening');
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.last_status_code, 500);
+    assert.equal(delivery.last_error, 'HTTP 500');
+    assert.equal(requests.filter(r => r.path === '/down').length, 3);
+});
+
+test('an incoming webhook posts into its channel without echoing to outgoing webhooks', async () => {
+    const { token, url } = await admin.api('POST', '/webhooks/incoming', { body: { name: 'ci-bot', channel: '#general' } });
+    assert.equal(url, `/api/hooks/${token}`);
+
+    const shown = alice.waitFor('channel_message', m => m.content === 'nightly build passed');
+    const response = await fetch(`${server.baseUrl}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: 'nightly build passed' })
+    });
+    assert.equal(response.status, 201);
+    const posted = await response.json();
+    assert.equal(posted.channel, '#general');
+    assert.equal((await shown).id, posted.id);
+
+    // A message posted after it reaches the #general hook; the webhook's own message never does
+    alice.sendMessage('#general', 'thanks, bot');
+    await eventually(() => requests.some(r => r.payload.data.content === 'thanks, bot'));
+    assert.equal(requests.some(r => r.payload.data.content === 'nightly build passed'), false);
+
+    const unknown = await fetch(`${server.baseUrl}/api/hooks/not-a-token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: 'hello?' })
+    });
+    assert.equal(unknown.status, 404);
+});